@@ -0,0 +1,123 @@
+const botConfig = require('../bot/application/config/config');
+const { signParams, createSignedUrl } = require('../bot/system/helpers/AudioAuthHelper');
+const express = require('express');
+const createAuthenticator = require('../server/middlewares/auth');
+const createAuthFailureLimiter = require('../server/middlewares/auth-failure-limiter');
+const errorHandler = require('../server/middlewares/error-handler');
+const logger = require('../server/utils/logger');
+
+const API_KEY = 'bot-and-server-shared-key';
+
+/**
+ * Run a URL through the server's authentication middleware
+ * @returns {Error|null} Error passed to next, null when authenticated
+ */
+function authenticate(authenticator, signedUrl) {
+    const url = new URL(signedUrl);
+    const req = {
+        path: url.pathname.replace(/^\/api\/audio/, ''),
+        originalUrl: `${url.pathname}${url.search}`,
+        query: Object.fromEntries(url.searchParams),
+        get: () => undefined,
+    };
+
+    let result;
+    authenticator(req, {}, (error) => {
+        result = error || null;
+    });
+    return result;
+}
+
+describe('signed audio URLs', () => {
+    const originalKey = botConfig.audio.apiKey;
+    let authenticator;
+
+    beforeAll(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        botConfig.audio.apiKey = API_KEY;
+        authenticator = createAuthenticator({
+            get: (key, fallback) => (key === 'auth.apiKeys' ? [API_KEY] : fallback),
+        });
+    });
+
+    afterAll(() => {
+        botConfig.audio.apiKey = originalKey;
+        jest.restoreAllMocks();
+    });
+
+    test('URLs signed by the bot pass the server check', () => {
+        const url = createSignedUrl('/api/audio/stream', {
+            query: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RD dQw4w9WgXcQ',
+            filter: 'bass=g=5,treble=g=-2',
+            position: 90,
+            volume: null,
+        });
+
+        expect(authenticate(authenticator, url)).toBeNull();
+    });
+
+    test('tampered or expired URLs are rejected', () => {
+        const url = new URL(createSignedUrl('/api/audio/stream', { query: 'paper lanterns', position: 0 }));
+        url.searchParams.set('position', '120');
+        expect(authenticate(authenticator, url.toString())).toMatchObject({ statusCode: 403, message: 'Invalid signature' });
+
+        const expired = new URL(createSignedUrl('/api/audio/stream', { query: 'paper lanterns' }, -10));
+        expect(authenticate(authenticator, expired.toString())).toMatchObject({ statusCode: 403 });
+    });
+
+    test('parameters are left unsigned without an API key', () => {
+        botConfig.audio.apiKey = null;
+        expect(signParams('/api/audio/stream', { query: 'paper lanterns' })).toEqual({ query: 'paper lanterns' });
+        botConfig.audio.apiKey = API_KEY;
+    });
+});
+
+describe('failed authentication limit', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+        const config = {
+            get: (key, fallback) => ({ 'auth.apiKeys': [API_KEY], 'rateLimit.authFailureMax': 3 }[key] ?? fallback),
+        };
+
+        const app = express();
+        app.use(createAuthFailureLimiter(config));
+        app.use(createAuthenticator(config));
+        app.get('/api/audio/search', (req, res) => res.json({ success: true }));
+        app.use(errorHandler);
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/audio/search`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    const request = (apiKey) => fetch(baseUrl, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+
+    test('authenticated requests do not count towards the limit', async () => {
+        for (let i = 0; i < 5; i++) {
+            expect((await request(API_KEY)).status).toBe(200);
+        }
+    });
+
+    test('an IP that keeps guessing keys is blocked, valid key or not', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await request(`guess-${i}`)).status).toBe(401);
+        }
+
+        const blocked = await request('guess-3');
+        expect(blocked.status).toBe(429);
+        expect(await blocked.json()).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+
+        expect((await request(API_KEY)).status).toBe(429);
+    });
+});
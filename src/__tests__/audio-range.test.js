@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const AudioService = require('../server/services/audio.service');
+const { RangeNotSatisfiableError } = require('../server/utils/errors');
+
+const SIZE = 1000;
+
+/**
+ * Express-like response that collects the streamed body
+ */
+class FakeResponse extends PassThrough {
+    constructor() {
+        super();
+        this.statusCode = 200;
+        this.headers = {};
+        this.chunks = [];
+        this.on('data', chunk => this.chunks.push(chunk));
+    }
+
+    setHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    body() {
+        return new Promise(resolve => this.once('end', () => resolve(Buffer.concat(this.chunks))));
+    }
+}
+
+describe('AudioService Range requests', () => {
+    let dir;
+    let cachedFile;
+    let content;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-range-'));
+        content = Buffer.from(Array.from({ length: SIZE }, (_, i) => i % 256));
+        cachedFile = { videoId: 'dQw4w9WgXcQ', path: path.join(dir, 'dQw4w9WgXcQ.webm'), size: SIZE };
+        fs.writeFileSync(cachedFile.path, content);
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createService() {
+        const service = new AudioService({ get: (key, fallback) => fallback }, {
+            ytdlpProvider: { getVideoId: () => cachedFile.videoId },
+            audioCacheService: { get: () => cachedFile, remove: async () => {} },
+        });
+        jest.spyOn(service, 'log').mockImplementation(() => {});
+        return service;
+    }
+
+    async function stream(range) {
+        const response = new FakeResponse();
+        const body = response.body();
+        await createService().streamAudio({ query: 'https://youtu.be/dQw4w9WgXcQ', range, response });
+        return { response, body: await body };
+    }
+
+    test('parses open, closed and suffix ranges', () => {
+        const service = createService();
+
+        expect(service._parseRange('bytes=0-', SIZE)).toEqual({ start: 0, end: 999 });
+        expect(service._parseRange('bytes=100-199', SIZE)).toEqual({ start: 100, end: 199 });
+        expect(service._parseRange('bytes=900-5000', SIZE)).toEqual({ start: 900, end: 999 });
+        expect(service._parseRange('bytes=-500', SIZE)).toEqual({ start: 500, end: 999 });
+        expect(service._parseRange('bytes=-5000', SIZE)).toEqual({ start: 0, end: 999 });
+    });
+
+    test('ignores multi-range, malformed and backwards ranges', () => {
+        const service = createService();
+
+        expect(service._parseRange('bytes=0-99,200-299', SIZE)).toBeNull();
+        expect(service._parseRange('bytes=-', SIZE)).toBeNull();
+        expect(service._parseRange('items=0-99', SIZE)).toBeNull();
+        expect(service._parseRange('bytes=300-200', SIZE)).toBeNull();
+    });
+
+    test('reports ranges past the end as unsatisfiable', () => {
+        const service = createService();
+
+        expect(service._parseRange('bytes=1000-', SIZE)).toBe(false);
+        expect(service._parseRange('bytes=5000-6000', SIZE)).toBe(false);
+        expect(service._parseRange('bytes=-0', SIZE)).toBe(false);
+    });
+
+    test('serves a suffix range as 206 partial content', async () => {
+        const { response, body } = await stream('bytes=-500');
+
+        expect(response.statusCode).toBe(206);
+        expect(response.headers['Content-Range']).toBe('bytes 500-999/1000');
+        expect(response.headers['Content-Length']).toBe(500);
+        expect(body.equals(content.subarray(500))).toBe(true);
+    });
+
+    test('serves an open range from the start as 206 with the whole file', async () => {
+        const { response, body } = await stream('bytes=0-');
+
+        expect(response.statusCode).toBe(206);
+        expect(response.headers['Content-Range']).toBe('bytes 0-999/1000');
+        expect(body.equals(content)).toBe(true);
+    });
+
+    test('serves the whole file as 200 for a multi-range request', async () => {
+        const { response, body } = await stream('bytes=0-99,200-299');
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['Content-Range']).toBeUndefined();
+        expect(response.headers['Accept-Ranges']).toBe('bytes');
+        expect(body.length).toBe(SIZE);
+    });
+
+    test('rejects a start beyond the end with 416', async () => {
+        const response = new FakeResponse();
+
+        await expect(createService().streamAudio({ query: 'https://youtu.be/dQw4w9WgXcQ', range: 'bytes=1000-', response }))
+            .rejects.toBeInstanceOf(RangeNotSatisfiableError);
+        expect(response.headers['Content-Range']).toBe('bytes */1000');
+    });
+});
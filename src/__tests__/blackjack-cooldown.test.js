@@ -0,0 +1,73 @@
+const GameService = require('../bot/application/modules/economy/services/GameService');
+const EconomyController = require('../bot/application/controllers/EconomyController');
+
+describe('blackjack cooldown', () => {
+    let gameService;
+    let economyService;
+    let controller;
+
+    function blackjackInteraction() {
+        return {
+            user: { id: 'user-1' },
+            guild: { id: 'guild-1' },
+            options: { getInteger: () => 100 },
+            reply: jest.fn().mockResolvedValue(),
+        };
+    }
+
+    beforeEach(() => {
+        gameService = new GameService({});
+        economyService = {
+            getGameSettings: jest.fn().mockResolvedValue({ cooldown: 60 }),
+            validateBet: jest.fn().mockResolvedValue({ success: true }),
+            getBalance: jest.fn().mockResolvedValue({ wallet: 500 }),
+            removeBalance: jest.fn().mockResolvedValue(),
+            addBalance: jest.fn().mockResolvedValue(),
+        };
+
+        const services = { GameService: gameService, EconomyService: economyService };
+        controller = new EconomyController({
+            modules: new Map([['economy', { getService: name => services[name] }]]),
+        });
+        jest.spyOn(controller, 'log').mockImplementation(() => {});
+        jest.spyOn(controller, 'sendError').mockResolvedValue();
+    });
+
+    const remaining = () => gameService.getCooldownRemaining('user-1', 'guild-1', 60);
+
+    test('is released when the bet cannot be taken', async () => {
+        economyService.removeBalance.mockRejectedValue(new Error('database is locked'));
+
+        await controller.blackjack(blackjackInteraction());
+
+        expect(controller.sendError).toHaveBeenCalled();
+        expect(remaining()).toBe(0);
+    });
+
+    test('is released and the bet refunded when the game cannot be created', async () => {
+        jest.spyOn(gameService, 'createBlackjackGame').mockImplementation(() => {
+            throw new Error('deck unavailable');
+        });
+
+        await controller.blackjack(blackjackInteraction());
+
+        expect(economyService.addBalance).toHaveBeenCalledWith('user-1', 'guild-1', 100, expect.any(String));
+        expect(remaining()).toBe(0);
+    });
+
+    test('stays when the game started', async () => {
+        await controller.blackjack(blackjackInteraction());
+
+        expect(gameService.getBlackjackGame('user-1', 'guild-1')).toBeTruthy();
+        expect(remaining()).toBeGreaterThan(0);
+    });
+
+    test('an earlier cooldown survives a failure before the claim', async () => {
+        gameService.startCooldown('user-1', 'guild-1');
+        economyService.getGameSettings.mockRejectedValue(new Error('database is locked'));
+
+        await controller.blackjack(blackjackInteraction());
+
+        expect(remaining()).toBeGreaterThan(0);
+    });
+});
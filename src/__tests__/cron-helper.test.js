@@ -0,0 +1,102 @@
+const { parseCron, isValidCron, isValidTimezone, nextFireTime } = require('../bot/system/helpers/CronHelper');
+
+const utc = (...args) => Date.UTC(...args);
+const iso = (timestamp) => new Date(timestamp).toISOString();
+
+describe('CronHelper parsing', () => {
+    test('expands wildcards, ranges, lists and steps', () => {
+        const parsed = parseCron('*/15 9-11 1,15 * 1-5');
+
+        expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+        expect([...parsed.hour]).toEqual([9, 10, 11]);
+        expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+        expect(parsed.month.size).toBe(12);
+        expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('supports names, macros and 7 as Sunday', () => {
+        expect([...parseCron('0 0 * JAN-MAR MON,FRI').month]).toEqual([1, 2, 3]);
+        expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+        expect(parseCron('@daily').expression).toBe('0 0 * * *');
+        expect([...parseCron('10/20 * * * *').minute]).toEqual([10, 30, 50]);
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(isValidCron('* * * *')).toBe(false);
+        expect(isValidCron('60 * * * *')).toBe(false);
+        expect(isValidCron('*/0 * * * *')).toBe(false);
+        expect(isValidCron('5-1 * * * *')).toBe(false);
+        expect(isValidCron('foo * * * *')).toBe(false);
+        expect(isValidCron('0 12 * * *')).toBe(true);
+    });
+
+    test('validates timezones', () => {
+        expect(isValidTimezone('Europe/Berlin')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+});
+
+describe('CronHelper nextFireTime', () => {
+    const from = utc(2026, 0, 15, 10, 7, 30); // Thursday 2026-01-15 10:07:30 UTC
+
+    test('returns the next matching minute strictly after the start', () => {
+        expect(iso(nextFireTime('*/15 * * * *', from))).toBe('2026-01-15T10:15:00.000Z');
+        expect(iso(nextFireTime('*/15 * * * *', utc(2026, 0, 15, 10, 15)))).toBe('2026-01-15T10:30:00.000Z');
+        expect(iso(nextFireTime('* * * * *', from))).toBe('2026-01-15T10:08:00.000Z');
+    });
+
+    test('rolls over days, months and years', () => {
+        expect(iso(nextFireTime('0 9 * * *', from))).toBe('2026-01-16T09:00:00.000Z');
+        expect(iso(nextFireTime('0 0 1 * *', from))).toBe('2026-02-01T00:00:00.000Z');
+        expect(iso(nextFireTime('@yearly', from))).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    test('finds leap days and gives up on impossible dates', () => {
+        expect(iso(nextFireTime('0 0 29 2 *', from))).toBe('2028-02-29T00:00:00.000Z');
+        expect(nextFireTime('0 0 31 2 *', from)).toBeNull();
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // The 20th or any Monday, whichever comes first
+        expect(iso(nextFireTime('0 12 20 * MON', from))).toBe('2026-01-19T12:00:00.000Z');
+        // Only Mondays when day-of-month is a wildcard
+        expect(iso(nextFireTime('0 12 * * MON', utc(2026, 0, 19, 13)))).toBe('2026-01-26T12:00:00.000Z');
+    });
+
+    test('evaluates the schedule in the given timezone', () => {
+        // 09:00 in New York (UTC-5 in January)
+        expect(iso(nextFireTime('0 9 * * 1-5', from, 'America/New_York'))).toBe('2026-01-15T14:00:00.000Z');
+        // Midnight in Tokyo (UTC+9) is 15:00 UTC the day before
+        expect(iso(nextFireTime('0 0 * * *', from, 'Asia/Tokyo'))).toBe('2026-01-15T15:00:00.000Z');
+    });
+
+    test('skips wall times that a DST change removes', () => {
+        // New York springs forward at 02:00 on 2026-03-08, so 02:30 does not exist that day
+        const next = nextFireTime('30 2 * * *', utc(2026, 2, 7, 12), 'America/New_York');
+        expect(iso(next)).toBe('2026-03-09T06:30:00.000Z');
+    });
+
+    test('repeats hourly jobs but not fixed-time jobs when DST repeats an hour', () => {
+        // New York falls back at 02:00 on 2026-11-01, so 01:00-01:59 happens twice
+        const runs = [];
+        let cursor = utc(2026, 10, 1, 4, 0);
+        for (let i = 0; i < 4; i++) {
+            cursor = nextFireTime('30 * * * *', cursor, 'America/New_York');
+            runs.push(iso(cursor));
+        }
+        expect(runs).toEqual([
+            '2026-11-01T04:30:00.000Z', // 00:30 EDT
+            '2026-11-01T05:30:00.000Z', // 01:30 EDT
+            '2026-11-01T06:30:00.000Z', // 01:30 EST
+            '2026-11-01T07:30:00.000Z', // 02:30 EST
+        ]);
+
+        const daily = nextFireTime('30 1 * * *', utc(2026, 10, 1, 5, 30), 'America/New_York');
+        expect(iso(daily)).toBe('2026-11-02T06:30:00.000Z');
+    });
+
+    test('accepts a pre-parsed schedule and Date input', () => {
+        const parsed = parseCron('45 * * * *');
+        expect(iso(nextFireTime(parsed, new Date(from)))).toBe('2026-01-15T10:45:00.000Z');
+    });
+});
@@ -0,0 +1,47 @@
+const { createTestDatabase } = require('./helpers/database');
+
+describe('DatabaseLibrary.query results', () => {
+    let database;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        await database.query('CREATE TABLE counters (id TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    test('SELECT returns the rows', async () => {
+        await database.query('INSERT INTO counters (id, value) VALUES (?, ?)', ['select', 3]);
+
+        const rows = await database.query('SELECT id, value FROM counters WHERE id = ?', ['select']);
+
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ id: 'select', value: 3 });
+    });
+
+    test('INSERT, UPDATE and DELETE report rowsAffected alongside changes', async () => {
+        const inserted = await database.query('INSERT INTO counters (id, value) VALUES (?, ?), (?, ?)', ['a', 1, 'b', 2]);
+        expect(inserted).toMatchObject({ changes: 2, rowsAffected: 2 });
+        expect(inserted.lastInsertRowid).not.toBeNull();
+
+        const updated = await database.query('UPDATE counters SET value = value + 1 WHERE id IN (?, ?)', ['a', 'b']);
+        expect(updated).toMatchObject({ changes: 2, rowsAffected: 2 });
+
+        const deleted = await database.query('DELETE FROM counters WHERE id = ?', ['a']);
+        expect(deleted).toMatchObject({ changes: 1, rowsAffected: 1 });
+    });
+
+    test('a conditional UPDATE that matches nothing reports 0 rowsAffected', async () => {
+        await database.query('INSERT INTO counters (id, value) VALUES (?, ?)', ['guarded', 5]);
+
+        const result = await database.query(
+            'UPDATE counters SET value = value - ? WHERE id = ? AND value >= ?',
+            [10, 'guarded', 10]
+        );
+
+        expect(result).toMatchObject({ changes: 0, rowsAffected: 0 });
+        expect(await database.queryOne('SELECT value FROM counters WHERE id = ?', ['guarded'])).toMatchObject({ value: 5 });
+    });
+});
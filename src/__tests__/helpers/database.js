@@ -0,0 +1,35 @@
+/**
+ * In-memory LibSQL database for tests that run models and services
+ * against real SQL instead of a mocked client.
+ */
+
+const DatabaseLibrary = require('../../bot/system/libraries/Database');
+
+const silentLogger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {},
+    log: () => {},
+};
+
+/**
+ * Connect a database with the bot's base schema
+ * @returns {Promise<DatabaseLibrary>} Connected database; close() it after the tests
+ */
+async function createTestDatabase() {
+    const database = new DatabaseLibrary({ logger: silentLogger }, {
+        url: ':memory:',
+        authToken: 'test',
+        enablePerformanceLogging: false,
+        enableMetricsTracking: false,
+    });
+
+    await database.connect();
+    return database;
+}
+
+module.exports = {
+    silentLogger,
+    createTestDatabase,
+};
@@ -0,0 +1,65 @@
+/**
+ * Shared helpers for tests that run server code against recorded responses
+ * in src/__tests__/fixtures instead of the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Config stand-in that always returns the fallback
+const config = { get: (key, fallback) => fallback };
+
+/**
+ * Read a fixture file
+ * @param {string} name - Path relative to src/__tests__/fixtures
+ * @returns {string} File content
+ */
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+/**
+ * axios-compatible client serving recorded responses
+ * Routes map a URL (with its sorted query string) to a fixture file, an
+ * HTTP error status, or { file, redirect } for redirected requests;
+ * anything else is a 404. .json fixtures are parsed.
+ * @param {Object} routes - Routes by URL
+ * @param {Object} options - Client options
+ * @param {string} options.directory - Fixture directory the files are in
+ * @returns {Object} Client with get() and the requested URLs in requests
+ */
+function createHttpClient(routes, { directory = '' } = {}) {
+    const requests = [];
+
+    return {
+        requests,
+        async get(url, options = {}) {
+            const query = new URLSearchParams(Object.entries(options.params || {}).sort()).toString();
+            const key = query ? `${url}?${query}` : url;
+            requests.push(key);
+
+            const route = routes[key];
+            if (!route || typeof route === 'number') {
+                const status = route || 404;
+                const error = new Error(`Request failed with status code ${status}`);
+                error.response = { status };
+                throw error;
+            }
+
+            const { file, redirect } = typeof route === 'string' ? { file: route } : route;
+            const body = file ? readFixture(path.join(directory, file)) : '';
+
+            return {
+                status: 200,
+                data: file && file.endsWith('.json') ? JSON.parse(body) : body,
+                request: { res: { responseUrl: redirect || url } },
+            };
+        },
+    };
+}
+
+module.exports = {
+    config,
+    readFixture,
+    createHttpClient,
+};
@@ -0,0 +1,59 @@
+const ItemEffectService = require('../bot/application/modules/economy/services/ItemEffectService');
+const activeEffectsMigration = require('../bot/migrations/0009_active_effects');
+const { createTestDatabase, silentLogger } = require('./helpers/database');
+
+const GUILD = 'guild-1';
+
+describe('ItemEffectService active effects', () => {
+    let database;
+    let service;
+
+    const addEffect = (userId, effectType, multiplier, expiresInSeconds) => database.query(
+        `INSERT INTO active_effects (guild_id, user_id, effect_type, multiplier, source_item_id, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [GUILD, userId, effectType, multiplier, 'item-1', Math.floor(Date.now() / 1000) + expiresInSeconds, Math.floor(Date.now() / 1000)]
+    );
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        await activeEffectsMigration.up(database);
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    beforeEach(async () => {
+        await database.query('DELETE FROM active_effects');
+        service = new ItemEffectService({ database, logger: silentLogger }, { cacheTTL: 1000 });
+    });
+
+    test('reads only unexpired effects without deleting anything', async () => {
+        await addEffect('user-1', 'xp', 2, 600);
+        await addEffect('user-1', 'coins', 1.5, -60);
+
+        const effects = await service.getActiveEffects('user-1', GUILD);
+
+        expect(effects.map(({ effect_type, multiplier }) => [effect_type, multiplier])).toEqual([['xp', 2]]);
+        expect(await service.getMultiplier('user-1', GUILD, 'coins')).toBe(1);
+        expect(await database.query('SELECT effect_type FROM active_effects')).toHaveLength(2);
+    });
+
+    test('cleanup deletes expired effects and evicts stale cache entries', async () => {
+        await addEffect('user-1', 'xp', 2, 600);
+        await addEffect('user-2', 'xp', 2, -60);
+        await service.getActiveEffects('user-1', GUILD);
+        await service.getActiveEffects('user-2', GUILD);
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 1000);
+        try {
+            await expect(service.cleanupExpired()).resolves.toBe(1);
+        } finally {
+            Date.now.mockRestore();
+        }
+
+        expect(service.effectCache.size).toBe(0);
+        expect((await database.query('SELECT user_id FROM active_effects')).map(({ user_id }) => user_id)).toEqual(['user-1']);
+    });
+});
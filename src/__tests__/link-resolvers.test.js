@@ -0,0 +1,225 @@
+const { createResolvers } = require('../server/resolvers');
+const LinkResolverService = require('../server/services/link-resolver.service');
+const MetadataService = require('../server/services/metadata.service');
+const YtdlpProvider = require('../server/providers/ytdlp.provider');
+const { scoreCandidate, buildSearchQuery } = require('../server/utils/track-match');
+const { config, readFixture, createHttpClient } = require('./helpers/http-fixtures');
+
+function createService(routes) {
+    const httpClient = createHttpClient(routes, { directory: 'resolvers' });
+    const service = new LinkResolverService(config, { resolvers: createResolvers(config, { httpClient }) });
+    jest.spyOn(service, 'log').mockImplementation(() => {});
+    return { service, httpClient };
+}
+
+describe('Spotify resolver', () => {
+    test('resolves a playlist from the embed page into artist - title searches', async () => {
+        const { service, httpClient } = createService({
+            'https://open.spotify.com/embed/playlist/37i9dQZF1DX9wC1KY45plY': 'spotify-playlist-embed.html',
+        });
+
+        const page = await service.resolve('https://open.spotify.com/intl-de/playlist/37i9dQZF1DX9wC1KY45plY?si=abc123', { limit: 3 });
+
+        expect(httpClient.requests).toEqual(['https://open.spotify.com/embed/playlist/37i9dQZF1DX9wC1KY45plY']);
+        expect(page).toMatchObject({
+            source: 'Spotify',
+            type: 'playlist',
+            title: 'Road Trip Classics',
+            uploader: 'Spotify',
+            totalTracks: 4,
+            nextOffset: 3,
+            thumbnail: 'https://image-cdn-ak.spotifycdn.com/image/ab67706f000000032bd2e1a0f9c5a4c2b6f9e1f1',
+        });
+        expect(page.tracks[0]).toEqual({
+            title: 'Bohemian Rhapsody - Remastered 2011',
+            artist: 'Queen',
+            url: 'https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv',
+            durationSec: 354,
+            thumbnail: page.thumbnail,
+            query: 'Queen - Bohemian Rhapsody - Remastered 2011',
+        });
+        expect(page.tracks[2]).toMatchObject({ artist: 'Queen, David Bowie', query: 'Queen - Under Pressure - Remastered 2011' });
+    });
+
+    test('serves later pages from the cached resolution', async () => {
+        const { service, httpClient } = createService({
+            'https://open.spotify.com/embed/playlist/37i9dQZF1DX9wC1KY45plY': 'spotify-playlist-embed.html',
+        });
+        const link = 'https://open.spotify.com/playlist/37i9dQZF1DX9wC1KY45plY';
+
+        await service.resolve(link, { limit: 3 });
+        const page = await service.resolve(link, { offset: 3, limit: 3 });
+
+        expect(httpClient.requests).toHaveLength(1);
+        expect(page.nextOffset).toBeNull();
+        // Characters the stream endpoint rejects are dropped from the search
+        expect(page.tracks).toEqual([expect.objectContaining({ artist: 'Simon & Garfunkel', query: 'Simon Garfunkel - The Boxer' })]);
+    });
+
+    test('resolves a single track and follows spotify.link short links', async () => {
+        const { service } = createService({
+            'https://spotify.link/Xy12AbCd': { redirect: 'https://open.spotify.com/track/3n3Ppam7vgaVa1iaRUc9Lp?si=x' },
+            'https://open.spotify.com/embed/track/3n3Ppam7vgaVa1iaRUc9Lp': 'spotify-track-embed.html',
+        });
+
+        const page = await service.resolve('https://spotify.link/Xy12AbCd');
+
+        expect(page.type).toBe('track');
+        expect(page.tracks).toEqual([{
+            title: 'Mr. Brightside',
+            artist: 'The Killers',
+            url: 'https://open.spotify.com/track/3n3Ppam7vgaVa1iaRUc9Lp',
+            durationSec: 223,
+            thumbnail: 'https://i.scdn.co/image/ab67616d0000b273ccdddd46119a4ff53eaf1f5d',
+            query: 'The Killers - Mr. Brightside',
+        }]);
+    });
+});
+
+describe('Apple Music resolver', () => {
+    test('resolves an album in track order through the iTunes lookup API', async () => {
+        const { service } = createService({
+            'https://itunes.apple.com/lookup?country=us&entity=song&id=594061854&limit=200': 'itunes-lookup-album.json',
+        });
+
+        const page = await service.resolve('https://music.apple.com/us/album/rumours/594061854');
+
+        expect(page).toMatchObject({ source: 'Apple Music', type: 'album', title: 'Rumours', uploader: 'Fleetwood Mac' });
+        expect(page.thumbnail).toMatch(/\/600x600bb\.jpg$/);
+        expect(page.tracks.map(track => track.query)).toEqual([
+            'Fleetwood Mac - Second Hand News',
+            'Fleetwood Mac - Dreams',
+            'Fleetwood Mac - Don\'t Stop',
+        ]);
+    });
+
+    test('resolves the song an album link points at with ?i=', async () => {
+        const { service } = createService({
+            'https://itunes.apple.com/lookup?country=gb&id=594061861': 'itunes-lookup-song.json',
+        });
+
+        const page = await service.resolve('https://music.apple.com/gb/album/dreams/594061854?i=594061861');
+
+        expect(page.type).toBe('track');
+        expect(page.tracks).toEqual([expect.objectContaining({ query: 'Fleetwood Mac - Dreams', durationSec: 258 })]);
+    });
+
+    test('resolves a playlist from the page server data', async () => {
+        const { service } = createService({
+            'https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb': 'apple-music-playlist.html',
+        });
+
+        const page = await service.resolve('https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb');
+
+        expect(page).toMatchObject({ type: 'playlist', title: 'Today\'s Hits', uploader: 'Apple Music Pop', totalTracks: 2 });
+        expect(page.tracks[1]).toMatchObject({
+            query: 'Shaboozey - A Bar Song (Tipsy)',
+            durationSec: 171,
+            url: 'https://music.apple.com/us/song/a-bar-song-tipsy/1741391262',
+            thumbnail: 'https://is1-ssl.mzstatic.com/image/thumb/Music221/v4/44/55/66/barsong.jpg/600x600bb.jpg',
+        });
+    });
+});
+
+describe('Deezer resolver', () => {
+    test('follows playlist pages and skips unreadable tracks', async () => {
+        const { service } = createService({
+            'https://api.deezer.com/playlist/1306931615': 'deezer-playlist.json',
+            'https://api.deezer.com/playlist/1306931615/tracks?index=2': 'deezer-playlist-tracks-2.json',
+        });
+
+        const page = await service.resolve('https://www.deezer.com/fr/playlist/1306931615');
+
+        expect(page).toMatchObject({ source: 'Deezer', title: 'Rock Essentials', uploader: 'Deezer Rock Editor', totalTracks: 2 });
+        expect(page.tracks.map(track => [track.query, track.durationSec])).toEqual([
+            ['Daft Punk - Harder, Better, Faster, Stronger', 224],
+            ['The White Stripes - Seven Nation Army', 232],
+        ]);
+    });
+
+    test('resolves short links to a track', async () => {
+        const { service } = createService({
+            'https://link.deezer.com/s/30aBcDe': { redirect: 'https://www.deezer.com/track/3135556?host=0&utm_campaign=share' },
+            'https://api.deezer.com/track/3135556': 'deezer-track.json',
+        });
+
+        const page = await service.resolve('https://link.deezer.com/s/30aBcDe');
+
+        expect(page.type).toBe('track');
+        expect(page.tracks[0]).toMatchObject({ artist: 'Daft Punk', url: 'https://www.deezer.com/track/3135556' });
+    });
+
+    test('reports missing or private links as not found', async () => {
+        const { service } = createService({
+            'https://api.deezer.com/playlist/42': 'deezer-error.json',
+        });
+
+        await expect(service.resolve('https://www.deezer.com/playlist/42')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('LinkResolverService', () => {
+    test('rejects links no resolver handles', async () => {
+        const { service } = createService({});
+
+        await expect(service.resolve('https://soundcloud.com/artist/track')).rejects.toMatchObject({
+            statusCode: 422,
+            code: 'UNSUPPORTED_LINK',
+        });
+    });
+
+    test('accepts resolvers registered at runtime', async () => {
+        const { service } = createService({});
+        service.register({
+            name: 'Example',
+            matches: url => url.hostname === 'music.example.com',
+            resolve: async () => ({
+                type: 'track',
+                id: '1',
+                title: 'Song',
+                url: 'https://music.example.com/1',
+                owner: null,
+                thumbnail: null,
+                tracks: [{ title: 'Song', artists: ['Band'], durationSec: 200, url: 'https://music.example.com/1', thumbnail: null }],
+            }),
+        });
+
+        const page = await service.resolve('https://music.example.com/1');
+
+        expect(page.source).toBe('Example');
+        expect(page.tracks[0].query).toBe('Band - Song');
+    });
+});
+
+describe('duration-based matching', () => {
+    test('prefers the studio recording closest to the original duration', async () => {
+        const ytdlpProvider = new YtdlpProvider(config);
+        const searchResults = JSON.parse(readFixture('ytdlp-search.json'));
+        ytdlpProvider.runJson = jest.fn().mockResolvedValue(searchResults);
+        ytdlpProvider.getMetadata = jest.fn(async (url) => ({ id: 'match', title: 'Match', webpage_url: url }));
+
+        const metadataService = new MetadataService(config, { ytdlpProvider });
+        jest.spyOn(metadataService, 'log').mockImplementation(() => {});
+
+        const info = await metadataService.getTrackInfo('The Killers - Mr. Brightside', { durationSec: 223 });
+
+        expect(ytdlpProvider.runJson.mock.calls[0][0]).toContain('ytsearch5:The Killers - Mr. Brightside');
+        expect(ytdlpProvider.getMetadata).toHaveBeenCalledWith('https://www.youtube.com/watch?v=0n3qZYxbz6E');
+        expect(info.url).toBe('https://www.youtube.com/watch?v=0n3qZYxbz6E');
+    });
+
+    test('penalises other versions unless the original asks for them', () => {
+        const expected = { artist: 'The Killers', title: 'Mr. Brightside', durationSec: 223 };
+        const studio = { title: 'The Killers - Mr. Brightside', uploader: 'Some Channel', duration: 223 };
+        const live = { title: 'The Killers - Mr. Brightside (Live)', uploader: 'Some Channel', duration: 223 };
+
+        expect(scoreCandidate(live, expected)).toBeLessThan(scoreCandidate(studio, expected));
+        expect(scoreCandidate(live, { ...expected, title: 'Mr. Brightside (Live)' }))
+            .toBeGreaterThan(scoreCandidate(studio, { ...expected, title: 'Mr. Brightside (Live)' }));
+    });
+
+    test('builds artist - title searches', () => {
+        expect(buildSearchQuery({ artist: 'AC/DC', title: 'Highway to Hell' })).toBe('AC/DC - Highway to Hell');
+        expect(buildSearchQuery({ artist: null, title: 'Untitled' })).toBe('Untitled');
+    });
+});
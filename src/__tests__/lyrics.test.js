@@ -0,0 +1,204 @@
+const path = require('path');
+const { BaseLyricsProvider, createLyricsProviders } = require('../server/lyrics');
+const LyricsService = require('../server/services/lyrics.service');
+const { ProviderError } = require('../server/utils/errors');
+const { parseLrc, isLrc, toPlainLyrics } = require('../server/utils/lrc');
+const logger = require('../server/utils/logger');
+const { splitLyrics, findLineIndex, formatSyncedLines } = require('../bot/system/helpers/LyricsHelper');
+const { config, readFixture: readAnyFixture, createHttpClient } = require('./helpers/http-fixtures');
+
+const readFixture = (name) => readAnyFixture(path.join('lyrics', name));
+
+/**
+ * Lyrics provider serving songs from fixture files
+ * Songs map "artist|title" (lowercase, artist may be empty) to a .lrc or .txt file.
+ */
+class FixtureLyricsProvider extends BaseLyricsProvider {
+    constructor(songs = {}) {
+        super(config);
+        this.name = 'Fixtures';
+        this.songs = songs;
+        this.searches = [];
+    }
+
+    async search(song) {
+        this.searches.push(song);
+
+        const file = this.songs[`${song.artist || ''}|${song.title}`.toLowerCase()];
+        if (!file) {
+            return null;
+        }
+
+        const text = readFixture(file);
+        return {
+            title: song.title,
+            artist: song.artist,
+            durationSec: null,
+            plain: file.endsWith('.txt') ? text : null,
+            lrc: file.endsWith('.lrc') ? text : null,
+            instrumental: false,
+        };
+    }
+}
+
+class FailingLyricsProvider extends BaseLyricsProvider {
+    constructor() {
+        super(config);
+        this.name = 'Failing';
+    }
+
+    async search() {
+        throw new ProviderError('Failing request failed: socket hang up');
+    }
+}
+
+function createService(providers) {
+    const service = new LyricsService(config, { providers });
+    jest.spyOn(service, 'log').mockImplementation(() => {});
+    return service;
+}
+
+describe('LRC parsing', () => {
+    const lines = parseLrc(readFixture('paper-lanterns.lrc'));
+
+    test('reads timed lines in time order, applying the offset', () => {
+        expect(lines[1]).toEqual({ time: 12200, text: 'We hung our paper lanterns on the wire' });
+        expect(lines.map(line => line.time)).toEqual([...lines.map(line => line.time)].sort((a, b) => a - b));
+        expect(lines[lines.length - 1]).toEqual({ time: 73450, text: 'Let the night sky carry us home' });
+    });
+
+    test('repeats lines with several time tags and keeps instrumental breaks', () => {
+        expect(lines.filter(line => line.text === 'Oh, light it up, light it up').map(line => line.time)).toEqual([34350, 70000]);
+        expect(lines.filter(line => line.text === '')).toHaveLength(3);
+        expect(lines.some(line => /Midnight Foxes|03:12/.test(line.text))).toBe(false);
+    });
+
+    test('tells LRC from plain lyrics and turns it back into text', () => {
+        expect(isLrc(readFixture('paper-lanterns.lrc'))).toBe(true);
+        expect(isLrc(readFixture('paper-lanterns.txt'))).toBe(false);
+        expect(toPlainLyrics(parseLrc('[00:01.00]One\n[00:02.00]\n[00:02.50]\n[00:03.00]Two'))).toBe('One\n\nTwo');
+    });
+});
+
+describe('LyricsService', () => {
+    test('looks a video title up by the artist and song it names', async () => {
+        const provider = new FixtureLyricsProvider({ 'the midnight foxes|paper lanterns': 'paper-lanterns.lrc' });
+        const service = createService([provider]);
+
+        const lyrics = await service.getLyrics({
+            title: 'The Midnight Foxes - Paper Lanterns (Official Music Video)',
+            artist: 'TheMidnightFoxesVEVO',
+            durationSec: 192,
+        });
+
+        expect(provider.searches).toEqual([{ title: 'Paper Lanterns', artist: 'The Midnight Foxes', durationSec: 192 }]);
+        expect(lyrics).toMatchObject({ source: 'Fixtures', title: 'Paper Lanterns', artist: 'The Midnight Foxes', instrumental: false });
+        // The leading instrumental break is dropped, the others are kept
+        expect(lyrics.synced[0]).toEqual({ time: 12200, text: 'We hung our paper lanterns on the wire' });
+        expect(lyrics.synced).toHaveLength(11);
+        expect(lyrics.plain.split('\n\n')[0].split('\n')).toHaveLength(4);
+    });
+
+    test('tries the channel name, then the title alone', async () => {
+        const provider = new FixtureLyricsProvider({ '|paper lanterns': 'paper-lanterns.txt' });
+        const service = createService([provider]);
+
+        const lyrics = await service.getLyrics({ title: 'Paper Lanterns ft. Somebody [Lyrics]', artist: 'The Midnight Foxes - Topic' });
+
+        expect(provider.searches.map(search => search.artist)).toEqual(['The Midnight Foxes', null]);
+        expect(lyrics.synced).toBeNull();
+        expect(lyrics.plain).toBe(readFixture('paper-lanterns.txt').trim());
+    });
+
+    test('asks the next provider when one fails and caches what it finds', async () => {
+        const provider = new FixtureLyricsProvider({ '|paper lanterns': 'paper-lanterns.txt' });
+        const service = createService([new FailingLyricsProvider(), provider]);
+
+        await service.getLyrics({ title: 'Paper Lanterns' });
+        const lyrics = await service.getLyrics({ title: 'Paper Lanterns' });
+
+        expect(lyrics.source).toBe('Fixtures');
+        expect(provider.searches).toHaveLength(1);
+    });
+
+    test('reports songs nobody has lyrics for, and provider failures', async () => {
+        const service = createService([new FixtureLyricsProvider()]);
+        service.register(new FixtureLyricsProvider());
+
+        await expect(service.getLyrics({ title: 'Unknown Song (Official Audio)' }))
+            .rejects.toThrow('No lyrics found for: Unknown Song');
+        await expect(createService([new FailingLyricsProvider()]).getLyrics({ title: 'Paper Lanterns' }))
+            .rejects.toBeInstanceOf(ProviderError);
+    });
+});
+
+describe('LRCLIB provider', () => {
+    const searchUrl = 'https://lrclib.net/api/search?artist_name=The+Midnight+Foxes&track_name=Paper+Lanterns';
+
+    function createLrclibService(routes) {
+        const httpClient = createHttpClient(routes, { directory: 'lyrics' });
+        return { service: createService(createLyricsProviders(config, { httpClient })), httpClient };
+    }
+
+    test('picks synced lyrics of the version closest to the track duration', async () => {
+        const { service, httpClient } = createLrclibService({ [searchUrl]: 'lrclib-search.json' });
+
+        const lyrics = await service.getLyrics({ title: 'Paper Lanterns', artist: 'The Midnight Foxes', durationSec: 192 });
+
+        expect(httpClient.requests).toEqual([searchUrl]);
+        expect(lyrics).toMatchObject({ source: 'LRCLIB', title: 'Paper Lanterns', durationSec: 193 });
+        expect(lyrics.synced.length).toBeGreaterThan(0);
+        expect(lyrics.plain).toBe(readFixture('paper-lanterns.txt').trim());
+    });
+
+    test('searches by title alone without an artist and reports instrumentals', async () => {
+        const { service, httpClient } = createLrclibService({ 'https://lrclib.net/api/search?q=Tideline': 'lrclib-instrumental.json' });
+
+        const lyrics = await service.getLyrics({ title: 'Tideline' });
+
+        expect(httpClient.requests).toEqual(['https://lrclib.net/api/search?q=Tideline']);
+        expect(lyrics).toMatchObject({ instrumental: true, plain: null, synced: null });
+    });
+
+    test('turns server errors into provider errors', async () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        const { service } = createLrclibService({ [searchUrl]: 500 });
+
+        await expect(service.getLyrics({ title: 'Paper Lanterns', artist: 'The Midnight Foxes' }))
+            .rejects.toThrow('LRCLIB request failed');
+        expect(warn).toHaveBeenCalledWith('LRCLIB request failed', expect.objectContaining({ error: 'Request failed with status code 500' }));
+        warn.mockRestore();
+    });
+});
+
+describe('LyricsHelper', () => {
+    test('pages lyrics between stanzas and splits stanzas that do not fit', () => {
+        const stanza = (word, count) => Array.from({ length: count }, (_, i) => `${word} line ${i + 1}`).join('\n');
+        const lyrics = [stanza('first', 3), stanza('second', 3), stanza('long', 12)].join('\n\n');
+
+        const pages = splitLyrics(lyrics, 80);
+
+        expect(pages.slice(0, 2)).toEqual([stanza('first', 3), stanza('second', 3)]);
+        expect(pages.every(page => page.length <= 80)).toBe(true);
+        expect(pages.join('\n').replace(/\n+/g, '\n')).toBe(lyrics.replace(/\n+/g, '\n'));
+        expect(splitLyrics('')).toEqual(['']);
+    });
+
+    test('finds the line being sung and shows it among its neighbours', () => {
+        const lines = parseLrc(readFixture('paper-lanterns.lrc')).slice(1);
+
+        expect(findLineIndex(lines, 0)).toBe(-1);
+        expect(findLineIndex(lines, 12200)).toBe(0);
+        expect(findLineIndex(lines, 36000)).toBe(5);
+        expect(findLineIndex(lines, 999999)).toBe(lines.length - 1);
+
+        expect(formatSyncedLines(lines, 5, { before: 1, after: 1 })).toBe(
+            '♪\n**▸ Oh, light it up, light it up**\nLet the night sky carry us home'
+        );
+        expect(formatSyncedLines(lines, -1, { after: 1 }).split('\n')).toEqual([
+            '♪',
+            'We hung our paper lanterns on the wire',
+            'And watched them drift above the sleeping town',
+        ]);
+    });
+});
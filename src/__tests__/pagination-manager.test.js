@@ -0,0 +1,110 @@
+const { EmbedBuilder } = require('discord.js');
+const PaginationManager = require('../bot/system/managers/PaginationManager');
+const InteractionComponentsManager = require('../bot/system/managers/InteractionComponentsManager');
+const logger = require('../bot/system/helpers/LoggerHelper');
+
+const OWNER = 'user-1';
+
+const pages = ['First', 'Second', 'Third'].map(title => new EmbedBuilder().setTitle(title));
+
+function createCommandInteraction() {
+    return {
+        user: { id: OWNER },
+        channelId: 'channel-1',
+        replied: false,
+        deferred: false,
+        reply: jest.fn(async () => ({ id: 'message-1' })),
+        editReply: jest.fn(async () => ({ id: 'message-1' })),
+    };
+}
+
+function createButtonInteraction(customId, userId = OWNER) {
+    return {
+        customId,
+        user: { id: userId },
+        update: jest.fn(async () => {}),
+        reply: jest.fn(async () => {}),
+    };
+}
+
+const customIds = (payload) => payload.components[0].components.map(button => button.data.custom_id);
+const disabled = (payload) => payload.components[0].components.map(button => Boolean(button.data.disabled));
+
+describe('PaginationManager buttons', () => {
+    let paginationManager;
+    let components;
+    let message;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+        jest.spyOn(logger, 'debug').mockImplementation(() => {});
+        message = { edit: jest.fn(async () => {}) };
+        const channel = { messages: { fetch: jest.fn(async () => message) } };
+        paginationManager = new PaginationManager({ channels: { fetch: jest.fn(async () => channel) } });
+        components = new InteractionComponentsManager({});
+        components.register_button(
+            'pagination:*',
+            (interaction) => paginationManager.handle_pagination_button(interaction)
+        );
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    async function createPagination() {
+        const interaction = createCommandInteraction();
+        await paginationManager.create_pagination(interaction, pages);
+        return interaction.reply.mock.calls[0][0];
+    }
+
+    test('buttons carry the pagination ID and page through the registered handler', async () => {
+        const first = await createPagination();
+        const [, , , next] = customIds(first);
+
+        expect(first.embeds[0].data.title).toBe('First');
+        expect(disabled(first)).toEqual([true, true, true, false, false]);
+        expect(next).toMatch(/^pagination:next:user-1-\d+$/);
+
+        const press = createButtonInteraction(next);
+        await components.handle_button(press);
+
+        expect(press.update).toHaveBeenCalledTimes(1);
+        const second = press.update.mock.calls[0][0];
+        expect(second.embeds[0].data.title).toBe('Second');
+        expect(second.components[0].components[2].data.label).toBe('2/3');
+        expect(disabled(second)).toEqual([false, false, true, false, false]);
+
+        const last = createButtonInteraction(customIds(second)[4]);
+        await components.handle_button(last);
+        expect(last.update.mock.calls[0][0].embeds[0].data.title).toBe('Third');
+    });
+
+    test('other members and timed out paginations get an ephemeral reply', async () => {
+        const first = await createPagination();
+        const next = customIds(first)[3];
+
+        const stranger = createButtonInteraction(next, 'user-2');
+        await components.handle_button(stranger);
+        expect(stranger.update).not.toHaveBeenCalled();
+        expect(stranger.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+
+        jest.advanceTimersByTime(300000);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(paginationManager.client.channels.fetch).toHaveBeenCalledWith('channel-1');
+        expect(message.edit).toHaveBeenCalledWith({ components: [] });
+
+        const expired = createButtonInteraction(next);
+        await components.handle_button(expired);
+        expect(expired.update).not.toHaveBeenCalled();
+        expect(expired.reply).toHaveBeenCalledWith(expect.objectContaining({ content: '❌ This pagination is no longer active.' }));
+    });
+
+    test('a single page is sent without buttons', async () => {
+        const interaction = createCommandInteraction();
+        await paginationManager.create_pagination(interaction, [pages[0]]);
+
+        expect(interaction.reply.mock.calls[0][0].components).toEqual([]);
+    });
+});
@@ -0,0 +1,115 @@
+const { serializePlaylist, parsePlaylistFile, playlistFilename } = require('../bot/system/helpers/PlaylistFileHelper');
+
+const playlist = { name: 'Road Trip' };
+
+const tracks = [
+    {
+        title: 'Paper Lanterns',
+        url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+        duration: 192000,
+        thumbnail: 'https://i.ytimg.com/vi/aaaaaaaaaaa/hqdefault.jpg',
+    },
+    {
+        title: 'Tideline\n(Live)',
+        url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb',
+        duration: 0,
+        thumbnail: null,
+    },
+];
+
+describe('PlaylistFileHelper round trips', () => {
+    test('JSON exports read back as the same tracks', () => {
+        const file = serializePlaylist(playlist, tracks, 'json');
+        const result = parsePlaylistFile(file, 'road-trip.json');
+
+        expect(result.name).toBe('Road Trip');
+        expect(result.skipped).toBe(0);
+        expect(result.tracks).toEqual(tracks);
+    });
+
+    test('M3U exports keep titles and durations in #EXTINF lines', () => {
+        const file = serializePlaylist(playlist, tracks, 'm3u');
+
+        expect(file.split('\n').slice(0, 4)).toEqual([
+            '#EXTM3U',
+            '#PLAYLIST:Road Trip',
+            '#EXTINF:192,Paper Lanterns',
+            'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+        ]);
+        expect(file).toContain('#EXTINF:-1,Tideline (Live)\n');
+
+        const result = parsePlaylistFile(file, 'road-trip.m3u');
+        expect(result.name).toBe('Road Trip');
+        expect(result.tracks.map(({ title, duration }) => [title, duration])).toEqual([
+            ['Paper Lanterns', 192000],
+            ['Tideline (Live)', 0],
+        ]);
+    });
+
+    test('rejects unknown export formats', () => {
+        expect(() => serializePlaylist(playlist, tracks, 'pls')).toThrow('Unknown playlist format: pls');
+    });
+});
+
+describe('PlaylistFileHelper imports', () => {
+    test('strips a byte order mark and reads CRLF M3U8 files', () => {
+        const file = '\uFEFF#EXTM3U\r\n#EXTINF:215.5,The Midnight Foxes - Paper Lanterns\r\nhttps://example.com/paper-lanterns.mp3\r\n';
+
+        const result = parsePlaylistFile(file, 'mix.m3u8');
+
+        expect(result.tracks).toEqual([{
+            title: 'The Midnight Foxes - Paper Lanterns',
+            url: 'https://example.com/paper-lanterns.mp3',
+            duration: 215500,
+            thumbnail: null,
+        }]);
+    });
+
+    test('skips local paths and keeps #EXTINF for the entry after them only', () => {
+        const file = [
+            '#EXTM3U',
+            '#EXTINF:180,Local Song',
+            'C:\\Music\\local-song.mp3',
+            '/home/me/music/other.flac',
+            'file:///home/me/music/third.ogg',
+            'https://example.com/untitled.mp3',
+        ].join('\n');
+
+        const result = parsePlaylistFile(file, 'local.m3u');
+
+        expect(result.skipped).toBe(3);
+        expect(result.tracks).toEqual([{
+            title: 'https://example.com/untitled.mp3',
+            url: 'https://example.com/untitled.mp3',
+            duration: 0,
+            thumbnail: null,
+        }]);
+    });
+
+    test('reads plain JSON track arrays and detects the format without an extension', () => {
+        const file = '\uFEFF' + JSON.stringify([
+            { title: 'Tideline', url: 'https://example.com/tideline', duration: -5, thumbnail: 'javascript:alert(1)' },
+            { title: 'No URL' },
+            { url: 'ftp://example.com/song.mp3' },
+        ]);
+
+        const result = parsePlaylistFile(file, 'upload');
+
+        expect(result).toEqual({
+            name: null,
+            skipped: 2,
+            tracks: [{ title: 'Tideline', url: 'https://example.com/tideline', duration: 0, thumbnail: null }],
+        });
+    });
+
+    test('rejects broken files and files without playable tracks', () => {
+        expect(() => parsePlaylistFile('{"tracks": [', 'broken.json')).toThrow('The file is not valid JSON');
+        expect(() => parsePlaylistFile('{"name": "Empty"}', 'empty.json')).toThrow('The JSON file has no tracks list');
+        expect(() => parsePlaylistFile('#EXTM3U\n/music/song.mp3\n', 'local.m3u')).toThrow('no tracks with an http(s) URL');
+    });
+
+    test('builds safe export file names', () => {
+        expect(playlistFilename('Road Trip! 2026', 'm3u')).toBe('road-trip-2026.m3u');
+        expect(playlistFilename('../../', 'json')).toBe('playlist.json');
+    });
+});
@@ -0,0 +1,89 @@
+const PlaylistService = require('../bot/application/modules/music/services/PlaylistService');
+const collaboratorsMigration = require('../bot/migrations/0014_music_playlist_collaborators');
+const { createTestDatabase, silentLogger } = require('./helpers/database');
+
+const GUILD = 'guild-1';
+const OWNER = 'owner-1';
+const OTHER = 'other-1';
+const COLLABORATOR = 'collaborator-1';
+
+const track = (title) => ({ title, url: `https://www.youtube.com/watch?v=${title}`, duration: 180000 });
+
+describe('PlaylistService ownership checks', () => {
+    let database;
+    let service;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        await collaboratorsMigration.up(database);
+        service = new PlaylistService({ database, logger: silentLogger });
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    test('creates playlists and rejects a duplicate name for the same owner only', async () => {
+        const playlist = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Road Trip' });
+
+        expect(playlist).toMatchObject({ userId: OWNER, name: 'Road Trip', trackCount: 0 });
+        await expect(service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Road Trip' }))
+            .rejects.toThrow('You already have a playlist with this name');
+        await expect(service.createPlaylist({ userId: OTHER, guildId: GUILD, name: 'Road Trip' }))
+            .resolves.toMatchObject({ userId: OTHER });
+
+        const playlists = await service.getUserPlaylists(OWNER, GUILD);
+        expect(playlists.map(({ id }) => id)).toEqual([playlist.id]);
+    });
+
+    test('only the owner can add or remove tracks', async () => {
+        const playlist = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Tracks' });
+
+        await expect(service.addTrack(playlist.id, OTHER, track('stranger')))
+            .rejects.toThrow('Playlist not found or you');
+        await expect(service.addTrack(playlist.id, OWNER, track('first'))).resolves.toBe(1);
+        await expect(service.addTrack(playlist.id, OWNER, track('second'))).resolves.toBe(2);
+
+        await expect(service.removeTrack(playlist.id, OTHER, 1)).rejects.toThrow('Playlist not found or you');
+        await expect(service.removeTrack(playlist.id, OWNER, 1)).resolves.toMatchObject({ title: 'first' });
+
+        const tracks = await service.loadPlaylistTracks(playlist.id, OWNER);
+        expect(tracks.map(({ title, position }) => [title, position])).toEqual([['second', 1]]);
+    });
+
+    test('only the owner can rename or delete a playlist', async () => {
+        const playlist = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Keep Out' });
+
+        await expect(service.updatePlaylist(playlist.id, OTHER, { name: 'Mine Now' }))
+            .rejects.toThrow('you do not own this playlist');
+        await expect(service.deletePlaylist(playlist.id, OTHER))
+            .rejects.toThrow('you do not own this playlist');
+        expect(await service.getPlaylist(playlist.id)).toMatchObject({ name: 'Keep Out' });
+
+        await expect(service.deletePlaylist(playlist.id, OWNER)).resolves.toBe(true);
+        expect(await service.getPlaylist(playlist.id)).toBeNull();
+    });
+
+    test('private playlists are visible to their owner only', async () => {
+        const hidden = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Private' });
+        const shared = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Public', isPublic: true });
+
+        await expect(service.getPlaylist(hidden.id, OWNER)).resolves.toMatchObject({ isPublic: false });
+        await expect(service.getPlaylist(hidden.id, OTHER)).rejects.toThrow('You do not have access to this playlist');
+        await expect(service.loadPlaylistTracks(hidden.id, OTHER)).rejects.toThrow('You do not have access to this playlist');
+        await expect(service.getPlaylist(shared.id, OTHER)).resolves.toMatchObject({ isPublic: true });
+    });
+
+    test('collaborators can edit tracks but not manage the playlist', async () => {
+        const playlist = await service.createPlaylist({ userId: OWNER, guildId: GUILD, name: 'Shared' });
+
+        await expect(service.addCollaborator(playlist.id, OTHER, COLLABORATOR))
+            .rejects.toThrow('you do not own this playlist');
+        await expect(service.addCollaborator(playlist.id, OWNER, COLLABORATOR)).resolves.toBe(true);
+
+        await expect(service.addTrack(playlist.id, COLLABORATOR, track('shared'))).resolves.toBe(1);
+        await expect(service.getPlaylist(playlist.id, COLLABORATOR)).resolves.toMatchObject({ trackCount: 1 });
+        await expect(service.addTrack(playlist.id, OTHER, track('stranger'))).rejects.toThrow('you cannot edit this playlist');
+        await expect(service.deletePlaylist(playlist.id, COLLABORATOR)).rejects.toThrow('you do not own this playlist');
+    });
+});
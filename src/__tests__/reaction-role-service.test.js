@@ -0,0 +1,52 @@
+const ReactionRoleService = require('../bot/application/modules/utility/services/ReactionRoleService');
+const { silentLogger } = require('./helpers/database');
+
+const binding = { id: 1, guild_id: 'guild-1', message_id: 'bound', channel_id: 'channel-1', emoji: '👍', role_id: 'role-1', mode: 'normal' };
+
+function createService(messageIds = ['bound']) {
+    const utilityModel = {
+        getReactionRoleMessageIds: jest.fn(async () => messageIds),
+        getReactionRoles: jest.fn(async (messageId) => (messageId === 'bound' ? [binding] : [])),
+    };
+    const service = new ReactionRoleService({
+        logger: silentLogger,
+        loader: { model: () => utilityModel },
+    });
+    return { service, utilityModel };
+}
+
+describe('ReactionRoleService binding cache', () => {
+    test('reactions on messages without bindings skip the database and the cache', async () => {
+        const { service, utilityModel } = createService();
+        await service.initialize();
+
+        await expect(service.getBindings('other-1')).resolves.toEqual([]);
+        await expect(service.getBindings('other-2')).resolves.toEqual([]);
+
+        expect(utilityModel.getReactionRoles).not.toHaveBeenCalled();
+        expect(service.cache.size).toBe(0);
+    });
+
+    test('bound messages are looked up once and cached', async () => {
+        const { service, utilityModel } = createService();
+        await service.initialize();
+
+        await expect(service.getBindings('bound')).resolves.toEqual([binding]);
+        await expect(service.getBindings('bound')).resolves.toEqual([binding]);
+
+        expect(utilityModel.getReactionRoles).toHaveBeenCalledTimes(1);
+        expect([...service.cache.keys()]).toEqual(['bound']);
+    });
+
+    test('falls back to looking up every message without caching empty results when loading fails', async () => {
+        const { service, utilityModel } = createService();
+        utilityModel.getReactionRoleMessageIds.mockRejectedValue(new Error('no such table: reaction_roles'));
+        await service.initialize();
+
+        await expect(service.getBindings('other-1')).resolves.toEqual([]);
+        await expect(service.getBindings('bound')).resolves.toEqual([binding]);
+
+        expect(utilityModel.getReactionRoles).toHaveBeenCalledTimes(2);
+        expect([...service.cache.keys()]).toEqual(['bound']);
+    });
+});
@@ -0,0 +1,110 @@
+const MetadataService = require('../server/services/metadata.service');
+const SearchHandler = require('../bot/application/controllers/music/handlers/SearchHandler');
+
+describe('server search cap', () => {
+    function createService(maxConcurrentSearches) {
+        // Searches stay running until finish(), later ones complete right away
+        const pending = [];
+        let finished = false;
+        const ytdlpProvider = {
+            search: jest.fn(() => (finished ? Promise.resolve([]) : new Promise(resolve => pending.push(resolve)))),
+        };
+
+        const config = { get: (key, fallback) => (key === 'maxConcurrentSearches' ? maxConcurrentSearches : fallback) };
+        const service = new MetadataService(config, { ytdlpProvider });
+        jest.spyOn(service, 'log').mockImplementation(() => {});
+
+        const finish = () => {
+            finished = true;
+            pending.forEach(resolve => resolve([]));
+        };
+
+        return { service, ytdlpProvider, finish };
+    }
+
+    test('turns away new searches while the cap is reached', async () => {
+        const { service, ytdlpProvider, finish } = createService(2);
+
+        const first = service.search('paper lanterns');
+        const second = service.search('paper lanterns live');
+        await expect(service.search('paper lanterns acoustic')).rejects.toMatchObject({ statusCode: 429 });
+        expect(ytdlpProvider.search).toHaveBeenCalledTimes(2);
+
+        finish();
+        await Promise.all([first, second]);
+
+        await expect(service.search('paper lanterns acoustic')).resolves.toMatchObject({ results: [] });
+    });
+
+    test('a search already running or cached does not count towards the cap', async () => {
+        const { service, ytdlpProvider, finish } = createService(1);
+
+        const first = service.search('paper lanterns');
+        const same = service.search('Paper Lanterns ');
+        finish();
+        await Promise.all([first, same]);
+
+        await service.search('paper lanterns');
+        expect(ytdlpProvider.search).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('/play autocomplete', () => {
+    let handler;
+    let search;
+
+    function autocomplete(id, query, userId = 'user-1') {
+        return {
+            id,
+            user: { id: userId },
+            options: { getFocused: () => query },
+            respond: jest.fn().mockResolvedValue(),
+        };
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        search = jest.fn().mockResolvedValue([
+            { title: 'Paper Lanterns', url: 'https://www.youtube.com/watch?v=abc', duration: 180000, author: 'Band' },
+        ]);
+        handler = new SearchHandler({
+            musicPlayerService: { search },
+            formatDuration: () => '3:00',
+            log: () => {},
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('only the last keystroke within the debounce searches', async () => {
+        const typing = [autocomplete('1', 'pap'), autocomplete('2', 'pape'), autocomplete('3', 'paper')];
+        const handled = [];
+
+        for (const interaction of typing) {
+            handled.push(handler.playAutocomplete(interaction));
+            await jest.advanceTimersByTimeAsync(100);
+        }
+        await jest.advanceTimersByTimeAsync(400);
+        await Promise.all(handled);
+
+        expect(search).toHaveBeenCalledTimes(1);
+        expect(search).toHaveBeenCalledWith('paper', 5, expect.any(Object));
+        expect(typing[0].respond).toHaveBeenCalledWith([]);
+        expect(typing[1].respond).toHaveBeenCalledWith([]);
+        expect(typing[2].respond).toHaveBeenCalledWith([
+            expect.objectContaining({ value: 'https://www.youtube.com/watch?v=abc' }),
+        ]);
+        expect(handler.pendingAutocomplete.size).toBe(0);
+    });
+
+    test('users are debounced separately', async () => {
+        const first = handler.playAutocomplete(autocomplete('1', 'paper', 'user-1'));
+        const second = handler.playAutocomplete(autocomplete('2', 'lanterns', 'user-2'));
+        await jest.advanceTimersByTimeAsync(400);
+        await Promise.all([first, second]);
+
+        expect(search).toHaveBeenCalledTimes(2);
+    });
+});
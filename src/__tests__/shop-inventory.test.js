@@ -0,0 +1,101 @@
+const ShopService = require('../bot/application/modules/economy/services/ShopService');
+const { createTestDatabase, silentLogger } = require('./helpers/database');
+
+const GUILD = 'guild-1';
+const USER = 'user-1';
+const ITEM = 'lootbox-1';
+
+describe('ShopService inventory use', () => {
+    let database;
+    let itemEffectService;
+    let service;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+
+        // Shop tables as the migrations leave them
+        await database.query('DROP TABLE IF EXISTS shop_items');
+        await database.query(`CREATE TABLE shop_items (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            price INTEGER NOT NULL,
+            item_type TEXT NOT NULL,
+            item_data JSON DEFAULT '{}',
+            role_id TEXT,
+            stock INTEGER DEFAULT -1,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+        )`);
+        await database.query(`CREATE TABLE user_inventories (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            quantity INTEGER DEFAULT 1,
+            acquired_at INTEGER NOT NULL,
+            metadata JSON DEFAULT '{}',
+            UNIQUE(guild_id, user_id, item_id)
+        )`);
+        await database.query(
+            'INSERT INTO shop_items (id, guild_id, name, price, item_type, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [ITEM, GUILD, 'Lootbox', 100, 'lootbox', Date.now(), Date.now()]
+        );
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    beforeEach(async () => {
+        await database.query('DELETE FROM user_inventories');
+
+        itemEffectService = {
+            isUsable: () => true,
+            applyItem: jest.fn(async () => ({ success: true, coins: 50 })),
+        };
+        const economy = { getService: () => itemEffectService };
+        service = new ShopService({ database, logger: silentLogger, modules: new Map([['economy', economy]]) });
+    });
+
+    const quantity = async () => {
+        const row = await database.queryOne('SELECT quantity FROM user_inventories WHERE item_id = ?', [ITEM]);
+        return row ? row.quantity : null;
+    };
+
+    test('two concurrent uses of the last item apply it once', async () => {
+        await service.addToInventory(USER, GUILD, ITEM, 1);
+
+        const results = await Promise.all([
+            service.useItem(USER, GUILD, ITEM),
+            service.useItem(USER, GUILD, ITEM),
+        ]);
+
+        expect(results.map(({ success }) => success).sort()).toEqual([false, true]);
+        expect(itemEffectService.applyItem).toHaveBeenCalledTimes(1);
+        expect(await quantity()).toBeNull();
+    });
+
+    test('concurrent removals never take more than the inventory holds', async () => {
+        await service.addToInventory(USER, GUILD, ITEM, 3);
+
+        const results = await Promise.allSettled([1, 2, 3].map(() => service.removeFromInventory(USER, GUILD, ITEM, 2)));
+
+        expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(({ status }) => status === 'rejected').reason)
+            .toMatchObject({ code: 'INSUFFICIENT_QUANTITY', message: 'Insufficient quantity. Available: 1' });
+        expect(await quantity()).toBe(1);
+    });
+
+    test('puts the item back when its effect fails', async () => {
+        await service.addToInventory(USER, GUILD, ITEM, 2);
+        itemEffectService.applyItem.mockResolvedValueOnce({ success: false, message: 'A booster is already active' });
+
+        const result = await service.useItem(USER, GUILD, ITEM);
+
+        expect(result).toEqual({ success: false, message: 'A booster is already active' });
+        expect(await quantity()).toBe(2);
+    });
+});
@@ -0,0 +1,72 @@
+const { parseDuration, parseDateTime, parseReminderTime } = require('../bot/system/helpers/TimeParserHelper');
+
+const utc = (...args) => Date.UTC(...args);
+const iso = (timestamp) => (timestamp === null ? null : new Date(timestamp).toISOString());
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('TimeParserHelper parseDuration', () => {
+    test('adds up number and unit pairs', () => {
+        expect(parseDuration('2h30m')).toBe(2 * HOUR + 30 * MINUTE);
+        expect(parseDuration('in 90 minutes')).toBe(90 * MINUTE);
+        expect(parseDuration('1 day and 4 hours')).toBe(28 * HOUR);
+        expect(parseDuration('1d, 2h')).toBe(26 * HOUR);
+        expect(parseDuration('1.5h')).toBe(90 * MINUTE);
+    });
+
+    test('rejects unknown units, bare numbers, leftovers and zero', () => {
+        expect(parseDuration('2 fortnights')).toBeNull();
+        expect(parseDuration('10')).toBeNull();
+        expect(parseDuration('in')).toBeNull();
+        expect(parseDuration('2h foo')).toBeNull();
+        expect(parseDuration('0m')).toBeNull();
+        expect(parseDuration('')).toBeNull();
+    });
+});
+
+describe('TimeParserHelper parseDateTime', () => {
+    const now = utc(2026, 0, 15, 10, 7, 30); // Thursday 2026-01-15 10:07:30 UTC
+
+    test('understands days and times of day', () => {
+        expect(iso(parseDateTime('tomorrow 9am', now))).toBe('2026-01-16T09:00:00.000Z');
+        expect(iso(parseDateTime('friday at 18:30', now))).toBe('2026-01-16T18:30:00.000Z');
+        expect(iso(parseDateTime('5pm', now))).toBe('2026-01-15T17:00:00.000Z');
+        expect(iso(parseDateTime('noon', now))).toBe('2026-01-15T12:00:00.000Z');
+        expect(iso(parseDateTime('tonight', now))).toBe('2026-01-15T20:00:00.000Z');
+        expect(iso(parseDateTime('tonight 8', now))).toBe('2026-01-15T20:00:00.000Z');
+    });
+
+    test('moves times that already passed to their next occurrence', () => {
+        expect(iso(parseDateTime('9am', now))).toBe('2026-01-16T09:00:00.000Z');
+        expect(iso(parseDateTime('thursday', now))).toBe('2026-01-22T09:00:00.000Z');
+        // "today" stays today, the caller rejects times in the past
+        expect(iso(parseDateTime('today 8am', now))).toBe('2026-01-15T08:00:00.000Z');
+    });
+
+    test('parses ISO-like dates and rejects impossible ones', () => {
+        expect(iso(parseDateTime('2026-12-24 08:00', now))).toBe('2026-12-24T08:00:00.000Z');
+        expect(iso(parseDateTime('2026-12-24', now))).toBe('2026-12-24T09:00:00.000Z');
+        expect(parseDateTime('2026-02-30', now)).toBeNull();
+        expect(parseDateTime('13pm', now)).toBeNull();
+        expect(parseDateTime('10:75', now)).toBeNull();
+        expect(parseDateTime('banana', now)).toBeNull();
+    });
+
+    test('evaluates wall-clock times in the given timezone', () => {
+        expect(iso(parseDateTime('tomorrow 9am', now, 'Asia/Jakarta'))).toBe('2026-01-16T02:00:00.000Z');
+        expect(iso(parseDateTime('noon', now, 'America/New_York'))).toBe('2026-01-15T17:00:00.000Z');
+        // 02:30 does not exist on the day New York moves to daylight saving time
+        expect(iso(parseDateTime('2026-03-08 02:30', now, 'America/New_York'))).toBe('2026-03-08T07:30:00.000Z');
+    });
+});
+
+describe('TimeParserHelper parseReminderTime', () => {
+    const now = utc(2026, 0, 15, 10, 7, 30);
+
+    test('tries a duration first, then an absolute time', () => {
+        expect(iso(parseReminderTime('in 2h', { now }))).toBe('2026-01-15T12:07:30.000Z');
+        expect(iso(parseReminderTime('tomorrow 9am', { now, timezone: 'Europe/Berlin' }))).toBe('2026-01-16T08:00:00.000Z');
+        expect(parseReminderTime('whenever', { now })).toBeNull();
+    });
+});
@@ -23,9 +23,15 @@ module.exports = {
     audio: {
         sourceEndpoint: process.env.DISCORD_AUDIO_SOURCE_ENDPOINT || 'http://localhost:3000',
         sourcePort: parseInt(process.env.AUDIO_SOURCE_PORT) || 3000,
+        apiKey: process.env.AUDIO_SERVER_API_KEY || null,
+        signedUrlTtl: parseInt(process.env.AUDIO_SIGNED_URL_TTL) || 300,
         defaultVolume: parseInt(process.env.AUDIO_VOLUME_DEFAULT) || 80,
         maxVolume: parseInt(process.env.AUDIO_VOLUME_MAX) || 200,
         bitrate: parseInt(process.env.AUDIO_BITRATE) || 128000,
+        // Most tracks queued from one playlist or mix URL (also capped by the guild's max_queue_size)
+        playlistMaxTracks: parseInt(process.env.AUDIO_PLAYLIST_MAX_TRACKS) || 200,
+        // Days of play history kept for /history, /replay and /music-stats
+        historyRetentionDays: parseInt(process.env.AUDIO_HISTORY_RETENTION_DAYS) || 90,
     },
 
     // Database Configuration (Turso DB)
@@ -70,6 +76,9 @@ module.exports = {
         workMin: parseInt(process.env.ECONOMY_WORK_MIN) || 100,
         workMax: parseInt(process.env.ECONOMY_WORK_MAX) || 500,
         transferTax: parseFloat(process.env.ECONOMY_TRANSFER_TAX) || 0.05,
+        minBet: parseInt(process.env.ECONOMY_MIN_BET) || 10,
+        maxBet: parseInt(process.env.ECONOMY_MAX_BET) || 100000,
+        gameCooldown: parseInt(process.env.ECONOMY_GAME_COOLDOWN) || 5,
     },
 
     // Leveling Configuration
@@ -77,10 +86,23 @@ module.exports = {
         xpMessageMin: parseInt(process.env.LEVELING_XP_MESSAGE_MIN) || 5,
         xpMessageMax: parseInt(process.env.LEVELING_XP_MESSAGE_MAX) || 15,
         xpVoice: parseInt(process.env.LEVELING_XP_VOICE) || 1,
+        xpCooldown: parseInt(process.env.LEVELING_XP_COOLDOWN) || 60,
+        xpFlushInterval: parseInt(process.env.LEVELING_XP_FLUSH_INTERVAL) || 10000,
         base: parseInt(process.env.LEVELING_BASE) || 100,
         multiplier: parseFloat(process.env.LEVELING_MULTIPLIER) || 1.5,
     },
 
+    // Ticket Configuration
+    tickets: {
+        lifecycleInterval: parseInt(process.env.TICKET_LIFECYCLE_INTERVAL) || 300000,
+    },
+
+    // Automation Configuration
+    automation: {
+        timezone: process.env.AUTOMATION_TIMEZONE || 'UTC',
+        missedRuns: process.env.AUTOMATION_MISSED_RUNS || 'skip',
+    },
+
     // Bot Owner
     ownerId: process.env.BOT_OWNER_ID,
 
@@ -8,6 +8,12 @@
 const Controller = require('../../system/core/Controller');
 const { EmbedBuilder } = require('discord.js');
 const { replyEphemeral, MessageFlags } = require('../../system/helpers/InteractionHelper');
+const { parseDuration } = require('../../system/helpers/TimeParserHelper');
+const { formatTimespan } = require('../../system/helpers/FormatHelper');
+
+// Rental roles must last between a minute and a year
+const MIN_RENTAL_SECONDS = 60;
+const MAX_RENTAL_SECONDS = 365 * 24 * 60 * 60;
 
 class EconomyController extends Controller {
     /**
@@ -26,6 +32,7 @@ class EconomyController extends Controller {
             this.economyService = economyModule.getService('EconomyService');
             this.gameService = economyModule.getService('GameService');
             this.shopService = economyModule.getService('ShopService');
+            this.itemEffectService = economyModule.getService('ItemEffectService');
         }
     }
 
@@ -81,7 +88,8 @@ class EconomyController extends Controller {
             const userId = interaction.user.id;
             const guildId = interaction.guild.id;
 
-            const result = await this.economyModel.claimDaily(userId, guildId);
+            const multiplier = await this.getCoinMultiplier(userId, guildId);
+            const result = await this.economyModel.claimDaily(userId, guildId, multiplier);
 
             if (!result.success) {
                 const timeLeft = this.formatTime(result.timeLeft);
@@ -99,6 +107,10 @@ class EconomyController extends Controller {
                 )
                 .setTimestamp();
 
+            if (multiplier > 1) {
+                embed.addFields({ name: 'Multiplier', value: `🪙 ${multiplier}x coin multiplier`, inline: true });
+            }
+
             await interaction.reply({ embeds: [embed] });
             this.log(`User ${userId} claimed daily reward`, 'info');
         } catch (error) {
@@ -117,7 +129,8 @@ class EconomyController extends Controller {
             const userId = interaction.user.id;
             const guildId = interaction.guild.id;
 
-            const result = await this.economyModel.work(userId, guildId);
+            const multiplier = await this.getCoinMultiplier(userId, guildId);
+            const result = await this.economyModel.work(userId, guildId, multiplier);
 
             if (!result.success) {
                 const timeLeft = this.formatTime(result.timeLeft);
@@ -134,6 +147,10 @@ class EconomyController extends Controller {
                 )
                 .setTimestamp();
 
+            if (multiplier > 1) {
+                embed.addFields({ name: 'Multiplier', value: `🪙 ${multiplier}x coin multiplier`, inline: true });
+            }
+
             await interaction.reply({ embeds: [embed] });
             this.log(`User ${userId} worked and earned ${result.amount} coins`, 'info');
         } catch (error) {
@@ -264,6 +281,10 @@ class EconomyController extends Controller {
      * @param {Object} interaction - Discord interaction
      */
     async blackjack(interaction) {
+        // Without a game to show for it, the claimed cooldown is released on errors
+        let cooldownClaimed = false;
+        let gameCreated = false;
+
         try {
             const userId = interaction.user.id;
             const guildId = interaction.guild.id;
@@ -276,9 +297,15 @@ class EconomyController extends Controller {
                 return;
             }
 
+            if (!await this.checkGameAllowed(interaction, bet)) {
+                return;
+            }
+            cooldownClaimed = true;
+
             // Check balance
             const balance = await this.economyService.getBalance(userId, guildId);
             if (balance.wallet < bet) {
+                this.gameService.releaseCooldown(userId, guildId);
                 await replyEphemeral(interaction, `❌ Insufficient balance! You have **${balance.wallet} coins** but need **${bet} coins**`);
                 return;
             }
@@ -294,6 +321,7 @@ class EconomyController extends Controller {
                 await this.economyService.addBalance(userId, guildId, bet, 'Blackjack bet refund (game creation failed)');
                 throw gameError;
             }
+            gameCreated = true;
 
             // Check for instant blackjack (21 on first two cards)
             if (game.playerValue === 21) {
@@ -323,6 +351,10 @@ class EconomyController extends Controller {
 
             this.log(`User ${userId} started blackjack game with bet ${bet}`, 'info');
         } catch (error) {
+            if (cooldownClaimed && !gameCreated) {
+                this.gameService.releaseCooldown(interaction.user.id, interaction.guild.id);
+            }
+
             this.log(`Error in blackjack command: ${error.message}`, 'error');
             await this.sendError(interaction, 'Failed to start blackjack game');
         }
@@ -403,6 +435,201 @@ class EconomyController extends Controller {
         return new ActionRowBuilder().addComponents(hitButton, standButton);
     }
 
+    /**
+     * Roulette command handler
+     * Spins the wheel and settles the bet
+     * @param {Object} interaction - Discord interaction
+     */
+    async roulette(interaction) {
+        try {
+            const userId = interaction.user.id;
+            const guildId = interaction.guild.id;
+            const bet = interaction.options.getInteger('bet');
+            const space = interaction.options.getString('space');
+            const number = interaction.options.getInteger('number');
+
+            if (space === 'number' && number === null) {
+                await replyEphemeral(interaction, '❌ Choose a `number` between 0 and 36 for a single number bet');
+                return;
+            }
+
+            if (!await this.checkGameAllowed(interaction, bet)) {
+                return;
+            }
+
+            const game = this.gameService.playRoulette(userId, guildId, bet, space, space === 'number' ? number : null);
+            const betLabel = space === 'number' ? `number ${number}` : space;
+            const landed = `${game.result} ${game.color}`;
+
+            const settlement = await this.economyService.settleBet(
+                game,
+                `Roulette: bet on ${betLabel}, landed on ${landed}`,
+                { betType: space, betValue: game.betValue, result: game.result, color: game.color }
+            );
+            if (!await this.confirmSettlement(interaction, settlement)) {
+                return;
+            }
+
+            const colorEmoji = { red: '🔴', black: '⚫', green: '🟢' }[game.color];
+            const embed = this.createGameEmbed('🎡 Roulette', game, settlement)
+                .setDescription(`The ball landed on **${colorEmoji} ${game.result}**`)
+                .spliceFields(1, 0, { name: 'Bet On', value: betLabel.charAt(0).toUpperCase() + betLabel.slice(1), inline: true });
+
+            await interaction.reply({ embeds: [embed] });
+            this.log(`User ${userId} played roulette with bet ${bet}: ${game.won ? 'won' : 'lost'}`, 'info');
+        } catch (error) {
+            this.log(`Error in roulette command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to play roulette');
+        }
+    }
+
+    /**
+     * Slots command handler
+     * Spins the slot machine and settles the bet
+     * @param {Object} interaction - Discord interaction
+     */
+    async slots(interaction) {
+        try {
+            const userId = interaction.user.id;
+            const guildId = interaction.guild.id;
+            const bet = interaction.options.getInteger('bet');
+
+            if (!await this.checkGameAllowed(interaction, bet)) {
+                return;
+            }
+
+            const game = this.gameService.playSlots(userId, guildId, bet);
+
+            const settlement = await this.economyService.settleBet(
+                game,
+                `Slots: ${game.reels.join(' ')}`,
+                { reels: game.reels }
+            );
+            if (!await this.confirmSettlement(interaction, settlement)) {
+                return;
+            }
+
+            const embed = this.createGameEmbed('🎰 Slots', game, settlement)
+                .setDescription(`**[ ${game.reels.join(' | ')} ]**`);
+
+            await interaction.reply({ embeds: [embed] });
+            this.log(`User ${userId} played slots with bet ${bet}: ${game.won ? 'won' : 'lost'}`, 'info');
+        } catch (error) {
+            this.log(`Error in slots command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to play slots');
+        }
+    }
+
+    /**
+     * Coinflip command handler
+     * Flips a coin and settles the bet
+     * @param {Object} interaction - Discord interaction
+     */
+    async coinflip(interaction) {
+        try {
+            const userId = interaction.user.id;
+            const guildId = interaction.guild.id;
+            const bet = interaction.options.getInteger('bet');
+            const side = interaction.options.getString('side');
+
+            if (!await this.checkGameAllowed(interaction, bet)) {
+                return;
+            }
+
+            const game = this.gameService.playCoinflip(userId, guildId, bet, side);
+
+            const settlement = await this.economyService.settleBet(
+                game,
+                `Coinflip: called ${game.choice}, landed ${game.result}`,
+                { choice: game.choice, result: game.result }
+            );
+            if (!await this.confirmSettlement(interaction, settlement)) {
+                return;
+            }
+
+            const embed = this.createGameEmbed('🪙 Coinflip', game, settlement)
+                .setDescription(`You called **${game.choice}** and the coin landed on **${game.result}**`);
+
+            await interaction.reply({ embeds: [embed] });
+            this.log(`User ${userId} played coinflip with bet ${bet}: ${game.won ? 'won' : 'lost'}`, 'info');
+        } catch (error) {
+            this.log(`Error in coinflip command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to flip the coin');
+        }
+    }
+
+    /**
+     * Check the guild's bet limits and claim the user's game cooldown
+     * Replies to the interaction when the game is not allowed.
+     * @param {Object} interaction - Discord interaction
+     * @param {number} bet - Bet amount
+     * @returns {Promise<boolean>} True if the game may start
+     */
+    async checkGameAllowed(interaction, bet) {
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+
+        const { cooldown } = await this.economyService.getGameSettings(guildId);
+
+        const validation = await this.economyService.validateBet(guildId, bet);
+        if (!validation.success) {
+            await replyEphemeral(interaction, `❌ ${validation.message}`);
+            return false;
+        }
+
+        // Check and start the cooldown without an await in between, so
+        // concurrent games of the same user can't both pass
+        const remaining = this.gameService.claimCooldown(userId, guildId, cooldown);
+        if (remaining > 0) {
+            await replyEphemeral(interaction, `⏳ Slow down! You can play again in **${this.formatTime(remaining)}**`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Reply to a failed bet settlement and clear the cooldown claimed for it
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} settlement - Result of EconomyService.settleBet
+     * @returns {Promise<boolean>} True if the bet was settled
+     */
+    async confirmSettlement(interaction, settlement) {
+        if (!settlement.success) {
+            this.gameService.releaseCooldown(interaction.user.id, interaction.guild.id);
+            const detail = settlement.available !== undefined
+                ? ` You have **${settlement.available} coins** but need **${settlement.required} coins**`
+                : '';
+            await replyEphemeral(interaction, `❌ ${settlement.message}!${detail}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Create a result embed for a settled game
+     * @param {string} title - Embed title
+     * @param {Object} game - Game result from GameService
+     * @param {Object} settlement - Result of EconomyService.settleBet
+     * @returns {EmbedBuilder} Result embed
+     */
+    createGameEmbed(title, game, settlement) {
+        const resultText = game.won
+            ? `🎉 You won **${settlement.payout} coins** (+${settlement.net})`
+            : `💔 You lost **${game.bet} coins**`;
+
+        return new EmbedBuilder()
+            .setColor(game.won ? 0x2ecc71 : 0xe74c3c)
+            .setTitle(title)
+            .addFields(
+                { name: 'Bet', value: `${game.bet} coins`, inline: true },
+                { name: 'Result', value: resultText, inline: true },
+                { name: 'New Balance', value: `${settlement.newBalance} coins`, inline: true }
+            )
+            .setTimestamp();
+    }
+
     /**
      * Shop command handler
      * Displays all items in the server shop
@@ -426,12 +653,9 @@ class EconomyController extends Controller {
                 .setTimestamp();
 
             for (const item of items) {
-                const stockText = item.stock === -1 ? 'Unlimited' : `${item.stock} left`;
-                const roleText = item.role_id ? `\n🎭 Grants role: <@&${item.role_id}>` : '';
-
                 embed.addFields({
                     name: `${item.name} - ${item.price} coins`,
-                    value: `${item.description}\n📦 Stock: ${stockText}${roleText}\n\`ID: ${item.id}\``,
+                    value: `${item.description}\n${this.formatItemDetails(item)}\n\`ID: ${item.id}\``,
                     inline: false
                 });
             }
@@ -455,15 +679,34 @@ class EconomyController extends Controller {
             const itemIdentifier = interaction.options.getString('item');
             const quantity = interaction.options.getInteger('quantity') || 1;
 
-            // Get all items to find by name or ID
-            const items = await this.shopService.getItems(guildId);
-            let item = items.find(i => i.id === itemIdentifier || i.name.toLowerCase() === itemIdentifier.toLowerCase());
+            const item = await this.shopService.findItem(guildId, itemIdentifier);
 
             if (!item) {
                 await replyEphemeral(interaction, `❌ Item not found. Use \`/shop\` to see available items.`);
                 return;
             }
 
+            // A permanent role can only be owned once
+            if (this.shopService.grantsRoleOnPurchase(item) && !(item.role_duration > 0)) {
+                if (quantity > 1) {
+                    await replyEphemeral(interaction, '❌ Role items can only be bought one at a time');
+                    return;
+                }
+                if (interaction.member.roles.cache.has(item.role_id)) {
+                    await replyEphemeral(interaction, `❌ You already have the <@&${item.role_id}> role`);
+                    return;
+                }
+            }
+
+            if (item.purchase_limit > 0) {
+                const purchased = await this.shopService.getPurchaseCount(userId, guildId, item.id);
+                if (purchased + quantity > item.purchase_limit) {
+                    const remaining = Math.max(0, item.purchase_limit - purchased);
+                    await replyEphemeral(interaction, `❌ Purchase limit reached. You can buy **${remaining}** more of this item`);
+                    return;
+                }
+            }
+
             // Check stock
             if (item.stock !== -1 && item.stock < quantity) {
                 await replyEphemeral(interaction, `❌ Insufficient stock. Available: ${item.stock}`);
@@ -522,6 +765,352 @@ class EconomyController extends Controller {
         }
     }
 
+    /**
+     * Shop admin command handler
+     * Creates, edits, deletes and restocks shop items
+     * @param {Object} interaction - Discord interaction
+     */
+    async shopAdmin(interaction) {
+        try {
+            if (!interaction.member.permissions.has('ManageGuild')) {
+                await replyEphemeral(interaction, '❌ You need the **Manage Server** permission to manage the shop');
+                return;
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'create':
+                    await this.shopAdminCreate(interaction);
+                    break;
+                case 'edit':
+                    await this.shopAdminEdit(interaction);
+                    break;
+                case 'delete':
+                    await this.shopAdminDelete(interaction);
+                    break;
+                case 'restock':
+                    await this.shopAdminRestock(interaction);
+                    break;
+                default:
+                    await replyEphemeral(interaction, '❌ Unknown subcommand');
+            }
+        } catch (error) {
+            this.log(`Error in shop-admin command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to manage the shop');
+        }
+    }
+
+    /**
+     * Create a shop item (shop-admin create subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async shopAdminCreate(interaction) {
+        const guildId = interaction.guild.id;
+        const name = interaction.options.getString('name').trim();
+        const price = interaction.options.getInteger('price');
+        const description = interaction.options.getString('description') || 'No description';
+        const stock = interaction.options.getInteger('stock') ?? -1;
+        const role = interaction.options.getRole('role');
+        const durationText = interaction.options.getString('duration');
+        const purchaseLimit = interaction.options.getInteger('limit') || 0;
+        const itemType = interaction.options.getString('type') || (role ? 'role' : 'general');
+        const isRoleType = itemType === 'role' || itemType === 'role_grant';
+
+        if (isRoleType && !role) {
+            await replyEphemeral(interaction, '❌ Role items need a `role`');
+            return;
+        }
+
+        if (role && !isRoleType) {
+            await replyEphemeral(interaction, '❌ Only **Role** and **Role token** items can have a `role`');
+            return;
+        }
+
+        if (role && !await this.checkItemRole(interaction, role)) {
+            return;
+        }
+
+        const duration = durationText ? this.parseRentalDuration(durationText) : 0;
+        if (duration === null) {
+            await replyEphemeral(interaction, '❌ Invalid duration. Use something like `12h`, `7d` or `30 days` (1 minute to 1 year)');
+            return;
+        }
+
+        const itemData = await this.itemEffectService.buildItemData(guildId, itemType, {
+            multiplier: interaction.options.getNumber('multiplier') ?? undefined,
+            duration: !isRoleType && duration ? duration : undefined,
+            drops: interaction.options.getString('drops') ?? undefined
+        });
+        if (!itemData.success) {
+            await replyEphemeral(interaction, `❌ ${itemData.message}`);
+            return;
+        }
+
+        if (await this.shopService.findItem(guildId, name)) {
+            await replyEphemeral(interaction, `❌ An item named **${name}** already exists`);
+            return;
+        }
+
+        const item = await this.shopService.createItem(
+            guildId,
+            name,
+            description,
+            price,
+            stock,
+            role ? role.id : null,
+            itemType,
+            { roleDuration: isRoleType ? duration : 0, purchaseLimit, itemData: itemData.data }
+        );
+
+        const created = await this.shopService.getItem(item.id);
+        const embed = this.createShopItemEmbed('✅ Item Created', created, 0x2ecc71);
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        this.log(`User ${interaction.user.id} created shop item ${item.id}`, 'info');
+    }
+
+    /**
+     * Edit a shop item (shop-admin edit subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async shopAdminEdit(interaction) {
+        const guildId = interaction.guild.id;
+        const item = await this.shopService.findItem(guildId, interaction.options.getString('item'));
+
+        if (!item) {
+            await replyEphemeral(interaction, '❌ Item not found. Use `/shop` to see available items.');
+            return;
+        }
+
+        const updates = {};
+        const name = interaction.options.getString('name');
+        const price = interaction.options.getInteger('price');
+        const description = interaction.options.getString('description');
+        const stock = interaction.options.getInteger('stock');
+        const role = interaction.options.getRole('role');
+        const durationText = interaction.options.getString('duration');
+        const purchaseLimit = interaction.options.getInteger('limit');
+
+        if (name) {
+            const existing = await this.shopService.findItem(guildId, name.trim());
+            if (existing && existing.id !== item.id) {
+                await replyEphemeral(interaction, `❌ An item named **${name.trim()}** already exists`);
+                return;
+            }
+            updates.name = name.trim();
+        }
+        if (price !== null) updates.price = price;
+        if (description) updates.description = description;
+        if (stock !== null) updates.stock = stock;
+        if (purchaseLimit !== null) updates.purchase_limit = purchaseLimit;
+
+        const isRoleType = item.item_type === 'role' || item.item_type === 'role_grant' || item.role_id;
+
+        if (role) {
+            if (!isRoleType && item.item_type !== 'general') {
+                await replyEphemeral(interaction, `❌ ${this.itemEffectService.getTypeLabel(item.item_type)} items cannot have a role`);
+                return;
+            }
+            if (!await this.checkItemRole(interaction, role)) {
+                return;
+            }
+            updates.role_id = role.id;
+            if (!isRoleType) {
+                updates.item_type = 'role';
+            }
+        }
+
+        let effectDuration;
+        if (durationText) {
+            const permanent = ['permanent', '0'].includes(durationText.trim().toLowerCase());
+            const duration = permanent ? 0 : this.parseRentalDuration(durationText);
+            if (duration === null) {
+                await replyEphemeral(interaction, '❌ Invalid duration. Use something like `12h`, `7d` or `permanent` (1 minute to 1 year)');
+                return;
+            }
+
+            if (role || isRoleType) {
+                updates.role_duration = duration;
+            } else if (!permanent) {
+                effectDuration = duration;
+            } else {
+                await replyEphemeral(interaction, '❌ Only role items can be permanent');
+                return;
+            }
+        }
+
+        const multiplier = interaction.options.getNumber('multiplier');
+        const drops = interaction.options.getString('drops');
+        if (effectDuration !== undefined || multiplier !== null || drops) {
+            const itemData = await this.itemEffectService.buildItemData(
+                guildId,
+                updates.item_type || item.item_type,
+                { multiplier: multiplier ?? undefined, duration: effectDuration, drops: drops ?? undefined },
+                this.itemEffectService.parseItemData(item)
+            );
+            if (!itemData.success) {
+                await replyEphemeral(interaction, `❌ ${itemData.message}`);
+                return;
+            }
+            updates.item_data = itemData.data;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            await replyEphemeral(interaction, '❌ Nothing to change. Provide at least one field to update');
+            return;
+        }
+
+        const updated = await this.shopService.updateItem(item.id, updates);
+        const embed = this.createShopItemEmbed('✏️ Item Updated', updated, 0x3498db);
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        this.log(`User ${interaction.user.id} edited shop item ${item.id}`, 'info', { fields: Object.keys(updates) });
+    }
+
+    /**
+     * Delete a shop item (shop-admin delete subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async shopAdminDelete(interaction) {
+        const item = await this.shopService.findItem(interaction.guild.id, interaction.options.getString('item'));
+
+        if (!item) {
+            await replyEphemeral(interaction, '❌ Item not found. Use `/shop` to see available items.');
+            return;
+        }
+
+        await this.shopService.deleteItem(item.id);
+
+        await replyEphemeral(interaction, `🗑️ Deleted **${item.name}** from the shop`);
+        this.log(`User ${interaction.user.id} deleted shop item ${item.id}`, 'info');
+    }
+
+    /**
+     * Restock a limited shop item (shop-admin restock subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async shopAdminRestock(interaction) {
+        const item = await this.shopService.findItem(interaction.guild.id, interaction.options.getString('item'));
+        const amount = interaction.options.getInteger('amount');
+
+        if (!item) {
+            await replyEphemeral(interaction, '❌ Item not found. Use `/shop` to see available items.');
+            return;
+        }
+
+        const updated = await this.shopService.restockItem(item.id, amount);
+        if (!updated) {
+            await replyEphemeral(interaction, `❌ **${item.name}** has unlimited stock. Use \`/shop-admin edit\` to set a stock first`);
+            return;
+        }
+
+        await replyEphemeral(interaction, `📦 Restocked **${updated.name}** with ${amount}. Stock is now **${updated.stock}**`);
+        this.log(`User ${interaction.user.id} restocked shop item ${item.id} with ${amount}`, 'info');
+    }
+
+    /**
+     * Check that a role can be sold in the shop
+     * Replies to the interaction when it cannot.
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} role - Discord role
+     * @returns {Promise<boolean>} True if the role can be sold
+     */
+    async checkItemRole(interaction, role) {
+        const roleManagementService = this.client.roleManagementService;
+        if (!roleManagementService) {
+            await replyEphemeral(interaction, '❌ Role management is not available right now');
+            return false;
+        }
+
+        const hierarchy = roleManagementService.check_role_hierarchy(interaction.guild, role, interaction.member);
+        if (!hierarchy.allowed) {
+            await replyEphemeral(interaction, `❌ ${hierarchy.reason}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Parse a rental duration
+     * @param {string} text - Duration text (e.g. "7d", "12 hours")
+     * @returns {number|null} Duration in seconds, or null if invalid or out of range
+     */
+    parseRentalDuration(text) {
+        const ms = parseDuration(text);
+        if (ms === null) {
+            return null;
+        }
+
+        const seconds = Math.round(ms / 1000);
+        if (seconds < MIN_RENTAL_SECONDS || seconds > MAX_RENTAL_SECONDS) {
+            return null;
+        }
+
+        return seconds;
+    }
+
+    /**
+     * Describe an item's stock, role, rental and limit settings
+     * @param {Object} item - Shop item row
+     * @returns {string} Detail lines
+     */
+    formatItemDetails(item) {
+        const lines = [`📦 Stock: ${item.stock === -1 ? 'Unlimited' : `${item.stock} left`}`];
+
+        if (item.role_id) {
+            lines.push(item.role_duration > 0
+                ? `🎭 Rents role: <@&${item.role_id}> for ${formatTimespan(item.role_duration * 1000)}`
+                : `🎭 Grants role: <@&${item.role_id}>`);
+        }
+
+        const data = this.itemEffectService ? this.itemEffectService.parseItemData(item) : {};
+        switch (item.item_type) {
+            case 'role_grant':
+                lines.push('🎟️ Role token: the role is granted when you `/use` it');
+                break;
+            case 'xp_booster':
+                lines.push(`⚡ ${data.multiplier}x XP for ${formatTimespan((data.duration || 0) * 1000)}`);
+                break;
+            case 'coin_multiplier':
+                lines.push(`🪙 ${data.multiplier}x coins from /work and /daily for ${formatTimespan((data.duration || 0) * 1000)}`);
+                break;
+            case 'lootbox':
+                lines.push(`🎁 Lootbox with ${(data.drops || []).length} possible drop${(data.drops || []).length !== 1 ? 's' : ''}`);
+                break;
+            case 'nickname_token':
+                lines.push('📝 Changes your nickname once');
+                break;
+        }
+
+        if (item.purchase_limit > 0) {
+            lines.push(`🔒 Limit: ${item.purchase_limit} per member`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Create an embed summarising a shop item for admins
+     * @param {string} title - Embed title
+     * @param {Object} item - Shop item row
+     * @param {number} color - Embed color
+     * @returns {EmbedBuilder} Item embed
+     */
+    createShopItemEmbed(title, item, color) {
+        return new EmbedBuilder()
+            .setColor(color)
+            .setTitle(title)
+            .addFields({
+                name: `${item.name} - ${item.price} coins`,
+                value: `${item.description}\n${this.formatItemDetails(item)}`,
+                inline: false
+            })
+            .setFooter({ text: `Item ID: ${item.id}` })
+            .setTimestamp();
+    }
+
     /**
      * Inventory command handler
      * Displays user's inventory
@@ -533,8 +1122,11 @@ class EconomyController extends Controller {
             const guildId = interaction.guild.id;
 
             const inventory = await this.shopService.getInventory(user.id, guildId);
+            const effects = this.itemEffectService
+                ? await this.itemEffectService.getActiveEffects(user.id, guildId)
+                : [];
 
-            if (!inventory || inventory.length === 0) {
+            if ((!inventory || inventory.length === 0) && effects.length === 0) {
                 await replyEphemeral(interaction, `📦 ${user.id === interaction.user.id ? 'Your' : `${user.tag}'s`} inventory is empty!`);
                 return;
             }
@@ -545,11 +1137,22 @@ class EconomyController extends Controller {
                 .setThumbnail(user.displayAvatarURL())
                 .setTimestamp();
 
+            if (effects.length > 0) {
+                embed.addFields({
+                    name: '✨ Active Effects',
+                    value: effects
+                        .map(effect => `**${effect.multiplier}x ${this.itemEffectService.getEffectLabel(effect.effect_type)}** - ends <t:${Math.floor(effect.expires_at / 1000)}:R>`)
+                        .join('\n'),
+                    inline: false
+                });
+            }
+
             for (const item of inventory) {
                 const roleText = item.role_id ? `\n🎭 Role: <@&${item.role_id}>` : '';
+                const usableText = this.itemEffectService?.isUsable(item.item_type) ? '\n✨ Usable with `/use`' : '';
                 embed.addFields({
                     name: `${item.name} (x${item.quantity})`,
-                    value: `${item.description}${roleText}\n💰 Value: ${item.price} coins each`,
+                    value: `${item.description}${roleText}${usableText}\n💰 Value: ${item.price} coins each`,
                     inline: false
                 });
             }
@@ -561,6 +1164,62 @@ class EconomyController extends Controller {
         }
     }
 
+    /**
+     * Use command handler
+     * Uses an item from the inventory and applies its effect
+     * @param {Object} interaction - Discord interaction
+     */
+    async use(interaction) {
+        try {
+            const userId = interaction.user.id;
+            const guildId = interaction.guild.id;
+            const itemIdentifier = interaction.options.getString('item');
+
+            const item = await this.shopService.findItem(guildId, itemIdentifier);
+            if (!item) {
+                await replyEphemeral(interaction, '❌ Item not found. Use `/inventory` to see your items.');
+                return;
+            }
+
+            const result = await this.shopService.useItem(userId, guildId, item.id, {
+                member: interaction.member,
+                nickname: interaction.options.getString('nickname')
+            });
+
+            if (!result.success) {
+                await replyEphemeral(interaction, `❌ ${result.message}`);
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(0x9b59b6)
+                .setTitle(`✨ Used ${item.name}`)
+                .setDescription(result.message)
+                .setFooter({ text: `${result.remaining} left in your inventory` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+            this.log(`User ${userId} used item ${item.id}`, 'info');
+        } catch (error) {
+            this.log(`Error in use command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to use item');
+        }
+    }
+
+    /**
+     * Get the coin multiplier from a member's active item effects
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<number>} Coin multiplier (1 when none is active)
+     */
+    async getCoinMultiplier(userId, guildId) {
+        if (!this.itemEffectService) {
+            return 1;
+        }
+
+        return await this.itemEffectService.getMultiplier(userId, guildId, 'coins');
+    }
+
     /**
      * Override sendError to ensure interaction is acknowledged before replying.
      * Prevents "Unknown interaction" when an error occurs after 3s window.
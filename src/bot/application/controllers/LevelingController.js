@@ -271,6 +271,307 @@ class LevelingController extends Controller {
         }
     }
 
+    /**
+     * Level reward command handler (Admin only)
+     * Dispatches /levelreward subcommands
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelreward(interaction) {
+        try {
+            // Permission check
+            if (!interaction.member.permissions.has('Administrator')) {
+                await interaction.reply({ content: '❌ You need the **Administrator** permission to manage level rewards', ephemeral: true });
+                return;
+            }
+
+            this.getLevelingService();
+            if (!this.rewardService) {
+                await this.sendError(interaction, 'Reward service unavailable');
+                return;
+            }
+
+            switch (interaction.options.getSubcommand()) {
+                case 'add':
+                    await this.levelrewardAdd(interaction);
+                    break;
+                case 'remove':
+                    await this.levelrewardRemove(interaction);
+                    break;
+                case 'list':
+                    await this.levelrewardList(interaction);
+                    break;
+                case 'sync':
+                    await this.levelrewardSync(interaction);
+                    break;
+                case 'mode':
+                    await this.levelrewardMode(interaction);
+                    break;
+            }
+        } catch (error) {
+            this.log(`Error in levelreward command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to manage level rewards');
+        }
+    }
+
+    /**
+     * Add a level reward
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelrewardAdd(interaction) {
+        const guildId = interaction.guild.id;
+        const level = interaction.options.getInteger('level');
+        const type = interaction.options.getString('type');
+
+        const existing = await this.rewardService.getRewardsForLevel(guildId, level);
+        if (existing.some(reward => reward.type === type)) {
+            await interaction.reply({
+                content: `❌ Level ${level} already has a ${this.getRewardTypeLabel(type)} reward. Remove it first with \`/levelreward remove\``,
+                ephemeral: true
+            });
+            return;
+        }
+
+        let data;
+        switch (type) {
+            case 'role': {
+                const role = interaction.options.getRole('role');
+                if (!role) {
+                    await interaction.reply({ content: '❌ Role rewards need a `role`', ephemeral: true });
+                    return;
+                }
+
+                const roleManagementService = this.client.roleManagementService;
+                const hierarchy = roleManagementService
+                    ? roleManagementService.check_role_hierarchy(interaction.guild, role, interaction.member)
+                    : { allowed: true };
+                if (!hierarchy.allowed) {
+                    await interaction.reply({ content: `❌ ${hierarchy.reason}`, ephemeral: true });
+                    return;
+                }
+
+                data = { roleId: role.id };
+                break;
+            }
+            case 'currency': {
+                const amount = interaction.options.getInteger('amount');
+                if (!amount) {
+                    await interaction.reply({ content: '❌ Coin rewards need an `amount`', ephemeral: true });
+                    return;
+                }
+
+                data = { amount };
+                break;
+            }
+            case 'item': {
+                const shopService = this.client.modules.get('economy')?.getService('ShopService');
+                const identifier = interaction.options.getString('item');
+                if (!shopService || !identifier) {
+                    await interaction.reply({ content: '❌ Item rewards need an `item` from the shop', ephemeral: true });
+                    return;
+                }
+
+                const item = await shopService.findItem(guildId, identifier);
+                if (!item) {
+                    await interaction.reply({ content: '❌ Item not found. Use `/shop` to see the available items.', ephemeral: true });
+                    return;
+                }
+
+                data = { itemId: item.id, quantity: interaction.options.getInteger('quantity') || 1 };
+                break;
+            }
+        }
+
+        const reward = await this.rewardService.createReward(guildId, level, type, data);
+
+        // Role changes apply to members who already passed the level
+        let note = 'Members reaching this level from now on will receive it.';
+        if (type === 'role') {
+            this.rewardService.scheduleGuildResync(guildId);
+            note = 'Members already at this level will get the role shortly.';
+        }
+
+        await interaction.reply(`✅ Added level **${level}** reward: ${await this.formatReward(reward)}\n${note}`);
+        this.log(`Admin ${interaction.user.id} added ${type} reward for level ${level} in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * Remove level rewards
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelrewardRemove(interaction) {
+        const guildId = interaction.guild.id;
+        const level = interaction.options.getInteger('level');
+        const type = interaction.options.getString('type');
+
+        const rewards = (await this.rewardService.getRewardsForLevel(guildId, level))
+            .filter(reward => !type || reward.type === type);
+
+        if (rewards.length === 0) {
+            await interaction.reply({
+                content: `❌ Level ${level} has no ${type ? `${this.getRewardTypeLabel(type)} ` : ''}rewards`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        for (const reward of rewards) {
+            await this.rewardService.deleteReward(reward.id);
+        }
+
+        // Members keep removed roles; replace mode may need to restore a lower one
+        if (rewards.some(reward => reward.type === 'role')) {
+            this.rewardService.scheduleGuildResync(guildId);
+        }
+
+        await interaction.reply(`✅ Removed ${rewards.length} reward${rewards.length !== 1 ? 's' : ''} from level **${level}**`);
+        this.log(`Admin ${interaction.user.id} removed ${rewards.length} rewards from level ${level} in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * List level rewards
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelrewardList(interaction) {
+        const guildId = interaction.guild.id;
+        const rewards = await this.rewardService.getGuildRewards(guildId);
+
+        if (rewards.length === 0) {
+            await interaction.reply({ content: '📭 No level rewards set up. Add one with `/levelreward add`', ephemeral: true });
+            return;
+        }
+
+        const lines = [];
+        for (const reward of rewards) {
+            lines.push(`**Level ${reward.level}** - ${await this.formatReward(reward)}`);
+        }
+
+        const stackRoles = await this.rewardService.isRoleStacking(guildId);
+        const status = this.rewardService.getResyncStatus(guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x9b59b6)
+            .setTitle('🎁 Level Rewards')
+            .setDescription(lines.join('\n').slice(0, 4096))
+            .addFields({
+                name: 'Role Rewards',
+                value: stackRoles ? 'Stack (members keep every earned role)' : 'Replace (members keep only the highest role)',
+                inline: false
+            })
+            .setTimestamp();
+
+        if (status) {
+            embed.setFooter({
+                text: status.running
+                    ? `Resyncing members: ${status.processed}/${status.total}`
+                    : 'Member resync scheduled'
+            });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Resync role rewards for one member or the whole guild
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelrewardSync(interaction) {
+        const guildId = interaction.guild.id;
+        const user = interaction.options.getUser('user');
+
+        if (!user) {
+            const status = this.rewardService.getResyncStatus(guildId);
+            if (status?.running) {
+                await interaction.reply({
+                    content: `⏳ A resync is already running (${status.processed}/${status.total} members)`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            this.rewardService.scheduleGuildResync(guildId, 0);
+            await interaction.reply('🔄 Resyncing level rewards for every member. Check progress with `/levelreward list`');
+            this.log(`Admin ${interaction.user.id} started a reward resync in guild ${guildId}`, 'info');
+            return;
+        }
+
+        const service = this.getLevelingService();
+        const levelData = service ? await service.getUserStats(user.id, guildId) : null;
+        if (!levelData) {
+            await interaction.reply({ content: '❌ No leveling data found for this user', ephemeral: true });
+            return;
+        }
+
+        const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+        if (!member) {
+            await interaction.reply({ content: '❌ That user is not in this server', ephemeral: true });
+            return;
+        }
+
+        const summary = await this.rewardService.syncUserRewards(user.id, guildId, levelData.level, { member });
+        const failed = summary.failed > 0 ? `, ${summary.failed} failed (check my role permissions)` : '';
+
+        await interaction.reply(
+            `✅ Synced ${user}'s rewards at level **${levelData.level}**: ` +
+            `${summary.added} role${summary.added !== 1 ? 's' : ''} added, ${summary.removed} removed${failed}`
+        );
+    }
+
+    /**
+     * Set whether role rewards stack or replace each other
+     * @param {Object} interaction - Discord interaction
+     */
+    async levelrewardMode(interaction) {
+        const guildId = interaction.guild.id;
+        const stack = interaction.options.getString('mode') === 'stack';
+
+        const guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService');
+        if (!guildConfigService) {
+            await this.sendError(interaction, 'Configuration service unavailable');
+            return;
+        }
+
+        await guildConfigService.setSetting(guildId, 'leveling_stack_role_rewards', stack);
+        this.rewardService.scheduleGuildResync(guildId);
+
+        await interaction.reply(
+            stack
+                ? '✅ Role rewards now **stack**: members keep every role they have earned'
+                : '✅ Role rewards now **replace** each other: members keep only their highest role'
+        );
+        this.log(`Admin ${interaction.user.id} set role reward mode to ${stack ? 'stack' : 'replace'} in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * Get a display label for a reward type
+     * @param {string} type - Reward type
+     * @returns {string} Label
+     */
+    getRewardTypeLabel(type) {
+        const labels = { role: 'role', currency: 'coin', item: 'item' };
+        return labels[type] || type;
+    }
+
+    /**
+     * Format a reward for display
+     * @param {Object} reward - Reward object
+     * @returns {Promise<string>} Formatted reward
+     */
+    async formatReward(reward) {
+        switch (reward.type) {
+            case 'role':
+                return `🎭 <@&${reward.data.roleId}>`;
+            case 'currency':
+                return `💰 ${reward.data.amount} coins`;
+            case 'item': {
+                const shopService = this.client.modules.get('economy')?.getService('ShopService');
+                const item = shopService ? await shopService.getItem(reward.data.itemId).catch(() => null) : null;
+                return `📦 ${item ? item.name : 'Deleted item'} x${reward.data.quantity || 1}`;
+            }
+            default:
+                return reward.type;
+        }
+    }
+
     /**
      * Format leaderboard data
      * Resolves usernames in batch to avoid N+1 Discord API calls.
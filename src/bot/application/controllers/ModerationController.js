@@ -8,6 +8,12 @@
 const Controller = require('../../system/core/Controller');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags } = require('discord.js');
 const { replyEphemeral, deferEphemeral } = require('../../system/helpers/InteractionHelper');
+const { parseDuration } = require('../../system/helpers/TimeParserHelper');
+const { formatTimespan } = require('../../system/helpers/FormatHelper');
+
+// Escalation windows from one hour to one year
+const MIN_ESCALATION_WINDOW = 60 * 60;
+const MAX_ESCALATION_WINDOW = 365 * 24 * 60 * 60;
 
 class ModerationController extends Controller {
     /**
@@ -21,6 +27,7 @@ class ModerationController extends Controller {
         const moderationModule = this.client.modules.get('moderation');
         this.moderationService = moderationModule ? moderationModule.getService('ModerationService') : null;
         this.infractionService = moderationModule ? moderationModule.getService('InfractionService') : null;
+        this.escalationService = moderationModule ? moderationModule.getService('EscalationService') : null;
     }
 
 
@@ -65,6 +72,10 @@ class ModerationController extends Controller {
                     )
                     .setTimestamp();
 
+                if (result.escalation) {
+                    embed.addFields({ name: 'Escalation', value: result.escalation.summary });
+                }
+
                 await interaction.reply({ embeds: [embed] });
             } else {
                 // Show modal to collect reason
@@ -358,6 +369,10 @@ class ModerationController extends Controller {
                 )
                 .setTimestamp();
 
+            if (result.escalation) {
+                embed.addFields({ name: 'Escalation', value: result.escalation.summary });
+            }
+
             await interaction.reply({ embeds: [embed] });
         } catch (error) {
             this.log(`Error in timeout command: ${error.message}`, 'error');
@@ -426,6 +441,151 @@ class ModerationController extends Controller {
             await this.sendError(interaction, 'Failed to fetch warnings');
         }
     }
+
+    /**
+     * Escalation command handler
+     * Manages the guild's automatic escalation policy
+     * @param {Object} interaction - Discord interaction
+     */
+    async escalation(interaction) {
+        try {
+            if (!this.escalationService) {
+                await this.sendError(interaction, 'Escalation service not available');
+                return;
+            }
+
+            if (!interaction.member.permissions.has('ManageGuild')) {
+                await replyEphemeral(interaction, '❌ You need the **Manage Server** permission to manage escalation rules');
+                return;
+            }
+
+            switch (interaction.options.getSubcommand()) {
+                case 'add':
+                    await this.escalationAdd(interaction);
+                    break;
+                case 'remove':
+                    await this.escalationRemove(interaction);
+                    break;
+                case 'list':
+                    await this.escalationList(interaction);
+                    break;
+                case 'weight':
+                    await this.escalationWeight(interaction);
+                    break;
+            }
+        } catch (error) {
+            this.log(`Error in escalation command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to update escalation rules');
+        }
+    }
+
+    /**
+     * Add an escalation rule
+     * @param {Object} interaction - Discord interaction
+     */
+    async escalationAdd(interaction) {
+        const points = interaction.options.getNumber('points');
+        const action = interaction.options.getString('action');
+        const durationText = interaction.options.getString('duration');
+
+        const windowMs = parseDuration(interaction.options.getString('window'));
+        const windowSeconds = windowMs ? Math.round(windowMs / 1000) : null;
+        if (!windowSeconds || windowSeconds < MIN_ESCALATION_WINDOW || windowSeconds > MAX_ESCALATION_WINDOW) {
+            await replyEphemeral(interaction, '❌ Invalid window. Use something like `7d` or `24h` (1 hour to 1 year)');
+            return;
+        }
+
+        let duration = null;
+        if (action === 'timeout') {
+            const durationMs = durationText ? parseDuration(durationText) : null;
+            if (!durationMs) {
+                await replyEphemeral(interaction, '❌ Timeout rules need a `duration`, e.g. `1h` or `1d`');
+                return;
+            }
+            duration = Math.round(durationMs / 60000);
+        }
+
+        const result = await this.escalationService.addRule(interaction.guild.id, {
+            points,
+            windowSeconds,
+            action,
+            duration
+        }, interaction.user.id);
+
+        if (!result.success) {
+            await replyEphemeral(interaction, `❌ ${result.message}`);
+            return;
+        }
+
+        await interaction.reply(
+            `✅ Rule #${result.rule.id}: **${this.escalationService.formatPoints(points)} points** within ` +
+            `**${formatTimespan(windowSeconds * 1000)}** → **${this.escalationService.describeAction(result.rule)}**`
+        );
+        this.log(`Escalation rule ${result.rule.id} added in guild ${interaction.guild.id} by ${interaction.user.id}`, 'info');
+    }
+
+    /**
+     * Remove an escalation rule
+     * @param {Object} interaction - Discord interaction
+     */
+    async escalationRemove(interaction) {
+        const ruleId = interaction.options.getInteger('rule');
+
+        const removed = await this.escalationService.removeRule(interaction.guild.id, ruleId);
+        if (!removed) {
+            await replyEphemeral(interaction, `❌ Rule #${ruleId} not found. Use \`/escalation list\` to see the rules.`);
+            return;
+        }
+
+        await interaction.reply(`✅ Removed escalation rule #${ruleId}`);
+        this.log(`Escalation rule ${ruleId} removed in guild ${interaction.guild.id} by ${interaction.user.id}`, 'info');
+    }
+
+    /**
+     * Show the escalation policy
+     * @param {Object} interaction - Discord interaction
+     */
+    async escalationList(interaction) {
+        const { rules, weights } = await this.escalationService.getPolicy(interaction.guild.id);
+
+        const rulesText = rules.length > 0
+            ? rules.map(rule =>
+                `**#${rule.id}** ${this.escalationService.formatPoints(rule.points)} points within ` +
+                `${formatTimespan(rule.window_seconds * 1000)} → ${this.escalationService.describeAction(rule)}`
+            ).join('\n')
+            : 'No rules yet. Add one with `/escalation add`';
+
+        const weightsText = ['warning', 'mute', 'timeout', 'kick']
+            .map(type => `**${type}:** ${this.escalationService.formatPoints(weights[type] || 0)}`)
+            .join(' • ');
+
+        const embed = new EmbedBuilder()
+            .setColor(0xe67e22)
+            .setTitle('🚨 Escalation Policy')
+            .setDescription(rulesText)
+            .addFields({ name: 'Points per Infraction', value: weightsText })
+            .setFooter({ text: 'A rule fires when an infraction takes a member to its threshold' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Set the point weight of an infraction type
+     * @param {Object} interaction - Discord interaction
+     */
+    async escalationWeight(interaction) {
+        const type = interaction.options.getString('type');
+        const weight = interaction.options.getNumber('weight');
+
+        await this.escalationService.setWeight(interaction.guild.id, type, weight);
+
+        const { weights } = await this.escalationService.getPolicy(interaction.guild.id);
+        await interaction.reply(
+            `✅ A **${type}** is now worth **${this.escalationService.formatPoints(weights[type])}** point${weights[type] === 1 ? '' : 's'}` +
+            `${weight === null ? ' (default)' : ''}`
+        );
+    }
 }
 
 module.exports = ModerationController;
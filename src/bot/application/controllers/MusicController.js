@@ -10,6 +10,9 @@ const PlaybackHandler = require('./music/handlers/PlaybackHandler');
 const QueueHandler = require('./music/handlers/QueueHandler');
 const SettingsHandler = require('./music/handlers/SettingsHandler');
 const PlaylistHandler = require('./music/handlers/PlaylistHandler');
+const SearchHandler = require('./music/handlers/SearchHandler');
+const HistoryHandler = require('./music/handlers/HistoryHandler');
+const LyricsHandler = require('./music/handlers/LyricsHandler');
 const MusicEmbedBuilder = require('./music/handlers/EmbedBuilder');
 
 class MusicController extends Controller {
@@ -28,6 +31,10 @@ class MusicController extends Controller {
         const musicModule = this.client.modules.get('music');
         this.musicPlayerService = musicModule ? musicModule.getService('MusicPlayerService') : null;
         this.playlistService = musicModule ? musicModule.getService('PlaylistService') : null;
+        this.filterService = musicModule ? musicModule.getService('FilterService') : null;
+        this.musicPermissionService = musicModule ? musicModule.getService('MusicPermissionService') : null;
+        this.musicHistoryService = musicModule ? musicModule.getService('MusicHistoryService') : null;
+        this.lyricsService = musicModule ? musicModule.getService('LyricsService') : null;
 
         // Get GuildConfigService from admin module
         const adminModule = this.client.modules.get('admin');
@@ -47,34 +54,31 @@ class MusicController extends Controller {
         this.queueHandler = new QueueHandler(this);
         this.settingsHandler = new SettingsHandler(this);
         this.playlistHandler = new PlaylistHandler(this);
+        this.searchHandler = new SearchHandler(this);
+        this.historyHandler = new HistoryHandler(this);
+        this.lyricsHandler = new LyricsHandler(this);
         this.embedBuilder = new MusicEmbedBuilder(this);
+
+        // Select menu for picking a /search result
+        this.searchHandler.registerComponents();
     }
 
     /**
-     * Check if user has DJ role or is administrator
+     * Check if a member may use a music command
+     * Commands listed in the music_dj_commands setting need the DJ role
+     * (see MusicPermissionService).
      * @param {Object} member - Guild member
      * @param {string} guildId - Guild ID
-     * @returns {Promise<boolean>} True if user has DJ permissions
+     * @param {string} command - Command name (e.g. "clear")
+     * @returns {Promise<boolean>} True if the member may use the command
      */
-    async hasDJPermissions(member, guildId) {
-        try {
-            // Administrators always have DJ permissions
-            if (member.permissions.has('Administrator')) {
-                return true;
-            }
-
-            // Check if DJ role is configured
-            if (this.guildConfigService) {
-                const djRoleId = await this.guildConfigService.getSetting(guildId, 'dj_role');
-
-                if (djRoleId) {
-                    // Check if member has DJ role
-                    return member.roles.cache.has(djRoleId);
-                }
-            }
-
-            // If no DJ role configured, everyone has permissions
+    async hasDJPermissions(member, guildId, command) {
+        if (!this.musicPermissionService) {
             return true;
+        }
+
+        try {
+            return await this.musicPermissionService.canUse(member, guildId, command);
         } catch (error) {
             this.log(`Error checking DJ permissions: ${error.message}`, 'warn');
             // On error, allow the action
@@ -89,6 +93,10 @@ class MusicController extends Controller {
     async skip(interaction) { return this.playbackHandler.skip(interaction); }
     async stop(interaction) { return this.playbackHandler.stop(interaction); }
 
+    // Search commands - delegate to SearchHandler
+    async search(interaction) { return this.searchHandler.search(interaction); }
+    async playAutocomplete(interaction) { return this.searchHandler.playAutocomplete(interaction); }
+
     // Queue commands - delegate to QueueHandler
     async queue(interaction) { return this.queueHandler.queue(interaction); }
     async nowplaying(interaction) { return this.queueHandler.nowplaying(interaction); }
@@ -101,7 +109,9 @@ class MusicController extends Controller {
     // Settings commands - delegate to SettingsHandler
     async volume(interaction) { return this.settingsHandler.volume(interaction); }
     async loop(interaction) { return this.settingsHandler.loop(interaction); }
+    async autoplay(interaction) { return this.settingsHandler.autoplay(interaction); }
     async filter(interaction) { return this.settingsHandler.filter(interaction); }
+    async filterCustom(interaction) { return this.settingsHandler.filterCustom(interaction); }
     async seek(interaction) { return this.settingsHandler.seek(interaction); }
 
     // Playlist commands - delegate to PlaylistHandler
@@ -110,6 +120,22 @@ class MusicController extends Controller {
     async playlistLoad(interaction) { return this.playlistHandler.playlistLoad(interaction); }
     async playlistDelete(interaction) { return this.playlistHandler.playlistDelete(interaction); }
     async playlistList(interaction) { return this.playlistHandler.playlistList(interaction); }
+    async playlistAdd(interaction) { return this.playlistHandler.playlistAdd(interaction); }
+    async playlistRemove(interaction) { return this.playlistHandler.playlistRemove(interaction); }
+    async playlistRename(interaction) { return this.playlistHandler.playlistRename(interaction); }
+    async playlistView(interaction) { return this.playlistHandler.playlistView(interaction); }
+    async playlistExport(interaction) { return this.playlistHandler.playlistExport(interaction); }
+    async playlistImport(interaction) { return this.playlistHandler.playlistImport(interaction); }
+    async playlistCollab(interaction) { return this.playlistHandler.playlistCollab(interaction); }
+
+    // History commands - delegate to HistoryHandler
+    async previous(interaction) { return this.historyHandler.previous(interaction); }
+    async replay(interaction) { return this.historyHandler.replay(interaction); }
+    async history(interaction) { return this.historyHandler.history(interaction); }
+    async musicStats(interaction) { return this.historyHandler.musicStats(interaction); }
+
+    // Lyrics commands - delegate to LyricsHandler
+    async lyrics(interaction) { return this.lyricsHandler.lyrics(interaction); }
 
     // Embed building - delegate to MusicEmbedBuilder
     createNowPlayingEmbed(track, queue, currentPosition) {
@@ -124,6 +150,10 @@ class MusicController extends Controller {
         return this.embedBuilder.createQueuedEmbed(track, position);
     }
 
+    createPlaylistQueuedEmbed(result, requester, loading) {
+        return this.embedBuilder.createPlaylistQueuedEmbed(result, requester, loading);
+    }
+
     createQueueEmbed(queue, guildId) {
         return this.embedBuilder.createQueueEmbed(queue, guildId);
     }
@@ -7,7 +7,11 @@
 
 const Controller = require('../../system/core/Controller');
 const { EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
-const { deferEphemeral } = require('../../system/helpers/InteractionHelper');
+const { deferEphemeral, replyEphemeral } = require('../../system/helpers/InteractionHelper');
+const { isValidTimezone } = require('../../system/helpers/CronHelper');
+
+// Staff roles a single category can grant access to
+const MAX_STAFF_ROLES = 10;
 
 class TicketController extends Controller {
     /**
@@ -19,6 +23,12 @@ class TicketController extends Controller {
 
         // Load models
         this.ticketModel = this.load.model('TicketModel');
+
+        // Get services from ticket module
+        const ticketModule = this.client.modules.get('ticket');
+        this.ticketService = ticketModule ? ticketModule.getService('TicketService') : null;
+        this.lifecycleService = ticketModule ? ticketModule.getService('TicketLifecycleService') : null;
+        this.statsService = ticketModule ? ticketModule.getService('TicketStatsService') : null;
     }
 
     /**
@@ -30,60 +40,27 @@ class TicketController extends Controller {
         try {
             await deferEphemeral(interaction);
 
-            const category = interaction.options.getString('category') || 'general';
-            const description = interaction.options.getString('description');
-            const guildId = interaction.guild.id;
-            const userId = interaction.user.id;
-
-            // Check if user already has an open ticket
-            const existingTicket = await this.ticketModel.getUserOpenTicket(userId, guildId);
-            if (existingTicket) {
-                await interaction.editReply({ content: `❌ You already have an open ticket: <#${existingTicket.channel_id}>` });
-                return;
-            }
-
-            // Create ticket channel
-            const ticketNumber = await this.ticketModel.getNextTicketNumber(guildId);
-            const channelName = `ticket-${ticketNumber}`;
-
-            const channel = await interaction.guild.channels.create({
-                name: channelName,
-                type: ChannelType.GuildText,
-                permissionOverwrites: [
-                    {
-                        id: interaction.guild.id,
-                        deny: [PermissionFlagsBits.ViewChannel],
-                    },
-                    {
-                        id: interaction.user.id,
-                        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory],
-                    },
-                    {
-                        id: this.client.user.id,
-                        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory],
-                    },
-                ],
-            });
+            if (!this.ticketService) {
+                await interaction.editReply({ content: '❌ Ticket service not available' });
+                return;
+            }
 
-            // Save ticket to database
-            await this.ticketModel.createTicket(guildId, userId, channel.id, category, description, ticketNumber);
+            const categoryName = interaction.options.getString('category');
+            const description = interaction.options.getString('description');
 
-            // Send ticket message
-            const embed = new EmbedBuilder()
-                .setColor(0x3498db)
-                .setTitle(`🎫 Ticket #${ticketNumber}`)
-                .setDescription(description || 'No description provided')
-                .addFields(
-                    { name: 'Category', value: category, inline: true },
-                    { name: 'Created By', value: `${interaction.user}`, inline: true },
-                    { name: 'Status', value: 'Open', inline: true }
-                )
-                .setTimestamp();
+            const resolved = await this.ticketService.resolveCategory(interaction.guild.id, categoryName);
+            if (!resolved.success) {
+                await interaction.editReply({ content: `❌ ${resolved.message}` });
+                return;
+            }
 
-            await channel.send({ content: `${interaction.user}`, embeds: [embed] });
+            const result = await this.ticketService.createTicket(interaction.guild, interaction.user, resolved.category, description);
+            if (!result.success) {
+                await interaction.editReply({ content: `❌ ${result.message}` });
+                return;
+            }
 
-            await interaction.editReply({ content: `✅ Ticket created: ${channel}` });
-            this.log(`Ticket #${ticketNumber} created by ${userId}`, 'info');
+            await interaction.editReply({ content: `✅ Ticket created: ${result.channel}` });
         } catch (error) {
             this.log(`Error in ticket command: ${error.message}`, 'error');
             await this.sendError(interaction, 'Failed to create ticket');
@@ -108,29 +85,22 @@ class TicketController extends Controller {
             }
 
             if (ticket.status === 'closed') {
-                await interaction.reply({ content: '❌ This ticket is already closed' });
+                await interaction.reply({ content: '❌ This ticket is already closed. Use `/ticket-reopen` to reopen it' });
                 return;
             }
 
-            // Close the ticket
-            await this.ticketModel.closeTicket(ticket.id, interaction.user.id);
+            if (!this.lifecycleService) {
+                await this.sendError(interaction, 'Ticket service not available');
+                return;
+            }
 
-            const embed = new EmbedBuilder()
-                .setColor(0xe74c3c)
-                .setTitle('🔒 Ticket Closed')
-                .setDescription(`Ticket #${ticket.ticket_number} has been closed by ${interaction.user}`)
-                .setTimestamp();
+            // Generating and uploading the transcript can take longer than the reply window
+            await interaction.deferReply();
 
-            await interaction.reply({ embeds: [embed] });
+            const result = await this.lifecycleService.closeTicket(ticket, interaction.guild, interaction.user);
+            const embed = this.lifecycleService.buildClosedEmbed(ticket, `${interaction.user}`, result);
 
-            // Delete channel after 5 seconds
-            setTimeout(async () => {
-                try {
-                    await interaction.channel.delete();
-                } catch (error) {
-                    this.log(`Failed to delete ticket channel: ${error.message}`, 'error');
-                }
-            }, 5000);
+            await interaction.editReply({ embeds: [embed] });
 
             this.log(`Ticket #${ticket.ticket_number} closed by ${interaction.user.id}`, 'info');
         } catch (error) {
@@ -140,25 +110,123 @@ class TicketController extends Controller {
     }
 
     /**
-     * Claim command handler
-     * Claims a ticket for a staff member (requires ManageChannels or Administrator)
+     * Reopen command handler
+     * Reopens a closed ticket while its channel is archived (opener or staff)
      * @param {Object} interaction - Discord interaction
      */
-    async claim(interaction) {
+    async reopen(interaction) {
         try {
             const guildId = interaction.guild.id;
-            const channelId = interaction.channel.id;
 
-            // Permission check — only staff can claim tickets
-            const member = interaction.member;
-            const hasPermission = member.permissions.has('ManageChannels') ||
-                member.permissions.has('Administrator');
+            // Check if this is a ticket channel
+            const ticket = await this.ticketModel.getTicketByChannel(interaction.channel.id, guildId);
+            if (!ticket) {
+                await interaction.reply({ content: '❌ This is not a ticket channel' });
+                return;
+            }
 
-            if (!hasPermission) {
-                await interaction.reply({ content: '❌ You need the **Manage Channels** permission to claim tickets', ephemeral: true });
+            if (ticket.status !== 'closed') {
+                await interaction.reply({ content: '❌ This ticket is not closed' });
+                return;
+            }
+
+            if (!ticket.delete_after || ticket.delete_after <= Math.floor(Date.now() / 1000)) {
+                await interaction.reply({ content: '❌ The reopen window for this ticket has passed' });
+                return;
+            }
+
+            if (!this.lifecycleService || !this.ticketService) {
+                await this.sendError(interaction, 'Ticket service not available');
+                return;
+            }
+
+            const isOpener = ticket.user_id === interaction.user.id;
+            if (!isOpener && !(await this.ticketService.isStaff(interaction.member, ticket))) {
+                await interaction.reply({ content: '❌ Only the ticket opener or staff can reopen this ticket', ephemeral: true });
+                return;
+            }
+
+            // Members can only have one open ticket at a time
+            const openTicket = await this.ticketModel.getUserOpenTicket(ticket.user_id, guildId);
+            if (openTicket) {
+                await interaction.reply({ content: `❌ <@${ticket.user_id}> already has an open ticket: <#${openTicket.channel_id}>` });
+                return;
+            }
+
+            await this.lifecycleService.reopenTicket(ticket, interaction.channel);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x2ecc71)
+                .setTitle('🔓 Ticket Reopened')
+                .setDescription(`Ticket #${ticket.ticket_number} has been reopened by ${interaction.user}`)
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+            this.log(`Ticket #${ticket.ticket_number} reopened by ${interaction.user.id}`, 'info');
+        } catch (error) {
+            this.log(`Error in reopen command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to reopen ticket');
+        }
+    }
+
+    /**
+     * Priority command handler
+     * Sets the priority of the current ticket (staff only)
+     * @param {Object} interaction - Discord interaction
+     */
+    async priority(interaction) {
+        try {
+            const priority = interaction.options.getString('level');
+
+            // Check if this is a ticket channel
+            const ticket = await this.ticketModel.getTicketByChannel(interaction.channel.id, interaction.guild.id);
+            if (!ticket) {
+                await interaction.reply({ content: '❌ This is not a ticket channel' });
+                return;
+            }
+
+            if (ticket.status === 'closed') {
+                await interaction.reply({ content: '❌ This ticket is closed' });
+                return;
+            }
+
+            if (!this.lifecycleService || !this.ticketService) {
+                await this.sendError(interaction, 'Ticket service not available');
+                return;
+            }
+
+            if (!(await this.ticketService.isStaff(interaction.member, ticket))) {
+                await interaction.reply({ content: '❌ Only staff can change ticket priority', ephemeral: true });
                 return;
             }
 
+            if (ticket.priority === priority) {
+                await interaction.reply({ content: `❌ This ticket already has ${this.lifecycleService.formatPriority(priority)} priority`, ephemeral: true });
+                return;
+            }
+
+            await this.ticketModel.setPriority(ticket.id, priority);
+
+            await interaction.reply(
+                `✅ Priority changed from ${this.lifecycleService.formatPriority(ticket.priority)} to ${this.lifecycleService.formatPriority(priority)}`
+            );
+            this.log(`Ticket #${ticket.ticket_number} priority set to ${priority} by ${interaction.user.id}`, 'info');
+        } catch (error) {
+            this.log(`Error in priority command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to change ticket priority');
+        }
+    }
+
+    /**
+     * Claim command handler
+     * Claims a ticket for a staff member (requires ManageChannels, Administrator or a category staff role)
+     * @param {Object} interaction - Discord interaction
+     */
+    async claim(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const channelId = interaction.channel.id;
+
             // Check if this is a ticket channel
             const ticket = await this.ticketModel.getTicketByChannel(channelId, guildId);
             if (!ticket) {
@@ -166,6 +234,17 @@ class TicketController extends Controller {
                 return;
             }
 
+            // Permission check — only staff can claim tickets
+            const member = interaction.member;
+            const hasPermission = this.ticketService
+                ? await this.ticketService.isStaff(member, ticket)
+                : member.permissions.has('ManageChannels') || member.permissions.has('Administrator');
+
+            if (!hasPermission) {
+                await interaction.reply({ content: '❌ You need the **Manage Channels** permission or a staff role of this ticket\'s category to claim it', ephemeral: true });
+                return;
+            }
+
             if (ticket.claimed_by) {
                 await interaction.reply({ content: `❌ This ticket is already claimed by <@${ticket.claimed_by}>` });
                 return;
@@ -308,6 +387,383 @@ class TicketController extends Controller {
             await this.sendError(interaction, 'Failed to list tickets');
         }
     }
+
+    /**
+     * Ticket stats command handler
+     * Shows ticket counts, response times, staff activity and busiest hours
+     * for an optional date range, with an optional CSV export
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketStats(interaction) {
+        try {
+            if (!interaction.member.permissions.has('ManageChannels')) {
+                await replyEphemeral(interaction, '❌ You need the **Manage Channels** permission to view ticket statistics');
+                return;
+            }
+
+            if (!this.statsService) {
+                await this.sendError(interaction, 'Ticket service not available', true);
+                return;
+            }
+
+            const timezone = interaction.options.getString('timezone') || this.appConfig.automation?.timezone || 'UTC';
+            if (!isValidTimezone(timezone)) {
+                await replyEphemeral(interaction, `❌ Unknown timezone \`${timezone}\`. Use a name like \`Europe/Berlin\` or \`America/New_York\``);
+                return;
+            }
+
+            const fromText = interaction.options.getString('from');
+            const toText = interaction.options.getString('to');
+
+            const since = fromText ? this.statsService.parseDate(fromText, timezone) : null;
+            if (fromText && since === null) {
+                await replyEphemeral(interaction, '❌ Invalid start date. Use `YYYY-MM-DD` or a duration like `30d`');
+                return;
+            }
+
+            const until = toText ? this.statsService.parseDate(toText, timezone, true) : null;
+            if (toText && until === null) {
+                await replyEphemeral(interaction, '❌ Invalid end date. Use `YYYY-MM-DD` or a duration like `7d`');
+                return;
+            }
+
+            if (since !== null && until !== null && since >= until) {
+                await replyEphemeral(interaction, '❌ The start date must be before the end date');
+                return;
+            }
+
+            await deferEphemeral(interaction);
+
+            const report = await this.statsService.getReport(interaction.guild.id, { since, until, timezone });
+            const reply = { embeds: [this.statsService.buildReportEmbed(report)] };
+
+            if (interaction.options.getBoolean('export') && report.tickets.length > 0) {
+                reply.files = [this.statsService.buildCsvAttachment(report)];
+            }
+
+            await interaction.editReply(reply);
+        } catch (error) {
+            this.log(`Error in ticket-stats command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to load ticket statistics', true);
+        }
+    }
+
+    /**
+     * Ticket panel command handler
+     * Posts a panel with one button or select menu option per active category
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketPanel(interaction) {
+        try {
+            if (!interaction.member.permissions.has('ManageGuild')) {
+                await replyEphemeral(interaction, '❌ You need the **Manage Server** permission to post ticket panels');
+                return;
+            }
+
+            if (!this.ticketService) {
+                await this.sendError(interaction, 'Ticket service not available', true);
+                return;
+            }
+
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            if (channel.type !== ChannelType.GuildText && channel.type !== ChannelType.GuildAnnouncement) {
+                await replyEphemeral(interaction, '❌ Ticket panels can only be posted in text channels');
+                return;
+            }
+
+            const permissions = channel.permissionsFor(interaction.guild.members.me);
+            if (!permissions || !permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                await replyEphemeral(interaction, `❌ I need permission to send messages and embeds in ${channel}`);
+                return;
+            }
+
+            const categories = await this.ticketModel.getCategories(interaction.guild.id);
+            if (categories.length === 0) {
+                await replyEphemeral(interaction, '❌ There are no ticket categories yet. Create one with `/ticket-category create`');
+                return;
+            }
+
+            const panel = this.ticketService.buildPanel(categories, {
+                style: interaction.options.getString('style') || 'buttons',
+                title: interaction.options.getString('title'),
+                description: interaction.options.getString('description'),
+            });
+
+            try {
+                await channel.send(panel);
+            } catch (error) {
+                this.log(`Failed to post ticket panel in ${channel.id}: ${error.message}`, 'warn');
+                await replyEphemeral(interaction, `❌ Failed to post the panel: ${error.message}`);
+                return;
+            }
+
+            await replyEphemeral(interaction, `✅ Ticket panel posted in ${channel} with ${categories.length} categor${categories.length === 1 ? 'y' : 'ies'}`);
+            this.log(`Ticket panel posted in ${channel.id} by ${interaction.user.id}`, 'info');
+        } catch (error) {
+            this.log(`Error in ticket-panel command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to post ticket panel', true);
+        }
+    }
+
+    /**
+     * Ticket category command handler
+     * Routes /ticket-category subcommands
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategory(interaction) {
+        try {
+            if (!interaction.member.permissions.has('ManageGuild')) {
+                await replyEphemeral(interaction, '❌ You need the **Manage Server** permission to manage ticket categories');
+                return;
+            }
+
+            switch (interaction.options.getSubcommand()) {
+                case 'create':
+                    await this.ticketCategoryCreate(interaction);
+                    break;
+                case 'edit':
+                    await this.ticketCategoryEdit(interaction);
+                    break;
+                case 'staff':
+                    await this.ticketCategoryStaff(interaction);
+                    break;
+                case 'delete':
+                    await this.ticketCategoryDelete(interaction);
+                    break;
+                case 'list':
+                    await this.ticketCategoryList(interaction);
+                    break;
+            }
+        } catch (error) {
+            this.log(`Error in ticket-category command: ${error.message}`, 'error');
+            await this.sendError(interaction, 'Failed to manage ticket categories', true);
+        }
+    }
+
+    /**
+     * Create a ticket category
+     * A deleted category with the same name is restored with the new settings.
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategoryCreate(interaction) {
+        const guildId = interaction.guild.id;
+        const name = interaction.options.getString('name').trim();
+        const description = interaction.options.getString('description');
+        const emojiInput = interaction.options.getString('emoji');
+        const staffRole = interaction.options.getRole('staff_role');
+        const autoResponse = interaction.options.getString('auto_response');
+
+        const existing = await this.ticketModel.getCategoryByName(guildId, name);
+        if (existing?.is_active) {
+            await replyEphemeral(interaction, `❌ A category named **${existing.name}** already exists`);
+            return;
+        }
+
+        const categories = await this.ticketModel.getCategories(guildId);
+        const maxCategories = this.ticketService ? this.ticketService.getMaxPanelCategories() : 25;
+        if (categories.length >= maxCategories) {
+            await replyEphemeral(interaction, `❌ A server can have at most ${maxCategories} ticket categories`);
+            return;
+        }
+
+        const emoji = emojiInput ? this.parseEmoji(emojiInput) : null;
+        if (emojiInput && !emoji) {
+            await replyEphemeral(interaction, '❌ Emoji must be a single emoji or a custom server emoji');
+            return;
+        }
+
+        if (staffRole && staffRole.id === guildId) {
+            await replyEphemeral(interaction, '❌ @everyone cannot be a staff role');
+            return;
+        }
+
+        const staffRoleIds = staffRole ? [staffRole.id] : [];
+
+        if (existing) {
+            await this.ticketModel.updateCategory(existing.id, {
+                name,
+                description,
+                emoji,
+                staffRoleIds,
+                autoResponse,
+                isActive: true,
+            });
+        } else {
+            await this.ticketModel.createCategory(guildId, name, description, emoji, staffRoleIds, autoResponse);
+        }
+
+        await replyEphemeral(interaction,
+            `✅ Created ticket category **${emoji ? `${emoji} ` : ''}${name}**` +
+            (staffRole ? ` with staff role ${staffRole}` : '') +
+            '. Run `/ticket-panel` to post or refresh a panel'
+        );
+        this.log(`Ticket category ${name} created in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * Edit a ticket category
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategoryEdit(interaction) {
+        const guildId = interaction.guild.id;
+        const category = await this.getActiveCategory(interaction);
+        if (!category) return;
+
+        const updates = {};
+        const cleared = (value) => value.toLowerCase() === 'none' ? null : value;
+
+        const name = interaction.options.getString('name');
+        if (name) {
+            const conflict = await this.ticketModel.getCategoryByName(guildId, name.trim());
+            if (conflict && conflict.id !== category.id) {
+                await replyEphemeral(interaction, `❌ The name **${conflict.name}** is already used by ${conflict.is_active ? 'another' : 'a deleted'} category`);
+                return;
+            }
+            updates.name = name.trim();
+        }
+
+        const description = interaction.options.getString('description');
+        if (description !== null) updates.description = cleared(description);
+
+        const emojiInput = interaction.options.getString('emoji');
+        if (emojiInput !== null) {
+            const clearEmoji = cleared(emojiInput) === null;
+            updates.emoji = clearEmoji ? null : this.parseEmoji(emojiInput);
+            if (!clearEmoji && !updates.emoji) {
+                await replyEphemeral(interaction, '❌ Emoji must be a single emoji or a custom server emoji');
+                return;
+            }
+        }
+
+        const autoResponse = interaction.options.getString('auto_response');
+        if (autoResponse !== null) updates.autoResponse = cleared(autoResponse);
+
+        if (Object.keys(updates).length === 0) {
+            await replyEphemeral(interaction, '❌ Nothing to change. Pass at least one option to update');
+            return;
+        }
+
+        await this.ticketModel.updateCategory(category.id, updates);
+
+        await replyEphemeral(interaction, `✅ Updated ticket category **${updates.name || category.name}**. Run \`/ticket-panel\` to refresh existing panels`);
+        this.log(`Ticket category ${category.id} updated in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * Add or remove a staff role of a ticket category
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategoryStaff(interaction) {
+        const category = await this.getActiveCategory(interaction);
+        if (!category) return;
+
+        const role = interaction.options.getRole('role');
+        if (role.id === interaction.guild.id) {
+            await replyEphemeral(interaction, '❌ @everyone cannot be a staff role');
+            return;
+        }
+
+        const staffRoleIds = [...category.staff_role_ids];
+        const index = staffRoleIds.indexOf(role.id);
+        const removing = index !== -1;
+
+        if (removing) {
+            staffRoleIds.splice(index, 1);
+        } else if (staffRoleIds.length >= MAX_STAFF_ROLES) {
+            await replyEphemeral(interaction, `❌ A category can have at most ${MAX_STAFF_ROLES} staff roles`);
+            return;
+        } else {
+            staffRoleIds.push(role.id);
+        }
+
+        await this.ticketModel.updateCategory(category.id, { staffRoleIds });
+
+        await replyEphemeral(interaction,
+            removing
+                ? `✅ ${role} is no longer a staff role of **${category.name}**`
+                : `✅ ${role} can now see and handle new **${category.name}** tickets`
+        );
+    }
+
+    /**
+     * Delete a ticket category
+     * Open tickets of the category are not affected.
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategoryDelete(interaction) {
+        const category = await this.getActiveCategory(interaction);
+        if (!category) return;
+
+        await this.ticketModel.deleteCategory(category.id);
+
+        await replyEphemeral(interaction, `✅ Deleted ticket category **${category.name}**. Its panel buttons stop working, run \`/ticket-panel\` to post an updated panel`);
+        this.log(`Ticket category ${category.id} deleted in guild ${interaction.guild.id}`, 'info');
+    }
+
+    /**
+     * List ticket categories
+     * @param {Object} interaction - Discord interaction
+     */
+    async ticketCategoryList(interaction) {
+        const categories = await this.ticketModel.getCategories(interaction.guild.id);
+
+        if (categories.length === 0) {
+            await replyEphemeral(interaction, 'No ticket categories yet. Create one with `/ticket-category create`');
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('🎫 Ticket Categories')
+            .addFields(categories.map(category => ({
+                name: category.emoji ? `${category.emoji} ${category.name}` : category.name,
+                value: [
+                    category.description || 'No description',
+                    `**Staff:** ${category.staff_role_ids.length > 0 ? category.staff_role_ids.map(id => `<@&${id}>`).join(', ') : 'None'}`,
+                    `**Auto Response:** ${category.auto_response ? 'Yes' : 'No'}`,
+                ].join('\n'),
+            })))
+            .setTimestamp();
+
+        await replyEphemeral(interaction, { embeds: [embed] });
+    }
+
+    /**
+     * Get the active category named by the "category" option
+     * Replies with an error when it does not exist.
+     * @param {Object} interaction - Discord interaction
+     * @returns {Promise<Object|null>} Category or null
+     */
+    async getActiveCategory(interaction) {
+        const name = interaction.options.getString('category');
+        const category = await this.ticketModel.getCategoryByName(interaction.guild.id, name.trim());
+
+        if (!category || !category.is_active) {
+            await replyEphemeral(interaction, `❌ Ticket category \`${name}\` not found`);
+            return null;
+        }
+
+        return category;
+    }
+
+    /**
+     * Parse a category emoji option
+     * @param {string} input - Emoji option value
+     * @returns {string|null} Unicode emoji or custom emoji markup, null if invalid
+     */
+    parseEmoji(input) {
+        const value = input.trim();
+
+        if (/^<a?:\w{2,32}:\d{17,20}>$/.test(value)) {
+            return value;
+        }
+
+        if (/^\p{Extended_Pictographic}/u.test(value) && [...value].length <= 8 && !/\s/.test(value)) {
+            return value;
+        }
+
+        return null;
+    }
 }
 
 module.exports = TicketController;
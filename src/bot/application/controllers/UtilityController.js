@@ -7,6 +7,14 @@
 
 const Controller = require('../../system/core/Controller');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, version: djsVersion } = require('discord.js');
+const { randomUUID } = require('crypto');
+const { parseReminderTime } = require('../../system/helpers/TimeParserHelper');
+const { isValidTimezone } = require('../../system/helpers/CronHelper');
+
+// Reminder limits
+const MAX_REMINDERS_PER_USER = 25;
+const MIN_REMINDER_MS = 60 * 1000;
+const MAX_REMINDER_MS = 365 * 24 * 60 * 60 * 1000;
 
 class UtilityController extends Controller {
     /**
@@ -207,7 +215,309 @@ class UtilityController extends Controller {
         }
     }
 
+    /**
+     * Reaction role command handler
+     * Dispatches /reactionrole add|remove|list
+     * @param {Object} interaction - Discord interaction
+     */
+    async reactionrole(interaction) {
+        try {
+            if (!interaction.member.permissions.has('ManageRoles')) {
+                return await this.safeReplyError(interaction, 'You need the **Manage Roles** permission to manage reaction roles');
+            }
+
+            const reactionRoleService = this.getReactionRoleService();
+            if (!reactionRoleService) {
+                return await this.safeReplyError(interaction, 'Reaction roles are not available right now');
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'add':
+                    await this.reactionRoleAdd(interaction, reactionRoleService);
+                    break;
+                case 'remove':
+                    await this.reactionRoleRemove(interaction, reactionRoleService);
+                    break;
+                case 'list':
+                    await this.reactionRoleList(interaction, reactionRoleService);
+                    break;
+                default:
+                    await this.safeReplyError(interaction, 'Unknown subcommand');
+            }
+        } catch (error) {
+            this.log(`Error in reactionrole command: ${error.message}`, 'error');
+            await this.safeReplyError(interaction, 'Failed to manage reaction roles');
+        }
+    }
+
+    /**
+     * Bind an emoji to a role (reactionrole add subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} reactionRoleService - ReactionRoleService instance
+     */
+    async reactionRoleAdd(interaction, reactionRoleService) {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const role = interaction.options.getRole('role');
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+        const result = await reactionRoleService.addReactionRole({
+            guild: interaction.guild,
+            channel,
+            messageId: interaction.options.getString('message_id').trim(),
+            emoji: interaction.options.getString('emoji'),
+            role,
+            mode: interaction.options.getString('mode'),
+            description: interaction.options.getString('description'),
+            executor: interaction.member
+        });
+
+        if (!result.success) {
+            return await this.safeReplyError(interaction, result.message);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x2ecc71)
+            .setTitle('✅ Reaction Role Added')
+            .setDescription(`Reacting with ${result.emoji} now applies ${role} in **${result.mode}** mode.`)
+            .addFields({
+                name: 'Message',
+                value: `[Jump to message](https://discord.com/channels/${interaction.guild.id}/${channel.id}/${result.reactionRole.messageId})`,
+                inline: true
+            })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    /**
+     * Unbind one or all emojis from a message (reactionrole remove subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} reactionRoleService - ReactionRoleService instance
+     */
+    async reactionRoleRemove(interaction, reactionRoleService) {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const result = await reactionRoleService.removeReactionRole(
+            interaction.guild,
+            interaction.options.getString('message_id').trim(),
+            interaction.options.getString('emoji')
+        );
+
+        if (!result.success) {
+            return await this.safeReplyError(interaction, result.message);
+        }
+
+        await interaction.editReply({
+            content: `✅ Removed ${result.removed} reaction role${result.removed === 1 ? '' : 's'}`
+        });
+    }
+
+    /**
+     * List reaction roles in the guild (reactionrole list subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} reactionRoleService - ReactionRoleService instance
+     */
+    async reactionRoleList(interaction, reactionRoleService) {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+        const groups = await reactionRoleService.listReactionRoles(interaction.guild.id);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('🎭 Reaction Roles')
+            .setTimestamp();
+
+        if (groups.length === 0) {
+            embed.setDescription('No reaction roles set up. Use `/reactionrole add` to create one.');
+        }
+
+        // Embeds allow at most 25 fields
+        for (const group of groups.slice(0, 25)) {
+            const lines = group.bindings.map(row => {
+                const emoji = reactionRoleService.formatEmoji(interaction.guild, row.emoji);
+                const description = row.description ? ` - ${row.description}` : '';
+                return `${emoji} → <@&${row.role_id}>${description}`;
+            });
+
+            embed.addFields({
+                name: `Message ${group.messageId} (${group.mode})`,
+                value: `<#${group.channelId}> · [Jump](https://discord.com/channels/${interaction.guild.id}/${group.channelId}/${group.messageId})\n${lines.join('\n')}`.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        if (groups.length > 25) {
+            embed.setFooter({ text: `Showing 25 of ${groups.length} messages` });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    /**
+     * Remind command handler
+     * Dispatches /remind me|list|cancel
+     * @param {Object} interaction - Discord interaction
+     */
+    async remind(interaction) {
+        try {
+            const automationService = this.client.automationService;
+            if (!automationService) {
+                return await this.safeReplyError(interaction, 'Reminders are not available right now');
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'me':
+                    await this.remindMe(interaction, automationService);
+                    break;
+                case 'list':
+                    await this.remindList(interaction, automationService);
+                    break;
+                case 'cancel':
+                    await this.remindCancel(interaction, automationService);
+                    break;
+                default:
+                    await this.safeReplyError(interaction, 'Unknown subcommand');
+            }
+        } catch (error) {
+            this.log(`Error in remind command: ${error.message}`, 'error');
+            await this.safeReplyError(interaction, 'Failed to manage reminders');
+        }
+    }
+
+    /**
+     * Set a reminder (remind me subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} automationService - AutomationService instance
+     */
+    async remindMe(interaction, automationService) {
+        const when = interaction.options.getString('when');
+        const message = interaction.options.getString('message');
+        const timezone = interaction.options.getString('timezone') || this.appConfig.automation?.timezone || 'UTC';
+
+        if (!isValidTimezone(timezone)) {
+            return await this.safeReplyError(interaction, `Unknown timezone \`${timezone}\`. Use a name like \`Europe/Berlin\` or \`America/New_York\`.`);
+        }
+
+        const remindAt = parseReminderTime(when, { timezone });
+        if (!remindAt) {
+            return await this.safeReplyError(interaction, `I couldn't understand \`${when}\`. Try \`in 2h30m\`, \`tomorrow 9am\` or \`friday 18:00\`.`);
+        }
+
+        const delay = remindAt - Date.now();
+        if (delay < MIN_REMINDER_MS) {
+            return await this.safeReplyError(interaction, 'Reminders must be at least 1 minute in the future');
+        }
+        if (delay > MAX_REMINDER_MS) {
+            return await this.safeReplyError(interaction, 'Reminders can be at most 1 year in the future');
+        }
+
+        if (automationService.get_user_reminders(interaction.user.id).length >= MAX_REMINDERS_PER_USER) {
+            return await this.safeReplyError(interaction, `You can have at most ${MAX_REMINDERS_PER_USER} pending reminders`);
+        }
+
+        const reminder = await automationService.create_reminder(
+            randomUUID(),
+            interaction.user.id,
+            interaction.channelId,
+            message,
+            remindAt,
+            { guild_id: interaction.guildId }
+        );
+
+        const timestamp = Math.floor(reminder.remind_at / 1000);
+        const embed = new EmbedBuilder()
+            .setColor(0x2ecc71)
+            .setTitle('⏰ Reminder Set')
+            .setDescription(message)
+            .addFields(
+                { name: 'When', value: `<t:${timestamp}:f> (<t:${timestamp}:R>)`, inline: true },
+                { name: 'ID', value: `\`${this.shortReminderId(reminder.id)}\``, inline: true }
+            )
+            .setFooter({ text: 'Delivered by DM, or in this channel if your DMs are closed' });
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    /**
+     * List pending reminders (remind list subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} automationService - AutomationService instance
+     */
+    async remindList(interaction, automationService) {
+        const reminders = automationService.get_user_reminders(interaction.user.id);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('⏰ Your Reminders');
+
+        if (reminders.length === 0) {
+            embed.setDescription('You have no pending reminders. Use `/remind me` to set one.');
+        } else {
+            const lines = reminders.map(reminder => {
+                const timestamp = Math.floor(reminder.remind_at / 1000);
+                const text = reminder.message.length > 80 ? `${reminder.message.substring(0, 77)}...` : reminder.message;
+                return `\`${this.shortReminderId(reminder.id)}\` <t:${timestamp}:R> - ${text}`;
+            });
+
+            embed.setDescription(lines.join('\n').substring(0, 4096));
+            embed.setFooter({ text: 'Cancel with /remind cancel <id>' });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    /**
+     * Cancel a pending reminder (remind cancel subcommand)
+     * @param {Object} interaction - Discord interaction
+     * @param {Object} automationService - AutomationService instance
+     */
+    async remindCancel(interaction, automationService) {
+        const id = interaction.options.getString('id').trim().toLowerCase();
+        if (!id) {
+            return await this.safeReplyError(interaction, 'Enter a reminder ID from `/remind list`');
+        }
+
+        const matches = automationService
+            .get_user_reminders(interaction.user.id)
+            .filter(reminder => reminder.id.startsWith(id));
+
+        if (matches.length === 0) {
+            return await this.safeReplyError(interaction, `No pending reminder with ID \`${id}\``);
+        }
+        if (matches.length > 1) {
+            return await this.safeReplyError(interaction, `\`${id}\` matches more than one reminder, use the full ID from \`/remind list\``);
+        }
+
+        await automationService.cancel_reminder(matches[0].id);
+
+        await interaction.reply({
+            content: `✅ Cancelled reminder \`${this.shortReminderId(matches[0].id)}\``,
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    /**
+     * Shorten a reminder ID for display
+     * @param {string} id - Reminder ID
+     * @returns {string} Short ID
+     */
+    shortReminderId(id) {
+        return id.substring(0, 8);
+    }
+
+    /**
+     * Get ReactionRoleService instance
+     * @returns {Object|null} ReactionRoleService instance or null
+     */
+    getReactionRoleService() {
+        const utilityModule = this.client.modules.get('utility');
+        return utilityModule ? utilityModule.getService('ReactionRoleService') : null;
+    }
 }
 
 module.exports = UtilityController;
@@ -6,6 +6,8 @@
 
 const { EmbedBuilder } = require('discord.js');
 const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+const { describeFilterChain } = require('../../../../system/helpers/AudioFilterHelper');
+const { describeDJCommands } = require('../../../../system/helpers/MusicPermissionHelper');
 
 class ConfigHandler {
     constructor(controller) {
@@ -86,8 +88,12 @@ class ConfigHandler {
             // Music settings
             const musicValue = [
                 `**DJ Role:** ${config.dj_role ? `<@&${config.dj_role}>` : 'Not set'}`,
+                `**DJ Commands:** ${describeDJCommands(config.music_dj_commands)}`,
+                `**Vote Skip:** ${config.music_vote_skip ? `✅ ${config.music_vote_skip_percent}% of listeners` : '❌ No'}`,
+                `**Requester Skip:** ${config.music_requester_skip ? '✅ Yes' : '❌ No'}`,
                 `**Default Volume:** ${config.volume_default}%`,
                 `**Max Queue Size:** ${config.max_queue_size} tracks`,
+                `**Default Filter:** ${describeFilterChain(config.music_default_filter)}`,
             ].join('\n');
 
             embed.addFields({
@@ -128,6 +134,9 @@ class ConfigHandler {
             // Leveling settings
             const levelingValue = [
                 `**XP Multiplier:** ${config.leveling_xp_multiplier}x`,
+                `**XP Cooldown:** ${config.leveling_xp_cooldown}s`,
+                `**Announcement Channel:** ${config.leveling_announcement_channel ? `<#${config.leveling_announcement_channel}>` : 'Not set'}`,
+                `**Role Rewards:** ${config.leveling_stack_role_rewards ? 'Stack' : 'Keep highest only'}`,
             ].join('\n');
 
             embed.addFields({
@@ -139,6 +148,8 @@ class ConfigHandler {
             // Economy settings
             const economyValue = [
                 `**Starting Balance:** ${config.economy_starting_balance} coins`,
+                `**Bet Limits:** ${config.economy_min_bet} - ${config.economy_max_bet > 0 ? `${config.economy_max_bet} coins` : 'no limit'}`,
+                `**Game Cooldown:** ${config.economy_game_cooldown}s`,
             ].join('\n');
 
             embed.addFields({
@@ -147,6 +158,22 @@ class ConfigHandler {
                 inline: false,
             });
 
+            // Ticket settings
+            const ticketValue = [
+                `**Transcript Channel:** ${config.ticket_log_channel ? `<#${config.ticket_log_channel}>` : 'Not set'}`,
+                `**Alert Channel:** ${config.ticket_alert_channel ? `<#${config.ticket_alert_channel}>` : 'Transcript channel'}`,
+                `**Inactivity Reminder:** ${config.ticket_reminder_hours > 0 ? `after ${config.ticket_reminder_hours}h` : 'Disabled'}`,
+                `**Auto-Close:** ${config.ticket_reminder_hours > 0 && config.ticket_auto_close_hours > 0 ? `${config.ticket_auto_close_hours}h after the reminder` : 'Disabled'}`,
+                `**Reopen Window:** ${config.ticket_reopen_grace_hours > 0 ? `${config.ticket_reopen_grace_hours}h` : 'None (deleted on close)'}`,
+                `**SLA Alerts:** ${config.ticket_sla_minutes > 0 ? `high/urgent unclaimed after ${config.ticket_sla_minutes}m` : 'Disabled'}`,
+            ].join('\n');
+
+            embed.addFields({
+                name: '🎫 Tickets',
+                value: ticketValue,
+                inline: false,
+            });
+
             await interaction.editReply({ embeds: [embed] });
         } catch (error) {
             this.controller.log(`Error in configView: ${error.message}`, 'error', {
@@ -346,6 +373,7 @@ class ConfigHandler {
                 moderation: '🛡️ Moderation',
                 leveling: '📈 Leveling',
                 economy: '💰 Economy',
+                tickets: '🎫 Tickets',
             };
 
             // Add fields for each category with character limit check
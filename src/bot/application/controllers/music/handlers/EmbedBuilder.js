@@ -5,6 +5,7 @@
  */
 
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { describeFilterChain } = require('../../../../system/helpers/AudioFilterHelper');
 
 class MusicEmbedBuilder {
     constructor(controller) {
@@ -43,7 +44,7 @@ class MusicEmbedBuilder {
         }
 
         embed.addFields(
-            { name: 'Requested By', value: `<@${track.requestedBy.id}>`, inline: true }
+            { name: 'Requested By', value: track.autoplay ? '📻 Autoplay' : `<@${track.requestedBy.id}>`, inline: true }
         );
 
         if (track.thumbnail) {
@@ -57,21 +58,13 @@ class MusicEmbedBuilder {
             'queue': '🔁'
         };
 
-        const filterEmoji = {
-            'none': '🎵',
-            'bassboost': '🔊',
-            'nightcore': '⚡',
-            'vaporwave': '🌊',
-            '8d': '🎧',
-            'karaoke': '🎤'
-        };
-
         const currentFilter = queue.filter || 'none';
-        const filterName = currentFilter === 'none' ? 'None' : currentFilter.charAt(0).toUpperCase() + currentFilter.slice(1);
+        const filterEmoji = currentFilter === 'none' ? '🎵' : '🎛️';
+        const filterName = describeFilterChain(currentFilter);
 
         embed.addFields({
             name: '⚙️ Settings',
-            value: `Loop: ${loopEmoji[queue.loop]} ${queue.loop} | Volume: 🔊 ${queue.volume}% | Filter: ${filterEmoji[currentFilter]} ${filterName}`,
+            value: `Loop: ${loopEmoji[queue.loop]} ${queue.loop} | Volume: 🔊 ${queue.volume}% | Filter: ${filterEmoji} ${filterName} | Autoplay: 📻 ${queue.autoplay ? 'on' : 'off'}`,
         });
 
         // Add next tracks
@@ -123,10 +116,12 @@ class MusicEmbedBuilder {
             new ButtonBuilder().setCustomId('music_loop').setEmoji(loopEmoji).setStyle(loopStyle)
         );
 
-        // Row 2: volume controls
+        // Row 2: volume and autoplay controls
         const row2 = new ActionRowBuilder().addComponents(
             new ButtonBuilder().setCustomId('music_volume_down').setEmoji('🔉').setStyle(ButtonStyle.Secondary),
-            new ButtonBuilder().setCustomId('music_volume_up').setEmoji('🔊').setStyle(ButtonStyle.Secondary)
+            new ButtonBuilder().setCustomId('music_volume_up').setEmoji('🔊').setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder().setCustomId('music_autoplay').setEmoji('📻')
+                .setStyle(queue.autoplay ? ButtonStyle.Primary : ButtonStyle.Secondary)
         );
 
         return [row1, row2];
@@ -157,6 +152,41 @@ class MusicEmbedBuilder {
         return embed;
     }
 
+    /**
+     * Create embed for a queued playlist
+     * @param {Object} result - Result of MusicPlayerService.playPlaylist
+     * @param {Object} requester - User who added the playlist
+     * @param {boolean} loading - Whether more tracks are still being added
+     * @returns {EmbedBuilder} Discord embed
+     */
+    createPlaylistQueuedEmbed(result, requester, loading = false) {
+        const { playlist, added, position, limited } = result;
+        const total = playlist.totalTracks ? ` of ${playlist.totalTracks}` : '';
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00b894)
+            .setTitle(`✅ Added ${added} ${added === 1 ? 'track' : 'tracks'}${total}`)
+            .setDescription(`[${playlist.title}](${playlist.url})`)
+            .addFields(
+                { name: 'Starting At', value: `#${position}`, inline: true },
+                { name: 'Requested By', value: `<@${requester.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        const firstTrack = playlist.tracks[0];
+        if (firstTrack && firstTrack.thumbnail) {
+            embed.setThumbnail(firstTrack.thumbnail);
+        }
+
+        if (loading) {
+            embed.setFooter({ text: 'Adding the rest of the playlist...' });
+        } else if (limited) {
+            embed.setFooter({ text: 'Stopped at the queue limit' });
+        }
+
+        return embed;
+    }
+
     /**
      * Create embed for queue display
      * @param {Object} queue - Queue object
@@ -172,7 +202,7 @@ class MusicEmbedBuilder {
         if (queue.current) {
             const nowPlayingText = `[${queue.current.title}](${queue.current.url})\n` +
                 `Duration: ${this.controller.formatDuration(queue.current.duration)} | ` +
-                `Requested by: <@${queue.current.requestedBy.id}>`;
+                `Requested by: ${queue.current.autoplay ? '📻 Autoplay' : `<@${queue.current.requestedBy.id}>`}`;
 
             embed.addFields({
                 name: '🎶 Now Playing',
@@ -211,22 +241,14 @@ class MusicEmbedBuilder {
             'queue': '🔁'
         };
 
-        const filterEmoji = {
-            'none': '🎵',
-            'bassboost': '🔊',
-            'nightcore': '⚡',
-            'vaporwave': '🌊',
-            '8d': '🎧',
-            'karaoke': '🎤'
-        };
-
-        const filterName = currentFilter === 'none' ? 'None' : currentFilter.charAt(0).toUpperCase() + currentFilter.slice(1);
+        const filterEmoji = currentFilter === 'none' ? '🎵' : '🎛️';
+        const filterName = describeFilterChain(currentFilter);
 
         embed.addFields({
             name: '⚙️ Settings',
             value: `Loop: ${loopEmoji[loopMode]} ${loopMode.charAt(0).toUpperCase() + loopMode.slice(1)} | ` +
                 `Volume: 🔊 ${volume}% | ` +
-                `Filter: ${filterEmoji[currentFilter]} ${filterName} | ` +
+                `Filter: ${filterEmoji} ${filterName} | ` +
                 `Total Duration: ⏱️ ${this.controller.formatDuration(totalDuration)}`,
         });
 
@@ -0,0 +1,246 @@
+/**
+ * HistoryHandler
+ *
+ * Handles play history commands: previous, replay, history and music-stats
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+const { formatTimespan } = require('../../../../system/helpers/FormatHelper');
+
+// Entries shown by /history, and per page
+const HISTORY_ENTRIES = 50;
+const ENTRIES_PER_PAGE = 10;
+
+// /music-stats periods in days (null = all kept history)
+const STATS_PERIODS = {
+    week: { days: 7, label: 'Last 7 days' },
+    month: { days: 30, label: 'Last 30 days' },
+    all: { days: null, label: 'All time' },
+};
+
+const CHART_SIZE = 5;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Shorten a track title for a list line
+ * @param {string} title - Track title
+ * @returns {string} Title, ending in … if shortened
+ */
+function shortTitle(title) {
+    return title.length > 60 ? `${title.slice(0, 59)}…` : title;
+}
+
+class HistoryHandler {
+    constructor(controller) {
+        this.controller = controller;
+    }
+
+    /**
+     * Previous command handler
+     * Plays the previous track again; the current one follows it
+     * @param {Object} interaction - Discord interaction
+     */
+    async previous(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+
+            if (!(await this.controller.hasDJPermissions(interaction.member, guildId, 'previous'))) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
+            if (!this.controller.musicPlayerService.isConnected(guildId)) {
+                await replyEphemeral(interaction, '❌ Nothing is currently playing');
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const track = await this.controller.musicPlayerService.previous(guildId);
+            if (!track) {
+                await interaction.editReply({ content: '❌ There is no previous track. Use `/history` and `/replay` to play an older one' });
+                return;
+            }
+
+            await interaction.editReply(`⏮️ Playing previous track **${track.title}**`);
+            this.controller.log(`Went back to previous track in guild ${guildId}`, 'info');
+        } catch (error) {
+            this.controller.log(`Error in previous command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, 'Failed to play previous track');
+        }
+    }
+
+    /**
+     * Replay command handler
+     * Restarts the current track, or queues a track from /history
+     * @param {Object} interaction - Discord interaction
+     */
+    async replay(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const position = interaction.options.getInteger('entry');
+
+            if (!(await this.controller.hasDJPermissions(interaction.member, guildId, 'replay'))) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
+            if (!position) {
+                const current = this.controller.musicPlayerService.getCurrent(guildId);
+                if (!current) {
+                    await replyEphemeral(interaction, '❌ Nothing is currently playing. Pick an `entry` from `/history` to replay');
+                    return;
+                }
+
+                await interaction.deferReply();
+                await this.controller.musicPlayerService.seek(guildId, 0);
+                await interaction.editReply(`🔁 Replaying **${current.title}**`);
+                return;
+            }
+
+            const historyService = this.controller.musicHistoryService;
+            if (!historyService) {
+                await replyEphemeral(interaction, '❌ Play history is not available');
+                return;
+            }
+
+            const voiceChannel = this.controller.validateVoiceChannel(interaction.member);
+            this.controller.validateBotPermissions(voiceChannel, interaction.guild);
+
+            await interaction.deferReply();
+
+            const entry = await historyService.getEntry(guildId, position);
+            if (!entry) {
+                await interaction.editReply({ content: `❌ No history entry ${position}, see \`/history\`` });
+                return;
+            }
+
+            const result = await this.controller.musicPlayerService.play({
+                guildId,
+                query: entry.url,
+                voiceChannel,
+                textChannel: interaction.channel,
+                requester: interaction.user,
+            });
+
+            await interaction.editReply({ embeds: [this.controller.createQueuedEmbed(result.track, result.position)] });
+        } catch (error) {
+            this.controller.log(`Error in replay command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to replay track');
+        }
+    }
+
+    /**
+     * History command handler
+     * Lists the guild's recently played tracks, newest first
+     * @param {Object} interaction - Discord interaction
+     */
+    async history(interaction) {
+        try {
+            const historyService = this.controller.musicHistoryService;
+            if (!historyService) {
+                await replyEphemeral(interaction, '❌ Play history is not available');
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const entries = await historyService.getHistory(interaction.guild.id, HISTORY_ENTRIES);
+            if (entries.length === 0) {
+                await interaction.editReply({ content: '📭 Nothing has been played in this server yet' });
+                return;
+            }
+
+            const pageCount = Math.ceil(entries.length / ENTRIES_PER_PAGE);
+            const pages = [];
+
+            for (let page = 0; page < pageCount; page++) {
+                const lines = entries
+                    .slice(page * ENTRIES_PER_PAGE, (page + 1) * ENTRIES_PER_PAGE)
+                    .map((entry, i) => {
+                        const requester = entry.autoplay ? '📻 Autoplay' : (entry.requestedBy ? `<@${entry.requestedBy}>` : 'Unknown');
+                        const skipped = entry.skipped ? ' · ⏭️ skipped' : '';
+                        return `**${page * ENTRIES_PER_PAGE + i + 1}.** [${shortTitle(entry.title)}](${entry.url}) · ${this.controller.formatDuration(entry.duration)}\n` +
+                            `${requester} · <t:${Math.floor(entry.playedAt / 1000)}:R>${skipped}`;
+                    });
+
+                pages.push(new EmbedBuilder()
+                    .setColor(0x00b894)
+                    .setTitle(`🕘 Recently played in ${interaction.guild.name}`)
+                    .setDescription(lines.join('\n'))
+                    .setFooter({ text: `Page ${page + 1}/${pageCount} · Use /replay <entry> to play one again` }));
+            }
+
+            const paginationManager = this.controller.client.paginationManager;
+            if (paginationManager) {
+                await paginationManager.create_pagination(interaction, pages);
+            } else {
+                await interaction.editReply({ embeds: [pages[0]] });
+            }
+        } catch (error) {
+            this.controller.log(`Error in history command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, 'Failed to get play history');
+        }
+    }
+
+    /**
+     * Music stats command handler
+     * Shows the guild's most played tracks and top requesters
+     * @param {Object} interaction - Discord interaction
+     */
+    async musicStats(interaction) {
+        try {
+            const historyService = this.controller.musicHistoryService;
+            if (!historyService) {
+                await replyEphemeral(interaction, '❌ Play history is not available');
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const period = STATS_PERIODS[interaction.options.getString('period')] || STATS_PERIODS.month;
+            const stats = await historyService.getStats(interaction.guild.id, { days: period.days, limit: CHART_SIZE });
+
+            if (stats.totalPlays === 0) {
+                await interaction.editReply({ content: `📭 Nothing has been played in this server (${period.label.toLowerCase()})` });
+                return;
+            }
+
+            const rank = i => MEDALS[i] || `**${i + 1}.**`;
+            const skipRate = Math.round((stats.skipped / stats.totalPlays) * 100);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x00b894)
+                .setTitle(`📊 Music stats for ${interaction.guild.name}`)
+                .addFields(
+                    { name: 'Plays', value: `${stats.totalPlays}`, inline: true },
+                    { name: 'Different Tracks', value: `${stats.uniqueTracks}`, inline: true },
+                    { name: 'Skipped', value: `${skipRate}%`, inline: true },
+                    {
+                        name: '🔥 Most Played',
+                        value: stats.mostPlayed
+                            .map((track, i) => `${rank(i)} [${shortTitle(track.title)}](${track.url}) · ${track.plays} play${track.plays !== 1 ? 's' : ''}`)
+                            .join('\n'),
+                    },
+                    {
+                        name: '🎧 Top Requesters',
+                        value: stats.topRequesters.length > 0
+                            ? stats.topRequesters
+                                .map((requester, i) => `${rank(i)} <@${requester.userId}> · ${requester.plays} track${requester.plays !== 1 ? 's' : ''} (${formatTimespan(requester.duration)})`)
+                                .join('\n')
+                            : 'Only autoplay tracks were played'
+                    }
+                )
+                .setFooter({ text: `${period.label} · ${formatTimespan(stats.listenedTime)} of music` });
+
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            this.controller.log(`Error in music-stats command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, 'Failed to get music stats');
+        }
+    }
+}
+
+module.exports = HistoryHandler;
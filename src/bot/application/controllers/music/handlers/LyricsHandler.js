@@ -0,0 +1,115 @@
+/**
+ * LyricsHandler
+ *
+ * Handles /lyrics: paged lyrics of the current track or a search, and
+ * synced lyrics on the now playing message
+ */
+
+const { EmbedBuilder, MessageFlags } = require('discord.js');
+const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+const { splitLyrics } = require('../../../../system/helpers/LyricsHelper');
+
+class LyricsHandler {
+    constructor(controller) {
+        this.controller = controller;
+    }
+
+    /**
+     * Lyrics command handler
+     * Shows the lyrics of the current track, or of the song searched for.
+     * With synced, the now playing message follows along with the current track.
+     * @param {Object} interaction - Discord interaction
+     */
+    async lyrics(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const query = interaction.options.getString('query')?.trim() || null;
+            const synced = interaction.options.getBoolean('synced') || false;
+
+            const lyricsService = this.controller.lyricsService;
+            if (!lyricsService) {
+                await replyEphemeral(interaction, '❌ Lyrics are not available');
+                return;
+            }
+
+            const current = this.controller.musicPlayerService.getCurrent(guildId);
+
+            if (!query && !current) {
+                await replyEphemeral(interaction, '❌ Nothing is currently playing. Use `query` to look up a song');
+                return;
+            }
+
+            if (synced && query) {
+                await replyEphemeral(interaction, '❌ Synced lyrics follow the current track, so they can\'t be used with `query`');
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const lyrics = await lyricsService.getLyrics(query ? { query } : { track: current });
+            const searched = query || current.title;
+
+            if (!lyrics) {
+                await interaction.editReply({ content: `❌ No lyrics found for **${searched}**` });
+                return;
+            }
+
+            const heading = lyrics.artist ? `${lyrics.artist} - ${lyrics.title}` : lyrics.title;
+
+            if (lyrics.instrumental || !lyrics.plain) {
+                await interaction.editReply({ content: `🎼 **${heading}** is an instrumental` });
+                return;
+            }
+
+            const pages = splitLyrics(lyrics.plain);
+            const embeds = pages.map((page, i) => new EmbedBuilder()
+                .setColor(0x00b894)
+                .setTitle(`🎤 ${heading.length > 240 ? `${heading.slice(0, 239)}…` : heading}`)
+                .setDescription(page)
+                .setFooter({
+                    text: `Page ${i + 1}/${pages.length} · Lyrics from ${lyrics.source}${lyrics.synced ? ' · Synced lyrics available' : ''}`,
+                }));
+
+            // Thumbnail only for the track that is playing
+            if (!query && current.thumbnail) {
+                embeds.forEach(embed => embed.setThumbnail(current.thumbnail));
+            }
+
+            const paginationManager = this.controller.client.paginationManager;
+            if (paginationManager) {
+                await paginationManager.create_pagination(interaction, embeds);
+            } else {
+                await interaction.editReply({ embeds: [embeds[0]] });
+            }
+
+            if (synced) {
+                await this.startSync(interaction, current, lyrics);
+            }
+        } catch (error) {
+            this.controller.log(`Error in lyrics command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, 'Failed to get lyrics');
+        }
+    }
+
+    /**
+     * Start synced lyrics for the current track and tell the member how it went
+     * @param {Object} interaction - Discord interaction (already replied to)
+     * @param {Object} track - Current track
+     * @param {Object} lyrics - Lyrics of the track
+     * @private
+     */
+    async startSync(interaction, track, lyrics) {
+        let content;
+        if (!lyrics.synced) {
+            content = '⚠️ There are no synced lyrics for this track, only the text above';
+        } else if (this.controller.lyricsService.startSync(interaction.guild.id, track, lyrics.synced)) {
+            content = '🎤 The now playing message now follows along with the lyrics until the track ends';
+        } else {
+            content = '⚠️ The now playing message was not found, so synced lyrics can\'t be shown';
+        }
+
+        await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
+    }
+}
+
+module.exports = LyricsHandler;
@@ -24,6 +24,11 @@ class PlaybackHandler {
             const member = interaction.member;
             const guild = interaction.guild;
 
+            if (!(await this.controller.hasDJPermissions(member, guild.id, 'play'))) {
+                await interaction.editReply({ content: '❌ You need the DJ role to use this command' });
+                return;
+            }
+
             // Validate voice channel
             const voiceChannel = this.controller.validateVoiceChannel(member);
             this.controller.validateBotPermissions(voiceChannel, guild);
@@ -37,6 +42,22 @@ class PlaybackHandler {
                 requester: interaction.user,
             });
 
+            // Playlist and mix URLs queue many tracks at once
+            if (result.playlist) {
+                const embed = this.controller.createPlaylistQueuedEmbed(result, interaction.user, Boolean(result.pending));
+                await interaction.editReply({ embeds: [embed] });
+
+                // Update the summary once the remaining pages are queued
+                if (result.pending) {
+                    result.pending
+                        .then(final => interaction.editReply({
+                            embeds: [this.controller.createPlaylistQueuedEmbed({ ...result, ...final }, interaction.user)],
+                        }))
+                        .catch(err => this.controller.log(`Failed to update playlist summary: ${err.message}`, 'warn'));
+                }
+                return;
+            }
+
             // Send response
             const embed = this.controller.createQueuedEmbed(result.track, result.position);
             await interaction.editReply({ embeds: [embed] });
@@ -61,6 +82,13 @@ class PlaybackHandler {
         try {
             const guildId = interaction.guild.id;
 
+            // Check DJ permissions
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'pause');
+            if (!hasDJ) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
             // Check if something is playing
             if (!this.controller.musicPlayerService.isPlaying(guildId)) {
                 await replyEphemeral(interaction, '❌ Nothing is currently playing');
@@ -91,6 +119,13 @@ class PlaybackHandler {
         try {
             const guildId = interaction.guild.id;
 
+            // Check DJ permissions
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'resume');
+            if (!hasDJ) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
             // Check if something is paused
             if (!this.controller.musicPlayerService.isPaused(guildId)) {
                 await replyEphemeral(interaction, '❌ Nothing is currently paused');
@@ -114,20 +149,13 @@ class PlaybackHandler {
 
     /**
      * Skip command handler
-     * Skips the current track
+     * Skips the current track, or records a vote when vote-skip applies
      * @param {Object} interaction - Discord interaction
      */
     async skip(interaction) {
         try {
             const guildId = interaction.guild.id;
 
-            // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
-            if (!hasDJ) {
-                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
-                return;
-            }
-
             // Check if something is playing
             const current = this.controller.musicPlayerService.getCurrent(guildId);
             if (!current) {
@@ -135,11 +163,28 @@ class PlaybackHandler {
                 return;
             }
 
+            // DJs, the requester or enough votes skip; see MusicPermissionService.requestSkip
+            const result = this.controller.musicPermissionService
+                ? await this.controller.musicPermissionService.requestSkip(interaction.member, guildId)
+                : { skip: true, reason: 'allowed' };
+
+            if (!result.skip) {
+                if (result.message) {
+                    await replyEphemeral(interaction, `❌ ${result.message}`);
+                } else if (result.alreadyVoted) {
+                    await replyEphemeral(interaction, `🗳️ You already voted to skip this track (${result.votes}/${result.required} votes)`);
+                } else {
+                    await interaction.reply(`🗳️ ${interaction.user} voted to skip **${current.title}** (${result.votes}/${result.required} votes)`);
+                }
+                return;
+            }
+
             // Skip track
             this.controller.musicPlayerService.skip(guildId);
 
-            await interaction.reply(`⏭️ Skipped **${current.title}**`);
-            this.controller.log(`Skipped track in guild ${guildId}`, 'info');
+            const votes = result.reason === 'vote' ? ` (${result.votes}/${result.required} votes)` : '';
+            await interaction.reply(`⏭️ Skipped **${current.title}**${votes}`);
+            this.controller.log(`Skipped track in guild ${guildId} (${result.reason})`, 'info');
         } catch (error) {
             this.controller.log(`Error in skip command: ${error.message}`, 'error');
             await this.controller.sendError(interaction, 'Failed to skip track');
@@ -156,7 +201,7 @@ class PlaybackHandler {
             const guildId = interaction.guild.id;
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'stop');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -1,10 +1,33 @@
 /**
  * PlaylistHandler
  * 
- * Handles playlist commands: create, save, load, delete, list
+ * Handles playlist commands: create, save, load, delete, list, editing,
+ * import/export and collaborators
  */
 
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+const { parsePlaylistFile } = require('../../../../system/helpers/PlaylistFileHelper');
+
+// Tracks shown per /playlist-view page
+const TRACKS_PER_PAGE = 10;
+
+// Largest file /playlist-import reads (512 KB)
+const MAX_IMPORT_SIZE = 512 * 1024;
+
+/**
+ * Pick the fields a playlist stores for a track
+ * @param {Object} track - Queue or metadata track
+ * @returns {Object} { title, url, duration, thumbnail }
+ */
+function toPlaylistTrack(track) {
+    return {
+        title: track.title,
+        url: track.url,
+        duration: track.duration,
+        thumbnail: track.thumbnail,
+    };
+}
 
 class PlaylistHandler {
     constructor(controller) {
@@ -54,21 +77,11 @@ class PlaylistHandler {
 
             // Add current track if playing
             if (queue.current) {
-                tracks.push({
-                    title: queue.current.title,
-                    url: queue.current.url,
-                    duration: queue.current.duration,
-                    thumbnail: queue.current.thumbnail,
-                });
+                tracks.push(toPlaylistTrack(queue.current));
             }
 
             // Add queued tracks
-            tracks.push(...queue.tracks.map(t => ({
-                title: t.title,
-                url: t.url,
-                duration: t.duration,
-                thumbnail: t.thumbnail,
-            })));
+            tracks.push(...queue.tracks.map(toPlaylistTrack));
 
             if (tracks.length === 0) {
                 await replyEphemeral(interaction, '❌ Queue is empty. Nothing to save!');
@@ -106,6 +119,11 @@ class PlaylistHandler {
             const member = interaction.member;
             const guild = interaction.guild;
 
+            if (!(await this.controller.hasDJPermissions(member, guild.id, 'playlist-load'))) {
+                await interaction.editReply({ content: '❌ You need the DJ role to use this command' });
+                return;
+            }
+
             // Validate voice channel
             const voiceChannel = this.controller.validateVoiceChannel(member);
             this.controller.validateBotPermissions(voiceChannel, guild);
@@ -194,12 +212,11 @@ class PlaylistHandler {
             }
 
             // Create embed
-            const { EmbedBuilder } = require('discord.js');
             const embed = new EmbedBuilder()
                 .setColor(0x00b894)
                 .setTitle(showPublic ? '🌐 Public Playlists' : '📋 Your Playlists')
                 .setDescription(playlists.map((p, i) => {
-                    const visibility = p.isPublic ? '🌐' : '🔒';
+                    const visibility = p.isShared ? '🤝' : (p.isPublic ? '🌐' : '🔒');
                     return `**${i + 1}.** ${visibility} ${p.name}\n` +
                         `   ID: \`${p.id}\` | Tracks: ${p.trackCount}`;
                 }).join('\n\n'))
@@ -212,6 +229,281 @@ class PlaylistHandler {
             await this.controller.sendError(interaction, 'Failed to list playlists');
         }
     }
+
+    /**
+     * Playlist add command handler
+     * Adds the current track, or the first result for a query, to a playlist
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistAdd(interaction) {
+        try {
+            await interaction.deferReply();
+
+            const playlistId = interaction.options.getString('id', true);
+            const query = interaction.options.getString('query');
+
+            let track;
+            if (query) {
+                track = await this.controller.musicPlayerService.getTrackInfo(query);
+            } else {
+                track = this.controller.musicPlayerService.getCurrent(interaction.guild.id);
+                if (!track) {
+                    await interaction.editReply({ content: '❌ Nothing is currently playing. Give a query to add a track.' });
+                    return;
+                }
+            }
+
+            const position = await this.controller.playlistService.addTrack(
+                playlistId,
+                interaction.user.id,
+                toPlaylistTrack(track)
+            );
+
+            await interaction.editReply(`✅ Added **${track.title}** to the playlist at position **${position}**`);
+        } catch (error) {
+            this.controller.log(`Error in playlist-add command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to add track to playlist');
+        }
+    }
+
+    /**
+     * Playlist remove command handler
+     * Removes a track from a playlist by position
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistRemove(interaction) {
+        try {
+            const playlistId = interaction.options.getString('id', true);
+            const position = interaction.options.getInteger('position', true);
+
+            const track = await this.controller.playlistService.removeTrack(playlistId, interaction.user.id, position);
+
+            await interaction.reply(`✅ Removed **${track?.title || `track ${position}`}** from the playlist`);
+        } catch (error) {
+            this.controller.log(`Error in playlist-remove command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to remove track from playlist');
+        }
+    }
+
+    /**
+     * Playlist rename command handler
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistRename(interaction) {
+        try {
+            const playlistId = interaction.options.getString('id', true);
+            const name = interaction.options.getString('name', true).trim();
+
+            await this.controller.playlistService.updatePlaylist(playlistId, interaction.user.id, { name });
+
+            await interaction.reply(`✅ Renamed playlist \`${playlistId}\` to **${name}**`);
+        } catch (error) {
+            this.controller.log(`Error in playlist-rename command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to rename playlist');
+        }
+    }
+
+    /**
+     * Playlist view command handler
+     * Shows a playlist's tracks, a page of TRACKS_PER_PAGE at a time
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistView(interaction) {
+        try {
+            const playlistId = interaction.options.getString('id', true);
+
+            const playlist = await this.controller.playlistService.getPlaylist(playlistId, interaction.user.id);
+            if (!playlist) {
+                await replyEphemeral(interaction, '❌ Playlist not found');
+                return;
+            }
+
+            const tracks = await this.controller.playlistService.loadPlaylistTracks(playlistId, interaction.user.id);
+            const collaborators = await this.controller.playlistService.getCollaborators(playlistId);
+
+            const pageCount = Math.max(1, Math.ceil(tracks.length / TRACKS_PER_PAGE));
+            const totalDuration = tracks.reduce((total, track) => total + (track.duration || 0), 0);
+            const visibility = playlist.isPublic ? '🌐 Public' : '🔒 Private';
+
+            const pages = [];
+            for (let page = 0; page < pageCount; page++) {
+                const pageTracks = tracks.slice(page * TRACKS_PER_PAGE, (page + 1) * TRACKS_PER_PAGE);
+
+                const embed = new EmbedBuilder()
+                    .setColor(0x00b894)
+                    .setTitle(`📋 ${playlist.name}`)
+                    .setDescription(pageTracks.length > 0
+                        ? pageTracks.map(track => {
+                            const title = track.title.length > 80 ? `${track.title.slice(0, 79)}…` : track.title;
+                            return `**${track.position}.** [${title}](${track.url}) · ${this.controller.formatDuration(track.duration)}`;
+                        }).join('\n')
+                        : 'This playlist has no tracks yet. Use `/playlist-add` to add some.')
+                    .addFields(
+                        { name: 'Owner', value: `<@${playlist.userId}>`, inline: true },
+                        { name: 'Visibility', value: visibility, inline: true },
+                        { name: 'Length', value: this.controller.formatDuration(totalDuration), inline: true }
+                    )
+                    .setFooter({ text: `Page ${page + 1}/${pageCount} · ${tracks.length} track${tracks.length !== 1 ? 's' : ''} · ID: ${playlist.id}` });
+
+                if (collaborators.length > 0) {
+                    embed.addFields({
+                        name: 'Collaborators',
+                        value: collaborators.map(c => `<@${c.userId}>`).join(', '),
+                    });
+                }
+
+                pages.push(embed);
+            }
+
+            const paginationManager = this.controller.client.paginationManager;
+            if (paginationManager) {
+                await paginationManager.create_pagination(interaction, pages);
+            } else {
+                await interaction.reply({ embeds: [pages[0]] });
+            }
+        } catch (error) {
+            this.controller.log(`Error in playlist-view command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to view playlist');
+        }
+    }
+
+    /**
+     * Playlist export command handler
+     * Sends the playlist as a JSON or M3U file
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistExport(interaction) {
+        try {
+            const playlistId = interaction.options.getString('id', true);
+            const format = interaction.options.getString('format') || 'json';
+
+            const exported = await this.controller.playlistService.exportPlaylist(playlistId, interaction.user.id, format);
+
+            const file = new AttachmentBuilder(Buffer.from(exported.content, 'utf8'), { name: exported.filename });
+
+            await interaction.reply({
+                content: `📤 Exported **${exported.playlist.name}** (${exported.trackCount} track${exported.trackCount !== 1 ? 's' : ''})`,
+                files: [file],
+            });
+        } catch (error) {
+            this.controller.log(`Error in playlist-export command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to export playlist');
+        }
+    }
+
+    /**
+     * Playlist import command handler
+     * Creates a playlist from an attached JSON or M3U file
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistImport(interaction) {
+        try {
+            const attachment = interaction.options.getAttachment('file', true);
+            const isPublic = interaction.options.getBoolean('public') || false;
+
+            if (attachment.size > MAX_IMPORT_SIZE) {
+                await replyEphemeral(interaction, `❌ Playlist files can be at most ${MAX_IMPORT_SIZE / 1024} KB`);
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const response = await fetch(attachment.url);
+            if (!response.ok) {
+                throw new Error(`Failed to download the file: ${response.statusText}`);
+            }
+
+            const parsed = parsePlaylistFile(await response.text(), attachment.name);
+
+            const name = (interaction.options.getString('name')
+                || parsed.name
+                || attachment.name.replace(/\.[^.]+$/, '')).trim().slice(0, 100);
+
+            const playlist = await this.controller.playlistService.importPlaylist({
+                userId: interaction.user.id,
+                guildId: interaction.guild.id,
+                name,
+                tracks: parsed.tracks,
+                isPublic,
+            });
+
+            const notes = [];
+            if (parsed.skipped > 0) {
+                notes.push(`${parsed.skipped} entr${parsed.skipped !== 1 ? 'ies' : 'y'} without an http(s) URL skipped`);
+            }
+            if (playlist.truncated > 0) {
+                notes.push(`${playlist.truncated} track${playlist.truncated !== 1 ? 's' : ''} over the ${this.controller.playlistService.MAX_TRACKS} track limit left out`);
+            }
+
+            const visibilityText = isPublic ? '🌐 Public' : '🔒 Private';
+            await interaction.editReply(
+                `📥 Imported **${playlist.trackCount}** tracks into playlist **${playlist.name}** (${visibilityText})\n` +
+                `Playlist ID: \`${playlist.id}\`` +
+                (notes.length > 0 ? `\n⚠️ ${notes.join(', ')}` : '')
+            );
+            this.controller.log(`Imported playlist ${playlist.id} for user ${interaction.user.id}`, 'info');
+        } catch (error) {
+            this.controller.log(`Error in playlist-import command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to import playlist');
+        }
+    }
+
+    /**
+     * Playlist collab command handler
+     * Routes to add, remove or list subcommands
+     * @param {Object} interaction - Discord interaction
+     */
+    async playlistCollab(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            const playlistId = interaction.options.getString('id', true);
+
+            switch (subcommand) {
+                case 'add': {
+                    const user = interaction.options.getUser('user', true);
+                    if (user.bot) {
+                        await replyEphemeral(interaction, '❌ Bots cannot be collaborators');
+                        return;
+                    }
+
+                    await this.controller.playlistService.addCollaborator(playlistId, interaction.user.id, user.id);
+                    await interaction.reply(`✅ ${user} can now add and remove tracks in playlist \`${playlistId}\``);
+                    break;
+                }
+                case 'remove': {
+                    const user = interaction.options.getUser('user', true);
+
+                    await this.controller.playlistService.removeCollaborator(playlistId, interaction.user.id, user.id);
+                    await interaction.reply(`✅ ${user} is no longer a collaborator on playlist \`${playlistId}\``);
+                    break;
+                }
+                case 'list': {
+                    const playlist = await this.controller.playlistService.getPlaylist(playlistId, interaction.user.id);
+                    if (!playlist) {
+                        await replyEphemeral(interaction, '❌ Playlist not found');
+                        return;
+                    }
+
+                    const collaborators = await this.controller.playlistService.getCollaborators(playlistId);
+                    const embed = new EmbedBuilder()
+                        .setColor(0x00b894)
+                        .setTitle(`🤝 Collaborators on ${playlist.name}`)
+                        .setDescription(collaborators.length > 0
+                            ? collaborators.map((c, i) => `**${i + 1}.** <@${c.userId}>`).join('\n')
+                            : 'No collaborators. The owner can add some with `/playlist-collab add`.')
+                        .addFields({ name: 'Owner', value: `<@${playlist.userId}>` });
+
+                    await interaction.reply({ embeds: [embed] });
+                    break;
+                }
+                default:
+                    await replyEphemeral(interaction, '❌ Unknown subcommand');
+            }
+        } catch (error) {
+            this.controller.log(`Error in playlist-collab command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, error.message || 'Failed to update collaborators');
+        }
+    }
 }
 
 module.exports = PlaylistHandler;
@@ -79,7 +79,7 @@ class QueueHandler {
             const guildId = interaction.guild.id;
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'shuffle');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -112,7 +112,7 @@ class QueueHandler {
             const guildId = interaction.guild.id;
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'clear');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -148,7 +148,7 @@ class QueueHandler {
             const position = interaction.options.getInteger('position', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'remove');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -180,7 +180,7 @@ class QueueHandler {
             const position = interaction.options.getInteger('position', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'jump');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -213,7 +213,7 @@ class QueueHandler {
             const to = interaction.options.getInteger('to', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'move');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
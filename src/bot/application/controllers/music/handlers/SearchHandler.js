@@ -0,0 +1,213 @@
+/**
+ * SearchHandler
+ *
+ * Handles /search, the result picker it shows and /play query suggestions
+ */
+
+const { EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder, MessageFlags } = require('discord.js');
+const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+
+// Result pickers carry the searcher's user ID: music_search:<userId>
+const SEARCH_SELECT_PREFIX = 'music_search:';
+
+const DEFAULT_RESULTS = 5;
+
+// Discord drops autocomplete responses after 3 seconds, debounce included
+const AUTOCOMPLETE_DEBOUNCE = 400;
+const AUTOCOMPLETE_TIMEOUT = 2000;
+const AUTOCOMPLETE_RESULTS = 5;
+const AUTOCOMPLETE_MIN_LENGTH = 3;
+
+// Discord limit for select menu labels, descriptions and values and for autocomplete choices
+const MAX_OPTION_LENGTH = 100;
+
+/**
+ * Shorten text to fit a Discord option field
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text, ending in … if shortened
+ */
+function truncate(text, max = MAX_OPTION_LENGTH) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+class SearchHandler {
+    constructor(controller) {
+        this.controller = controller;
+
+        // Latest /play autocomplete interaction ID per user, while it waits out the debounce
+        this.pendingAutocomplete = new Map();
+    }
+
+    /**
+     * Register the result picker handler
+     */
+    registerComponents() {
+        const interactionComponentsManager = this.controller.client.interactionComponentsManager;
+        if (!interactionComponentsManager) {
+            this.controller.log('Interaction components manager not available, /search results cannot be picked', 'warn');
+            return;
+        }
+
+        interactionComponentsManager.register_select_menu(
+            `${SEARCH_SELECT_PREFIX}*`,
+            (interaction) => this.selectResult(interaction),
+            { cooldown: 2 }
+        );
+    }
+
+    /**
+     * Search command handler
+     * Lists the top results in a select menu the searcher picks one from
+     * @param {Object} interaction - Discord interaction
+     */
+    async search(interaction) {
+        try {
+            await interaction.deferReply();
+
+            if (!(await this.controller.hasDJPermissions(interaction.member, interaction.guild.id, 'search'))) {
+                await interaction.editReply({ content: '❌ You need the DJ role to use this command' });
+                return;
+            }
+
+            const query = interaction.options.getString('query', true);
+            const limit = interaction.options.getInteger('results') || DEFAULT_RESULTS;
+
+            // Longer URLs don't fit a select menu value
+            const results = (await this.controller.musicPlayerService.search(query, limit))
+                .filter(track => track.url && track.url.length <= MAX_OPTION_LENGTH);
+
+            if (results.length === 0) {
+                await interaction.editReply({ content: `❌ No results found for **${query}**` });
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(0x00b894)
+                .setTitle(`🔍 Results for "${truncate(query, 200)}"`)
+                .setDescription(results
+                    .map((track, i) => `**${i + 1}.** [${track.title}](${track.url})\n` +
+                        `⏱️ ${this.controller.formatDuration(track.duration)} · 📺 ${track.author}`)
+                    .join('\n'))
+                .setFooter({ text: 'Pick a track below to add it to the queue' });
+
+            const menu = new StringSelectMenuBuilder()
+                .setCustomId(`${SEARCH_SELECT_PREFIX}${interaction.user.id}`)
+                .setPlaceholder('Select a track to queue')
+                .addOptions(results.map((track, i) => ({
+                    label: truncate(`${i + 1}. ${track.title}`),
+                    description: truncate(`${this.controller.formatDuration(track.duration)} · ${track.author}`),
+                    value: track.url,
+                })));
+
+            await interaction.editReply({
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(menu)],
+            });
+        } catch (error) {
+            this.controller.log(`Error in search command: ${error.message}`, 'error');
+            const errorMsg = error.response?.data?.error || 'Failed to search';
+
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: `❌ ${errorMsg}` });
+            } else {
+                await replyEphemeral(interaction, `❌ ${errorMsg}`);
+            }
+        }
+    }
+
+    /**
+     * Result picker handler
+     * Queues the chosen result and replaces the picker with the queued track
+     * @param {Object} interaction - Select menu interaction
+     */
+    async selectResult(interaction) {
+        const searcherId = interaction.customId.slice(SEARCH_SELECT_PREFIX.length);
+        if (interaction.user.id !== searcherId) {
+            await replyEphemeral(interaction, '❌ Only the member who searched can pick a result. Use `/search` to run your own search.');
+            return;
+        }
+
+        try {
+            // The DJ requirement may have changed since the search
+            if (!(await this.controller.hasDJPermissions(interaction.member, interaction.guild.id, 'search'))) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
+            const voiceChannel = this.controller.validateVoiceChannel(interaction.member);
+            this.controller.validateBotPermissions(voiceChannel, interaction.guild);
+
+            await interaction.deferUpdate();
+
+            const result = await this.controller.musicPlayerService.play({
+                guildId: interaction.guild.id,
+                query: interaction.values[0],
+                voiceChannel,
+                textChannel: interaction.channel,
+                requester: interaction.user,
+            });
+
+            await interaction.editReply({
+                embeds: [this.controller.createQueuedEmbed(result.track, result.position)],
+                components: [],
+            });
+        } catch (error) {
+            this.controller.log(`Error queueing search result: ${error.message}`, 'error');
+
+            // Keep the picker so another result can be tried
+            const content = `❌ ${error.message || 'Failed to play track'}`;
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
+            } else {
+                await replyEphemeral(interaction, content);
+            }
+        }
+    }
+
+    /**
+     * Autocomplete handler for the /play query option
+     * Suggests search results; choosing one plays that exact video.
+     * URLs and short input get no suggestions. Discord sends one request per
+     * keystroke, so only the last one a user sends within AUTOCOMPLETE_DEBOUNCE
+     * searches; the ones it replaces get no suggestions.
+     * @param {Object} interaction - Autocomplete interaction
+     */
+    async playAutocomplete(interaction) {
+        const query = interaction.options.getFocused().trim();
+
+        if (query.length < AUTOCOMPLETE_MIN_LENGTH || /^https?:\/\//i.test(query)) {
+            await interaction.respond([]);
+            return;
+        }
+
+        const userId = interaction.user.id;
+        this.pendingAutocomplete.set(userId, interaction.id);
+
+        await new Promise(resolve => setTimeout(resolve, AUTOCOMPLETE_DEBOUNCE));
+
+        if (this.pendingAutocomplete.get(userId) !== interaction.id) {
+            await interaction.respond([]);
+            return;
+        }
+        this.pendingAutocomplete.delete(userId);
+
+        let results = [];
+        try {
+            results = await this.controller.musicPlayerService.search(query, AUTOCOMPLETE_RESULTS, {
+                timeout: AUTOCOMPLETE_TIMEOUT,
+            });
+        } catch (error) {
+            this.controller.log(`Autocomplete search failed for "${query}": ${error.message}`, 'debug');
+        }
+
+        await interaction.respond(results
+            .filter(track => track.url && track.url.length <= MAX_OPTION_LENGTH)
+            .map(track => ({
+                name: truncate(`${track.title} (${this.controller.formatDuration(track.duration)}) · ${track.author}`),
+                value: track.url,
+            })));
+    }
+}
+
+module.exports = SearchHandler;
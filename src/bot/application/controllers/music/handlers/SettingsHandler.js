@@ -1,10 +1,18 @@
 /**
  * SettingsHandler
  * 
- * Handles music settings commands: volume, loop, filter, seek
+ * Handles music settings commands: volume, loop, filter, filter-custom, seek
  */
 
+const { EmbedBuilder } = require('discord.js');
 const { replyEphemeral } = require('../../../../system/helpers/InteractionHelper');
+const {
+    EQ_BANDS,
+    normalizeFilterChain,
+    mergeFilterChains,
+    describeFilterChain,
+    formatEqGains,
+} = require('../../../../system/helpers/AudioFilterHelper');
 
 class SettingsHandler {
     constructor(controller) {
@@ -22,7 +30,7 @@ class SettingsHandler {
             const level = interaction.options.getInteger('level', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'volume');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -56,7 +64,7 @@ class SettingsHandler {
             const mode = interaction.options.getString('mode', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'loop');
             if (!hasDJ) {
                 await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
                 return;
@@ -85,6 +93,43 @@ class SettingsHandler {
         }
     }
 
+    /**
+     * Autoplay command handler
+     * Turns autoplay on or off, or toggles it without the option
+     * @param {Object} interaction - Discord interaction
+     */
+    async autoplay(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+
+            // Check DJ permissions
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'autoplay');
+            if (!hasDJ) {
+                await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+                return;
+            }
+
+            // Check if bot is playing
+            if (!this.controller.musicPlayerService.isConnected(guildId)) {
+                await replyEphemeral(interaction, '❌ I am not in a voice channel');
+                return;
+            }
+
+            const enabled = interaction.options.getBoolean('enabled')
+                ?? !this.controller.musicPlayerService.getAutoplay(guildId);
+
+            await this.controller.musicPlayerService.setAutoplay(guildId, enabled);
+
+            await interaction.reply(enabled
+                ? '📻 Autoplay **on**: related tracks will play when the queue runs out'
+                : '📻 Autoplay **off**');
+            this.controller.log(`Set autoplay to ${enabled} in guild ${guildId}`, 'info');
+        } catch (error) {
+            this.controller.log(`Error in autoplay command: ${error.message}`, 'error');
+            await this.controller.sendError(interaction, 'Failed to set autoplay');
+        }
+    }
+
     /**
      * Filter command handler
      * Applies audio filters to playback
@@ -98,7 +143,7 @@ class SettingsHandler {
             const filterType = interaction.options.getString('type', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'filter');
             if (!hasDJ) {
                 await interaction.editReply({ content: '❌ You need the DJ role to use this command' });
                 return;
@@ -124,10 +169,11 @@ class SettingsHandler {
                 'nightcore': '⚡',
                 'vaporwave': '🌊',
                 '8d': '🎧',
-                'karaoke': '🎤'
+                'karaoke': '🎤',
+                'loudnorm': '📢'
             };
 
-            const filterName = filterType === 'none' ? 'No filter' : filterType.charAt(0).toUpperCase() + filterType.slice(1);
+            const filterName = filterType === 'none' ? 'No filter' : describeFilterChain(filterType);
             await interaction.editReply(`${filterEmoji[filterType]} Applied **${filterName}** filter`);
             this.controller.log(`Applied ${filterType} filter in guild ${guildId}`, 'info');
         } catch (error) {
@@ -141,6 +187,227 @@ class SettingsHandler {
         }
     }
 
+    /**
+     * Custom filter command handler
+     * Combines filters, manages equalizer presets and the server default filter
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustom(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'apply':
+                    await this.filterCustomApply(interaction);
+                    break;
+                case 'eq-save':
+                    await this.filterCustomEqSave(interaction);
+                    break;
+                case 'eq-delete':
+                    await this.filterCustomEqDelete(interaction);
+                    break;
+                case 'eq-list':
+                    await this.filterCustomEqList(interaction);
+                    break;
+                case 'default':
+                    await this.filterCustomDefault(interaction);
+                    break;
+                default:
+                    await replyEphemeral(interaction, '❌ Unknown subcommand');
+            }
+        } catch (error) {
+            this.controller.log(`Error in filter-custom command: ${error.message}`, 'error');
+
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: '❌ Failed to update filters' });
+            } else {
+                await this.controller.sendError(interaction, 'Failed to update filters');
+            }
+        }
+    }
+
+    /**
+     * Apply a combination of filters (filter-custom apply subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustomApply(interaction) {
+        const guildId = interaction.guild.id;
+        const musicPlayerService = this.controller.musicPlayerService;
+
+        const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'filter-custom');
+        if (!hasDJ) {
+            await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+            return;
+        }
+
+        if (!musicPlayerService.isConnected(guildId)) {
+            await replyEphemeral(interaction, '❌ I am not in a voice channel');
+            return;
+        }
+
+        const options = {
+            chain: interaction.options.getString('chain'),
+            eq: interaction.options.getString('eq'),
+            tempo: interaction.options.getNumber('tempo'),
+            pitch: interaction.options.getNumber('pitch'),
+            rotation: interaction.options.getNumber('rotation'),
+            tremolo: interaction.options.getNumber('tremolo'),
+            loudnorm: interaction.options.getBoolean('loudnorm'),
+        };
+
+        if (Object.values(options).every(value => value === null || value === false)) {
+            await replyEphemeral(interaction, '❌ Choose at least one filter, or use `/filter type:None` to turn filters off');
+            return;
+        }
+
+        let chain;
+        try {
+            chain = await this.controller.filterService.buildChain(guildId, options);
+
+            if (interaction.options.getBoolean('add')) {
+                chain = mergeFilterChains(musicPlayerService.getFilter(guildId), chain);
+            }
+        } catch (error) {
+            await replyEphemeral(interaction, `❌ ${error.message}`);
+            return;
+        }
+
+        await interaction.deferReply();
+
+        const success = await musicPlayerService.setFilter(guildId, chain);
+        if (!success) {
+            await interaction.editReply({ content: '❌ Invalid filter chain' });
+            return;
+        }
+
+        await interaction.editReply(`🎛️ Filters: **${describeFilterChain(chain)}**\n\`${chain}\``);
+        this.controller.log(`Applied filter chain ${chain} in guild ${guildId}`, 'info');
+    }
+
+    /**
+     * Save an equalizer preset (filter-custom eq-save subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustomEqSave(interaction) {
+        const guildId = interaction.guild.id;
+
+        const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'filter-custom');
+        if (!hasDJ) {
+            await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+            return;
+        }
+
+        const result = await this.controller.filterService.saveEqPreset(
+            guildId,
+            interaction.options.getString('name', true),
+            interaction.options.getString('gains', true),
+            interaction.user.id
+        );
+
+        if (!result.success) {
+            await replyEphemeral(interaction, `❌ ${result.message}`);
+            return;
+        }
+
+        const { preset, replaced } = result;
+        await interaction.reply(
+            `🎚️ ${replaced ? 'Updated' : 'Saved'} equalizer preset **${preset.name}**\n` +
+            `${formatEqGains(preset.gains)}\n` +
+            `Use it with \`/filter-custom apply eq:${preset.name}\``
+        );
+    }
+
+    /**
+     * Delete a saved equalizer preset (filter-custom eq-delete subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustomEqDelete(interaction) {
+        const guildId = interaction.guild.id;
+        const name = interaction.options.getString('name', true);
+
+        const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'filter-custom');
+        if (!hasDJ) {
+            await replyEphemeral(interaction, '❌ You need the DJ role to use this command');
+            return;
+        }
+
+        const deleted = await this.controller.filterService.deleteEqPreset(guildId, name);
+        if (!deleted) {
+            await replyEphemeral(interaction, `❌ No saved equalizer preset named **${name}** (built-in presets cannot be deleted)`);
+            return;
+        }
+
+        await interaction.reply(`🗑️ Deleted equalizer preset **${name.trim().toLowerCase()}**`);
+    }
+
+    /**
+     * List equalizer presets (filter-custom eq-list subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustomEqList(interaction) {
+        const presets = await this.controller.filterService.listEqPresets(interaction.guild.id);
+
+        const formatPreset = preset => {
+            const gains = preset.gains.map(gain => `${gain > 0 ? '+' : ''}${gain}`).join(' ');
+            return `**${preset.name}** \`${gains}\``;
+        };
+
+        const builtIn = presets.filter(preset => preset.builtIn);
+        const saved = presets.filter(preset => !preset.builtIn);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00b894)
+            .setTitle('🎚️ Equalizer Presets')
+            .setDescription(
+                `Gains in dB for ${EQ_BANDS.join(' · ')}\n` +
+                'Apply one with `/filter-custom apply eq:<name>`'
+            )
+            .addFields(
+                { name: 'Built-in', value: builtIn.map(formatPreset).join('\n') },
+                { name: 'Saved', value: saved.length > 0 ? saved.map(formatPreset).join('\n') : 'None yet, save one with `/filter-custom eq-save`' }
+            );
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Set the filters new queues start with (filter-custom default subcommand)
+     * @param {Object} interaction - Discord interaction
+     */
+    async filterCustomDefault(interaction) {
+        const guildId = interaction.guild.id;
+        const musicPlayerService = this.controller.musicPlayerService;
+
+        if (!interaction.member.permissions.has('ManageGuild')) {
+            await replyEphemeral(interaction, '❌ You need the **Manage Server** permission to change the default filters');
+            return;
+        }
+
+        let chain = interaction.options.getString('chain');
+        if (chain === null) {
+            if (!musicPlayerService.isConnected(guildId)) {
+                await replyEphemeral(interaction, '❌ Nothing is playing, pass a `chain` (e.g. `bassboost+loudnorm`) or `none`');
+                return;
+            }
+            chain = musicPlayerService.getFilter(guildId);
+        }
+
+        try {
+            chain = normalizeFilterChain(chain);
+        } catch (error) {
+            await replyEphemeral(interaction, `❌ ${error.message}`);
+            return;
+        }
+
+        const saved = await this.controller.filterService.setDefaultFilter(guildId, chain);
+
+        if (saved === 'none') {
+            await interaction.reply('🎵 New queues now start without filters');
+        } else {
+            await interaction.reply(`🎛️ New queues now start with **${describeFilterChain(saved)}**\n\`${saved}\``);
+        }
+    }
+
     /**
      * Seek command handler
      * Seeks to a specific time in the current track
@@ -154,7 +421,7 @@ class SettingsHandler {
             const timeStr = interaction.options.getString('time', true);
 
             // Check DJ permissions
-            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId);
+            const hasDJ = await this.controller.hasDJPermissions(interaction.member, guildId, 'seek');
             if (!hasDJ) {
                 await interaction.editReply({ content: '❌ You need the DJ role to use this command' });
                 return;
@@ -21,6 +21,8 @@ class InteractionCreateEvent extends BaseEvent {
             // Handle different interaction types
             if (interaction.isChatInputCommand()) {
                 await this.handleCommand(interaction);
+            } else if (interaction.isAutocomplete()) {
+                await this.handleAutocomplete(interaction);
             } else if (interaction.isButton()) {
                 await this.handleButton(interaction);
             } else if (interaction.isModalSubmit()) {
@@ -114,6 +116,44 @@ class InteractionCreateEvent extends BaseEvent {
         }
     }
 
+    /**
+     * Handle autocomplete interactions
+     * Commands opt in with an autocomplete key naming the controller method
+     * that responds with suggestions. Failures answer with no suggestions,
+     * as autocomplete interactions cannot show an error message.
+     * @param {Object} interaction - Discord interaction object
+     */
+    async handleAutocomplete(interaction) {
+        const modules = this.client.modules || new Map();
+        const controllers = this.client.controllers || new Map();
+
+        let command = null;
+        for (const [, module] of modules) {
+            command = module.commands.find((cmd) => cmd.name === interaction.commandName) || null;
+            if (command) break;
+        }
+
+        const controller = command?.autocomplete ? controllers.get(command.controller) : null;
+
+        try {
+            if (!controller || typeof controller[command.autocomplete] !== 'function') {
+                this.log(`No autocomplete handler for command: ${interaction.commandName}`, 'warn');
+                await interaction.respond([]);
+                return;
+            }
+
+            await controller[command.autocomplete](interaction);
+        } catch (error) {
+            this.log(`Autocomplete failed for command: ${interaction.commandName}`, 'debug', {
+                error: error.message,
+            });
+
+            if (!interaction.responded) {
+                await interaction.respond([]).catch(() => {});
+            }
+        }
+    }
+
     /**
      * Handle button interactions
      * @param {Object} interaction - Discord interaction object
@@ -124,9 +164,18 @@ class InteractionCreateEvent extends BaseEvent {
             guild: interaction.guild?.name || 'DM',
         });
 
-        // Route to interaction manager
+        // Route to interaction manager (file-based handlers with fixed custom IDs)
         const interactionManager = this.client.interactionManager;
-        if (interactionManager) {
+        if (interactionManager && interactionManager.getInteraction(interaction.customId)) {
+            await interactionManager.handleInteraction(interaction);
+            return;
+        }
+
+        // Fall back to interaction components manager (runtime handlers, wildcard custom IDs)
+        const interactionComponentsManager = this.client.interactionComponentsManager;
+        if (interactionComponentsManager) {
+            await interactionComponentsManager.handle_button(interaction);
+        } else if (interactionManager) {
             await interactionManager.handleInteraction(interaction);
         } else {
             await replyEphemeral(interaction, '❌ Interaction manager not initialized');
@@ -17,6 +17,9 @@ class MessageCreateEvent extends BaseEvent {
     }
 
     async execute(message) {
+        // Record ticket channel messages, including the bot's own, for transcripts
+        await this.recordTicketMessage(message);
+
         // Ignore bot messages
         if (message.author.bot) return;
 
@@ -31,6 +34,9 @@ class MessageCreateEvent extends BaseEvent {
                 }
             }
 
+            // Award message XP (buffered and written in batches by LevelingService)
+            await this.awardMessageXP(message);
+
             // Try message command manager first (for new message command system)
             const messageCommandManager = this.client.messageCommandManager;
             if (messageCommandManager) {
@@ -360,6 +366,50 @@ class MessageCreateEvent extends BaseEvent {
         return adapter;
     }
 
+    /**
+     * Award leveling XP for a guild message
+     * Failures are logged and never block command handling.
+     * @param {Message} message - Discord message
+     * @private
+     */
+    async awardMessageXP(message) {
+        if (!message.guild) return;
+
+        try {
+            const levelingModule = this.client.modules.get('leveling');
+            const levelingService = levelingModule?.getService('LevelingService');
+            if (levelingService) {
+                await levelingService.awardMessageXP(message);
+            }
+        } catch (error) {
+            this.log('Failed to award message XP', 'warn', {
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Record a message sent in an open ticket channel
+     * Failures are logged and never block message handling.
+     * @param {Message} message - Discord message
+     * @private
+     */
+    async recordTicketMessage(message) {
+        if (!message.guild) return;
+
+        try {
+            const ticketModule = this.client.modules.get('ticket');
+            const transcriptService = ticketModule?.getService('TranscriptService');
+            if (transcriptService) {
+                await transcriptService.recordMessage(message);
+            }
+        } catch (error) {
+            this.log('Failed to record ticket message', 'warn', {
+                error: error.message,
+            });
+        }
+    }
+
     /**
      * Handle moderation violation
      * @param {Message} message - Discord message
@@ -0,0 +1,45 @@
+/**
+ * MessageReactionAdd Event Handler
+ * 
+ * Fired when a user adds a reaction to a message, including uncached messages
+ * delivered as partials. Grants reaction roles bound to the emoji.
+ */
+
+const BaseEvent = require('../../system/core/BaseEvent');
+
+class MessageReactionAddEvent extends BaseEvent {
+    constructor(client) {
+        super(client, {
+            name: 'messageReactionAdd',
+            once: false,
+        });
+    }
+
+    async execute(reaction, user) {
+        const utilityModule = this.client.modules.get('utility');
+        const reactionRoleService = utilityModule?.getService('ReactionRoleService');
+
+        if (!reactionRoleService) {
+            return;
+        }
+
+        await reactionRoleService.handleReaction(reaction, user, true);
+    }
+
+    /**
+     * Get error context from reaction
+     * @param {Array} args - Event arguments
+     * @returns {Object} Context object
+     */
+    getErrorContext(args) {
+        const [reaction, user] = args;
+        return {
+            guildId: reaction?.message?.guildId,
+            channelId: reaction?.message?.channelId,
+            messageId: reaction?.message?.id,
+            userId: user?.id,
+        };
+    }
+}
+
+module.exports = MessageReactionAddEvent;
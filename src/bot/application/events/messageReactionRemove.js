@@ -0,0 +1,45 @@
+/**
+ * MessageReactionRemove Event Handler
+ * 
+ * Fired when a user removes a reaction from a message, including uncached messages
+ * delivered as partials. Revokes reaction roles bound to the emoji.
+ */
+
+const BaseEvent = require('../../system/core/BaseEvent');
+
+class MessageReactionRemoveEvent extends BaseEvent {
+    constructor(client) {
+        super(client, {
+            name: 'messageReactionRemove',
+            once: false,
+        });
+    }
+
+    async execute(reaction, user) {
+        const utilityModule = this.client.modules.get('utility');
+        const reactionRoleService = utilityModule?.getService('ReactionRoleService');
+
+        if (!reactionRoleService) {
+            return;
+        }
+
+        await reactionRoleService.handleReaction(reaction, user, false);
+    }
+
+    /**
+     * Get error context from reaction
+     * @param {Array} args - Event arguments
+     * @returns {Object} Context object
+     */
+    getErrorContext(args) {
+        const [reaction, user] = args;
+        return {
+            guildId: reaction?.message?.guildId,
+            channelId: reaction?.message?.channelId,
+            messageId: reaction?.message?.id,
+            userId: user?.id,
+        };
+    }
+}
+
+module.exports = MessageReactionRemoveEvent;
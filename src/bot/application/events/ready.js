@@ -49,6 +49,16 @@ class ReadyEvent extends BaseEvent {
             });
         }
 
+        // Resume voice activity sessions for members already in voice
+        try {
+            await this.restoreVoiceSessions();
+        } catch (error) {
+            this.log('Failed to restore voice sessions', 'error', {
+                error: error.message,
+                stack: error.stack,
+            });
+        }
+
         // Start CleanupManager for periodic cleanup tasks
         this.startCleanupManager();
 
@@ -68,6 +78,39 @@ class ReadyEvent extends BaseEvent {
             });
         }
 
+        // Restore persisted scheduled jobs (missed runs are skipped or caught up per job)
+        try {
+            if (this.client.automationService) {
+                await this.client.automationService.load_jobs();
+            }
+        } catch (error) {
+            this.log('Failed to restore scheduled jobs', 'warn', {
+                error: error.message,
+            });
+        }
+
+        // Restore pending reminders (overdue ones are delivered right away)
+        try {
+            if (this.client.automationService) {
+                await this.client.automationService.load_reminders();
+            }
+        } catch (error) {
+            this.log('Failed to restore reminders', 'warn', {
+                error: error.message,
+            });
+        }
+
+        // Restore temporary roles (expired rentals are removed right away)
+        try {
+            if (this.client.roleManagementService) {
+                await this.client.roleManagementService.load_temporary_roles();
+            }
+        } catch (error) {
+            this.log('Failed to restore temporary roles', 'warn', {
+                error: error.message,
+            });
+        }
+
         // Initialize guild management service
         try {
             const GuildManagementService = require('../../system/services/GuildManagementService');
@@ -303,6 +346,7 @@ class ReadyEvent extends BaseEvent {
                     queue.current = queueData.current || null;
                     queue.loop = queueData.loopMode || 'off';
                     queue.volume = queueData.volume || 80;
+                    queue.autoplay = Boolean(queueData.autoplay);
 
                     restoredCount++;
                     this.log(
@@ -336,6 +380,22 @@ class ReadyEvent extends BaseEvent {
         }
     }
 
+    /**
+     * Restore voice activity sessions
+     * Picks up members who are already connected to voice when the bot starts
+     */
+    async restoreVoiceSessions() {
+        const levelingModule = this.client.modules.get('leveling');
+        const voiceActivityService = levelingModule?.getService('VoiceActivityService');
+
+        if (!voiceActivityService) {
+            this.log('VoiceActivityService not available, skipping voice session restoration', 'debug');
+            return;
+        }
+
+        await voiceActivityService.restoreSessions();
+    }
+
     /**
      * Start CleanupManager for periodic cleanup tasks
      * Manages cleanup for caches, game states, and queue states
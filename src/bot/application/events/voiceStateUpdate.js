@@ -0,0 +1,45 @@
+/**
+ * VoiceStateUpdate Event Handler
+ * 
+ * Fired when a member joins, leaves, moves between or changes state in a voice channel.
+ * Feeds voice activity tracking for the leveling system.
+ */
+
+const BaseEvent = require('../../system/core/BaseEvent');
+
+class VoiceStateUpdateEvent extends BaseEvent {
+    constructor(client) {
+        super(client, {
+            name: 'voiceStateUpdate',
+            once: false,
+        });
+    }
+
+    async execute(oldState, newState) {
+        const levelingModule = this.client.modules.get('leveling');
+        const voiceActivityService = levelingModule?.getService('VoiceActivityService');
+
+        if (!voiceActivityService) {
+            return;
+        }
+
+        await voiceActivityService.handleVoiceStateUpdate(oldState, newState);
+    }
+
+    /**
+     * Get error context from voice states
+     * @param {Array} args - Event arguments
+     * @returns {Object} Context object
+     */
+    getErrorContext(args) {
+        const state = args[1] || args[0];
+        return {
+            guild: state?.guild?.name,
+            guildId: state?.guild?.id,
+            userId: state?.id,
+            channelId: state?.channelId,
+        };
+    }
+}
+
+module.exports = VoiceStateUpdateEvent;
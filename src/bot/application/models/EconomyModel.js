@@ -120,9 +120,10 @@ class EconomyModel extends Model {
      * Uses atomic UPDATE with cooldown check to prevent concurrent double-claims.
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
+     * @param {number} multiplier - Reward multiplier from active item effects (default: 1)
      * @returns {Promise<Object>} Result with success status and details
      */
-    async claimDaily(userId, guildId) {
+    async claimDaily(userId, guildId, multiplier = 1) {
         try {
             await this._ensureAccount(userId, guildId);
 
@@ -142,7 +143,7 @@ class EconomyModel extends Model {
             const newStreak = timeSinceLastDaily < 2 * oneDaySeconds ? streak + 1 : 1;
             const baseReward = 500;
             const streakBonus = Math.min(newStreak * 50, 500);
-            const totalReward = baseReward + streakBonus;
+            const totalReward = Math.floor((baseReward + streakBonus) * multiplier);
 
             // Atomic UPDATE — only succeeds if last_daily_at hasn't changed since we read it
             // (guards against concurrent claims)
@@ -167,7 +168,7 @@ class EconomyModel extends Model {
             await this._logTransaction(guildId, null, userId, totalReward, 'daily', `Daily reward (streak: ${newStreak})`);
 
             const newBalance = await this.getUserBalance(userId, guildId);
-            return { success: true, amount: totalReward, streak: newStreak, newBalance: newBalance.balance };
+            return { success: true, amount: totalReward, streak: newStreak, multiplier, newBalance: newBalance.balance };
         } catch (error) {
             this.log(`Error claiming daily for user ${userId}: ${error.message}`, 'error');
             throw error;
@@ -179,9 +180,10 @@ class EconomyModel extends Model {
      * Uses atomic UPDATE with cooldown check to prevent concurrent double-work.
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
+     * @param {number} multiplier - Earnings multiplier from active item effects (default: 1)
      * @returns {Promise<Object>} Result with success status and details
      */
-    async work(userId, guildId) {
+    async work(userId, guildId, multiplier = 1) {
         try {
             await this._ensureAccount(userId, guildId);
 
@@ -196,7 +198,7 @@ class EconomyModel extends Model {
                 return { success: false, timeLeft: cooldownSeconds - timeSinceLastWork };
             }
 
-            const amount = Math.floor(Math.random() * 200) + 100; // 100-300 coins
+            const amount = Math.floor((Math.floor(Math.random() * 200) + 100) * multiplier); // 100-300 coins before multipliers
             const messages = [
                 'You worked as a developer and fixed some bugs!',
                 'You delivered packages around town!',
@@ -226,7 +228,7 @@ class EconomyModel extends Model {
             await this._logTransaction(guildId, null, userId, amount, 'work', message);
 
             const newBalance = await this.getUserBalance(userId, guildId);
-            return { success: true, amount, message, newBalance: newBalance.balance };
+            return { success: true, amount, message, multiplier, newBalance: newBalance.balance };
         } catch (error) {
             this.log(`Error working for user ${userId}: ${error.message}`, 'error');
             throw error;
@@ -309,6 +311,72 @@ class EconomyModel extends Model {
         }
     }
 
+    /**
+     * Settle a game bet
+     * The stake is debited and the payout credited in one transaction, together
+     * with the transaction log entry, so a failed game never leaves a half-paid bet.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} bet - Amount staked
+     * @param {number} payout - Amount paid back (0 on a loss, includes the stake on a win)
+     * @param {string} description - Transaction description
+     * @param {Object} metadata - Game details stored with the transaction
+     * @returns {Promise<Object>} Result with success status and new wallet balance
+     */
+    async settleBet(userId, guildId, bet, payout, description, metadata = {}) {
+        try {
+            await this._ensureAccount(userId, guildId);
+
+            const now = Math.floor(Date.now() / 1000);
+            let newBalance = null;
+
+            await this.db.transaction(async (db) => {
+                const rows = await db.query(
+                    `SELECT wallet_balance FROM ${this.tableName} WHERE guild_id = ? AND user_id = ?`,
+                    [guildId, userId]
+                );
+                const wallet = rows?.[0]?.wallet_balance ?? 0;
+
+                if (wallet < bet) {
+                    const err = new Error('INSUFFICIENT_BALANCE');
+                    err.code = 'INSUFFICIENT_BALANCE';
+                    throw err;
+                }
+
+                await db.query(
+                    `UPDATE ${this.tableName} 
+                     SET wallet_balance = wallet_balance - ? + ?, 
+                         total_spent = total_spent + ?,
+                         total_earned = total_earned + ?,
+                         updated_at = ? 
+                     WHERE guild_id = ? AND user_id = ?`,
+                    [bet, payout, bet, payout, now, guildId, userId]
+                );
+
+                // Logged inside the transaction so every settled game has a record
+                await db.query(
+                    `INSERT INTO economy_transactions 
+                     (id, guild_id, from_user_id, to_user_id, amount, type, description, metadata, created_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [randomUUID(), guildId, userId, null, payout - bet, 'game', description, JSON.stringify(metadata), now]
+                );
+
+                newBalance = wallet - bet + payout;
+            });
+
+            this.log(`Settled bet of ${bet} for user ${userId} with payout ${payout}`, 'info');
+
+            return { success: true, newBalance };
+        } catch (error) {
+            // Database.transaction wraps errors, so check the original message too
+            if (error.code === 'INSUFFICIENT_BALANCE' || error.context?.originalError === 'INSUFFICIENT_BALANCE') {
+                return { success: false, message: 'Insufficient balance' };
+            }
+            this.log(`Error settling bet for user ${userId}: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     /**
      * Deposit money to bank
      * Balance check is performed atomically inside a single UPDATE to prevent race conditions.
@@ -277,31 +277,127 @@ class LevelingModel extends Model {
 
     /**
      * Add voice activity time
+     * Optionally credits XP in the same update so voice activity can level users up.
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
      * @param {number} minutes - Minutes to add
-     * @returns {Promise<void>}
+     * @param {number} xp - XP to add alongside the minutes (default: 0)
+     * @returns {Promise<Object>} Level up information
      */
-    async addVoiceTime(userId, guildId, minutes) {
+    async addVoiceTime(userId, guildId, minutes, xp = 0) {
         try {
             await this._ensureLevelRecord(userId, guildId);
 
             const now = Math.floor(Date.now() / 1000);
 
+            const before = await this.findOneBy({ guild_id: guildId, user_id: userId });
+            const oldXP = before?.xp || 0;
+            const oldLevel = before?.level || 1;
+            const newXP = oldXP + xp;
+            const newLevel = this.calculateLevelFromXP(newXP);
+
             await this.query(
                 `UPDATE ${this.tableName} 
-                 SET voice_minutes = voice_minutes + ?, updated_at = ? 
+                 SET voice_minutes = voice_minutes + ?,
+                     xp            = xp + ?,
+                     level         = ?,
+                     updated_at    = ? 
                  WHERE guild_id = ? AND user_id = ?`,
-                [minutes, now, guildId, userId]
+                [minutes, xp, newLevel, now, guildId, userId]
             );
 
-            this.log(`Added ${minutes} voice minutes for user ${userId}`, 'info');
+            this.log(`Added ${minutes} voice minutes (${xp} XP) for user ${userId}`, 'debug');
+
+            return {
+                leveledUp: newLevel > oldLevel,
+                oldLevel,
+                newLevel,
+                xpGained: xp,
+                oldXP,
+                newXP,
+                guildId
+            };
         } catch (error) {
             this.log(`Error adding voice time for user ${userId}: ${error.message}`, 'error');
             throw error;
         }
     }
 
+    /**
+     * Get all persisted open voice sessions
+     * @returns {Promise<Array>} Voice session rows
+     */
+    async getVoiceSessions() {
+        try {
+            return await this.query('SELECT * FROM voice_sessions');
+        } catch (error) {
+            this.log(`Error getting voice sessions: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Create or replace the open voice session for a member
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} channelId - Voice channel ID
+     * @param {number} joinedAt - Session start (unix seconds)
+     * @returns {Promise<void>}
+     */
+    async saveVoiceSession(userId, guildId, channelId, joinedAt) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await this.query(
+                `INSERT INTO voice_sessions (id, guild_id, user_id, channel_id, joined_at, last_credited_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(id) DO UPDATE SET
+                    channel_id = excluded.channel_id,
+                    joined_at = excluded.joined_at,
+                    last_credited_at = excluded.last_credited_at`,
+                [`${guildId}-${userId}`, guildId, userId, channelId, joinedAt, now]
+            );
+        } catch (error) {
+            this.log(`Error saving voice session for user ${userId}: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a voice session as credited up to now
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<void>}
+     */
+    async touchVoiceSession(userId, guildId) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await this.query(
+                'UPDATE voice_sessions SET last_credited_at = ? WHERE id = ?',
+                [now, `${guildId}-${userId}`]
+            );
+        } catch (error) {
+            this.log(`Error updating voice session for user ${userId}: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the open voice session for a member
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<void>}
+     */
+    async deleteVoiceSession(userId, guildId) {
+        try {
+            await this.query('DELETE FROM voice_sessions WHERE id = ?', [`${guildId}-${userId}`]);
+        } catch (error) {
+            this.log(`Error deleting voice session for user ${userId}: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     /**
      * Get leaderboard
      * @param {string} guildId - Guild ID
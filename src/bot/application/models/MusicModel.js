@@ -13,6 +13,15 @@
 const Model = require('../../system/core/Model');
 const axios = require('axios');
 const config = require('../config/config');
+const { getAuthHeaders } = require('../../system/helpers/AudioAuthHelper');
+
+// YouTube playlist and mix URLs (list=PL…, list=RD…), expanded instead of played as one track
+const PLAYLIST_URL_REGEX = /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)\/\S*[?&]list=[A-Za-z0-9_-]+/;
+
+const YOUTUBE_URL_REGEX = /^https?:\/\/([a-z]+\.)?(youtube\.com|youtu\.be)\//i;
+
+// Video ID of watch, youtu.be and shorts URLs
+const VIDEO_ID_REGEX = /^https?:\/\/(?:[a-z]+\.)?(?:youtube\.com\/(?:watch\?(?:\S*&)?v=|shorts\/)|youtu\.be\/)([A-Za-z0-9_-]{11})/i;
 
 class MusicModel extends Model {
     constructor(instance) {
@@ -29,9 +38,11 @@ class MusicModel extends Model {
     /**
      * Get track information from query (URL or search term).
      * @param {string} query
+     * @param {number} matchDuration - Original duration in seconds of a track from
+     *   a resolved link; the server picks the search result closest to it
      * @returns {Promise<Object>} Track info
      */
-    async getTrackInfo(query) {
+    async getTrackInfo(query, matchDuration = null) {
         const key = query.trim().toLowerCase();
 
         // Cache hit
@@ -43,8 +54,14 @@ class MusicModel extends Model {
 
         this.log(`Fetching track info: ${query}`, 'debug');
 
+        const params = { query };
+        if (matchDuration) {
+            params.duration = matchDuration;
+        }
+
         const response = await axios.get(`${this.audioServerUrl}/api/audio/metadata`, {
-            params: { query },
+            params,
+            headers: getAuthHeaders(),
             timeout: 15000,
         });
 
@@ -75,6 +92,229 @@ class MusicModel extends Model {
         return trackInfo;
     }
 
+    /**
+     * Search YouTube and list the top results.
+     * Results only carry the search listing data; the chosen one is played
+     * by its URL, which fetches full metadata through getTrackInfo.
+     * @param {string} query - Search query
+     * @param {number} limit - Number of results (1-10)
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Request timeout in ms
+     * @returns {Promise<Object[]>} Tracks in YouTube's order
+     */
+    async search(query, limit = 5, { timeout = 15000 } = {}) {
+        const key = `search:${limit}:${query.trim().toLowerCase()}`;
+
+        const cached = this._cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.log(`Cache hit: ${key}`, 'debug');
+            return cached.data;
+        }
+
+        this.log(`Searching: ${query}`, 'debug');
+
+        const response = await axios.get(`${this.audioServerUrl}/api/audio/search`, {
+            params: { query: query.trim(), limit },
+            headers: getAuthHeaders(),
+            timeout,
+        });
+
+        if (!response.data || !Array.isArray(response.data.results)) {
+            throw new Error('Invalid response from audio server');
+        }
+
+        const results = response.data.results.map(result => ({
+            title: result.title,
+            url: result.url,
+            duration: (result.durationSec || 0) * 1000,
+            thumbnail: result.thumbnail || null,
+            author: result.uploader || 'Unknown',
+            source: 'youtube',
+            query: result.url,
+        }));
+
+        if (this._cache.size >= this._maxCacheSize) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+
+        this._cache.set(key, { data: results, expiresAt: Date.now() + this._cacheTTL });
+
+        return results;
+    }
+
+    /**
+     * Check whether a query is a playlist or mix URL
+     * @param {string} query
+     * @returns {boolean}
+     */
+    isPlaylistUrl(query) {
+        return PLAYLIST_URL_REGEX.test(query.trim());
+    }
+
+    /**
+     * Check whether a query is a link to another site (Spotify, Apple Music, Deezer…)
+     * The audio server decides whether it can resolve it.
+     * @param {string} query
+     * @returns {boolean}
+     */
+    isExternalLink(query) {
+        const text = query.trim();
+        return /^https?:\/\//i.test(text) && !YOUTUBE_URL_REGEX.test(text);
+    }
+
+    /**
+     * Get one page of a playlist, mix or external link.
+     * Tracks only carry the listing data; their stream URL is resolved
+     * through getTrackInfo when they come up in the queue. Tracks from
+     * external links are "artist - title" searches with a matchDuration.
+     * @param {string} url - Playlist, mix or external link
+     * @param {number} offset - Number of entries to skip
+     * @param {number} limit - Maximum number of entries (1-100)
+     * @returns {Promise<Object>} { type, title, url, totalTracks, nextOffset, tracks }
+     */
+    async getPlaylistPage(url, offset = 0, limit = 50) {
+        this.log(`Fetching playlist page: ${url} (offset ${offset})`, 'debug');
+
+        const external = this.isExternalLink(url);
+        const endpoint = external ? 'resolve' : 'playlist';
+
+        let response;
+        try {
+            response = await axios.get(`${this.audioServerUrl}/api/audio/${endpoint}`, {
+                params: { url: url.trim(), offset, limit },
+                headers: getAuthHeaders(),
+                timeout: 30000,
+            });
+        } catch (error) {
+            if (error.response?.status === 404) {
+                throw new Error('Playlist not found, private or empty');
+            }
+            // Links from sites the server has no resolver for
+            if (error.response?.status === 422) {
+                throw new Error(error.response.data?.error || 'Links from this site are not supported');
+            }
+            throw error;
+        }
+
+        const page = response.data;
+        if (!page || !Array.isArray(page.tracks)) {
+            throw new Error('Invalid response from audio server');
+        }
+
+        const source = external ? String(page.source || 'link').toLowerCase() : 'youtube';
+
+        return {
+            type: page.type || 'playlist',
+            title: page.title,
+            url: page.url,
+            totalTracks: page.totalTracks ?? null,
+            nextOffset: page.nextOffset ?? null,
+            tracks: page.tracks.map(track => ({
+                title: track.title,
+                url: track.url,
+                duration: (track.durationSec || 0) * 1000,
+                thumbnail: track.thumbnail || null,
+                author: track.artist || track.uploader || 'Unknown',
+                source,
+                query: external ? track.query : track.url,
+                ...(external && { matchDuration: track.durationSec || null }),
+            })),
+        };
+    }
+
+    /**
+     * Get the video ID of a YouTube URL
+     * @param {string} url
+     * @returns {string|null} Video ID, or null for other URLs
+     */
+    getVideoId(url) {
+        const match = String(url || '').match(VIDEO_ID_REGEX);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Get tracks related to a YouTube video, from the video's mix (list=RD<id>).
+     * Tracks only carry the listing data like getPlaylistPage.
+     * @param {string} url - YouTube video URL
+     * @param {number} limit - Maximum number of tracks (1-100)
+     * @returns {Promise<Object[]>} Related tracks, without the video itself
+     */
+    async getRelatedTracks(url, limit = 25) {
+        const videoId = this.getVideoId(url);
+        if (!videoId) {
+            return [];
+        }
+
+        const page = await this.getPlaylistPage(`https://www.youtube.com/watch?v=${videoId}&list=RD${videoId}`, 0, limit);
+
+        return page.tracks.filter(track => this.getVideoId(track.url) !== videoId);
+    }
+
+    /**
+     * Get the lyrics of a song.
+     * The audio server cleans up video titles and channel names itself.
+     * @param {Object} song
+     * @param {string} song.title - Song or video title
+     * @param {string} song.artist - Artist or channel name (optional)
+     * @param {number} song.duration - Duration in ms (optional), to tell versions apart
+     * @returns {Promise<Object|null>} { source, title, artist, instrumental, plain, synced }
+     *   where synced is null or a list of { time, text } lines (time in ms); null if not found
+     */
+    async getLyrics({ title, artist = null, duration = null }) {
+        const key = `lyrics:${(artist || '').toLowerCase()}:${title.trim().toLowerCase()}`;
+
+        const cached = this._cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.log(`Cache hit: ${key}`, 'debug');
+            return cached.data;
+        }
+
+        this.log(`Fetching lyrics: ${title}`, 'debug');
+
+        const params = { title: title.trim() };
+        if (artist) {
+            params.artist = artist;
+        }
+        if (duration >= 1000) {
+            params.duration = Math.round(duration / 1000);
+        }
+
+        let response;
+        try {
+            response = await axios.get(`${this.audioServerUrl}/api/audio/lyrics`, {
+                params,
+                headers: getAuthHeaders(),
+                timeout: 15000,
+            });
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (!response.data || !('plain' in response.data)) {
+            throw new Error('Invalid response from audio server');
+        }
+
+        const lyrics = {
+            source: response.data.source,
+            title: response.data.title || title,
+            artist: response.data.artist || null,
+            instrumental: Boolean(response.data.instrumental),
+            plain: response.data.plain || null,
+            synced: Array.isArray(response.data.synced) ? response.data.synced : null,
+        };
+
+        if (this._cache.size >= this._maxCacheSize) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+
+        this._cache.set(key, { data: lyrics, expiresAt: Date.now() + this._cacheTTL });
+
+        return lyrics;
+    }
+
     /**
      * Invalidate a specific cache entry (e.g. after a CDN error).
      * @param {string} query
@@ -166,6 +166,107 @@ class TicketModel extends Model {
         }
     }
 
+    /**
+     * Reopen a closed ticket
+     * The ticket goes back to claimed if it was claimed when it was closed.
+     * @param {Object} ticket - Ticket row
+     * @returns {Promise<void>}
+     */
+    async reopenTicket(ticket) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await this.update(ticket.id, {
+                status: ticket.claimed_by ? 'claimed' : 'open',
+                closed_at: null,
+                closed_by: null,
+                delete_after: null,
+                reminder_sent_at: null,
+                last_activity_at: now
+            });
+
+            this.log(`Reopened ticket ${ticket.id}`, 'info');
+        } catch (error) {
+            this.log(`Error reopening ticket: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Record activity in a ticket and cancel any pending inactivity auto-close
+     * @param {string} ticketId - Ticket ID
+     * @param {number} timestamp - Unix timestamp in seconds
+     * @returns {Promise<void>}
+     */
+    async touchTicket(ticketId, timestamp) {
+        try {
+            await this.query(
+                `UPDATE tickets SET last_activity_at = ?, reminder_sent_at = NULL WHERE id = ?`,
+                [timestamp, ticketId]
+            );
+        } catch (error) {
+            this.log(`Error recording ticket activity: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Set ticket priority
+     * Changing the priority allows a new SLA alert.
+     * @param {string} ticketId - Ticket ID
+     * @param {string} priority - Priority ('low', 'normal', 'high', 'urgent')
+     * @returns {Promise<void>}
+     */
+    async setPriority(ticketId, priority) {
+        try {
+            await this.update(ticketId, {
+                priority,
+                sla_alerted_at: null
+            });
+
+            this.log(`Set priority of ticket ${ticketId} to ${priority}`, 'info');
+        } catch (error) {
+            this.log(`Error setting ticket priority: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Get open and claimed tickets of all guilds
+     * @returns {Promise<Array>} List of tickets
+     */
+    async getActiveTickets() {
+        try {
+            const results = await this.query(
+                `SELECT * FROM tickets WHERE status IN ('open', 'claimed')`
+            );
+
+            return results || [];
+        } catch (error) {
+            this.log(`Error getting active tickets: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Get closed tickets whose archived channel is due for deletion
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {Promise<Array>} List of tickets
+     */
+    async getArchivedTicketsDue(now) {
+        try {
+            const results = await this.query(
+                `SELECT * FROM tickets WHERE status = 'closed' AND delete_after IS NOT NULL AND delete_after <= ?`,
+                [now]
+            );
+
+            return results || [];
+        } catch (error) {
+            this.log(`Error getting archived tickets: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     /**
      * Claim ticket
      * @param {string} ticketId - Ticket ID
@@ -233,23 +334,44 @@ class TicketModel extends Model {
     /**
      * Search tickets
      * @param {string} guildId - Guild ID
-     * @param {Object} criteria - Search criteria (userId, categoryId, status, priority)
+     * @param {Object} criteria - Search criteria (userId, categoryId, status, priority, claimedBy)
+     * @param {number} criteria.since - Only tickets created at or after this unix timestamp
+     * @param {number} criteria.until - Only tickets created before this unix timestamp
      * @param {number} limit - Number of tickets to return
      * @returns {Promise<Array>} List of tickets
      */
     async searchTickets(guildId, criteria = {}, limit = 50) {
         try {
-            const searchCriteria = { guild_id: guildId };
+            const conditions = ['guild_id = ?'];
+            const params = [guildId];
+
+            const columns = {
+                userId: 'user_id',
+                categoryId: 'category_id',
+                status: 'status',
+                priority: 'priority',
+                claimedBy: 'claimed_by',
+            };
 
-            if (criteria.userId) searchCriteria.user_id = criteria.userId;
-            if (criteria.categoryId) searchCriteria.category_id = criteria.categoryId;
-            if (criteria.status) searchCriteria.status = criteria.status;
-            if (criteria.priority) searchCriteria.priority = criteria.priority;
-            if (criteria.claimedBy) searchCriteria.claimed_by = criteria.claimedBy;
+            for (const [key, column] of Object.entries(columns)) {
+                if (criteria[key]) {
+                    conditions.push(`${column} = ?`);
+                    params.push(criteria[key]);
+                }
+            }
 
-            const results = await this.findBy(
-                searchCriteria,
-                { orderBy: 'created_at DESC', limit: limit }
+            if (criteria.since) {
+                conditions.push('created_at >= ?');
+                params.push(criteria.since);
+            }
+            if (criteria.until) {
+                conditions.push('created_at < ?');
+                params.push(criteria.until);
+            }
+
+            const results = await this.query(
+                `SELECT * FROM tickets WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC LIMIT ?`,
+                [...params, limit]
             );
 
             return results || [];
@@ -262,43 +384,48 @@ class TicketModel extends Model {
     /**
      * Get ticket statistics for guild
      * @param {string} guildId - Guild ID
+     * @param {Object} range - Optional creation date range
+     * @param {number} range.since - Only tickets created at or after this unix timestamp
+     * @param {number} range.until - Only tickets created before this unix timestamp
      * @returns {Promise<Object>} Ticket statistics
      */
-    async getTicketStats(guildId) {
+    async getTicketStats(guildId, range = {}) {
+        const stats = {
+            open: 0,
+            claimed: 0,
+            closed: 0,
+            total: 0
+        };
+
         try {
-            const openResult = await this.count({
-                guild_id: guildId,
-                status: 'open'
-            });
+            const conditions = ['guild_id = ?'];
+            const params = [guildId];
 
-            const claimedResult = await this.count({
-                guild_id: guildId,
-                status: 'claimed'
-            });
+            if (range.since) {
+                conditions.push('created_at >= ?');
+                params.push(range.since);
+            }
+            if (range.until) {
+                conditions.push('created_at < ?');
+                params.push(range.until);
+            }
 
-            const closedResult = await this.count({
-                guild_id: guildId,
-                status: 'closed'
-            });
+            const rows = await this.query(
+                `SELECT status, COUNT(*) as count FROM tickets WHERE ${conditions.join(' AND ')} GROUP BY status`,
+                params
+            );
 
-            const totalResult = await this.count({
-                guild_id: guildId
-            });
+            for (const row of rows || []) {
+                if (row.status in stats) {
+                    stats[row.status] = Number(row.count);
+                }
+                stats.total += Number(row.count);
+            }
 
-            return {
-                open: openResult,
-                claimed: claimedResult,
-                closed: closedResult,
-                total: totalResult
-            };
+            return stats;
         } catch (error) {
             this.log(`Error getting ticket stats: ${error.message}`, 'error');
-            return {
-                open: 0,
-                claimed: 0,
-                closed: 0,
-                total: 0
-            };
+            return stats;
         }
     }
 
@@ -309,18 +436,32 @@ class TicketModel extends Model {
      * @param {string} messageId - Discord message ID
      * @param {string} content - Message content
      * @param {Array} attachments - Message attachments
+     * @param {Object} details - Extra message details
+     * @param {string} details.authorTag - Author name at the time of sending
+     * @param {Array} details.embeds - Simplified message embeds
+     * @param {number} details.createdAt - Unix timestamp in seconds
      * @returns {Promise<void>}
      */
-    async addTicketMessage(ticketId, userId, messageId, content, attachments = []) {
+    async addTicketMessage(ticketId, userId, messageId, content, attachments = [], details = {}) {
         try {
             const messageRecordId = randomUUID();
-            const now = Math.floor(Date.now() / 1000);
+            const createdAt = details.createdAt || Math.floor(Date.now() / 1000);
 
             await this.query(
                 `INSERT INTO ticket_messages 
-                 (id, ticket_id, user_id, message_id, content, attachments, created_at) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [messageRecordId, ticketId, userId, messageId, content, JSON.stringify(attachments), now]
+                 (id, ticket_id, user_id, message_id, content, attachments, author_tag, embeds, created_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    messageRecordId,
+                    ticketId,
+                    userId,
+                    messageId,
+                    content || '',
+                    JSON.stringify(attachments),
+                    details.authorTag || null,
+                    JSON.stringify(details.embeds || []),
+                    createdAt
+                ]
             );
 
             this.log(`Added message to ticket ${ticketId}`, 'debug');
@@ -334,25 +475,30 @@ class TicketModel extends Model {
      * Get ticket messages
      * @param {string} ticketId - Ticket ID
      * @param {number} limit - Number of messages to return
-     * @returns {Promise<Array>} List of messages
+     * @returns {Promise<Array>} List of messages, oldest first
      */
     async getTicketMessages(ticketId, limit = 100) {
         try {
+            // rowid keeps insertion order for messages sent within the same second
             const results = await this.query(
                 `SELECT * FROM ticket_messages 
                  WHERE ticket_id = ? 
-                 ORDER BY created_at ASC 
+                 ORDER BY created_at ASC, rowid ASC 
                  LIMIT ?`,
                 [ticketId, limit]
             );
 
-            // Parse attachments JSON
+            // Parse attachments and embeds JSON
             return (results || []).map(msg => {
-                if (msg.attachments && typeof msg.attachments === 'string') {
-                    try {
-                        msg.attachments = JSON.parse(msg.attachments);
-                    } catch (e) {
-                        msg.attachments = [];
+                for (const field of ['attachments', 'embeds']) {
+                    if (typeof msg[field] === 'string') {
+                        try {
+                            msg[field] = JSON.parse(msg[field]);
+                        } catch (e) {
+                            msg[field] = [];
+                        }
+                    } else if (!msg[field]) {
+                        msg[field] = [];
                     }
                 }
                 return msg;
@@ -418,25 +564,76 @@ class TicketModel extends Model {
                 sql += ` AND is_active = true`;
             }
 
+            sql += ` ORDER BY created_at ASC`;
+
             const results = await this.query(sql, params);
 
-            // Parse staff_role_ids JSON
-            return (results || []).map(cat => {
-                if (cat.staff_role_ids && typeof cat.staff_role_ids === 'string') {
-                    try {
-                        cat.staff_role_ids = JSON.parse(cat.staff_role_ids);
-                    } catch (e) {
-                        cat.staff_role_ids = [];
-                    }
-                }
-                return cat;
-            });
+            return (results || []).map(cat => this.parseCategory(cat));
         } catch (error) {
             this.log(`Error getting ticket categories: ${error.message}`, 'error');
             throw error;
         }
     }
 
+    /**
+     * Get ticket category by ID
+     * @param {string} categoryId - Category ID
+     * @returns {Promise<Object|null>} Category or null
+     */
+    async getCategory(categoryId) {
+        try {
+            const category = await this.queryOne(
+                `SELECT * FROM ticket_categories WHERE id = ?`,
+                [categoryId]
+            );
+
+            return category ? this.parseCategory(category) : null;
+        } catch (error) {
+            this.log(`Error getting ticket category: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Get ticket category by name (case-insensitive), including inactive ones
+     * @param {string} guildId - Guild ID
+     * @param {string} name - Category name
+     * @returns {Promise<Object|null>} Category or null
+     */
+    async getCategoryByName(guildId, name) {
+        try {
+            const category = await this.queryOne(
+                `SELECT * FROM ticket_categories WHERE guild_id = ? AND LOWER(name) = LOWER(?)`,
+                [guildId, name]
+            );
+
+            return category ? this.parseCategory(category) : null;
+        } catch (error) {
+            this.log(`Error getting ticket category by name: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Parse the JSON and boolean columns of a category row
+     * @param {Object} cat - Category row
+     * @returns {Object} Category
+     */
+    parseCategory(cat) {
+        if (typeof cat.staff_role_ids === 'string') {
+            try {
+                cat.staff_role_ids = JSON.parse(cat.staff_role_ids);
+            } catch (e) {
+                cat.staff_role_ids = [];
+            }
+        } else if (!cat.staff_role_ids) {
+            cat.staff_role_ids = [];
+        }
+
+        cat.is_active = Boolean(cat.is_active);
+        return cat;
+    }
+
     /**
      * Update ticket category
      * @param {string} categoryId - Category ID
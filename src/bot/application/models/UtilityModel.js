@@ -111,18 +111,19 @@ class UtilityModel extends Model {
      * @param {string} emoji - Emoji
      * @param {string} roleId - Role ID
      * @param {string} description - Description
+     * @param {string} mode - Reaction mode (normal, unique, verify, drop)
      * @returns {Promise<Object>} Reaction role information
      */
-    async createReactionRole(guildId, messageId, channelId, emoji, roleId, description = null) {
+    async createReactionRole(guildId, messageId, channelId, emoji, roleId, description = null, mode = 'normal') {
         try {
             const reactionRoleId = randomUUID();
             const now = Math.floor(Date.now() / 1000);
 
             await this.query(
                 `INSERT INTO reaction_roles 
-                 (id, guild_id, message_id, channel_id, emoji, role_id, description, created_at) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [reactionRoleId, guildId, messageId, channelId, emoji, roleId, description, now]
+                 (id, guild_id, message_id, channel_id, emoji, role_id, description, mode, created_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [reactionRoleId, guildId, messageId, channelId, emoji, roleId, description, mode, now]
             );
 
             this.log(`Created reaction role ${reactionRoleId}`, 'info');
@@ -134,7 +135,8 @@ class UtilityModel extends Model {
                 channelId,
                 emoji,
                 roleId,
-                description
+                description,
+                mode
             };
         } catch (error) {
             this.log(`Error creating reaction role: ${error.message}`, 'error');
@@ -200,6 +202,41 @@ class UtilityModel extends Model {
         }
     }
 
+    /**
+     * Get the IDs of every message that has reaction roles
+     * @returns {Promise<Array<string>>} Message IDs
+     */
+    async getReactionRoleMessageIds() {
+        try {
+            const results = await this.query(
+                `SELECT DISTINCT message_id FROM reaction_roles`
+            );
+
+            return (results || []).map(row => row.message_id);
+        } catch (error) {
+            this.log(`Error getting reaction role message IDs: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Set the mode for every reaction role on a message
+     * @param {string} messageId - Message ID
+     * @param {string} mode - Reaction mode (normal, unique, verify, drop)
+     * @returns {Promise<void>}
+     */
+    async setReactionRoleMode(messageId, mode) {
+        try {
+            await this.query(
+                `UPDATE reaction_roles SET mode = ? WHERE message_id = ?`,
+                [mode, messageId]
+            );
+        } catch (error) {
+            this.log(`Error setting reaction role mode: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     /**
      * Delete reaction role
      * @param {string} reactionRoleId - Reaction role ID
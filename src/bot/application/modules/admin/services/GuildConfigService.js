@@ -6,6 +6,8 @@
  */
 
 const BaseService = require('../../../../system/core/BaseService');
+const { isValidFilterChain } = require('../../../../system/helpers/AudioFilterHelper');
+const { DEFAULT_DJ_COMMANDS, isValidDJCommands } = require('../../../../system/helpers/MusicPermissionHelper');
 
 class GuildConfigService extends BaseService {
     /**
@@ -86,6 +88,62 @@ class GuildConfigService extends BaseService {
             },
         });
 
+        // Default Filter setting
+        registry.set('music_default_filter', {
+            type: 'string',
+            default: 'none',
+            description: 'Audio filter chain new queues start with (e.g. bassboost+loudnorm, none to disable)',
+            category: 'music',
+            validate: (value) => {
+                return typeof value === 'string' && value.length <= 300 && isValidFilterChain(value);
+            },
+        });
+
+        // DJ Commands setting
+        registry.set('music_dj_commands', {
+            type: 'string',
+            default: DEFAULT_DJ_COMMANDS.join(','),
+            description: 'Music commands only DJs may use, separated by commas (all or none also accepted)',
+            category: 'music',
+            validate: (value) => {
+                return typeof value === 'string' && value.length <= 300 && isValidDJCommands(value);
+            },
+        });
+
+        // Vote Skip setting
+        registry.set('music_vote_skip', {
+            type: 'boolean',
+            default: false,
+            description: 'Let listeners without the DJ role vote to skip a track',
+            category: 'music',
+            validate: (value) => {
+                return value === true || value === false || value === 'true' || value === 'false';
+            },
+        });
+
+        // Vote Skip Threshold setting
+        registry.set('music_vote_skip_percent', {
+            type: 'number',
+            default: 50,
+            description: 'Percentage of listeners in the voice channel whose votes skip a track (1-100)',
+            category: 'music',
+            validate: (value) => {
+                const num = Number(value);
+                return Number.isInteger(num) && num >= 1 && num <= 100;
+            },
+        });
+
+        // Requester Skip setting
+        registry.set('music_requester_skip', {
+            type: 'boolean',
+            default: true,
+            description: 'Let members skip tracks they requested without the DJ role or a vote',
+            category: 'music',
+            validate: (value) => {
+                return value === true || value === false || value === 'true' || value === 'false';
+            },
+        });
+
         // Welcome Enabled setting
         registry.set('welcome_enabled', {
             type: 'boolean',
@@ -178,6 +236,38 @@ class GuildConfigService extends BaseService {
             },
         });
 
+        // Leveling XP Cooldown setting
+        registry.set('leveling_xp_cooldown', {
+            type: 'number',
+            default: 60,
+            description: 'Seconds between XP-earning messages per user (0-3600)',
+            category: 'leveling',
+            validate: (value) => {
+                const num = Number(value);
+                return !isNaN(num) && num >= 0 && num <= 3600;
+            },
+        });
+
+        // Leveling Announcement Channel setting
+        registry.set('leveling_announcement_channel', {
+            type: 'channel',
+            default: null,
+            description: 'Channel for level-up announcements',
+            category: 'leveling',
+            validate: (value, guild) => this.validateChannel(value, guild),
+        });
+
+        // Leveling Role Reward Stacking setting
+        registry.set('leveling_stack_role_rewards', {
+            type: 'boolean',
+            default: true,
+            description: 'Keep lower level role rewards when a higher one is earned (false keeps only the highest)',
+            category: 'leveling',
+            validate: (value) => {
+                return value === true || value === false || value === 'true' || value === 'false';
+            },
+        });
+
         // Economy Starting Balance setting
         registry.set('economy_starting_balance', {
             type: 'number',
@@ -190,6 +280,108 @@ class GuildConfigService extends BaseService {
             },
         });
 
+        // Economy Minimum Bet setting
+        registry.set('economy_min_bet', {
+            type: 'number',
+            default: 10,
+            description: 'Minimum bet for casino games (1-1000000)',
+            category: 'economy',
+            validate: (value) => {
+                const num = Number(value);
+                return Number.isInteger(num) && num >= 1 && num <= 1000000;
+            },
+        });
+
+        // Economy Maximum Bet setting
+        registry.set('economy_max_bet', {
+            type: 'number',
+            default: 100000,
+            description: 'Maximum bet for casino games (0 for no limit)',
+            category: 'economy',
+            validate: (value) => {
+                const num = Number(value);
+                return Number.isInteger(num) && num >= 0 && num <= 100000000;
+            },
+        });
+
+        // Economy Game Cooldown setting
+        registry.set('economy_game_cooldown', {
+            type: 'number',
+            default: 5,
+            description: 'Seconds between casino games per user (0-3600)',
+            category: 'economy',
+            validate: (value) => {
+                const num = Number(value);
+                return !isNaN(num) && num >= 0 && num <= 3600;
+            },
+        });
+
+        // Ticket Log Channel setting
+        registry.set('ticket_log_channel', {
+            type: 'channel',
+            default: null,
+            description: 'Channel that receives ticket transcripts when tickets are closed',
+            category: 'tickets',
+            validate: (value, guild) => this.validateChannel(value, guild),
+        });
+
+        // Ticket Staff Alert Channel setting
+        registry.set('ticket_alert_channel', {
+            type: 'channel',
+            default: null,
+            description: 'Channel for ticket SLA alerts (falls back to the ticket log channel)',
+            category: 'tickets',
+            validate: (value, guild) => this.validateChannel(value, guild),
+        });
+
+        // Ticket Inactivity Reminder setting
+        registry.set('ticket_reminder_hours', {
+            type: 'number',
+            default: 0,
+            description: 'Hours without activity before the ticket opener is reminded (0 disables, max 720)',
+            category: 'tickets',
+            validate: (value) => {
+                const num = Number(value);
+                return !isNaN(num) && num >= 0 && num <= 720;
+            },
+        });
+
+        // Ticket Auto-Close setting
+        registry.set('ticket_auto_close_hours', {
+            type: 'number',
+            default: 24,
+            description: 'Hours after an inactivity reminder before the ticket closes itself (0 disables, max 720)',
+            category: 'tickets',
+            validate: (value) => {
+                const num = Number(value);
+                return !isNaN(num) && num >= 0 && num <= 720;
+            },
+        });
+
+        // Ticket Reopen Grace Period setting
+        registry.set('ticket_reopen_grace_hours', {
+            type: 'number',
+            default: 24,
+            description: 'Hours a closed ticket channel is archived for /ticket-reopen before deletion (0 deletes immediately, max 720)',
+            category: 'tickets',
+            validate: (value) => {
+                const num = Number(value);
+                return !isNaN(num) && num >= 0 && num <= 720;
+            },
+        });
+
+        // Ticket SLA setting
+        registry.set('ticket_sla_minutes', {
+            type: 'number',
+            default: 0,
+            description: 'Minutes a high or urgent ticket may stay unclaimed before staff are alerted (0 disables, max 10080)',
+            category: 'tickets',
+            validate: (value) => {
+                const num = Number(value);
+                return Number.isInteger(num) && num >= 0 && num <= 10080;
+            },
+        });
+
         return registry;
     }
 
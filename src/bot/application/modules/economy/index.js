@@ -17,7 +17,7 @@ module.exports = {
     models: ['EconomyModel'],
 
     // Services used by this module
-    services: ['EconomyService', 'GameService', 'ShopService'],
+    services: ['EconomyService', 'GameService', 'ShopService', 'ItemEffectService'],
 
     // Libraries used by this module
     libraries: [],
@@ -114,7 +114,84 @@ module.exports = {
                     description: 'Amount to bet',
                     type: 4, // INTEGER
                     required: true,
-                    min_value: 10,
+                    min_value: 1,
+                },
+            ],
+        },
+        {
+            name: 'roulette',
+            description: 'Bet on a spin of the roulette wheel',
+            controller: 'EconomyController',
+            method: 'roulette',
+            options: [
+                {
+                    name: 'bet',
+                    description: 'Amount to bet',
+                    type: 4, // INTEGER
+                    required: true,
+                    min_value: 1,
+                },
+                {
+                    name: 'space',
+                    description: 'What to bet on',
+                    type: 3, // STRING
+                    required: true,
+                    choices: [
+                        { name: 'Red (2x)', value: 'red' },
+                        { name: 'Black (2x)', value: 'black' },
+                        { name: 'Green (14x)', value: 'green' },
+                        { name: 'Even (2x)', value: 'even' },
+                        { name: 'Odd (2x)', value: 'odd' },
+                        { name: 'Single number (35x)', value: 'number' },
+                    ],
+                },
+                {
+                    name: 'number',
+                    description: 'Number to bet on (required for a single number bet)',
+                    type: 4, // INTEGER
+                    required: false,
+                    min_value: 0,
+                    max_value: 36,
+                },
+            ],
+        },
+        {
+            name: 'slots',
+            description: 'Spin the slot machine',
+            controller: 'EconomyController',
+            method: 'slots',
+            options: [
+                {
+                    name: 'bet',
+                    description: 'Amount to bet',
+                    type: 4, // INTEGER
+                    required: true,
+                    min_value: 1,
+                },
+            ],
+        },
+        {
+            name: 'coinflip',
+            description: 'Bet on a coin flip',
+            controller: 'EconomyController',
+            method: 'coinflip',
+            options: [
+                {
+                    name: 'bet',
+                    description: 'Amount to bet',
+                    type: 4, // INTEGER
+                    required: true,
+                    min_value: 1,
+                },
+                {
+                    name: 'side',
+                    description: 'Heads or tails',
+                    type: 3, // STRING
+                    required: true,
+                    choices: [
+                        { name: 'Heads', value: 'heads' },
+                        { name: 'Tails', value: 'tails' },
+                    ],
                 },
             ],
         },
@@ -146,6 +223,204 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'shop-admin',
+            description: 'Manage the server shop',
+            controller: 'EconomyController',
+            method: 'shopAdmin',
+            options: [
+                {
+                    name: 'create',
+                    description: 'Add an item to the shop',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'name',
+                            description: 'Item name',
+                            type: 3, // STRING
+                            required: true,
+                            max_length: 100,
+                        },
+                        {
+                            name: 'price',
+                            description: 'Price in coins',
+                            type: 4, // INTEGER
+                            required: true,
+                            min_value: 0,
+                        },
+                        {
+                            name: 'description',
+                            description: 'Item description',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 200,
+                        },
+                        {
+                            name: 'stock',
+                            description: 'Limited stock (unlimited if omitted)',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 1,
+                        },
+                        {
+                            name: 'type',
+                            description: 'What the item does (general, or role when a role is set)',
+                            type: 3, // STRING
+                            required: false,
+                            choices: [
+                                { name: 'General', value: 'general' },
+                                { name: 'Role', value: 'role' },
+                                { name: 'Role token', value: 'role_grant' },
+                                { name: 'XP booster', value: 'xp_booster' },
+                                { name: 'Coin multiplier', value: 'coin_multiplier' },
+                                { name: 'Lootbox', value: 'lootbox' },
+                                { name: 'Nickname token', value: 'nickname_token' },
+                            ],
+                        },
+                        {
+                            name: 'role',
+                            description: 'Role given on purchase (or on /use for role tokens)',
+                            type: 8, // ROLE
+                            required: false,
+                        },
+                        {
+                            name: 'duration',
+                            description: 'Role rental or booster length, e.g. 7d or 12h (permanent role if omitted)',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'multiplier',
+                            description: 'Booster multiplier, e.g. 2 for double XP or coins',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 1.1,
+                            max_value: 10,
+                        },
+                        {
+                            name: 'drops',
+                            description: 'Lootbox drop table, e.g. "100-500 coins=60, Cookie x3=40"',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'limit',
+                            description: 'Maximum quantity one member may buy',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 1,
+                        },
+                    ],
+                },
+                {
+                    name: 'edit',
+                    description: 'Edit a shop item',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'item',
+                            description: 'Item name or ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'name',
+                            description: 'New item name',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 100,
+                        },
+                        {
+                            name: 'price',
+                            description: 'New price in coins',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 0,
+                        },
+                        {
+                            name: 'description',
+                            description: 'New item description',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 200,
+                        },
+                        {
+                            name: 'stock',
+                            description: 'New stock (-1 for unlimited)',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: -1,
+                        },
+                        {
+                            name: 'role',
+                            description: 'New role given on purchase',
+                            type: 8, // ROLE
+                            required: false,
+                        },
+                        {
+                            name: 'duration',
+                            description: 'New rental or booster length, e.g. 7d, or "permanent" for roles',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'multiplier',
+                            description: 'New booster multiplier',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 1.1,
+                            max_value: 10,
+                        },
+                        {
+                            name: 'drops',
+                            description: 'New lootbox drop table, e.g. "100-500 coins=60, Cookie x3=40"',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'limit',
+                            description: 'New per-member purchase limit (0 for no limit)',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 0,
+                        },
+                    ],
+                },
+                {
+                    name: 'delete',
+                    description: 'Remove an item from the shop',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'item',
+                            description: 'Item name or ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'restock',
+                    description: 'Add stock to a limited item',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'item',
+                            description: 'Item name or ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'amount',
+                            description: 'Amount of stock to add',
+                            type: 4, // INTEGER
+                            required: true,
+                            min_value: 1,
+                        },
+                    ],
+                },
+            ],
+        },
         {
             name: 'inventory',
             description: 'View your inventory',
@@ -160,5 +435,26 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'use',
+            description: 'Use an item from your inventory',
+            controller: 'EconomyController',
+            method: 'use',
+            options: [
+                {
+                    name: 'item',
+                    description: 'Item name or ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+                {
+                    name: 'nickname',
+                    description: 'New nickname (for nickname tokens)',
+                    type: 3, // STRING
+                    required: false,
+                    max_length: 32,
+                },
+            ],
+        },
     ],
 };
@@ -86,6 +86,35 @@ class ShopBuyConfirmButton extends BaseInteraction {
                 return;
             }
 
+            // Role items are granted now; rentals expire through RoleManagementService
+            let grant = null;
+            if (shopService.grantsRoleOnPurchase(result.item)) {
+                grant = await shopService.grantItemRole(
+                    interaction.user.id,
+                    interaction.guild.id,
+                    result.item,
+                    quantity
+                );
+
+                // Nothing was delivered, so the member gets their coins back
+                if (!grant.success) {
+                    await shopService.refundPurchase(
+                        interaction.user.id,
+                        interaction.guild.id,
+                        result.item,
+                        quantity,
+                        result.totalPrice
+                    );
+
+                    await interaction.update({
+                        content: `❌ Purchase failed: the <@&${result.item.role_id}> role could not be assigned. Your **${result.totalPrice} coins** were refunded, please contact an administrator.`,
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+            }
+
             // Create success embed
             const successEmbed = new EmbedBuilder()
                 .setColor(0x2ecc71)
@@ -97,29 +126,15 @@ class ShopBuyConfirmButton extends BaseInteraction {
                 )
                 .setTimestamp();
 
-            // If item has a role, mention it
-            if (result.item.role_id) {
-                const role = interaction.guild.roles.cache.get(result.item.role_id);
-                if (role) {
-                    successEmbed.addFields({
-                        name: 'Role Assigned',
-                        value: `You received the ${role} role!`,
-                        inline: false
-                    });
-
-                    // Assign role to user
-                    try {
-                        const member = await interaction.guild.members.fetch(interaction.user.id);
-                        await member.roles.add(role);
-                    } catch (roleError) {
-                        this.log(`Failed to assign role: ${roleError.message}`, 'error');
-                        successEmbed.addFields({
-                            name: 'Note',
-                            value: 'Failed to automatically assign role. Please contact an administrator.',
-                            inline: false
-                        });
-                    }
-                }
+            if (grant) {
+                const expiryText = grant.expiresAt
+                    ? ` It expires <t:${Math.floor(grant.expiresAt / 1000)}:R>.`
+                    : '';
+                successEmbed.addFields({
+                    name: 'Role Assigned',
+                    value: `You received the <@&${result.item.role_id}> role!${expiryText}`,
+                    inline: false
+                });
             }
 
             await interaction.update({
@@ -6,6 +6,7 @@
  */
 
 const BaseService = require('../../../../system/core/BaseService');
+const config = require('../../../config/config');
 
 class EconomyService extends BaseService {
     /**
@@ -62,13 +63,14 @@ class EconomyService extends BaseService {
      * Claim daily reward
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
+     * @param {number} multiplier - Reward multiplier from active item effects (default: 1)
      * @returns {Promise<Object>} Result with success status and details
      */
-    async claimDaily(userId, guildId) {
+    async claimDaily(userId, guildId, multiplier = 1) {
         this.validateRequired({ userId, guildId }, ['userId', 'guildId']);
 
         try {
-            const result = await this.economyModel.claimDaily(userId, guildId);
+            const result = await this.economyModel.claimDaily(userId, guildId, multiplier);
 
             this.log(`Daily claim for user ${userId}: ${result.success ? 'success' : 'cooldown'}`, 'info');
 
@@ -82,13 +84,14 @@ class EconomyService extends BaseService {
      * Work to earn money
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
+     * @param {number} multiplier - Earnings multiplier from active item effects (default: 1)
      * @returns {Promise<Object>} Result with success status and details
      */
-    async work(userId, guildId) {
+    async work(userId, guildId, multiplier = 1) {
         this.validateRequired({ userId, guildId }, ['userId', 'guildId']);
 
         try {
-            const result = await this.economyModel.work(userId, guildId);
+            const result = await this.economyModel.work(userId, guildId, multiplier);
 
             this.log(`Work for user ${userId}: ${result.success ? 'success' : 'cooldown'}`, 'info');
 
@@ -156,7 +159,7 @@ class EconomyService extends BaseService {
         }
 
         try {
-            await this.economyModel.updateBalance(userId, guildId, amount, 'balance');
+            await this.economyModel.updateBalance(userId, guildId, amount, 'wallet', 'add', reason);
 
             // Log transaction
             await this.logTransaction(userId, guildId, amount, 'add', reason);
@@ -204,7 +207,7 @@ class EconomyService extends BaseService {
                 };
             }
 
-            await this.economyModel.updateBalance(userId, guildId, -amount, 'balance');
+            await this.economyModel.updateBalance(userId, guildId, -amount, 'wallet', 'remove', reason);
 
             // Log transaction
             await this.logTransaction(userId, guildId, -amount, 'remove', reason);
@@ -368,6 +371,110 @@ class EconomyService extends BaseService {
         }
     }
 
+    /**
+     * Get casino game settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} Settings with minBet, maxBet (0 for no limit) and cooldown in seconds
+     */
+    async getGameSettings(guildId) {
+        const [minBet, maxBet, cooldown] = await Promise.all([
+            this.getEconomySetting(guildId, 'economy_min_bet', config.economy.minBet),
+            this.getEconomySetting(guildId, 'economy_max_bet', config.economy.maxBet),
+            this.getEconomySetting(guildId, 'economy_game_cooldown', config.economy.gameCooldown)
+        ]);
+
+        return { minBet, maxBet, cooldown };
+    }
+
+    /**
+     * Check a bet against the guild's bet limits
+     * @param {string} guildId - Guild ID
+     * @param {number} bet - Bet amount
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async validateBet(guildId, bet) {
+        const { minBet, maxBet } = await this.getGameSettings(guildId);
+
+        if (bet < minBet) {
+            return { success: false, message: `The minimum bet is **${minBet} coins**` };
+        }
+
+        if (maxBet > 0 && bet > maxBet) {
+            return { success: false, message: `The maximum bet is **${maxBet} coins**` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Settle a finished game
+     * Debits the bet and credits the winnings atomically and logs the outcome.
+     * @param {Object} game - Game result from GameService (userId, guildId, type, bet, winAmount)
+     * @param {string} description - Human-readable outcome for the transaction log
+     * @param {Object} details - Extra game details stored with the transaction
+     * @returns {Promise<Object>} Result with success status and new balance
+     */
+    async settleBet(game, description, details = {}) {
+        const { userId, guildId, bet } = game;
+        this.validateRequired({ userId, guildId, bet }, ['userId', 'guildId', 'bet']);
+
+        if (bet <= 0) {
+            throw new Error('Bet must be positive');
+        }
+
+        try {
+            const payout = game.winAmount || 0;
+            const result = await this.economyModel.settleBet(userId, guildId, bet, payout, description, {
+                game: game.type,
+                bet,
+                payout,
+                ...details
+            });
+
+            if (!result.success) {
+                const balance = await this.getBalance(userId, guildId);
+                return { ...result, required: bet, available: balance.wallet };
+            }
+
+            this.log(`Settled ${game.type} bet for user ${userId}`, 'info', { bet, payout });
+
+            return {
+                success: true,
+                bet,
+                payout,
+                net: payout - bet,
+                newBalance: result.newBalance
+            };
+        } catch (error) {
+            throw this.handleError(error, 'settleBet', { userId, guildId, bet, type: game.type });
+        }
+    }
+
+    /**
+     * Get a numeric economy setting from the guild configuration
+     * @param {string} guildId - Guild ID
+     * @param {string} key - Setting key
+     * @param {number} fallback - Value used when the setting is unavailable
+     * @returns {Promise<number>} Setting value
+     * @private
+     */
+    async getEconomySetting(guildId, key, fallback) {
+        try {
+            const adminModule = this.client.modules.get('admin');
+            const guildConfigService = adminModule?.getService('GuildConfigService');
+            if (guildConfigService) {
+                const value = await guildConfigService.getSetting(guildId, key);
+                if (value !== undefined && value !== null) {
+                    return Number(value);
+                }
+            }
+        } catch (error) {
+            this.log(`Error getting ${key} from config: ${error.message}`, 'debug');
+        }
+
+        return fallback;
+    }
+
     /**
      * Log a transaction
      * @param {string} userId - User ID
@@ -22,6 +22,12 @@ class GameService extends BaseService {
         // Game expiration time (5 minutes)
         this.gameExpirationMs = 5 * 60 * 1000;
 
+        // Last casino game time per guild member
+        this.cooldowns = new Map();
+
+        // Cooldowns are configurable up to an hour, so older entries can go
+        this.cooldownRetentionMs = 60 * 60 * 1000;
+
         // Note: Cleanup is handled by CleanupManager
     }
 
@@ -41,6 +47,7 @@ class GameService extends BaseService {
      */
     async shutdown() {
         this.activeGames.clear();
+        this.cooldowns.clear();
 
         await super.shutdown();
     }
@@ -333,6 +340,59 @@ class GameService extends BaseService {
         };
     }
 
+    /**
+     * Get the time left before a user can play another casino game
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} cooldownSeconds - Guild cooldown in seconds
+     * @returns {number} Remaining cooldown in milliseconds (0 if ready)
+     */
+    getCooldownRemaining(userId, guildId, cooldownSeconds) {
+        const lastPlayedAt = this.cooldowns.get(`${guildId}-${userId}`);
+        if (!lastPlayedAt || cooldownSeconds <= 0) {
+            return 0;
+        }
+
+        return Math.max(0, lastPlayedAt + cooldownSeconds * 1000 - Date.now());
+    }
+
+    /**
+     * Start the casino game cooldown for a user
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     */
+    startCooldown(userId, guildId) {
+        this.cooldowns.set(`${guildId}-${userId}`, Date.now());
+    }
+
+    /**
+     * Check and start the casino game cooldown in one step
+     * Runs synchronously, so of two games started at the same time only
+     * the first one gets through.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} cooldownSeconds - Guild cooldown in seconds
+     * @returns {number} Remaining cooldown in milliseconds (0 if claimed)
+     */
+    claimCooldown(userId, guildId, cooldownSeconds) {
+        const remaining = this.getCooldownRemaining(userId, guildId, cooldownSeconds);
+        if (remaining > 0) {
+            return remaining;
+        }
+
+        this.startCooldown(userId, guildId);
+        return 0;
+    }
+
+    /**
+     * Clear a user's casino game cooldown, for games that were not played
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     */
+    releaseCooldown(userId, guildId) {
+        this.cooldowns.delete(`${guildId}-${userId}`);
+    }
+
     /**
      * Cleanup expired games
      */
@@ -347,6 +407,12 @@ class GameService extends BaseService {
             }
         }
 
+        for (const [key, lastPlayedAt] of this.cooldowns.entries()) {
+            if (now - lastPlayedAt > this.cooldownRetentionMs) {
+                this.cooldowns.delete(key);
+            }
+        }
+
         if (cleanedCount > 0) {
             this.log(`Cleaned up ${cleanedCount} expired games`, 'debug');
         }
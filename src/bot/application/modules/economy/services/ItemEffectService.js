@@ -0,0 +1,539 @@
+/**
+ * ItemEffectService
+ *
+ * Item effects for consumable shop items, keyed on shop_items.item_type.
+ * Handles timed multipliers (XP boosters, coin multipliers), role tokens,
+ * lootboxes with weighted drop tables and nickname-change tokens.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+
+// Item types admins can create; only types with a registered effect can be used
+const ITEM_TYPES = {
+    general: 'General',
+    role: 'Role',
+    role_grant: 'Role token',
+    xp_booster: 'XP booster',
+    coin_multiplier: 'Coin multiplier',
+    lootbox: 'Lootbox',
+    nickname_token: 'Nickname token',
+};
+
+// Item types that start a timed multiplier, mapped to the effect they start
+const TIMED_EFFECTS = {
+    xp_booster: 'xp',
+    coin_multiplier: 'coins',
+};
+
+const EFFECT_LABELS = {
+    xp: 'XP booster',
+    coins: 'Coin multiplier',
+};
+
+const MAX_NICKNAME_LENGTH = 32;
+
+class ItemEffectService extends BaseService {
+    /**
+     * Create a new ItemEffectService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        // Active effects per guild member, read on every message for XP
+        this.effectCache = new Map();
+        this.cacheTTL = options.cacheTTL || 60 * 1000;
+
+        // Expired effects and cache entries are removed on this interval
+        this.cleanupInterval = options.cleanupInterval || 5 * 60 * 1000;
+        this.cleanupTimer = null;
+
+        // Effect handlers keyed on item type
+        this.effects = new Map();
+        this.registerEffect('xp_booster', (item, context) => this.applyTimedEffect(item, context));
+        this.registerEffect('coin_multiplier', (item, context) => this.applyTimedEffect(item, context));
+        this.registerEffect('role_grant', (item, context) => this.applyRoleGrant(item, context));
+        this.registerEffect('lootbox', (item, context) => this.applyLootbox(item, context));
+        this.registerEffect('nickname_token', (item, context) => this.applyNicknameToken(item, context));
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        this.startCleanupTimer();
+
+        this.log('ItemEffectService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        this.effectCache.clear();
+
+        await super.shutdown();
+    }
+
+    /**
+     * Remove expired effects and cache entries now and on every cleanup interval
+     */
+    startCleanupTimer() {
+        if (this.cleanupTimer) {
+            return;
+        }
+
+        const cleanup = () => this.cleanupExpired().catch(error =>
+            this.log(`Effect cleanup failed: ${error.message}`, 'warn')
+        );
+
+        cleanup();
+        this.cleanupTimer = setInterval(cleanup, this.cleanupInterval);
+
+        if (this.cleanupTimer.unref) {
+            this.cleanupTimer.unref();
+        }
+    }
+
+    /**
+     * Delete expired effects and drop cache entries older than the cache TTL
+     * @returns {Promise<number>} Number of expired effects deleted
+     */
+    async cleanupExpired() {
+        const now = Date.now();
+
+        for (const [key, cached] of this.effectCache) {
+            if (now - cached.timestamp >= this.cacheTTL) {
+                this.effectCache.delete(key);
+            }
+        }
+
+        const result = await this.query(
+            'DELETE FROM active_effects WHERE expires_at <= ?',
+            [Math.floor(now / 1000)]
+        );
+
+        return result?.rowsAffected || 0;
+    }
+
+    /**
+     * Register the effect for an item type
+     * @param {string} itemType - Item type
+     * @param {Function} handler - Async (item, context) => { success, message }
+     */
+    registerEffect(itemType, handler) {
+        this.effects.set(itemType, handler);
+    }
+
+    /**
+     * Check whether items of a type can be used
+     * @param {string} itemType - Item type
+     * @returns {boolean} True if the type has an effect
+     */
+    isUsable(itemType) {
+        return this.effects.has(itemType);
+    }
+
+    /**
+     * Get the display name of an item type
+     * @param {string} itemType - Item type
+     * @returns {string} Display name
+     */
+    getTypeLabel(itemType) {
+        return ITEM_TYPES[itemType] || itemType;
+    }
+
+    /**
+     * Apply an item's effect
+     * @param {Object} item - Shop item row
+     * @param {Object} context - Use context
+     * @param {string} context.userId - User ID
+     * @param {string} context.guildId - Guild ID
+     * @param {GuildMember} context.member - Member using the item
+     * @param {string} context.nickname - New nickname (nickname tokens)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async applyItem(item, context) {
+        const handler = this.effects.get(item.item_type);
+        if (!handler) {
+            return { success: false, message: `${item.name} can't be used` };
+        }
+
+        try {
+            return await handler(item, context);
+        } catch (error) {
+            throw this.handleError(error, 'applyItem', { itemId: item.id, itemType: item.item_type });
+        }
+    }
+
+    /**
+     * Build and validate the item_data for an item type
+     * @param {string} guildId - Guild ID (used to resolve lootbox item names)
+     * @param {string} itemType - Item type
+     * @param {Object} options - Effect options
+     * @param {number} options.multiplier - Multiplier for timed effects
+     * @param {number} options.duration - Duration in seconds for timed effects
+     * @param {string} options.drops - Drop table text for lootboxes
+     * @param {Object} current - Existing item_data when editing (default: none)
+     * @returns {Promise<Object>} Result with success status and data or message
+     */
+    async buildItemData(guildId, itemType, options = {}, current = {}) {
+        if (!ITEM_TYPES[itemType]) {
+            return { success: false, message: `Unknown item type: ${itemType}` };
+        }
+
+        const data = { ...current };
+
+        if (TIMED_EFFECTS[itemType]) {
+            const multiplier = options.multiplier ?? data.multiplier;
+            const duration = options.duration ?? data.duration;
+
+            if (!multiplier || multiplier <= 1 || multiplier > 10) {
+                return { success: false, message: 'Boosters need a `multiplier` above 1 and at most 10' };
+            }
+            if (!duration) {
+                return { success: false, message: 'Boosters need a `duration`, e.g. `1h` or `1d`' };
+            }
+
+            data.multiplier = multiplier;
+            data.duration = duration;
+        }
+
+        if (itemType === 'lootbox') {
+            if (options.drops) {
+                const parsed = await this.parseDropTable(guildId, options.drops);
+                if (!parsed.success) {
+                    return parsed;
+                }
+                data.drops = parsed.drops;
+            }
+
+            if (!Array.isArray(data.drops) || data.drops.length === 0) {
+                return { success: false, message: 'Lootboxes need `drops`, e.g. `100-500 coins=60, Cookie x3=40`' };
+            }
+        }
+
+        return { success: true, data };
+    }
+
+    /**
+     * Parse a lootbox drop table
+     * Entries are comma-separated `reward=weight` pairs where the reward is
+     * `<n> coins`, `<min>-<max> coins` or an item name with an optional `xN`.
+     * @param {string} guildId - Guild ID
+     * @param {string} text - Drop table text (e.g. "100-500 coins=60, Cookie x3=40")
+     * @returns {Promise<Object>} Result with success status and drops or message
+     */
+    async parseDropTable(guildId, text) {
+        const shopService = this.getShopService();
+        const drops = [];
+
+        for (const entry of String(text).split(',').map(part => part.trim()).filter(Boolean)) {
+            const match = entry.match(/^(.+?)\s*=\s*(\d+)$/);
+            if (!match || parseInt(match[2], 10) <= 0) {
+                return { success: false, message: `Invalid drop \`${entry}\`. Use \`reward=weight\`` };
+            }
+
+            const reward = match[1].trim();
+            const weight = parseInt(match[2], 10);
+
+            const coins = reward.match(/^(\d+)(?:\s*-\s*(\d+))?\s*coins?$/i);
+            if (coins) {
+                const min = parseInt(coins[1], 10);
+                const max = coins[2] ? parseInt(coins[2], 10) : min;
+                if (min <= 0 || max < min) {
+                    return { success: false, message: `Invalid coin range \`${reward}\`` };
+                }
+                drops.push({ type: 'coins', min, max, weight });
+                continue;
+            }
+
+            const itemMatch = reward.match(/^(.+?)(?:\s+x(\d+))?$/i);
+            const item = shopService ? await shopService.findItem(guildId, itemMatch[1].trim()) : null;
+            if (!item) {
+                return { success: false, message: `Unknown item \`${itemMatch[1].trim()}\` in drops` };
+            }
+            if (item.item_type === 'lootbox') {
+                return { success: false, message: 'Lootboxes cannot drop other lootboxes' };
+            }
+
+            drops.push({ type: 'item', item_id: item.id, quantity: parseInt(itemMatch[2] || '1', 10), weight });
+        }
+
+        if (drops.length === 0) {
+            return { success: false, message: 'The drop table is empty' };
+        }
+
+        return { success: true, drops };
+    }
+
+    /**
+     * Pick a drop from a weighted drop table
+     * @param {Array} drops - Drop table entries with weights
+     * @returns {Object} Chosen drop
+     */
+    rollDrop(drops) {
+        const total = drops.reduce((sum, drop) => sum + drop.weight, 0);
+        let roll = Math.random() * total;
+
+        for (const drop of drops) {
+            roll -= drop.weight;
+            if (roll < 0) {
+                return drop;
+            }
+        }
+
+        return drops[drops.length - 1];
+    }
+
+    /**
+     * Get a member's active timed effects
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array>} Active effects with effect_type, multiplier and expires_at (ms)
+     */
+    async getActiveEffects(userId, guildId) {
+        const key = `${guildId}-${userId}`;
+        const now = Date.now();
+        const cached = this.effectCache.get(key);
+
+        if (cached && now - cached.timestamp < this.cacheTTL) {
+            return cached.effects.filter(effect => effect.expires_at > now);
+        }
+
+        try {
+            // Expired rows are deleted by cleanupExpired()
+            const rows = await this.query(
+                `SELECT effect_type, multiplier, source_item_id, expires_at FROM active_effects
+                 WHERE guild_id = ? AND user_id = ? AND expires_at > ?`,
+                [guildId, userId, Math.floor(now / 1000)]
+            );
+
+            const effects = (rows || []).map(row => ({
+                effect_type: row.effect_type,
+                multiplier: Number(row.multiplier),
+                source_item_id: row.source_item_id,
+                expires_at: row.expires_at * 1000,
+            }));
+
+            this.effectCache.set(key, { effects, timestamp: now });
+
+            return effects;
+        } catch (error) {
+            throw this.handleError(error, 'getActiveEffects', { userId, guildId });
+        }
+    }
+
+    /**
+     * Get the multiplier a member's active effect gives
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} effectType - Effect type ('xp' or 'coins')
+     * @returns {Promise<number>} Multiplier (1 when no effect is active)
+     */
+    async getMultiplier(userId, guildId, effectType) {
+        try {
+            const effects = await this.getActiveEffects(userId, guildId);
+            const effect = effects.find(active => active.effect_type === effectType);
+            return effect ? effect.multiplier : 1;
+        } catch (error) {
+            this.log(`Failed to get ${effectType} multiplier: ${error.message}`, 'warn');
+            return 1;
+        }
+    }
+
+    /**
+     * Get the display name of an effect type
+     * @param {string} effectType - Effect type
+     * @returns {string} Display name
+     */
+    getEffectLabel(effectType) {
+        return EFFECT_LABELS[effectType] || effectType;
+    }
+
+    /**
+     * Start or extend a timed multiplier
+     * Using the same multiplier again extends it; a different one must wait.
+     * @param {Object} item - Shop item row
+     * @param {Object} context - Use context
+     * @returns {Promise<Object>} Result with success status, message and expiresAt (ms)
+     * @private
+     */
+    async applyTimedEffect(item, context) {
+        const { userId, guildId } = context;
+        const effectType = TIMED_EFFECTS[item.item_type];
+        const data = this.parseItemData(item);
+        const multiplier = Number(data.multiplier) || 1;
+        const duration = Number(data.duration) || 0;
+
+        if (multiplier <= 1 || duration <= 0) {
+            return { success: false, message: `${item.name} is not configured correctly` };
+        }
+
+        const label = this.getEffectLabel(effectType);
+        const active = (await this.getActiveEffects(userId, guildId)).find(effect => effect.effect_type === effectType);
+
+        if (active && active.multiplier !== multiplier) {
+            return {
+                success: false,
+                message: `You already have a ${active.multiplier}x ${label} active until <t:${Math.floor(active.expires_at / 1000)}:t>`
+            };
+        }
+
+        const start = active ? active.expires_at : Date.now();
+        const expiresAt = start + duration * 1000;
+
+        await this.query(
+            `INSERT INTO active_effects (guild_id, user_id, effect_type, multiplier, source_item_id, expires_at, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(guild_id, user_id, effect_type) DO UPDATE SET
+                multiplier = excluded.multiplier,
+                source_item_id = excluded.source_item_id,
+                expires_at = excluded.expires_at`,
+            [guildId, userId, effectType, multiplier, item.id, Math.floor(expiresAt / 1000), Math.floor(Date.now() / 1000)]
+        );
+
+        this.effectCache.delete(`${guildId}-${userId}`);
+
+        this.log(`Started ${multiplier}x ${effectType} effect for user ${userId}`, 'info', { expiresAt });
+
+        return {
+            success: true,
+            expiresAt,
+            message: active
+                ? `Your ${multiplier}x ${label} was extended until <t:${Math.floor(expiresAt / 1000)}:f>`
+                : `${multiplier}x ${label} active until <t:${Math.floor(expiresAt / 1000)}:f>`
+        };
+    }
+
+    /**
+     * Grant the role of a role token
+     * @param {Object} item - Shop item row
+     * @param {Object} context - Use context
+     * @returns {Promise<Object>} Result with success status and message
+     * @private
+     */
+    async applyRoleGrant(item, context) {
+        const shopService = this.getShopService();
+        if (!item.role_id || !shopService) {
+            return { success: false, message: `${item.name} has no role to grant` };
+        }
+
+        const grant = await shopService.grantItemRole(context.userId, context.guildId, item, 1);
+        if (!grant.success) {
+            return grant;
+        }
+
+        return {
+            success: true,
+            message: grant.expiresAt
+                ? `You received the <@&${item.role_id}> role until <t:${Math.floor(grant.expiresAt / 1000)}:f>`
+                : `You received the <@&${item.role_id}> role`
+        };
+    }
+
+    /**
+     * Open a lootbox and hand out the rolled reward
+     * @param {Object} item - Shop item row
+     * @param {Object} context - Use context
+     * @returns {Promise<Object>} Result with success status, message and reward
+     * @private
+     */
+    async applyLootbox(item, context) {
+        const { userId, guildId } = context;
+        const drops = this.parseItemData(item).drops;
+
+        if (!Array.isArray(drops) || drops.length === 0) {
+            return { success: false, message: `${item.name} is empty` };
+        }
+
+        const drop = this.rollDrop(drops);
+
+        if (drop.type === 'coins') {
+            const amount = drop.min + Math.floor(Math.random() * (drop.max - drop.min + 1));
+            const economyService = this.client.modules.get('economy')?.getService('EconomyService');
+            await economyService.addBalance(userId, guildId, amount, `Lootbox: ${item.name}`);
+
+            return { success: true, reward: { type: 'coins', amount }, message: `You found **${amount} coins**!` };
+        }
+
+        const shopService = this.getShopService();
+        const reward = await shopService.getItem(drop.item_id);
+        if (!reward) {
+            return { success: false, message: `${item.name} contained an item that no longer exists` };
+        }
+
+        await shopService.addToInventory(userId, guildId, reward.id, drop.quantity);
+
+        return {
+            success: true,
+            reward: { type: 'item', item: reward, quantity: drop.quantity },
+            message: `You found **${drop.quantity}x ${reward.name}**!`
+        };
+    }
+
+    /**
+     * Change the member's nickname
+     * @param {Object} item - Shop item row
+     * @param {Object} context - Use context
+     * @returns {Promise<Object>} Result with success status and message
+     * @private
+     */
+    async applyNicknameToken(item, context) {
+        const nickname = context.nickname ? context.nickname.trim() : '';
+
+        if (!nickname || nickname.length > MAX_NICKNAME_LENGTH) {
+            return { success: false, message: `Provide a \`nickname\` of 1-${MAX_NICKNAME_LENGTH} characters to use ${item.name}` };
+        }
+
+        if (!context.member || !context.member.manageable) {
+            return { success: false, message: 'I cannot change your nickname (your role is above mine or you own the server)' };
+        }
+
+        await context.member.setNickname(nickname, `Nickname token: ${item.name}`);
+
+        return { success: true, message: `Your nickname is now **${nickname}**` };
+    }
+
+    /**
+     * Parse an item's item_data JSON
+     * @param {Object} item - Shop item row
+     * @returns {Object} Item data
+     */
+    parseItemData(item) {
+        if (!item.item_data) {
+            return {};
+        }
+
+        if (typeof item.item_data === 'object') {
+            return item.item_data;
+        }
+
+        try {
+            return JSON.parse(item.item_data) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get ShopService instance
+     * @returns {Object|null} ShopService or null
+     * @private
+     */
+    getShopService() {
+        return this.client.modules.get('economy')?.getService('ShopService') || null;
+    }
+}
+
+module.exports = ItemEffectService;
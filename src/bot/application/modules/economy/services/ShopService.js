@@ -6,6 +6,7 @@
  */
 
 const BaseService = require('../../../../system/core/BaseService');
+const { randomUUID } = require('crypto');
 
 class ShopService extends BaseService {
     /**
@@ -35,9 +36,13 @@ class ShopService extends BaseService {
      * @param {number} stock - Item stock (-1 for unlimited)
      * @param {string} roleId - Role ID to give on purchase (optional)
      * @param {string} itemType - Item type (default: 'general')
+     * @param {Object} options - Additional item options
+     * @param {number} options.roleDuration - Rental length in seconds for role items (0 for permanent)
+     * @param {number} options.purchaseLimit - Maximum quantity one user may buy (0 for no limit)
+     * @param {Object} options.itemData - Effect settings for usable item types
      * @returns {Promise<Object>} Created item
      */
-    async createItem(guildId, name, description, price, stock = -1, roleId = null, itemType = 'general') {
+    async createItem(guildId, name, description, price, stock = -1, roleId = null, itemType = 'general', options = {}) {
         this.validateRequired({ guildId, name, description, price }, ['guildId', 'name', 'description', 'price']);
 
         if (price < 0) {
@@ -47,11 +52,14 @@ class ShopService extends BaseService {
         try {
             const itemId = `${guildId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
             const now = Date.now();
+            const roleDuration = roleId ? options.roleDuration || 0 : 0;
+            const purchaseLimit = options.purchaseLimit || 0;
+            const itemData = options.itemData || {};
 
             await this.query(
-                `INSERT INTO shop_items (id, guild_id, name, description, price, item_type, stock, role_id, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [itemId, guildId, name, description, price, itemType, stock, roleId, now, now]
+                `INSERT INTO shop_items (id, guild_id, name, description, price, item_type, item_data, stock, role_id, role_duration, purchase_limit, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [itemId, guildId, name, description, price, itemType, JSON.stringify(itemData), stock, roleId, roleDuration, purchaseLimit, now, now]
             );
 
             this.log(`Created shop item ${name} in guild ${guildId}`, 'info');
@@ -64,7 +72,10 @@ class ShopService extends BaseService {
                 price,
                 stock,
                 roleId,
-                itemType
+                itemType,
+                roleDuration,
+                purchaseLimit,
+                itemData
             };
         } catch (error) {
             throw this.handleError(error, 'createItem', { guildId, name, price });
@@ -111,6 +122,27 @@ class ShopService extends BaseService {
         }
     }
 
+    /**
+     * Find a guild's shop item by ID or name (case-insensitive)
+     * @param {string} guildId - Guild ID
+     * @param {string} identifier - Item ID or name
+     * @returns {Promise<Object|null>} Item or null
+     */
+    async findItem(guildId, identifier) {
+        this.validateRequired({ guildId, identifier }, ['guildId', 'identifier']);
+
+        try {
+            const result = await this.query(
+                'SELECT * FROM shop_items WHERE guild_id = ? AND (id = ? OR LOWER(name) = LOWER(?)) LIMIT 1',
+                [guildId, identifier, identifier]
+            );
+
+            return result && result.length > 0 ? result[0] : null;
+        } catch (error) {
+            throw this.handleError(error, 'findItem', { guildId, identifier });
+        }
+    }
+
     /**
      * Update shop item
      * @param {string} itemId - Item ID
@@ -121,14 +153,14 @@ class ShopService extends BaseService {
         this.validateRequired({ itemId }, ['itemId']);
 
         try {
-            const allowedFields = ['name', 'description', 'price', 'stock', 'role_id'];
+            const allowedFields = ['name', 'description', 'price', 'stock', 'role_id', 'item_type', 'item_data', 'role_duration', 'purchase_limit'];
             const updateFields = [];
             const updateValues = [];
 
             for (const [key, value] of Object.entries(updates)) {
                 if (allowedFields.includes(key)) {
                     updateFields.push(`${key} = ?`);
-                    updateValues.push(value);
+                    updateValues.push(key === 'item_data' && typeof value === 'object' ? JSON.stringify(value) : value);
                 }
             }
 
@@ -136,6 +168,8 @@ class ShopService extends BaseService {
                 throw new Error('No valid fields to update');
             }
 
+            updateFields.push('updated_at = ?');
+            updateValues.push(Date.now());
             updateValues.push(itemId);
 
             await this.query(
@@ -168,6 +202,64 @@ class ShopService extends BaseService {
         }
     }
 
+    /**
+     * Add stock to a limited item
+     * @param {string} itemId - Item ID
+     * @param {number} amount - Amount of stock to add
+     * @returns {Promise<Object|null>} Updated item, or null if the item has unlimited stock
+     */
+    async restockItem(itemId, amount) {
+        this.validateRequired({ itemId, amount }, ['itemId', 'amount']);
+
+        if (amount <= 0) {
+            throw new Error('Amount must be positive');
+        }
+
+        try {
+            const result = await this.query(
+                'UPDATE shop_items SET stock = stock + ?, updated_at = ? WHERE id = ? AND stock != -1',
+                [amount, Date.now(), itemId]
+            );
+
+            if (!result || result.rowsAffected === 0) {
+                return null;
+            }
+
+            this.log(`Restocked shop item ${itemId} with ${amount}`, 'info');
+
+            return await this.getItem(itemId);
+        } catch (error) {
+            throw this.handleError(error, 'restockItem', { itemId, amount });
+        }
+    }
+
+    /**
+     * Get how many of an item a user has bought
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} itemId - Item ID
+     * @param {Object} db - Database or transaction to read from (default: service database)
+     * @returns {Promise<number>} Total quantity purchased
+     */
+    async getPurchaseCount(userId, guildId, itemId, db = null) {
+        try {
+            // Refunded purchases don't count
+            const rows = await (db || this.getDatabase()).query(
+                `SELECT COALESCE(SUM(CASE WHEN type = 'purchase' THEN 1 ELSE -1 END
+                                     * json_extract(metadata, '$.quantity')), 0) AS purchased
+                 FROM economy_transactions
+                 WHERE guild_id = ?
+                   AND ((type = 'purchase' AND from_user_id = ?) OR (type = 'purchase_refund' AND to_user_id = ?))
+                   AND json_extract(metadata, '$.item_id') = ?`,
+                [guildId, userId, userId, itemId]
+            );
+
+            return Number(rows?.[0]?.purchased || 0);
+        } catch (error) {
+            throw this.handleError(error, 'getPurchaseCount', { userId, guildId, itemId });
+        }
+    }
+
     /**
      * Purchase an item
      * All balance deduction, stock update, and inventory addition are wrapped in a
@@ -200,6 +292,17 @@ class ShopService extends BaseService {
                 return { success: false, message: `Insufficient stock. Available: ${item.stock}` };
             }
 
+            if (item.purchase_limit > 0) {
+                const purchased = await this.getPurchaseCount(userId, guildId, itemId);
+                if (purchased + quantity > item.purchase_limit) {
+                    const remaining = Math.max(0, item.purchase_limit - purchased);
+                    return {
+                        success: false,
+                        message: `Purchase limit reached. You can buy ${remaining} more of this item`
+                    };
+                }
+            }
+
             const totalPrice = item.price * quantity;
 
             const economyModule = this.client.modules.get('economy');
@@ -250,13 +353,38 @@ class ShopService extends BaseService {
                     }
                 }
 
-                // Add to inventory
-                const invId = `${guildId}-${userId}-${itemId}-${Date.now()}`;
+                // Re-check the purchase limit so concurrent purchases cannot exceed it
+                if (item.purchase_limit > 0) {
+                    const purchased = await this.getPurchaseCount(userId, guildId, itemId, tx);
+                    if (purchased + quantity > item.purchase_limit) {
+                        const err = new Error('PURCHASE_LIMIT');
+                        err.code = 'PURCHASE_LIMIT';
+                        throw err;
+                    }
+                }
+
+                // Role items are granted on purchase instead of going to the inventory
+                if (!this.grantsRoleOnPurchase(item)) {
+                    const invId = `${guildId}-${userId}-${itemId}-${Date.now()}`;
+                    await tx.query(
+                        `INSERT INTO user_inventories (id, guild_id, user_id, item_id, quantity, acquired_at)
+                         VALUES (?, ?, ?, ?, ?, ?)
+                         ON CONFLICT(guild_id, user_id, item_id) DO UPDATE SET quantity = quantity + ?`,
+                        [invId, guildId, userId, itemId, quantity, Date.now(), quantity]
+                    );
+                }
+
+                // Log the purchase; purchase limits are counted from these rows
                 await tx.query(
-                    `INSERT INTO user_inventories (id, guild_id, user_id, item_id, quantity, acquired_at)
-                     VALUES (?, ?, ?, ?, ?, ?)
-                     ON CONFLICT(guild_id, user_id, item_id) DO UPDATE SET quantity = quantity + ?`,
-                    [invId, guildId, userId, itemId, quantity, Date.now(), quantity]
+                    `INSERT INTO economy_transactions
+                     (id, guild_id, from_user_id, to_user_id, amount, type, description, metadata, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        randomUUID(), guildId, userId, null, -totalPrice, 'purchase',
+                        `Bought ${quantity}x ${item.name}`,
+                        JSON.stringify({ item_id: itemId, quantity }),
+                        Math.floor(Date.now() / 1000)
+                    ]
                 );
             });
 
@@ -270,16 +398,121 @@ class ShopService extends BaseService {
                 newBalance: balance.wallet - totalPrice
             };
         } catch (error) {
-            if (error.code === 'INSUFFICIENT_BALANCE') {
+            // Database.transaction wraps errors, so the reason is in the original message
+            const reason = error.context?.originalError || error.code;
+            if (reason === 'INSUFFICIENT_BALANCE') {
                 return { success: false, message: 'Insufficient balance' };
             }
-            if (error.code === 'INSUFFICIENT_STOCK') {
+            if (reason === 'INSUFFICIENT_STOCK') {
                 return { success: false, message: 'Insufficient stock' };
             }
+            if (reason === 'PURCHASE_LIMIT') {
+                return { success: false, message: 'Purchase limit reached' };
+            }
             throw this.handleError(error, 'purchaseItem', { userId, guildId, itemId, quantity });
         }
     }
 
+    /**
+     * Undo a purchase whose item could not be delivered
+     * Gives the price back and returns the stock, in one transaction.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {Object} item - Shop item row
+     * @param {number} quantity - Quantity purchased
+     * @param {number} totalPrice - Price paid
+     * @returns {Promise<void>}
+     */
+    async refundPurchase(userId, guildId, item, quantity, totalPrice) {
+        try {
+            const db = this.getDatabase();
+            await db.transaction(async (tx) => {
+                await tx.query(
+                    `UPDATE economy_accounts
+                     SET wallet_balance = wallet_balance + ?,
+                         total_spent    = MAX(0, total_spent - ?),
+                         updated_at     = ?
+                     WHERE guild_id = ? AND user_id = ?`,
+                    [totalPrice, totalPrice, Math.floor(Date.now() / 1000), guildId, userId]
+                );
+
+                if (item.stock !== -1) {
+                    await tx.query(
+                        'UPDATE shop_items SET stock = stock + ? WHERE id = ? AND stock != -1',
+                        [quantity, item.id]
+                    );
+                }
+
+                await tx.query(
+                    `INSERT INTO economy_transactions
+                     (id, guild_id, from_user_id, to_user_id, amount, type, description, metadata, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        randomUUID(), guildId, null, userId, totalPrice, 'purchase_refund',
+                        `Refund for ${quantity}x ${item.name}`,
+                        JSON.stringify({ item_id: item.id, quantity }),
+                        Math.floor(Date.now() / 1000)
+                    ]
+                );
+            });
+
+            this.log(`Refunded ${totalPrice} to user ${userId} for ${quantity}x ${item.name}`, 'info');
+        } catch (error) {
+            throw this.handleError(error, 'refundPurchase', { userId, guildId, itemId: item.id, quantity });
+        }
+    }
+
+    /**
+     * Check whether buying an item grants its role right away
+     * Role tokens keep their role until the token is used.
+     * @param {Object} item - Shop item row
+     * @returns {boolean} True if the role is granted on purchase
+     */
+    grantsRoleOnPurchase(item) {
+        return Boolean(item.role_id) && item.item_type !== 'role_grant';
+    }
+
+    /**
+     * Give a purchased role item's role to a user
+     * Rental roles expire through RoleManagementService; buying a rental again
+     * extends the current rental instead of restarting it.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {Object} item - Shop item row
+     * @param {number} quantity - Quantity purchased
+     * @returns {Promise<Object>} Result with success status and expiresAt (ms) for rentals
+     */
+    async grantItemRole(userId, guildId, item, quantity = 1) {
+        const roleManagementService = this.client.roleManagementService;
+        if (!item.role_id || !roleManagementService) {
+            return { success: false, message: 'Role management is not available' };
+        }
+
+        try {
+            if (item.role_duration > 0) {
+                const current = roleManagementService.get_temporary_role(guildId, userId, item.role_id);
+                const remaining = current ? Math.max(0, current.expires_at - Date.now()) : 0;
+                const expiresAt = await roleManagementService.set_temporary_role(
+                    guildId,
+                    userId,
+                    item.role_id,
+                    remaining + item.role_duration * 1000 * quantity
+                );
+
+                this.log(`Rented role ${item.role_id} to user ${userId}`, 'info', { expiresAt });
+                return { success: true, expiresAt };
+            }
+
+            await roleManagementService.add_role_to_member(guildId, userId, item.role_id, `Shop purchase: ${item.name}`);
+
+            this.log(`Granted role ${item.role_id} to user ${userId}`, 'info');
+            return { success: true, expiresAt: null };
+        } catch (error) {
+            this.log(`Failed to grant role for item ${item.id}: ${error.message}`, 'error');
+            return { success: false, message: 'Failed to assign the role' };
+        }
+    }
+
     /**
      * Add item to user inventory
      * @param {string} userId - User ID
@@ -329,7 +562,7 @@ class ShopService extends BaseService {
         try {
             // Get inventory with item details
             const inventory = await this.query(
-                `SELECT i.quantity, i.acquired_at, s.id, s.name, s.description, s.price, s.role_id
+                `SELECT i.quantity, i.acquired_at, s.id, s.name, s.description, s.price, s.role_id, s.item_type
                 FROM user_inventories i
                 JOIN shop_items s ON i.item_id = s.id
                 WHERE i.guild_id = ? AND i.user_id = ?
@@ -350,6 +583,7 @@ class ShopService extends BaseService {
      * @param {string} itemId - Item ID
      * @param {number} quantity - Quantity to remove
      * @returns {Promise<boolean>} Success status
+     * @throws {Error} With code INSUFFICIENT_QUANTITY if the user doesn't have that many
      */
     async removeFromInventory(userId, guildId, itemId, quantity) {
         this.validateRequired({ userId, guildId, itemId, quantity }, ['userId', 'guildId', 'itemId', 'quantity']);
@@ -359,36 +593,31 @@ class ShopService extends BaseService {
         }
 
         try {
-            // Check current quantity
-            const existing = await this.query(
-                'SELECT quantity FROM user_inventories WHERE guild_id = ? AND user_id = ? AND item_id = ?',
-                [guildId, userId, itemId]
+            // Conditional decrement, so concurrent removals cannot take more than the user has
+            const result = await this.query(
+                `UPDATE user_inventories SET quantity = quantity - ?
+                 WHERE guild_id = ? AND user_id = ? AND item_id = ? AND quantity >= ?`,
+                [quantity, guildId, userId, itemId, quantity]
             );
 
-            if (!existing || existing.length === 0) {
-                throw new Error('Item not in inventory');
-            }
-
-            const currentQuantity = existing[0].quantity;
-
-            if (currentQuantity < quantity) {
-                throw new Error(`Insufficient quantity. Available: ${currentQuantity}`);
-            }
-
-            if (currentQuantity === quantity) {
-                // Remove completely
-                await this.query(
-                    'DELETE FROM user_inventories WHERE guild_id = ? AND user_id = ? AND item_id = ?',
+            if (!result || result.rowsAffected === 0) {
+                const existing = await this.query(
+                    'SELECT quantity FROM user_inventories WHERE guild_id = ? AND user_id = ? AND item_id = ?',
                     [guildId, userId, itemId]
                 );
-            } else {
-                // Decrease quantity
-                await this.query(
-                    'UPDATE user_inventories SET quantity = quantity - ? WHERE guild_id = ? AND user_id = ? AND item_id = ?',
-                    [quantity, guildId, userId, itemId]
-                );
+
+                const err = existing && existing.length > 0 && existing[0].quantity > 0
+                    ? new Error(`Insufficient quantity. Available: ${existing[0].quantity}`)
+                    : new Error('Item not in inventory');
+                err.code = 'INSUFFICIENT_QUANTITY';
+                throw err;
             }
 
+            await this.query(
+                'DELETE FROM user_inventories WHERE guild_id = ? AND user_id = ? AND item_id = ? AND quantity <= 0',
+                [guildId, userId, itemId]
+            );
+
             this.log(`Removed ${quantity}x item ${itemId} from user ${userId} inventory`, 'debug');
 
             return true;
@@ -399,24 +628,34 @@ class ShopService extends BaseService {
 
     /**
      * Use an item from inventory
+     * One item is consumed and its effect applied; the item is returned if the effect fails.
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
      * @param {string} itemId - Item ID
+     * @param {Object} context - Extra input for the effect (member, nickname)
      * @returns {Promise<Object>} Use result
      */
-    async useItem(userId, guildId, itemId) {
+    async useItem(userId, guildId, itemId, context = {}) {
         this.validateRequired({ userId, guildId, itemId }, ['userId', 'guildId', 'itemId']);
 
         try {
             const item = await this.getItem(itemId);
 
-            if (!item) {
+            if (!item || item.guild_id !== guildId) {
                 return {
                     success: false,
                     message: 'Item not found'
                 };
             }
 
+            const itemEffectService = this.client.modules.get('economy')?.getService('ItemEffectService');
+            if (!itemEffectService || !itemEffectService.isUsable(item.item_type)) {
+                return {
+                    success: false,
+                    message: `${item.name} can't be used`
+                };
+            }
+
             // Check if item is in inventory
             const inventory = await this.getInventory(userId, guildId);
             const inventoryItem = inventory.find(i => i.id === itemId);
@@ -428,27 +667,40 @@ class ShopService extends BaseService {
                 };
             }
 
-            // If item has a role, assign it
-            if (item.role_id) {
-                const guild = this.getGuild(guildId);
-                if (guild) {
-                    const member = await guild.members.fetch(userId);
-                    const role = guild.roles.cache.get(item.role_id);
-
-                    if (role && member) {
-                        await member.roles.add(role);
-                        this.log(`Assigned role ${role.name} to user ${userId}`, 'info');
-                    }
+            // Consume first so the same item cannot be used twice concurrently;
+            // only one of two concurrent uses of the last item gets past this
+            try {
+                await this.removeFromInventory(userId, guildId, itemId, 1);
+            } catch (removeError) {
+                if (removeError.code !== 'INSUFFICIENT_QUANTITY') {
+                    throw removeError;
                 }
+                return {
+                    success: false,
+                    message: 'Item not in inventory'
+                };
+            }
+
+            let result;
+            try {
+                result = await itemEffectService.applyItem(item, { ...context, userId, guildId });
+            } catch (effectError) {
+                await this.addToInventory(userId, guildId, itemId, 1);
+                throw effectError;
+            }
+
+            if (!result.success) {
+                await this.addToInventory(userId, guildId, itemId, 1);
+                return result;
             }
 
-            // Remove from inventory
-            await this.removeFromInventory(userId, guildId, itemId, 1);
+            this.log(`User ${userId} used ${item.name}`, 'info');
 
             return {
+                ...result,
                 success: true,
                 item,
-                message: `Used ${item.name}`
+                remaining: inventoryItem.quantity - 1
             };
         } catch (error) {
             throw this.handleError(error, 'useItem', { userId, guildId, itemId });
@@ -17,7 +17,7 @@ module.exports = {
     models: ['LevelingModel'],
 
     // Services used by this module
-    services: ['LevelingService', 'RewardService'],
+    services: ['LevelingService', 'RewardService', 'VoiceActivityService'],
 
     // Libraries used by this module
     libraries: [],
@@ -134,5 +134,126 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'levelreward',
+            description: 'Manage level rewards (Admin only)',
+            controller: 'LevelingController',
+            method: 'levelreward',
+            options: [
+                {
+                    name: 'add',
+                    description: 'Add a reward for reaching a level',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'level',
+                            description: 'Level the reward is given at',
+                            type: 4, // INTEGER
+                            required: true,
+                            min_value: 1,
+                            max_value: 1000,
+                        },
+                        {
+                            name: 'type',
+                            description: 'Reward type',
+                            type: 3, // STRING
+                            required: true,
+                            choices: [
+                                { name: 'Role', value: 'role' },
+                                { name: 'Coins', value: 'currency' },
+                                { name: 'Shop item', value: 'item' },
+                            ],
+                        },
+                        {
+                            name: 'role',
+                            description: 'Role to give (role rewards)',
+                            type: 8, // ROLE
+                            required: false,
+                        },
+                        {
+                            name: 'amount',
+                            description: 'Coins to give (coin rewards)',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 1,
+                        },
+                        {
+                            name: 'item',
+                            description: 'Shop item name or ID (item rewards)',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'quantity',
+                            description: 'How many items to give (default 1)',
+                            type: 4, // INTEGER
+                            required: false,
+                            min_value: 1,
+                            max_value: 100,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove the rewards for a level',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'level',
+                            description: 'Level to remove rewards from',
+                            type: 4, // INTEGER
+                            required: true,
+                            min_value: 1,
+                        },
+                        {
+                            name: 'type',
+                            description: 'Only remove this reward type',
+                            type: 3, // STRING
+                            required: false,
+                            choices: [
+                                { name: 'Role', value: 'role' },
+                                { name: 'Coins', value: 'currency' },
+                                { name: 'Shop item', value: 'item' },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List the level rewards',
+                    type: 1, // SUB_COMMAND
+                },
+                {
+                    name: 'sync',
+                    description: 'Resync role rewards for a member, or everyone if no user is given',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'user',
+                            description: 'Member to resync',
+                            type: 6, // USER
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'mode',
+                    description: 'Stack role rewards or replace the previous one',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'mode',
+                            description: 'Role reward mode',
+                            type: 3, // STRING
+                            required: true,
+                            choices: [
+                                { name: 'Stack (keep every earned role)', value: 'stack' },
+                                { name: 'Replace (keep only the highest role)', value: 'replace' },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        },
     ],
 };
@@ -6,6 +6,7 @@
  */
 
 const BaseService = require('../../../../system/core/BaseService');
+const config = require('../../../config/config');
 
 class LevelingService extends BaseService {
     /**
@@ -16,6 +17,17 @@ class LevelingService extends BaseService {
     constructor(client, options = {}) {
         super(client, options);
         this.levelingModel = null;
+
+        // Message XP waiting for the next batch write, keyed by `${guildId}-${userId}`
+        this.pendingXP = new Map();
+
+        // Timestamp (ms) of the last XP-earning message, keyed by `${guildId}-${userId}`
+        this.messageCooldowns = new Map();
+
+        this.flushInterval = options.flushInterval || config.leveling.xpFlushInterval;
+        this.maxPendingUpdates = options.maxPendingUpdates || 50;
+        this.flushTimer = null;
+        this.isFlushing = false;
     }
 
     /**
@@ -31,9 +43,217 @@ class LevelingService extends BaseService {
             this.levelingModel = loader.model('LevelingModel');
         }
 
+        this.startFlushTimer();
+
         this.log('LevelingService initialized', 'info');
     }
 
+    /**
+     * Shutdown service and write any buffered message XP
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        await this.flushPendingXP();
+
+        await super.shutdown();
+    }
+
+    /**
+     * Start the periodic flush of buffered message XP
+     */
+    startFlushTimer() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setInterval(async () => {
+            try {
+                await this.flushPendingXP();
+                this.pruneMessageCooldowns();
+            } catch (error) {
+                this.log(`Periodic XP flush error: ${error.message}`, 'error');
+            }
+        }, this.flushInterval);
+
+        // Don't prevent process from exiting
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Award XP for a chat message
+     * Applies the per-user cooldown and guild multiplier, then buffers the XP
+     * so it is written together with other messages by flushPendingXP().
+     * @param {Object} message - Discord message
+     * @returns {Promise<number|null>} XP buffered, or null if the message was not eligible
+     */
+    async awardMessageXP(message) {
+        try {
+            if (!message.guild || message.author.bot || message.webhookId || message.system) {
+                return null;
+            }
+
+            const guildId = message.guild.id;
+            const userId = message.author.id;
+            const key = `${guildId}-${userId}`;
+            const now = Date.now();
+
+            const cooldown = await this.getLevelingSetting(guildId, 'leveling_xp_cooldown', config.leveling.xpCooldown);
+            const lastAwardedAt = this.messageCooldowns.get(key);
+            if (lastAwardedAt && now - lastAwardedAt < cooldown * 1000) {
+                return null;
+            }
+
+            this.messageCooldowns.set(key, now);
+
+            const multiplier = await this.getXPMultiplier(userId, guildId);
+            const xp = Math.max(1, Math.floor(this.rollMessageXP() * multiplier));
+
+            const pending = this.pendingXP.get(key);
+            if (pending) {
+                pending.xp += xp;
+                pending.user = message.author;
+            } else {
+                this.pendingXP.set(key, { userId, guildId, xp, user: message.author, guild: message.guild });
+            }
+
+            if (this.pendingXP.size >= this.maxPendingUpdates) {
+                await this.flushPendingXP();
+            }
+
+            return xp;
+        } catch (error) {
+            throw this.handleError(error, 'awardMessageXP', {
+                userId: message?.author?.id,
+                guildId: message?.guild?.id
+            });
+        }
+    }
+
+    /**
+     * Write buffered message XP through batchAddXP and announce level-ups
+     * Entries are re-queued if the write fails so no XP is lost.
+     * @returns {Promise<Array>} Batch results
+     */
+    async flushPendingXP() {
+        if (this.isFlushing || this.pendingXP.size === 0) {
+            return [];
+        }
+
+        this.isFlushing = true;
+        const entries = Array.from(this.pendingXP.values());
+        this.pendingXP.clear();
+
+        try {
+            const results = await this.batchAddXP(
+                entries.map(({ userId, guildId, xp }) => ({ userId, guildId, xp }))
+            );
+
+            for (let i = 0; i < results.length; i++) {
+                const result = results[i];
+                const entry = entries[i];
+
+                const levelData = {
+                    ...this.checkLevelUp(result.oldXP, result.newXP),
+                    newXP: result.newXP
+                };
+
+                if (levelData.leveledUp) {
+                    await this.handleLevelUp(entry.user, levelData, entry.guild).catch(() => { });
+                }
+            }
+
+            return results;
+        } catch (error) {
+            for (const entry of entries) {
+                const key = `${entry.guildId}-${entry.userId}`;
+                const pending = this.pendingXP.get(key);
+                if (pending) {
+                    pending.xp += entry.xp;
+                } else {
+                    this.pendingXP.set(key, entry);
+                }
+            }
+
+            this.log(`Failed to flush message XP, ${entries.length} entries re-queued: ${error.message}`, 'warn');
+            return [];
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Drop cooldown entries older than the longest allowed cooldown
+     */
+    pruneMessageCooldowns() {
+        const maxCooldownMs = 3600 * 1000;
+        const now = Date.now();
+
+        for (const [key, timestamp] of this.messageCooldowns.entries()) {
+            if (now - timestamp > maxCooldownMs) {
+                this.messageCooldowns.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Roll a random XP amount for a message
+     * @returns {number} XP between xpMessageMin and xpMessageMax (inclusive)
+     */
+    rollMessageXP() {
+        const min = config.leveling.xpMessageMin;
+        const max = Math.max(min, config.leveling.xpMessageMax);
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Get a leveling setting from GuildConfigService
+     * @param {string} guildId - Guild ID
+     * @param {string} key - Setting key
+     * @param {*} fallback - Value used when the service or setting is unavailable
+     * @returns {Promise<*>} Setting value
+     */
+    async getLevelingSetting(guildId, key, fallback) {
+        try {
+            const adminModule = this.client.modules.get('admin');
+            const guildConfigService = adminModule?.getService('GuildConfigService');
+            if (guildConfigService) {
+                const value = await guildConfigService.getSetting(guildId, key);
+                if (value !== undefined && value !== null) {
+                    return Number(value);
+                }
+            }
+        } catch (error) {
+            this.log(`Error getting ${key} from config: ${error.message}`, 'debug');
+        }
+
+        return fallback;
+    }
+
+    /**
+     * Get the XP multiplier for a member
+     * Combines the guild multiplier with the member's active XP booster.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<number>} XP multiplier
+     */
+    async getXPMultiplier(userId, guildId) {
+        const guildMultiplier = await this.getLevelingSetting(guildId, 'leveling_xp_multiplier', 1.0);
+
+        const itemEffectService = this.client.modules.get('economy')?.getService('ItemEffectService');
+        const boosterMultiplier = itemEffectService
+            ? await itemEffectService.getMultiplier(userId, guildId, 'xp')
+            : 1;
+
+        return guildMultiplier * boosterMultiplier;
+    }
+
     /**
      * Add XP to user
      * @param {string} userId - User ID
@@ -92,9 +312,10 @@ class LevelingService extends BaseService {
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
      * @param {number} minutes - Minutes to add
-     * @returns {Promise<void>}
+     * @param {number} xp - XP to credit with the minutes (default: 0)
+     * @returns {Promise<Object>} Level up information
      */
-    async addVoiceTime(userId, guildId, minutes) {
+    async addVoiceTime(userId, guildId, minutes, xp = 0) {
         try {
             this.validateRequired({ userId, guildId, minutes }, ['userId', 'guildId', 'minutes']);
 
@@ -102,11 +323,17 @@ class LevelingService extends BaseService {
                 throw new Error('Minutes must be positive');
             }
 
-            await this.levelingModel.addVoiceTime(userId, guildId, minutes);
+            if (xp < 0) {
+                throw new Error('XP amount cannot be negative');
+            }
+
+            const result = await this.levelingModel.addVoiceTime(userId, guildId, minutes, xp);
 
             this.log(`Added ${minutes} voice minutes for user ${userId} in guild ${guildId}`, 'debug');
+
+            return result;
         } catch (error) {
-            throw this.handleError(error, 'addVoiceTime', { userId, guildId, minutes });
+            throw this.handleError(error, 'addVoiceTime', { userId, guildId, minutes, xp });
         }
     }
 
@@ -326,7 +553,9 @@ class LevelingService extends BaseService {
             try {
                 const rewardService = this.getRewardService();
                 if (rewardService) {
-                    await rewardService.syncUserRewards(user.id, guild.id, levelData.newLevel);
+                    await rewardService.syncUserRewards(user.id, guild.id, levelData.newLevel, {
+                        previousLevel: levelData.oldLevel
+                    });
                 }
             } catch (error) {
                 this.log(`Error applying level rewards: ${error.message}`, 'warn');
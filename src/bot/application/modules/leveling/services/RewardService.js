@@ -2,11 +2,19 @@
  * RewardService
  * 
  * Business logic for level rewards functionality.
- * Handles reward CRUD operations and reward application to users.
+ * Handles reward CRUD operations, reward application to users and
+ * guild-wide resyncs after rewards change.
+ *
+ * Role rewards are kept in sync with a member's level (stacked, or only
+ * the highest one when the guild replaces previous roles). Currency and
+ * item rewards are one-time grants handed out when the level is reached.
  */
 
 const BaseService = require('../../../../system/core/BaseService');
 
+// Wait this long after a reward change before resyncing, so several edits run one job
+const RESYNC_DELAY = 10 * 1000;
+
 class RewardService extends BaseService {
     /**
      * Create a new RewardService instance
@@ -16,6 +24,10 @@ class RewardService extends BaseService {
     constructor(client, options = {}) {
         super(client, options);
         this.tableName = 'level_rewards';
+
+        // Guild-wide resync jobs keyed by guild ID
+        this.resyncJobs = new Map();
+        this.resyncDelay = options.resyncDelay ?? RESYNC_DELAY;
     }
 
     /**
@@ -27,6 +39,20 @@ class RewardService extends BaseService {
         this.log('RewardService initialized', 'info');
     }
 
+    /**
+     * Shutdown service and stop pending resync jobs
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        for (const job of this.resyncJobs.values()) {
+            clearTimeout(job.timer);
+            job.cancelled = true;
+        }
+        this.resyncJobs.clear();
+
+        await super.shutdown();
+    }
+
     /**
      * Create a new reward
      * @param {string} guildId - Guild ID
@@ -53,10 +79,11 @@ class RewardService extends BaseService {
 
             const rewardId = `${guildId}-${level}-${type}-${Date.now()}`;
             const dataJson = JSON.stringify(data);
+            const now = Math.floor(Date.now() / 1000);
 
             await this.query(
-                `INSERT INTO ${this.tableName} (id, guild_id, level, type, data) VALUES (?, ?, ?, ?, ?)`,
-                [rewardId, guildId, level, type, dataJson]
+                `INSERT INTO ${this.tableName} (id, guild_id, level, reward_type, reward_data, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+                [rewardId, guildId, level, type, dataJson, now]
             );
 
             this.log(`Created reward ${rewardId} for level ${level} in guild ${guildId}`, 'debug');
@@ -91,15 +118,7 @@ class RewardService extends BaseService {
                 return null;
             }
 
-            const reward = results[0];
-            return {
-                id: reward.id,
-                guildId: reward.guild_id,
-                level: reward.level,
-                type: reward.type,
-                data: JSON.parse(reward.data),
-                createdAt: reward.created_at
-            };
+            return this.formatReward(results[0]);
         } catch (error) {
             throw this.handleError(error, 'getReward', { rewardId });
         }
@@ -115,19 +134,15 @@ class RewardService extends BaseService {
         try {
             this.validateRequired({ rewardId }, ['rewardId']);
 
-            const allowedFields = ['level', 'type', 'data'];
+            // Reward fields mapped to their columns
+            const allowedFields = { level: 'level', type: 'reward_type', data: 'reward_data' };
             const updateFields = [];
             const updateValues = [];
 
             for (const [key, value] of Object.entries(updates)) {
-                if (allowedFields.includes(key)) {
-                    if (key === 'data') {
-                        updateFields.push(`${key} = ?`);
-                        updateValues.push(JSON.stringify(value));
-                    } else {
-                        updateFields.push(`${key} = ?`);
-                        updateValues.push(value);
-                    }
+                if (allowedFields[key]) {
+                    updateFields.push(`${allowedFields[key]} = ?`);
+                    updateValues.push(key === 'data' ? JSON.stringify(value) : value);
                 }
             }
 
@@ -179,18 +194,11 @@ class RewardService extends BaseService {
             this.validateRequired({ guildId, level }, ['guildId', 'level']);
 
             const results = await this.query(
-                `SELECT * FROM ${this.tableName} WHERE guild_id = ? AND level = ?`,
+                `SELECT * FROM ${this.tableName} WHERE guild_id = ? AND level = ? AND is_active = 1`,
                 [guildId, level]
             );
 
-            return results.map(reward => ({
-                id: reward.id,
-                guildId: reward.guild_id,
-                level: reward.level,
-                type: reward.type,
-                data: JSON.parse(reward.data),
-                createdAt: reward.created_at
-            }));
+            return results.map(reward => this.formatReward(reward));
         } catch (error) {
             throw this.handleError(error, 'getRewardsForLevel', { guildId, level });
         }
@@ -206,18 +214,11 @@ class RewardService extends BaseService {
             this.validateRequired({ guildId }, ['guildId']);
 
             const results = await this.query(
-                `SELECT * FROM ${this.tableName} WHERE guild_id = ? ORDER BY level ASC`,
+                `SELECT * FROM ${this.tableName} WHERE guild_id = ? AND is_active = 1 ORDER BY level ASC`,
                 [guildId]
             );
 
-            return results.map(reward => ({
-                id: reward.id,
-                guildId: reward.guild_id,
-                level: reward.level,
-                type: reward.type,
-                data: JSON.parse(reward.data),
-                createdAt: reward.created_at
-            }));
+            return results.map(reward => this.formatReward(reward));
         } catch (error) {
             throw this.handleError(error, 'getGuildRewards', { guildId });
         }
@@ -309,40 +310,235 @@ class RewardService extends BaseService {
 
     /**
      * Sync user rewards based on current level
+     * Role rewards are added or removed to match the level (only the highest
+     * earned role is kept when the guild replaces previous roles). Currency
+     * and item rewards are granted once, for levels above previousLevel.
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
      * @param {number} currentLevel - User's current level
-     * @returns {Promise<void>}
+     * @param {Object} options - Sync options
+     * @param {number} options.previousLevel - Level before this level-up (default: currentLevel, no one-time grants)
+     * @param {Object} options.member - Already fetched guild member
+     * @param {Array} options.rewards - Already loaded guild rewards
+     * @param {boolean} options.stackRoles - Already loaded stack setting
+     * @returns {Promise<Object>} { added, removed, granted, failed }
      */
-    async syncUserRewards(userId, guildId, currentLevel) {
+    async syncUserRewards(userId, guildId, currentLevel, options = {}) {
         try {
             this.validateRequired({ userId, guildId, currentLevel }, ['userId', 'guildId', 'currentLevel']);
 
-            // Get all rewards for the guild
-            const allRewards = await this.getGuildRewards(guildId);
+            const summary = { added: 0, removed: 0, granted: 0, failed: 0 };
+            const previousLevel = options.previousLevel ?? currentLevel;
 
-            // Apply rewards for levels up to current level
-            for (const reward of allRewards) {
-                if (reward.level <= currentLevel) {
-                    try {
-                        await this.applyReward(userId, guildId, reward);
-                    } catch (error) {
-                        this.log(`Error applying reward ${reward.id}: ${error.message}`, 'warn');
+            const allRewards = options.rewards || await this.getGuildRewards(guildId);
+            if (allRewards.length === 0) {
+                return summary;
+            }
+
+            let member = options.member;
+            if (!member) {
+                const guild = this.getGuild(guildId);
+                member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+            }
+            if (!member) {
+                throw new Error('Member not found');
+            }
+
+            const stackRoles = options.stackRoles ?? await this.isRoleStacking(guildId);
+            const roleRewards = allRewards.filter(reward => reward.type === 'role');
+            const earnedRoles = roleRewards.filter(reward => reward.level <= currentLevel);
+            const keptRoles = stackRoles ? earnedRoles : earnedRoles.slice(-1);
+
+            for (const reward of roleRewards) {
+                try {
+                    if (keptRoles.includes(reward)) {
+                        if (await this.applyRoleReward(member, reward.data)) {
+                            summary.added++;
+                        }
+                    } else if (await this.removeRoleReward(member, reward.data)) {
+                        summary.removed++;
                     }
+                } catch (error) {
+                    summary.failed++;
+                    this.log(`Error syncing reward ${reward.id}: ${error.message}`, 'warn');
+                }
+            }
+
+            // One-time rewards for the levels just reached
+            for (const reward of allRewards) {
+                if (reward.type === 'role' || reward.level <= previousLevel || reward.level > currentLevel) {
+                    continue;
+                }
+
+                try {
+                    await this.applyReward(userId, guildId, reward);
+                    summary.granted++;
+                } catch (error) {
+                    summary.failed++;
+                    this.log(`Error applying reward ${reward.id}: ${error.message}`, 'warn');
                 }
             }
 
             this.log(`Synced rewards for user ${userId} at level ${currentLevel} in guild ${guildId}`, 'debug');
+
+            return summary;
         } catch (error) {
             throw this.handleError(error, 'syncUserRewards', { userId, guildId, currentLevel });
         }
     }
 
+    /**
+     * Check whether a guild stacks role rewards or keeps only the highest one
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<boolean>} True if lower role rewards are kept
+     */
+    async isRoleStacking(guildId) {
+        try {
+            const guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService');
+            if (guildConfigService) {
+                const value = await guildConfigService.getSetting(guildId, 'leveling_stack_role_rewards');
+                if (value !== undefined && value !== null) {
+                    return value === true || value === 'true';
+                }
+            }
+        } catch (error) {
+            this.log(`Error getting leveling_stack_role_rewards from config: ${error.message}`, 'debug');
+        }
+
+        return true;
+    }
+
+    /**
+     * Schedule a resync of every member's rewards in a guild
+     * Calls within the delay are merged into one job; a change while a job
+     * is running queues one more run after it.
+     * @param {string} guildId - Guild ID
+     * @param {number} delay - Milliseconds to wait before starting
+     * @returns {Object} Job status
+     */
+    scheduleGuildResync(guildId, delay = this.resyncDelay) {
+        let job = this.resyncJobs.get(guildId);
+        if (!job) {
+            job = { timer: null, running: false, pending: false, cancelled: false, processed: 0, total: 0, startedAt: null };
+            this.resyncJobs.set(guildId, job);
+        }
+
+        if (job.running) {
+            job.pending = true;
+            return this.getResyncStatus(guildId);
+        }
+
+        clearTimeout(job.timer);
+        job.timer = setTimeout(() => {
+            job.timer = null;
+            this.runGuildResync(guildId).catch(error => {
+                this.log(`Error resyncing rewards in guild ${guildId}: ${error.message}`, 'error');
+            });
+        }, delay);
+
+        return this.getResyncStatus(guildId);
+    }
+
+    /**
+     * Get the status of a guild's resync job
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null} { scheduled, running, processed, total } or null if no job
+     */
+    getResyncStatus(guildId) {
+        const job = this.resyncJobs.get(guildId);
+        if (!job) {
+            return null;
+        }
+
+        return {
+            scheduled: Boolean(job.timer) || job.pending,
+            running: job.running,
+            processed: job.processed,
+            total: job.total
+        };
+    }
+
+    /**
+     * Resync role rewards for every member with leveling data in a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { members, added, removed, failed }
+     */
+    async runGuildResync(guildId) {
+        const job = this.resyncJobs.get(guildId) || { pending: false, cancelled: false };
+        this.resyncJobs.set(guildId, job);
+
+        job.running = true;
+        job.pending = false;
+        job.processed = 0;
+        job.startedAt = Date.now();
+
+        const totals = { members: 0, added: 0, removed: 0, failed: 0 };
+
+        try {
+            const guild = this.getGuild(guildId);
+            if (!guild) {
+                throw new Error('Guild not found');
+            }
+
+            const rewards = await this.getGuildRewards(guildId);
+            const stackRoles = await this.isRoleStacking(guildId);
+            const levels = await this.query(
+                'SELECT user_id, level FROM user_levels WHERE guild_id = ?',
+                [guildId]
+            );
+            job.total = levels.length;
+
+            // One member list request instead of one fetch per user
+            await guild.members.fetch().catch(error => {
+                this.log(`Could not fetch members of guild ${guildId}: ${error.message}`, 'warn');
+            });
+
+            for (const row of levels) {
+                if (job.cancelled) {
+                    break;
+                }
+
+                job.processed++;
+                const member = guild.members.cache.get(row.user_id);
+                if (!member) {
+                    continue;
+                }
+
+                const summary = await this.syncUserRewards(row.user_id, guildId, row.level, { member, rewards, stackRoles })
+                    .catch(error => {
+                        this.log(`Error resyncing user ${row.user_id}: ${error.message}`, 'warn');
+                        return { added: 0, removed: 0, failed: 1 };
+                    });
+
+                totals.members++;
+                totals.added += summary.added;
+                totals.removed += summary.removed;
+                totals.failed += summary.failed;
+            }
+
+            this.log(
+                `Resynced rewards for ${totals.members} members in guild ${guildId} ` +
+                `(${totals.added} added, ${totals.removed} removed, ${totals.failed} failed)`,
+                'info'
+            );
+
+            return totals;
+        } finally {
+            job.running = false;
+
+            if (job.pending && !job.cancelled) {
+                this.scheduleGuildResync(guildId);
+            } else if (!job.timer) {
+                this.resyncJobs.delete(guildId);
+            }
+        }
+    }
+
     /**
      * Apply role reward to member
      * @param {Object} member - Discord member
      * @param {Object} data - Reward data with roleId
-     * @returns {Promise<void>}
+     * @returns {Promise<boolean>} True if the role was added
      */
     async applyRoleReward(member, data) {
         if (!data.roleId) {
@@ -357,7 +553,7 @@ class RewardService extends BaseService {
         // Check if member already has the role
         if (member.roles.cache.has(data.roleId)) {
             this.log(`Member ${member.id} already has role ${data.roleId}`, 'debug');
-            return;
+            return false;
         }
 
         // Check bot permissions
@@ -372,13 +568,14 @@ class RewardService extends BaseService {
 
         await member.roles.add(role);
         this.log(`Added role ${data.roleId} to member ${member.id}`, 'debug');
+        return true;
     }
 
     /**
      * Remove role reward from member
      * @param {Object} member - Discord member
      * @param {Object} data - Reward data with roleId
-     * @returns {Promise<void>}
+     * @returns {Promise<boolean>} True if the role was removed
      */
     async removeRoleReward(member, data) {
         if (!data.roleId) {
@@ -388,17 +585,18 @@ class RewardService extends BaseService {
         const role = member.guild.roles.cache.get(data.roleId);
         if (!role) {
             this.log(`Role ${data.roleId} not found, skipping removal`, 'debug');
-            return;
+            return false;
         }
 
         // Check if member has the role
         if (!member.roles.cache.has(data.roleId)) {
             this.log(`Member ${member.id} does not have role ${data.roleId}`, 'debug');
-            return;
+            return false;
         }
 
         await member.roles.remove(role);
         this.log(`Removed role ${data.roleId} from member ${member.id}`, 'debug');
+        return true;
     }
 
     /**
@@ -424,8 +622,8 @@ class RewardService extends BaseService {
                 throw new Error('EconomyService not available');
             }
 
-            await economyService.addBalance(userId, guildId, data.amount);
-            this.log(`Added ${data.amount} currency to user ${userId}`, 'debug');
+            await economyService.addBalance(userId, guildId, data.amount, 'Level reward');
+            this.log(`Added ${data.amount} currency to user ${userId} wallet`, 'debug');
         } catch (error) {
             throw new Error(`Failed to apply currency reward: ${error.message}`);
         }
@@ -462,6 +660,22 @@ class RewardService extends BaseService {
         }
     }
 
+    /**
+     * Convert a level_rewards row to a reward object
+     * @param {Object} row - Database row
+     * @returns {Object} Reward
+     */
+    formatReward(row) {
+        return {
+            id: row.id,
+            guildId: row.guild_id,
+            level: row.level,
+            type: row.reward_type,
+            data: typeof row.reward_data === 'string' ? JSON.parse(row.reward_data) : row.reward_data,
+            createdAt: row.created_at
+        };
+    }
+
     /**
      * Validate reward data based on type
      * @param {string} type - Reward type
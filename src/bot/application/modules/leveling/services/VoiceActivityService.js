@@ -0,0 +1,409 @@
+/**
+ * VoiceActivityService
+ *
+ * Tracks voice channel sessions and credits voice time and XP.
+ * Only time spent in an eligible state counts: not in the AFK channel,
+ * not deafened and not alone with no other (non-bot) members.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const config = require('../../../config/config');
+
+const MINUTE_MS = 60 * 1000;
+
+class VoiceActivityService extends BaseService {
+    /**
+     * Create a new VoiceActivityService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.levelingModel = null;
+
+        // Open sessions keyed by `${guildId}-${userId}`
+        this.sessions = new Map();
+
+        this.tickInterval = options.tickInterval || MINUTE_MS;
+        this.tickTimer = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.levelingModel = loader.model('LevelingModel');
+        }
+
+        this.startTicker();
+
+        this.log('VoiceActivityService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service and credit all open sessions
+     * Sessions stay persisted so they can be resumed after a restart.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+
+        await this.creditAll();
+        this.sessions.clear();
+
+        await super.shutdown();
+    }
+
+    /**
+     * Start the per-minute credit ticker
+     */
+    startTicker() {
+        if (this.tickTimer) {
+            return;
+        }
+
+        this.tickTimer = setInterval(async () => {
+            try {
+                await this.creditAll();
+            } catch (error) {
+                this.log(`Voice credit tick error: ${error.message}`, 'error');
+            }
+        }, this.tickInterval);
+
+        // Don't prevent process from exiting
+        if (this.tickTimer.unref) {
+            this.tickTimer.unref();
+        }
+    }
+
+    /**
+     * Handle a voiceStateUpdate event
+     * @param {Object} oldState - Previous voice state
+     * @param {Object} newState - New voice state
+     * @returns {Promise<void>}
+     */
+    async handleVoiceStateUpdate(oldState, newState) {
+        try {
+            const member = newState.member || oldState.member;
+            const guild = newState.guild || oldState.guild;
+            if (!member || !guild) {
+                return;
+            }
+
+            const oldChannelId = oldState.channelId;
+            const newChannelId = newState.channelId;
+
+            // Bots never earn XP, but their joins/leaves can't change eligibility either
+            if (!member.user.bot) {
+                if (!oldChannelId && newChannelId) {
+                    await this.startSession(guild.id, member.id, newChannelId);
+                } else if (oldChannelId && !newChannelId) {
+                    await this.endSession(guild.id, member.id);
+                } else if (oldChannelId !== newChannelId) {
+                    await this.moveSession(guild.id, member.id, newChannelId);
+                }
+            }
+
+            // Join/leave/deafen changes affect everyone in the channels involved
+            const channelIds = new Set([oldChannelId, newChannelId].filter(Boolean));
+            for (const channelId of channelIds) {
+                this.refreshChannel(guild, channelId);
+            }
+        } catch (error) {
+            this.handleError(error, 'handleVoiceStateUpdate', {
+                guildId: newState?.guild?.id,
+                userId: newState?.id
+            });
+        }
+    }
+
+    /**
+     * Start tracking a member's voice session
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {string} channelId - Voice channel ID
+     * @param {number} joinedAt - Session start in ms (default: now)
+     * @returns {Promise<void>}
+     */
+    async startSession(guildId, userId, channelId, joinedAt = Date.now()) {
+        const key = `${guildId}-${userId}`;
+
+        this.sessions.set(key, {
+            guildId,
+            userId,
+            channelId,
+            joinedAt,
+            eligibleSince: null,
+            accruedMs: 0
+        });
+
+        if (this.levelingModel) {
+            await this.levelingModel
+                .saveVoiceSession(userId, guildId, channelId, Math.floor(joinedAt / 1000))
+                .catch(() => { });
+        }
+
+        this.log(`Voice session started for user ${userId} in guild ${guildId}`, 'debug');
+    }
+
+    /**
+     * Move a member's session to a different channel
+     * Time accrued in the previous channel is kept.
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {string} channelId - New voice channel ID
+     * @returns {Promise<void>}
+     */
+    async moveSession(guildId, userId, channelId) {
+        const session = this.sessions.get(`${guildId}-${userId}`);
+        if (!session) {
+            await this.startSession(guildId, userId, channelId);
+            return;
+        }
+
+        this.pause(session);
+        session.channelId = channelId;
+
+        if (this.levelingModel) {
+            await this.levelingModel
+                .saveVoiceSession(userId, guildId, channelId, Math.floor(session.joinedAt / 1000))
+                .catch(() => { });
+        }
+    }
+
+    /**
+     * End a member's session and credit the remaining time
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async endSession(guildId, userId) {
+        const key = `${guildId}-${userId}`;
+        const session = this.sessions.get(key);
+
+        if (session) {
+            this.pause(session);
+            await this.credit(session);
+            this.sessions.delete(key);
+        }
+
+        if (this.levelingModel) {
+            await this.levelingModel.deleteVoiceSession(userId, guildId).catch(() => { });
+        }
+
+        this.log(`Voice session ended for user ${userId} in guild ${guildId}`, 'debug');
+    }
+
+    /**
+     * Rebuild sessions after a restart
+     * Members still connected keep their original join time; downtime itself
+     * is never credited because eligibility during it is unknown.
+     * @returns {Promise<number>} Number of resumed sessions
+     */
+    async restoreSessions() {
+        const persisted = new Map();
+
+        if (this.levelingModel) {
+            try {
+                const rows = await this.levelingModel.getVoiceSessions();
+                for (const row of rows) {
+                    persisted.set(`${row.guild_id}-${row.user_id}`, row);
+                }
+            } catch (error) {
+                this.log(`Failed to load persisted voice sessions: ${error.message}`, 'warn');
+            }
+        }
+
+        let resumed = 0;
+
+        for (const [guildId, guild] of this.client.guilds.cache) {
+            const channelIds = new Set();
+
+            for (const [userId, voiceState] of guild.voiceStates.cache) {
+                if (!voiceState.channelId || voiceState.member?.user?.bot) {
+                    continue;
+                }
+
+                const key = `${guildId}-${userId}`;
+                const row = persisted.get(key);
+                const joinedAt = row && row.channel_id === voiceState.channelId
+                    ? row.joined_at * 1000
+                    : Date.now();
+
+                await this.startSession(guildId, userId, voiceState.channelId, joinedAt);
+                persisted.delete(key);
+                channelIds.add(voiceState.channelId);
+                resumed++;
+            }
+
+            for (const channelId of channelIds) {
+                this.refreshChannel(guild, channelId);
+            }
+        }
+
+        // Members who left while the bot was offline
+        for (const row of persisted.values()) {
+            await this.levelingModel.deleteVoiceSession(row.user_id, row.guild_id).catch(() => { });
+        }
+
+        this.log(`Restored ${resumed} voice sessions`, 'info');
+
+        return resumed;
+    }
+
+    /**
+     * Re-evaluate eligibility for every tracked member in a channel
+     * @param {Object} guild - Discord guild
+     * @param {string} channelId - Voice channel ID
+     */
+    refreshChannel(guild, channelId) {
+        for (const session of this.sessions.values()) {
+            if (session.guildId !== guild.id || session.channelId !== channelId) {
+                continue;
+            }
+
+            const voiceState = guild.voiceStates.cache.get(session.userId);
+            if (voiceState && this.isEligible(voiceState)) {
+                this.resume(session);
+            } else {
+                this.pause(session);
+            }
+        }
+    }
+
+    /**
+     * Check whether a voice state currently earns voice time
+     * @param {Object} voiceState - Discord voice state
+     * @returns {boolean} True if eligible
+     */
+    isEligible(voiceState) {
+        const channel = voiceState.channel;
+        if (!channel) {
+            return false;
+        }
+
+        if (voiceState.guild.afkChannelId && channel.id === voiceState.guild.afkChannelId) {
+            return false;
+        }
+
+        if (voiceState.selfDeaf || voiceState.serverDeaf) {
+            return false;
+        }
+
+        const humans = channel.members.filter(member => !member.user.bot);
+        return humans.size >= 2;
+    }
+
+    /**
+     * Start counting eligible time for a session
+     * @param {Object} session - Session record
+     * @private
+     */
+    resume(session) {
+        if (session.eligibleSince === null) {
+            session.eligibleSince = Date.now();
+        }
+    }
+
+    /**
+     * Stop counting eligible time for a session, banking what was accrued
+     * @param {Object} session - Session record
+     * @private
+     */
+    pause(session) {
+        if (session.eligibleSince !== null) {
+            session.accruedMs += Date.now() - session.eligibleSince;
+            session.eligibleSince = null;
+        }
+    }
+
+    /**
+     * Credit whole minutes for every open session
+     * @returns {Promise<void>}
+     */
+    async creditAll() {
+        for (const session of this.sessions.values()) {
+            if (session.eligibleSince !== null) {
+                this.pause(session);
+                this.resume(session);
+            }
+
+            await this.credit(session);
+        }
+    }
+
+    /**
+     * Credit the whole minutes a session has accrued
+     * The sub-minute remainder carries over to the next credit.
+     * @param {Object} session - Session record
+     * @returns {Promise<void>}
+     */
+    async credit(session) {
+        const minutes = Math.floor(session.accruedMs / MINUTE_MS);
+        if (minutes <= 0) {
+            return;
+        }
+
+        const levelingService = this.getLevelingService();
+        if (!levelingService) {
+            return;
+        }
+
+        session.accruedMs -= minutes * MINUTE_MS;
+
+        try {
+            const { guildId, userId } = session;
+            const multiplier = await levelingService.getXPMultiplier(userId, guildId);
+            const xp = Math.floor(minutes * config.leveling.xpVoice * multiplier);
+
+            const result = await levelingService.addVoiceTime(userId, guildId, minutes, xp);
+
+            if (this.levelingModel) {
+                await this.levelingModel.touchVoiceSession(userId, guildId).catch(() => { });
+            }
+
+            const levelData = {
+                ...levelingService.checkLevelUp(result.oldXP, result.newXP),
+                newXP: result.newXP
+            };
+
+            if (levelData.leveledUp) {
+                const guild = this.getGuild(guildId);
+                const member = guild?.members.cache.get(userId);
+                if (guild && member) {
+                    await levelingService.handleLevelUp(member.user, levelData, guild).catch(() => { });
+                }
+            }
+        } catch (error) {
+            // Put the minutes back so they are retried on the next tick
+            session.accruedMs += minutes * MINUTE_MS;
+            this.log(`Failed to credit voice time for user ${session.userId}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Get LevelingService instance
+     * @returns {Object|null} LevelingService instance or null
+     */
+    getLevelingService() {
+        try {
+            const levelingModule = this.client.modules.get('leveling');
+            if (levelingModule) {
+                return levelingModule.getService('LevelingService');
+            }
+        } catch (error) {
+            this.log(`Error getting LevelingService: ${error.message}`, 'debug');
+        }
+        return null;
+    }
+}
+
+module.exports = VoiceActivityService;
@@ -16,6 +16,9 @@ module.exports = {
     // Models used by this module
     models: ['ModerationModel'],
 
+    // Services used by this module
+    services: ['InfractionService', 'ModerationService', 'EscalationService'],
+
     // Libraries used by this module
     libraries: [],
 
@@ -167,5 +170,97 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'escalation',
+            description: 'Manage automatic escalation of repeated infractions',
+            controller: 'ModerationController',
+            method: 'escalation',
+            options: [
+                {
+                    name: 'add',
+                    description: 'Escalate when a member reaches a number of points within a window',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'points',
+                            description: 'Points that trigger the rule (a warning is 1 point by default)',
+                            type: 10, // NUMBER
+                            required: true,
+                            min_value: 0.5,
+                            max_value: 100,
+                        },
+                        {
+                            name: 'window',
+                            description: 'Only count infractions from this long ago, e.g. 7d or 24h',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'action',
+                            description: 'Action to take',
+                            type: 3, // STRING
+                            required: true,
+                            choices: [
+                                { name: 'Timeout', value: 'timeout' },
+                                { name: 'Kick', value: 'kick' },
+                                { name: 'Ban', value: 'ban' },
+                            ],
+                        },
+                        {
+                            name: 'duration',
+                            description: 'Timeout length, e.g. 1h (timeouts only)',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove an escalation rule',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'rule',
+                            description: 'Rule number from /escalation list',
+                            type: 4, // INTEGER
+                            required: true,
+                            min_value: 1,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'Show the escalation rules and infraction weights',
+                    type: 1, // SUB_COMMAND
+                },
+                {
+                    name: 'weight',
+                    description: 'Set how many points an infraction type is worth',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'type',
+                            description: 'Infraction type',
+                            type: 3, // STRING
+                            required: true,
+                            choices: [
+                                { name: 'Warning', value: 'warning' },
+                                { name: 'Mute', value: 'mute' },
+                                { name: 'Timeout', value: 'timeout' },
+                                { name: 'Kick', value: 'kick' },
+                            ],
+                        },
+                        {
+                            name: 'weight',
+                            description: 'Points (0 to ignore this type, omit to restore the default)',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 0,
+                            max_value: 100,
+                        },
+                    ],
+                },
+            ],
+        },
     ],
 };
@@ -100,6 +100,10 @@ class BanConfirmButton extends BaseInteraction {
                 )
                 .setTimestamp();
 
+            if (result.escalation) {
+                embed.addFields({ name: 'Escalation', value: result.escalation.summary });
+            }
+
             await interaction.editReply({
                 content: null,
                 embeds: [embed],
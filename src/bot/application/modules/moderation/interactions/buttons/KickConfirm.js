@@ -112,6 +112,10 @@ class KickConfirmButton extends BaseInteraction {
                 )
                 .setTimestamp();
 
+            if (result.escalation) {
+                embed.addFields({ name: 'Escalation', value: result.escalation.summary });
+            }
+
             await interaction.editReply({
                 content: null,
                 embeds: [embed],
@@ -101,6 +101,10 @@ class WarnReasonModal extends BaseInteraction {
                 )
                 .setTimestamp();
 
+            if (result.escalation) {
+                embed.addFields({ name: 'Escalation', value: result.escalation.summary });
+            }
+
             await interaction.editReply({ embeds: [embed] });
 
             this.log(`User ${warnData.target.id} warned by ${interaction.user.id}`, 'info');
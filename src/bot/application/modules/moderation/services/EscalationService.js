@@ -0,0 +1,380 @@
+/**
+ * EscalationService
+ *
+ * Per-guild infraction escalation policy. Each infraction type has a point
+ * weight, and each rule escalates once a member's points inside the rule's
+ * decay window reach its threshold ("3 points in 7 days -> 1h timeout").
+ * Evaluated by ModerationService after every moderation action.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const { formatTimespan } = require('../../../../system/helpers/FormatHelper');
+
+// Point weight of each infraction type unless the guild overrides it
+const DEFAULT_WEIGHTS = {
+    warning: 1,
+    mute: 1,
+    timeout: 2,
+    kick: 3,
+    ban: 0,
+    unban: 0,
+    unmute: 0,
+};
+
+// Escalation actions, least to most severe
+const ACTIONS = ['timeout', 'kick', 'ban'];
+
+const MAX_RULES = 10;
+
+class EscalationService extends BaseService {
+    /**
+     * Create a new EscalationService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        // Rules and weights per guild, invalidated on every policy change
+        this.policyCache = new Map();
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+        this.log('EscalationService initialized', 'info');
+    }
+
+    /**
+     * Get a guild's escalation policy
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { rules, weights }
+     */
+    async getPolicy(guildId) {
+        try {
+            this.validateRequired({ guildId }, ['guildId']);
+
+            if (this.policyCache.has(guildId)) {
+                return this.policyCache.get(guildId);
+            }
+
+            const rules = await this.query(
+                'SELECT * FROM escalation_rules WHERE guild_id = ? ORDER BY points ASC, id ASC',
+                [guildId]
+            );
+            const weightRows = await this.query(
+                'SELECT type, weight FROM infraction_weights WHERE guild_id = ?',
+                [guildId]
+            );
+
+            const weights = { ...DEFAULT_WEIGHTS };
+            for (const row of weightRows) {
+                weights[row.type] = Number(row.weight);
+            }
+
+            const policy = { rules, weights };
+            this.policyCache.set(guildId, policy);
+
+            return policy;
+        } catch (error) {
+            throw this.handleError(error, 'getPolicy', { guildId });
+        }
+    }
+
+    /**
+     * Add an escalation rule
+     * @param {string} guildId - Guild ID
+     * @param {Object} rule - Rule definition
+     * @param {number} rule.points - Points that trigger the rule
+     * @param {number} rule.windowSeconds - Decay window in seconds
+     * @param {string} rule.action - Escalation action (timeout, kick, ban)
+     * @param {number} rule.duration - Timeout duration in minutes
+     * @param {string} createdBy - User ID of the moderator adding the rule
+     * @returns {Promise<Object>} { success, rule } or { success: false, message }
+     */
+    async addRule(guildId, rule, createdBy = null) {
+        try {
+            this.validateRequired({ guildId, ...rule }, ['guildId', 'points', 'windowSeconds', 'action']);
+
+            if (!ACTIONS.includes(rule.action)) {
+                return { success: false, message: `Action must be one of: ${ACTIONS.join(', ')}` };
+            }
+
+            if (rule.action === 'timeout' && !(rule.duration >= 1 && rule.duration <= 40320)) {
+                return { success: false, message: 'Timeouts need a duration between 1 minute and 28 days' };
+            }
+
+            const { rules } = await this.getPolicy(guildId);
+            if (rules.length >= MAX_RULES) {
+                return { success: false, message: `A server can have at most ${MAX_RULES} escalation rules` };
+            }
+
+            const duplicate = rules.find(existing =>
+                existing.points === rule.points && existing.window_seconds === rule.windowSeconds
+            );
+            if (duplicate) {
+                return { success: false, message: `Rule #${duplicate.id} already triggers at ${rule.points} points in that window` };
+            }
+
+            const result = await this.query(
+                `INSERT INTO escalation_rules (guild_id, points, window_seconds, action, duration, created_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    guildId,
+                    rule.points,
+                    rule.windowSeconds,
+                    rule.action,
+                    rule.action === 'timeout' ? rule.duration : null,
+                    createdBy,
+                    Math.floor(Date.now() / 1000)
+                ]
+            );
+
+            this.policyCache.delete(guildId);
+
+            const id = Number(result.lastInsertRowid);
+            this.log(`Added escalation rule ${id} in guild ${guildId}`, 'info');
+
+            return {
+                success: true,
+                rule: {
+                    id,
+                    guild_id: guildId,
+                    points: rule.points,
+                    window_seconds: rule.windowSeconds,
+                    action: rule.action,
+                    duration: rule.action === 'timeout' ? rule.duration : null
+                }
+            };
+        } catch (error) {
+            throw this.handleError(error, 'addRule', { guildId, rule });
+        }
+    }
+
+    /**
+     * Remove an escalation rule
+     * @param {string} guildId - Guild ID
+     * @param {number} ruleId - Rule ID
+     * @returns {Promise<boolean>} True if a rule was removed
+     */
+    async removeRule(guildId, ruleId) {
+        try {
+            this.validateRequired({ guildId, ruleId }, ['guildId', 'ruleId']);
+
+            const result = await this.query(
+                'DELETE FROM escalation_rules WHERE guild_id = ? AND id = ?',
+                [guildId, ruleId]
+            );
+
+            this.policyCache.delete(guildId);
+
+            return result.rowsAffected > 0;
+        } catch (error) {
+            throw this.handleError(error, 'removeRule', { guildId, ruleId });
+        }
+    }
+
+    /**
+     * Set the point weight of an infraction type
+     * @param {string} guildId - Guild ID
+     * @param {string} type - Infraction type
+     * @param {number|null} weight - Point weight, or null to restore the default
+     * @returns {Promise<void>}
+     */
+    async setWeight(guildId, type, weight) {
+        try {
+            this.validateRequired({ guildId, type }, ['guildId', 'type']);
+
+            if (weight === null || weight === undefined) {
+                await this.query(
+                    'DELETE FROM infraction_weights WHERE guild_id = ? AND type = ?',
+                    [guildId, type]
+                );
+            } else {
+                await this.query(
+                    `INSERT INTO infraction_weights (guild_id, type, weight) VALUES (?, ?, ?)
+                     ON CONFLICT(guild_id, type) DO UPDATE SET weight = excluded.weight`,
+                    [guildId, type, weight]
+                );
+            }
+
+            this.policyCache.delete(guildId);
+        } catch (error) {
+            throw this.handleError(error, 'setWeight', { guildId, type, weight });
+        }
+    }
+
+    /**
+     * Get a member's infraction points within a window
+     * Infractions issued by the bot itself (earlier escalations) do not count.
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {number} windowSeconds - Window in seconds
+     * @param {Object} weights - Weights by infraction type
+     * @returns {Promise<number>} Points
+     */
+    async getPoints(guildId, userId, windowSeconds, weights) {
+        const rows = await this.query(
+            `SELECT type, COUNT(*) as count FROM infractions
+             WHERE guild_id = ? AND user_id = ? AND timestamp >= ? AND moderator_id != ?
+             GROUP BY type`,
+            [guildId, userId, Date.now() - windowSeconds * 1000, this.client.user?.id || '']
+        );
+
+        return rows.reduce((total, row) => total + (weights[row.type] || 0) * row.count, 0);
+    }
+
+    /**
+     * Evaluate the policy after an infraction and escalate if a rule is crossed
+     * A rule fires only when this infraction takes the member from below its
+     * threshold to at or above it, so later infractions do not repeat it.
+     * @param {Object} guild - Discord guild
+     * @param {Object} user - Target user
+     * @param {Object} moderator - Moderator who issued the infraction
+     * @param {Object} infraction - Created infraction ({ type })
+     * @returns {Promise<Object|null>} { rule, action, duration, points, success, error, summary } or null
+     */
+    async evaluate(guild, user, moderator, infraction) {
+        try {
+            // Escalations are issued by the bot and must not escalate again
+            if (!infraction || moderator.id === this.client.user?.id) {
+                return null;
+            }
+
+            const { rules, weights } = await this.getPolicy(guild.id);
+            const weight = weights[infraction.type] || 0;
+            if (rules.length === 0 || weight <= 0) {
+                return null;
+            }
+
+            // Points per distinct window, shared by rules using the same one
+            const pointsByWindow = new Map();
+            let triggered = null;
+
+            for (const rule of rules) {
+                if (!pointsByWindow.has(rule.window_seconds)) {
+                    pointsByWindow.set(rule.window_seconds, await this.getPoints(guild.id, user.id, rule.window_seconds, weights));
+                }
+
+                const points = pointsByWindow.get(rule.window_seconds);
+                const crossed = points - weight < rule.points && points >= rule.points;
+
+                if (crossed && (!triggered || this.compareSeverity(rule, triggered.rule) > 0)) {
+                    triggered = { rule, points };
+                }
+            }
+
+            if (!triggered) {
+                return null;
+            }
+
+            return await this.escalate(guild, user, triggered.rule, triggered.points);
+        } catch (error) {
+            this.log(`Error evaluating escalation for user ${user?.id}: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    /**
+     * Apply a rule's action through ModerationService
+     * @param {Object} guild - Discord guild
+     * @param {Object} user - Target user
+     * @param {Object} rule - Escalation rule row
+     * @param {number} points - Member's points in the rule's window
+     * @returns {Promise<Object>} Escalation result
+     */
+    async escalate(guild, user, rule, points) {
+        const moderationService = this.client.modules.get('moderation')?.getService('ModerationService');
+        const escalation = { rule, action: rule.action, duration: rule.duration, points, success: false, error: null };
+
+        if (!moderationService) {
+            escalation.error = 'Moderation service not available';
+            escalation.summary = `🚨 Rule #${rule.id} could not be applied: ${escalation.error}`;
+            return escalation;
+        }
+
+        const moderator = this.client.user;
+        const reason = `Automatic escalation (rule #${rule.id}): ${this.formatPoints(points)} points ` +
+            `in the last ${formatTimespan(rule.window_seconds * 1000)}`;
+
+        let result;
+        if (rule.action === 'ban') {
+            result = await moderationService.banMember(guild, user, moderator, reason);
+        } else {
+            const member = await guild.members.fetch(user.id).catch(() => null);
+            if (!member) {
+                escalation.error = 'Member is no longer in the server';
+                escalation.summary = `🚨 Rule #${rule.id} could not be applied: ${escalation.error}`;
+                return escalation;
+            }
+
+            result = rule.action === 'kick'
+                ? await moderationService.kickMember(guild, member, moderator, reason)
+                : await moderationService.timeoutMember(guild, member, moderator, rule.duration, reason);
+        }
+
+        escalation.success = result.success;
+        escalation.error = result.error || null;
+        escalation.summary = result.success
+            ? `🚨 ${this.describeAction(rule)} applied automatically (rule #${rule.id}: ${this.formatPoints(points)} points)`
+            : `🚨 Rule #${rule.id} (${this.describeAction(rule)}) could not be applied: ${result.error}`;
+
+        this.log(
+            `Escalation rule ${rule.id} ${result.success ? 'applied' : `failed (${result.error})`} ` +
+            `to user ${user.id} in guild ${guild.id}`,
+            result.success ? 'info' : 'warn'
+        );
+
+        return escalation;
+    }
+
+    /**
+     * Compare two rules by how severe their action is
+     * @param {Object} a - Rule
+     * @param {Object} b - Rule
+     * @returns {number} Positive if a is more severe than b
+     */
+    compareSeverity(a, b) {
+        const actionDifference = ACTIONS.indexOf(a.action) - ACTIONS.indexOf(b.action);
+        if (actionDifference !== 0) {
+            return actionDifference;
+        }
+
+        return (a.duration || 0) - (b.duration || 0);
+    }
+
+    /**
+     * Describe a rule's action
+     * @param {Object} rule - Rule with action and duration (minutes)
+     * @returns {string} Description, e.g. "1h timeout"
+     */
+    describeAction(rule) {
+        if (rule.action === 'timeout') {
+            return `${formatTimespan(rule.duration * 60 * 1000)} timeout`;
+        }
+
+        return rule.action;
+    }
+
+    /**
+     * Format a point total without trailing decimals
+     * @param {number} points - Points
+     * @returns {string} Formatted points
+     */
+    formatPoints(points) {
+        return Number.isInteger(points) ? `${points}` : points.toFixed(1);
+    }
+
+    /**
+     * Infraction types that carry a configurable weight
+     * @returns {Object} Default weights by type
+     */
+    getDefaultWeights() {
+        return { ...DEFAULT_WEIGHTS };
+    }
+}
+
+module.exports = EscalationService;
@@ -42,6 +42,12 @@ class ModerationService extends BaseService {
             this.guildConfigService = adminModule.getService('GuildConfigService');
         }
 
+        // InfractionService is listed before this service in the module, so it is already loaded
+        const moderationModule = this.client.modules.get('moderation');
+        if (moderationModule && !this.infractionService) {
+            this.infractionService = moderationModule.getService('InfractionService') || null;
+        }
+
         this.log('ModerationService initialized', 'info');
     }
 
@@ -87,8 +93,9 @@ class ModerationService extends BaseService {
             await this.sendModDM(target, guild, 'banned', reason);
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: target.id,
                     moderatorId: moderator.id,
@@ -102,7 +109,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${target.id} banned from guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true };
+            const escalation = await this.checkEscalation(guild, target, moderator, infraction);
+
+            return { success: true, escalation };
         } catch (error) {
             this.handleError(error, 'banMember', { guildId: guild.id, targetId: target.id });
             return { success: false, error: error.message };
@@ -136,8 +145,9 @@ class ModerationService extends BaseService {
             await guild.members.unban(userId, `${moderator.tag}: ${reason}`);
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: userId,
                     moderatorId: moderator.id,
@@ -151,7 +161,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${userId} unbanned from guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true, user: bannedUser.user };
+            const escalation = await this.checkEscalation(guild, bannedUser.user, moderator, infraction);
+
+            return { success: true, user: bannedUser.user, escalation };
         } catch (error) {
             this.handleError(error, 'unbanMember', { guildId: guild.id, userId });
             return { success: false, error: error.message };
@@ -185,8 +197,9 @@ class ModerationService extends BaseService {
             await this.sendModDM(member.user, guild, 'kicked', reason);
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: member.user.id,
                     moderatorId: moderator.id,
@@ -200,7 +213,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${member.user.id} kicked from guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true };
+            const escalation = await this.checkEscalation(guild, member.user, moderator, infraction);
+
+            return { success: true, escalation };
         } catch (error) {
             this.handleError(error, 'kickMember', { guildId: guild.id, memberId: member.user.id });
             return { success: false, error: error.message };
@@ -251,8 +266,9 @@ class ModerationService extends BaseService {
             await member.roles.add(muteRole, `${moderator.tag}: ${reason}`);
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: member.user.id,
                     moderatorId: moderator.id,
@@ -266,7 +282,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${member.user.id} muted in guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true };
+            const escalation = await this.checkEscalation(guild, member.user, moderator, infraction);
+
+            return { success: true, escalation };
         } catch (error) {
             this.handleError(error, 'muteMember', { guildId: guild.id, memberId: member.user.id });
             return { success: false, error: error.message };
@@ -313,8 +331,9 @@ class ModerationService extends BaseService {
             await member.roles.remove(muteRole, `${moderator.tag}: ${reason}`);
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: member.user.id,
                     moderatorId: moderator.id,
@@ -328,7 +347,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${member.user.id} unmuted in guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true };
+            const escalation = await this.checkEscalation(guild, member.user, moderator, infraction);
+
+            return { success: true, escalation };
         } catch (error) {
             this.handleError(error, 'unmuteMember', { guildId: guild.id, memberId: member.user.id });
             return { success: false, error: error.message };
@@ -371,8 +392,9 @@ class ModerationService extends BaseService {
             await this.sendModDM(member.user, guild, 'timed out', reason, { duration });
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: member.user.id,
                     moderatorId: moderator.id,
@@ -387,7 +409,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${member.user.id} timed out in guild ${guild.id} by ${moderator.id} for ${duration} minutes`, 'info');
 
-            return { success: true };
+            const escalation = await this.checkEscalation(guild, member.user, moderator, infraction);
+
+            return { success: true, escalation };
         } catch (error) {
             this.handleError(error, 'timeoutMember', { guildId: guild.id, memberId: member.user.id });
             return { success: false, error: error.message };
@@ -434,8 +458,9 @@ class ModerationService extends BaseService {
             );
 
             // Create infraction record
+            let infraction = null;
             if (this.infractionService) {
-                await this.infractionService.createInfraction({
+                infraction = await this.infractionService.createInfraction({
                     guildId: guild.id,
                     userId: user.id,
                     moderatorId: moderator.id,
@@ -449,7 +474,9 @@ class ModerationService extends BaseService {
 
             this.log(`User ${user.id} warned in guild ${guild.id} by ${moderator.id}`, 'info');
 
-            return { success: true, warning };
+            const escalation = await this.checkEscalation(guild, user, moderator, infraction);
+
+            return { success: true, warning, escalation };
         } catch (error) {
             this.handleError(error, 'warnMember', { guildId: guild.id, userId: user.id });
             return { success: false, error: error.message };
@@ -495,6 +522,27 @@ class ModerationService extends BaseService {
         }
     }
 
+    /**
+     * Evaluate the guild's escalation policy after a moderation action
+     * @param {Object} guild - Discord guild
+     * @param {Object} user - Target user
+     * @param {Object} moderator - Moderator user object
+     * @param {Object|null} infraction - Infraction created by the action
+     * @returns {Promise<Object|null>} Escalation result, or null if nothing escalated
+     */
+    async checkEscalation(guild, user, moderator, infraction) {
+        if (!infraction) {
+            return null;
+        }
+
+        const escalationService = this.client.modules.get('moderation')?.getService('EscalationService');
+        if (!escalationService) {
+            return null;
+        }
+
+        return await escalationService.evaluate(guild, user, moderator, infraction);
+    }
+
     /**
      * Send DM to user about moderation action
      * @param {Object} user - Target user object
@@ -533,6 +581,11 @@ class ModerationService extends BaseService {
      */
     async logModeration(guild, action, target, moderator, reason, extra = {}) {
         try {
+            // The admin module loads after moderation, so resolve it on first use
+            if (!this.guildConfigService) {
+                this.guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService') || null;
+            }
+
             if (!this.guildConfigService) {
                 return false;
             }
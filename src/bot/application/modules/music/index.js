@@ -17,7 +17,7 @@ module.exports = {
     models: ['MusicModel'],
 
     // Services used by this module
-    services: ['MusicPlayerService', 'PlaylistService'],
+    services: ['MusicPlayerService', 'PlaylistService', 'FilterService', 'MusicPermissionService', 'MusicHistoryService', 'LyricsService'],
 
     // Libraries used by this module
     libraries: ['VoiceManager', 'AudioPlayer', 'QueueManager'],
@@ -26,15 +26,41 @@ module.exports = {
     commands: [
         {
             name: 'play',
-            description: 'Play music from URL or search query (YouTube, Spotify)',
+            description: 'Play music from URL or search query (YouTube, Spotify, Apple Music, Deezer)',
             controller: 'MusicController',
             method: 'play',
+            // Suggests search results while the query is typed
+            autocomplete: 'playAutocomplete',
             options: [
                 {
                     name: 'query',
-                    description: 'Song name, URL, or search query',
+                    description: 'Song name, URL, playlist or mix URL, or search query',
                     type: 3, // STRING
                     required: true,
+                    autocomplete: true,
+                },
+            ],
+        },
+        {
+            name: 'search',
+            description: 'Search YouTube and pick which result to play',
+            controller: 'MusicController',
+            method: 'search',
+            options: [
+                {
+                    name: 'query',
+                    description: 'Search query',
+                    type: 3, // STRING
+                    required: true,
+                    max_length: 200,
+                },
+                {
+                    name: 'results',
+                    description: 'Number of results to show (5-10, default 5)',
+                    type: 4, // INTEGER
+                    required: false,
+                    min_value: 5,
+                    max_value: 10,
                 },
             ],
         },
@@ -59,6 +85,29 @@ module.exports = {
             method: 'skip',
             options: [],
         },
+        {
+            name: 'previous',
+            description: 'Play the previous track again',
+            controller: 'MusicController',
+            method: 'previous',
+            options: [],
+        },
+        {
+            name: 'replay',
+            description: 'Restart the current track, or play a track from the history again',
+            controller: 'MusicController',
+            method: 'replay',
+            options: [
+                {
+                    name: 'entry',
+                    description: 'Number of the track in /history (restarts the current track if not set)',
+                    type: 4, // INTEGER
+                    required: false,
+                    min_value: 1,
+                    max_value: 50,
+                },
+            ],
+        },
         {
             name: 'stop',
             description: 'Stop playback and clear the queue',
@@ -115,6 +164,20 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'autoplay',
+            description: 'Play related tracks when the queue runs out',
+            controller: 'MusicController',
+            method: 'autoplay',
+            options: [
+                {
+                    name: 'enabled',
+                    description: 'Turn autoplay on or off (default: toggle)',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+            ],
+        },
         {
             name: 'shuffle',
             description: 'Shuffle the current queue',
@@ -213,6 +276,131 @@ module.exports = {
                         { name: 'Vaporwave', value: 'vaporwave' },
                         { name: '8D', value: '8d' },
                         { name: 'Karaoke', value: 'karaoke' },
+                        { name: 'Normalize', value: 'loudnorm' },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'filter-custom',
+            description: 'Combine audio filters, tune the equalizer and set the server default',
+            controller: 'MusicController',
+            method: 'filterCustom',
+            options: [
+                {
+                    name: 'apply',
+                    description: 'Apply a combination of filters to playback',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'chain',
+                            description: 'Filters joined with + (e.g. bassboost+nightcore)',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 300,
+                        },
+                        {
+                            name: 'eq',
+                            description: 'Equalizer preset name, or 10 gains in dB from 31Hz to 16kHz',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'tempo',
+                            description: 'Playback speed without changing pitch (0.5-2)',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 0.5,
+                            max_value: 2,
+                        },
+                        {
+                            name: 'pitch',
+                            description: 'Pitch without changing speed (0.5-2)',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 0.5,
+                            max_value: 2,
+                        },
+                        {
+                            name: 'rotation',
+                            description: '8D rotation speed in Hz (0.01-2)',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 0.01,
+                            max_value: 2,
+                        },
+                        {
+                            name: 'tremolo',
+                            description: 'Tremolo frequency in Hz (0.1-20)',
+                            type: 10, // NUMBER
+                            required: false,
+                            min_value: 0.1,
+                            max_value: 20,
+                        },
+                        {
+                            name: 'loudnorm',
+                            description: 'Normalize loudness between tracks',
+                            type: 5, // BOOLEAN
+                            required: false,
+                        },
+                        {
+                            name: 'add',
+                            description: 'Add to the current filters instead of replacing them (default: false)',
+                            type: 5, // BOOLEAN
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'eq-save',
+                    description: 'Save an equalizer preset for this server',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'name',
+                            description: 'Preset name',
+                            type: 3, // STRING
+                            required: true,
+                            max_length: 32,
+                        },
+                        {
+                            name: 'gains',
+                            description: '10 gains in dB (-12 to 12) from 31Hz to 16kHz, e.g. 6,5,4,2,0,0,0,0,0,0',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'eq-delete',
+                    description: 'Delete a saved equalizer preset',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'name',
+                            description: 'Preset name',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'eq-list',
+                    description: 'List the equalizer presets',
+                    type: 1, // SUB_COMMAND
+                },
+                {
+                    name: 'default',
+                    description: 'Set the filters new queues start with',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'chain',
+                            description: 'Filter chain, "none" to clear (default: the current filters)',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 300,
+                        },
                     ],
                 },
             ],
@@ -299,5 +487,238 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'playlist-add',
+            description: 'Add the current track or a search result to a playlist',
+            controller: 'MusicController',
+            method: 'playlistAdd',
+            options: [
+                {
+                    name: 'id',
+                    description: 'Playlist ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+                {
+                    name: 'query',
+                    description: 'Song name or URL (default: the current track)',
+                    type: 3, // STRING
+                    required: false,
+                },
+            ],
+        },
+        {
+            name: 'playlist-remove',
+            description: 'Remove a track from a playlist',
+            controller: 'MusicController',
+            method: 'playlistRemove',
+            options: [
+                {
+                    name: 'id',
+                    description: 'Playlist ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+                {
+                    name: 'position',
+                    description: 'Track position in the playlist',
+                    type: 4, // INTEGER
+                    required: true,
+                    min_value: 1,
+                },
+            ],
+        },
+        {
+            name: 'playlist-rename',
+            description: 'Rename a playlist',
+            controller: 'MusicController',
+            method: 'playlistRename',
+            options: [
+                {
+                    name: 'id',
+                    description: 'Playlist ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+                {
+                    name: 'name',
+                    description: 'New playlist name',
+                    type: 3, // STRING
+                    required: true,
+                    max_length: 100,
+                },
+            ],
+        },
+        {
+            name: 'playlist-view',
+            description: 'Show the tracks in a playlist',
+            controller: 'MusicController',
+            method: 'playlistView',
+            options: [
+                {
+                    name: 'id',
+                    description: 'Playlist ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+            ],
+        },
+        {
+            name: 'playlist-export',
+            description: 'Export a playlist as a JSON or M3U file',
+            controller: 'MusicController',
+            method: 'playlistExport',
+            options: [
+                {
+                    name: 'id',
+                    description: 'Playlist ID',
+                    type: 3, // STRING
+                    required: true,
+                },
+                {
+                    name: 'format',
+                    description: 'File format (default: JSON)',
+                    type: 3, // STRING
+                    required: false,
+                    choices: [
+                        { name: 'JSON', value: 'json' },
+                        { name: 'M3U', value: 'm3u' },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'playlist-import',
+            description: 'Create a playlist from a JSON or M3U file',
+            controller: 'MusicController',
+            method: 'playlistImport',
+            options: [
+                {
+                    name: 'file',
+                    description: 'Playlist file (.json, .m3u or .m3u8)',
+                    type: 11, // ATTACHMENT
+                    required: true,
+                },
+                {
+                    name: 'name',
+                    description: 'Playlist name (default: the name in the file)',
+                    type: 3, // STRING
+                    required: false,
+                    max_length: 100,
+                },
+                {
+                    name: 'public',
+                    description: 'Make playlist public (default: false)',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+            ],
+        },
+        {
+            name: 'playlist-collab',
+            description: 'Manage who can edit a playlist',
+            controller: 'MusicController',
+            method: 'playlistCollab',
+            options: [
+                {
+                    name: 'add',
+                    description: 'Let a member add and remove tracks',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Playlist ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'user',
+                            description: 'Member to add',
+                            type: 6, // USER
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove a collaborator (or leave a shared playlist)',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Playlist ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'user',
+                            description: 'Collaborator to remove',
+                            type: 6, // USER
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List the collaborators on a playlist',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Playlist ID',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'lyrics',
+            description: 'Show the lyrics of the current track or of a song',
+            controller: 'MusicController',
+            method: 'lyrics',
+            options: [
+                {
+                    name: 'query',
+                    description: 'Song to look up, e.g. "artist - title" (default: the current track)',
+                    type: 3, // STRING
+                    required: false,
+                    max_length: 200,
+                },
+                {
+                    name: 'synced',
+                    description: 'Follow along with the current track on the now playing message',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+            ],
+        },
+        {
+            name: 'history',
+            description: 'Show the tracks recently played in this server',
+            controller: 'MusicController',
+            method: 'history',
+            options: [],
+        },
+        {
+            name: 'music-stats',
+            description: 'Show the most played tracks and top requesters of this server',
+            controller: 'MusicController',
+            method: 'musicStats',
+            options: [
+                {
+                    name: 'period',
+                    description: 'Plays to count (default: last 30 days)',
+                    type: 3, // STRING
+                    required: false,
+                    choices: [
+                        { name: 'Last 7 days', value: 'week' },
+                        { name: 'Last 30 days', value: 'month' },
+                        { name: 'All time', value: 'all' },
+                    ],
+                },
+            ],
+        },
     ],
 };
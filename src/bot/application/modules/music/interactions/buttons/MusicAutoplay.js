@@ -0,0 +1,59 @@
+/**
+ * Music Autoplay Button Interaction
+ * 
+ * Toggles autoplay: related tracks play when the queue runs out
+ */
+
+const BaseInteraction = require('../../../../../system/core/BaseInteraction');
+const { updateNowPlayingMessage } = require('../helpers/nowPlayingHelper');
+
+class MusicAutoplayButton extends BaseInteraction {
+    constructor(client) {
+        super(client, {
+            customId: 'music_autoplay',
+            type: 'button',
+        });
+    }
+
+    async execute(interaction) {
+        try {
+            // Validate user is in voice channel
+            if (!interaction.member?.voice?.channel) {
+                return await this.sendError(interaction, 'You need to be in a voice channel to use this button!');
+            }
+
+            // Validate bot is in same voice channel
+            if (!this.isInSameVoiceChannel(interaction)) {
+                return await this.sendError(interaction, 'You need to be in the same voice channel as the bot!');
+            }
+
+            // Get MusicPlayerService
+            const musicModule = this.client.modules.get('music');
+            const playerService = musicModule.getService('MusicPlayerService');
+
+            // Check if bot is connected
+            if (!playerService.isConnected(interaction.guildId)) {
+                return await this.sendError(interaction, 'Bot is not connected to a voice channel!');
+            }
+
+            // Check DJ permissions
+            const permissionService = musicModule.getService('MusicPermissionService');
+            if (permissionService && !(await permissionService.canUse(interaction.member, interaction.guildId, 'autoplay'))) {
+                return await this.sendError(interaction, 'You need the DJ role to use this button!');
+            }
+
+            const enabled = await playerService.setAutoplay(interaction.guildId, !playerService.getAutoplay(interaction.guildId));
+
+            // Update the message with new button states
+            await updateNowPlayingMessage(interaction, playerService);
+
+            this.log(`Turned autoplay ${enabled ? 'on' : 'off'} for guild ${interaction.guild.name}`, 'info', {
+                user: interaction.user.tag,
+            });
+        } catch (error) {
+            await this.handleError(interaction, error);
+        }
+    }
+}
+
+module.exports = MusicAutoplayButton;
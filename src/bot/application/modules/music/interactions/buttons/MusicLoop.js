@@ -36,6 +36,12 @@ class MusicLoopButton extends BaseInteraction {
                 return await this.sendError(interaction, 'Bot is not connected to a voice channel!');
             }
 
+            // Check DJ permissions
+            const permissionService = musicModule.getService('MusicPermissionService');
+            if (permissionService && !(await permissionService.canUse(interaction.member, interaction.guildId, 'loop'))) {
+                return await this.sendError(interaction, 'You need the DJ role to use this button!');
+            }
+
             // Get current loop mode
             const queue = playerService.getQueue(interaction.guildId);
             const currentMode = queue.loop || 'off';
@@ -44,6 +44,12 @@ class MusicPlayPauseButton extends BaseInteraction {
                 return await this.sendError(interaction, 'Nothing is currently playing!');
             }
 
+            // Check DJ permissions
+            const permissionService = musicModule.getService('MusicPermissionService');
+            if (permissionService && !(await permissionService.canUse(interaction.member, interaction.guildId, isPaused ? 'resume' : 'pause'))) {
+                return await this.sendError(interaction, 'You need the DJ role to use this button!');
+            }
+
             if (isPaused) {
                 playerService.resume(interaction.guildId);
             } else {
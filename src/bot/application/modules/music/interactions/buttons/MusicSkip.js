@@ -41,15 +41,35 @@ class MusicSkipButton extends BaseInteraction {
                 return await this.sendError(interaction, 'Nothing is currently playing!');
             }
 
+            // DJs, the requester or enough votes skip; see MusicPermissionService.requestSkip
+            const permissionService = musicModule.getService('MusicPermissionService');
+            const result = permissionService
+                ? await permissionService.requestSkip(interaction.member, interaction.guildId)
+                : { skip: true, reason: 'allowed' };
+
+            if (!result.skip) {
+                if (result.message) {
+                    return await this.sendError(interaction, `${result.message}!`);
+                }
+                if (result.alreadyVoted) {
+                    return await this.sendError(interaction, `You already voted to skip this track (${result.votes}/${result.required} votes)`);
+                }
+                return await interaction.reply({
+                    content: `🗳️ ${interaction.user} voted to skip **${current.title}** (${result.votes}/${result.required} votes)`,
+                });
+            }
+
             // Skip track
             playerService.skip(interaction.guildId);
 
             // Delete the now playing message since track is skipped
-            await interaction.update({ content: `⏭️ Skipped **${current.title}**`, embeds: [], components: [] });
+            const votes = result.reason === 'vote' ? ` (${result.votes}/${result.required} votes)` : '';
+            await interaction.update({ content: `⏭️ Skipped **${current.title}**${votes}`, embeds: [], components: [] });
 
             this.log(`Skipped track for guild ${interaction.guild.name}`, 'info', {
                 user: interaction.user.tag,
                 track: current.title,
+                reason: result.reason,
             });
         } catch (error) {
             await this.handleError(interaction, error);
@@ -35,6 +35,12 @@ class MusicStopButton extends BaseInteraction {
                 return await this.sendError(interaction, 'Bot is not connected to a voice channel!');
             }
 
+            // Check DJ permissions
+            const permissionService = musicModule.getService('MusicPermissionService');
+            if (permissionService && !(await permissionService.canUse(interaction.member, interaction.guildId, 'stop'))) {
+                return await this.sendError(interaction, 'You need the DJ role to use this button!');
+            }
+
             // Stop playback
             await playerService.stop(interaction.guildId);
 
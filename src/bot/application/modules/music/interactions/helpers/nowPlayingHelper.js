@@ -6,6 +6,7 @@
 
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { formatDuration } = require('../../../../../system/helpers/FormatHelper');
+const { describeFilterChain } = require('../../../../../system/helpers/AudioFilterHelper');
 
 /**
  * Update now playing message with current state
@@ -62,7 +63,7 @@ function createNowPlayingEmbed(track, queue, currentPosition) {
         embed.addFields({ name: 'Duration', value: formatDuration(track.duration), inline: true });
     }
 
-    embed.addFields({ name: 'Requested By', value: `<@${track.requestedBy.id}>`, inline: true });
+    embed.addFields({ name: 'Requested By', value: track.autoplay ? '📻 Autoplay' : `<@${track.requestedBy.id}>`, inline: true });
 
     if (track.thumbnail) {
         embed.setThumbnail(track.thumbnail);
@@ -70,13 +71,13 @@ function createNowPlayingEmbed(track, queue, currentPosition) {
 
     // Add settings
     const loopEmoji = { 'off': '➡️', 'track': '🔂', 'queue': '🔁' };
-    const filterEmoji = { 'none': '🎵', 'bassboost': '🔊', 'nightcore': '⚡', 'vaporwave': '🌊', '8d': '🎧', 'karaoke': '🎤' };
     const currentFilter = queue.filter || 'none';
-    const filterName = currentFilter === 'none' ? 'None' : currentFilter.charAt(0).toUpperCase() + currentFilter.slice(1);
+    const filterEmoji = currentFilter === 'none' ? '🎵' : '🎛️';
+    const filterName = describeFilterChain(currentFilter);
 
     embed.addFields({
         name: '⚙️ Settings',
-        value: `Loop: ${loopEmoji[queue.loop]} ${queue.loop} | Volume: 🔊 ${queue.volume}% | Filter: ${filterEmoji[currentFilter]} ${filterName}`,
+        value: `Loop: ${loopEmoji[queue.loop]} ${queue.loop} | Volume: 🔊 ${queue.volume}% | Filter: ${filterEmoji} ${filterName} | Autoplay: 📻 ${queue.autoplay ? 'on' : 'off'}`,
     });
 
     // Add next tracks
@@ -135,10 +136,12 @@ function createMusicControlButtons(guildId, playerService, queue) {
         new ButtonBuilder().setCustomId('music_loop').setEmoji(loopEmoji).setStyle(loopStyle)
     );
 
-    // Row 2: volume controls
+    // Row 2: volume and autoplay controls
     const row2 = new ActionRowBuilder().addComponents(
         new ButtonBuilder().setCustomId('music_volume_down').setEmoji('🔉').setStyle(ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId('music_volume_up').setEmoji('🔊').setStyle(ButtonStyle.Secondary)
+        new ButtonBuilder().setCustomId('music_volume_up').setEmoji('🔊').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId('music_autoplay').setEmoji('📻')
+            .setStyle(queue.autoplay ? ButtonStyle.Primary : ButtonStyle.Secondary)
     );
 
     return [row1, row2];
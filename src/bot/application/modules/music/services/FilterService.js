@@ -0,0 +1,267 @@
+/**
+ * FilterService
+ *
+ * Guild-level audio filter settings: the filter chain new queues start with
+ * (the music_default_filter setting of GuildConfigService) and equalizer
+ * presets saved by the guild. Chains themselves are parsed and validated by
+ * AudioFilterHelper and applied by MusicPlayerService.setFilter.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const {
+    EQ_PRESETS,
+    combineFilterChains,
+    normalizeFilterChain,
+    parseEqGains,
+    formatEqFilter,
+} = require('../../../../system/helpers/AudioFilterHelper');
+
+// Saved equalizer presets per guild, on top of the built-in ones
+const MAX_EQ_PRESETS = 20;
+
+const EQ_PRESET_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+class FilterService extends BaseService {
+    /**
+     * Create a new FilterService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        this.guildConfigService = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+        this.log('FilterService initialized', 'info');
+    }
+
+    /**
+     * Get GuildConfigService (the admin module loads after music)
+     * @returns {Object|null} GuildConfigService
+     */
+    getGuildConfigService() {
+        if (!this.guildConfigService) {
+            this.guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService') || null;
+        }
+        return this.guildConfigService;
+    }
+
+    /**
+     * Get the filter chain a guild's new queues start with
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string>} Filter chain, 'none' if unset or unavailable
+     */
+    async getDefaultFilter(guildId) {
+        const guildConfigService = this.getGuildConfigService();
+        if (!guildConfigService) {
+            return 'none';
+        }
+
+        try {
+            const chain = await guildConfigService.getSetting(guildId, 'music_default_filter');
+            return normalizeFilterChain(chain);
+        } catch (error) {
+            this.log(`Error getting default filter: ${error.message}`, 'warn');
+            return 'none';
+        }
+    }
+
+    /**
+     * Set the filter chain a guild's new queues start with
+     * @param {string} guildId - Guild ID
+     * @param {string} chain - Filter chain, 'none' to clear
+     * @returns {Promise<string>} Normalized chain
+     * @throws {Error} If the chain is invalid or settings are unavailable
+     */
+    async setDefaultFilter(guildId, chain) {
+        this.validateRequired({ guildId, chain }, ['guildId', 'chain']);
+
+        const guildConfigService = this.getGuildConfigService();
+        if (!guildConfigService) {
+            throw new Error('Guild settings are not available');
+        }
+
+        const normalized = normalizeFilterChain(chain);
+
+        if (normalized === 'none') {
+            await guildConfigService.resetSetting(guildId, 'music_default_filter');
+        } else {
+            await guildConfigService.setSetting(guildId, 'music_default_filter', normalized);
+        }
+
+        this.log(`Set default filter to ${normalized} in guild ${guildId}`, 'info');
+        return normalized;
+    }
+
+    /**
+     * Build a filter chain from /filter-custom options
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - Chosen options
+     * @param {string} options.chain - Filters typed as a chain (e.g. "bassboost+nightcore")
+     * @param {string} options.eq - Equalizer preset name or 10 gains
+     * @param {number} options.tempo - Tempo multiplier
+     * @param {number} options.pitch - Pitch multiplier
+     * @param {number} options.rotation - Rotation speed in Hz
+     * @param {number} options.tremolo - Tremolo frequency in Hz
+     * @param {boolean} options.loudnorm - Normalize loudness
+     * @returns {Promise<string>} Normalized chain
+     * @throws {Error} If an option is invalid or the filters conflict
+     */
+    async buildChain(guildId, { chain, eq, tempo, pitch, rotation, tremolo, loudnorm }) {
+        let eqFilter = null;
+
+        if (eq) {
+            const preset = await this.getEqPreset(guildId, eq);
+            if (!preset && !/\d/.test(eq)) {
+                throw new Error(`Unknown equalizer preset \`${eq}\`, see \`/filter-custom eq-list\``);
+            }
+            eqFilter = formatEqFilter(preset ? preset.gains : parseEqGains(eq));
+        }
+
+        return combineFilterChains(
+            chain,
+            eqFilter,
+            tempo ? `tempo:${tempo}` : null,
+            pitch ? `pitch:${pitch}` : null,
+            rotation ? `rotation:${rotation}` : null,
+            tremolo ? `tremolo:${tremolo}` : null,
+            loudnorm ? 'loudnorm' : null
+        );
+    }
+
+    /**
+     * List the equalizer presets available in a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array<Object>>} Presets ({ name, gains, builtIn, createdBy }), built-ins first
+     */
+    async listEqPresets(guildId) {
+        try {
+            this.validateRequired({ guildId }, ['guildId']);
+
+            const rows = await this.query(
+                'SELECT name, gains, created_by FROM music_eq_presets WHERE guild_id = ? ORDER BY name ASC',
+                [guildId]
+            );
+
+            return [
+                ...Object.entries(EQ_PRESETS).map(([name, gains]) => ({ name, gains, builtIn: true, createdBy: null })),
+                ...rows.map(row => ({
+                    name: row.name,
+                    gains: JSON.parse(row.gains),
+                    builtIn: false,
+                    createdBy: row.created_by,
+                })),
+            ];
+        } catch (error) {
+            throw this.handleError(error, 'listEqPresets', { guildId });
+        }
+    }
+
+    /**
+     * Get an equalizer preset by name
+     * @param {string} guildId - Guild ID
+     * @param {string} name - Preset name
+     * @returns {Promise<Object|null>} Preset ({ name, gains, builtIn }) or null
+     */
+    async getEqPreset(guildId, name) {
+        const key = String(name || '').trim().toLowerCase();
+
+        if (Object.prototype.hasOwnProperty.call(EQ_PRESETS, key)) {
+            return { name: key, gains: EQ_PRESETS[key], builtIn: true };
+        }
+
+        const presets = await this.listEqPresets(guildId);
+        return presets.find(preset => preset.name === key) || null;
+    }
+
+    /**
+     * Save an equalizer preset, replacing a saved preset with the same name
+     * @param {string} guildId - Guild ID
+     * @param {string} name - Preset name
+     * @param {string} gainsText - 10 gains in dB, separated by commas or spaces
+     * @param {string} userId - User ID of the member saving it
+     * @returns {Promise<Object>} { success, preset, replaced } or { success: false, message }
+     */
+    async saveEqPreset(guildId, name, gainsText, userId = null) {
+        try {
+            this.validateRequired({ guildId, name }, ['guildId', 'name']);
+
+            const key = name.trim().toLowerCase();
+            if (!EQ_PRESET_NAME_REGEX.test(key)) {
+                return { success: false, message: 'Preset names use 1-32 letters, digits, - or _' };
+            }
+
+            if (Object.prototype.hasOwnProperty.call(EQ_PRESETS, key)) {
+                return { success: false, message: `\`${key}\` is a built-in preset` };
+            }
+
+            let gains;
+            try {
+                gains = parseEqGains(gainsText);
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+
+            const saved = (await this.listEqPresets(guildId)).filter(preset => !preset.builtIn);
+            const replaced = saved.some(preset => preset.name === key);
+
+            if (!replaced && saved.length >= MAX_EQ_PRESETS) {
+                return { success: false, message: `A server can save at most ${MAX_EQ_PRESETS} equalizer presets` };
+            }
+
+            const now = Date.now();
+            await this.query(
+                `INSERT INTO music_eq_presets (guild_id, name, gains, created_by, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(guild_id, name) DO UPDATE SET
+                    gains = excluded.gains,
+                    created_by = excluded.created_by,
+                    updated_at = excluded.updated_at`,
+                [guildId, key, JSON.stringify(gains), userId, now, now]
+            );
+
+            this.log(`Saved equalizer preset ${key} in guild ${guildId}`, 'info');
+
+            return { success: true, preset: { name: key, gains, builtIn: false, createdBy: userId }, replaced };
+        } catch (error) {
+            throw this.handleError(error, 'saveEqPreset', { guildId, name });
+        }
+    }
+
+    /**
+     * Delete a saved equalizer preset
+     * @param {string} guildId - Guild ID
+     * @param {string} name - Preset name
+     * @returns {Promise<boolean>} True if a preset was deleted
+     */
+    async deleteEqPreset(guildId, name) {
+        try {
+            this.validateRequired({ guildId, name }, ['guildId', 'name']);
+
+            const key = name.trim().toLowerCase();
+            const existing = await this.getEqPreset(guildId, key);
+            if (!existing || existing.builtIn) {
+                return false;
+            }
+
+            await this.query(
+                'DELETE FROM music_eq_presets WHERE guild_id = ? AND name = ?',
+                [guildId, key]
+            );
+
+            this.log(`Deleted equalizer preset ${key} in guild ${guildId}`, 'info');
+            return true;
+        } catch (error) {
+            throw this.handleError(error, 'deleteEqPreset', { guildId, name });
+        }
+    }
+}
+
+module.exports = FilterService;
@@ -0,0 +1,222 @@
+/**
+ * LyricsService
+ *
+ * Looks up lyrics through the audio server, which asks its lyrics
+ * providers (see src/server/lyrics), and runs synced lyrics: while a
+ * session runs, the guild's now playing message is edited to show the
+ * line being sung, following MusicPlayerService.getCurrentPosition.
+ * A session ends with its track.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const { findLineIndex, formatSyncedLines } = require('../../../../system/helpers/LyricsHelper');
+
+// How often synced sessions check the position
+const SYNC_INTERVAL = 1000;
+
+// Least time between two edits of a now playing message (Discord rate limits)
+const MIN_EDIT_INTERVAL = 2000;
+
+class LyricsService extends BaseService {
+    /**
+     * Create a new LyricsService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        this.musicModel = null;
+        this.musicPlayerService = null;
+
+        // Synced lyrics sessions: guildId → { track, lines, timer, lineIndex, editedAt, editing }
+        this.syncSessions = new Map();
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.musicModel = loader.model('MusicModel');
+        }
+
+        this.log('LyricsService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        for (const guildId of [...this.syncSessions.keys()]) {
+            this.stopSync(guildId);
+        }
+
+        await super.shutdown();
+    }
+
+    /**
+     * Get MusicPlayerService
+     * @returns {Object|null} MusicPlayerService
+     */
+    getMusicPlayerService() {
+        if (!this.musicPlayerService) {
+            this.musicPlayerService = this.client.modules.get('music')?.getService('MusicPlayerService') || null;
+        }
+        return this.musicPlayerService;
+    }
+
+    /**
+     * Get the lyrics of a track or a search
+     * @param {Object} params - Song to look up
+     * @param {Object} params.track - Queue track (its title, channel and duration are used)
+     * @param {string} params.query - Song title, optionally "artist - title", instead of a track
+     * @returns {Promise<Object|null>} Lyrics (see MusicModel.getLyrics) or null if not found
+     */
+    async getLyrics({ track = null, query = null }) {
+        try {
+            if (!this.musicModel) {
+                throw new Error('Music model not available');
+            }
+
+            if (query) {
+                return await this.musicModel.getLyrics({ title: query });
+            }
+
+            this.validateRequired({ track }, ['track']);
+
+            return await this.musicModel.getLyrics({
+                title: track.title,
+                // Tracks from Spotify and other links carry the artist, YouTube tracks the channel
+                artist: track.author && track.author !== 'Unknown' ? track.author : null,
+                duration: track.duration,
+            });
+        } catch (error) {
+            throw this.handleError(error, 'getLyrics', { title: track?.title || query });
+        }
+    }
+
+    /**
+     * Show synced lyrics on the now playing message for the current track
+     * Replaces a session already running in the guild.
+     * @param {string} guildId - Guild ID
+     * @param {Object} track - Current track
+     * @param {Array<Object>} lines - Synced lines ({ time, text } with time in ms)
+     * @returns {boolean} True if started, false without a now playing message
+     */
+    startSync(guildId, track, lines) {
+        const playerService = this.getMusicPlayerService();
+        if (!playerService || !playerService.getNowPlayingMessage(guildId) || !lines?.length) {
+            return false;
+        }
+
+        this.stopSync(guildId);
+
+        const session = {
+            track,
+            lines,
+            timer: null,
+            lineIndex: null,
+            editedAt: 0,
+            editing: false,
+        };
+
+        session.timer = setInterval(() => {
+            this.updateSync(guildId).catch(error =>
+                this.log(`Synced lyrics update failed: ${error.message}`, 'warn')
+            );
+        }, SYNC_INTERVAL);
+
+        if (session.timer.unref) {
+            session.timer.unref();
+        }
+
+        this.syncSessions.set(guildId, session);
+        this.log(`Started synced lyrics for ${track.title} in guild ${guildId}`, 'info');
+
+        return true;
+    }
+
+    /**
+     * Stop synced lyrics in a guild
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} True if a session was running
+     */
+    stopSync(guildId) {
+        const session = this.syncSessions.get(guildId);
+        if (!session) {
+            return false;
+        }
+
+        clearInterval(session.timer);
+        this.syncSessions.delete(guildId);
+        return true;
+    }
+
+    /**
+     * Check whether synced lyrics run in a guild
+     * @param {string} guildId - Guild ID
+     * @returns {boolean}
+     */
+    isSyncing(guildId) {
+        return this.syncSessions.has(guildId);
+    }
+
+    /**
+     * Show the current line on the now playing message
+     * Edits only when the line changed, at most once per MIN_EDIT_INTERVAL;
+     * ends the session once its track stopped playing.
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<void>}
+     */
+    async updateSync(guildId) {
+        const session = this.syncSessions.get(guildId);
+        if (!session || session.editing) {
+            return;
+        }
+
+        const playerService = this.getMusicPlayerService();
+        const message = playerService?.getNowPlayingMessage(guildId);
+
+        if (!message || playerService.getCurrent(guildId) !== session.track) {
+            this.stopSync(guildId);
+            return;
+        }
+
+        const position = playerService.getCurrentPosition(guildId);
+        const lineIndex = findLineIndex(session.lines, position * 1000);
+
+        if (lineIndex === session.lineIndex || Date.now() - session.editedAt < MIN_EDIT_INTERVAL) {
+            return;
+        }
+
+        const { createNowPlayingEmbed, createMusicControlButtons } = require('../interactions/helpers/nowPlayingHelper');
+        const queue = playerService.getQueue(guildId);
+
+        const embed = createNowPlayingEmbed(session.track, queue, position)
+            .addFields({ name: '🎤 Lyrics', value: formatSyncedLines(session.lines, lineIndex) });
+
+        session.editing = true;
+        try {
+            await message.edit({
+                embeds: [embed],
+                components: createMusicControlButtons(guildId, playerService, queue),
+            });
+            session.lineIndex = lineIndex;
+            session.editedAt = Date.now();
+        } catch (error) {
+            // The message was deleted or can no longer be edited
+            this.log(`Stopping synced lyrics in guild ${guildId}: ${error.message}`, 'warn');
+            this.stopSync(guildId);
+        } finally {
+            session.editing = false;
+        }
+    }
+}
+
+module.exports = LyricsService;
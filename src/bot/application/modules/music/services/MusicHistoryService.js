@@ -0,0 +1,256 @@
+/**
+ * MusicHistoryService
+ *
+ * Per-guild play history: every track MusicPlayerService starts is
+ * recorded with its requester and whether it was skipped. Feeds /history,
+ * /replay and the most played and top requesters charts of /music-stats.
+ * Entries older than the retention period are pruned once a day.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const config = require('../../../config/config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most entries /history lists
+const MAX_HISTORY_ENTRIES = 100;
+
+class MusicHistoryService extends BaseService {
+    /**
+     * Create a new MusicHistoryService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        this.retentionDays = options.retentionDays || config.audio.historyRetentionDays;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        this.startPruneTimer();
+
+        this.log('MusicHistoryService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+
+        await super.shutdown();
+    }
+
+    /**
+     * Prune old entries now and once a day
+     */
+    startPruneTimer() {
+        if (this.pruneTimer) {
+            return;
+        }
+
+        const prune = () => this.prune().catch(error =>
+            this.log(`History prune failed: ${error.message}`, 'warn')
+        );
+
+        prune();
+        this.pruneTimer = setInterval(prune, DAY);
+
+        if (this.pruneTimer.unref) {
+            this.pruneTimer.unref();
+        }
+    }
+
+    /**
+     * Record a track starting to play
+     * @param {string} guildId - Guild ID
+     * @param {Object} track - Track with requestedBy
+     * @returns {Promise<number>} History entry ID
+     */
+    async recordPlay(guildId, track) {
+        try {
+            this.validateRequired({ guildId, track }, ['guildId', 'track']);
+
+            const result = await this.query(
+                `INSERT INTO music_play_history
+                 (guild_id, track_url, title, duration, thumbnail, requested_by, autoplay, played_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    guildId,
+                    track.url,
+                    track.title,
+                    Math.round(track.duration || 0),
+                    track.thumbnail || null,
+                    track.requestedBy?.id || null,
+                    track.autoplay ? 1 : 0,
+                    Date.now()
+                ]
+            );
+
+            return Number(result.lastInsertRowid);
+        } catch (error) {
+            throw this.handleError(error, 'recordPlay', { guildId });
+        }
+    }
+
+    /**
+     * Mark a history entry as skipped
+     * @param {number} entryId - History entry ID
+     * @returns {Promise<void>}
+     */
+    async markSkipped(entryId) {
+        try {
+            await this.query('UPDATE music_play_history SET skipped = 1 WHERE id = ?', [entryId]);
+        } catch (error) {
+            throw this.handleError(error, 'markSkipped', { entryId });
+        }
+    }
+
+    /**
+     * Get a guild's most recently played tracks
+     * @param {string} guildId - Guild ID
+     * @param {number} limit - Number of entries (1-100)
+     * @returns {Promise<Array<Object>>} Entries, newest first
+     */
+    async getHistory(guildId, limit = 50) {
+        try {
+            this.validateRequired({ guildId }, ['guildId']);
+
+            const count = Math.max(1, Math.min(MAX_HISTORY_ENTRIES, limit));
+            const rows = await this.query(
+                `SELECT id, track_url, title, duration, thumbnail, requested_by, autoplay, skipped, played_at
+                 FROM music_play_history WHERE guild_id = ?
+                 ORDER BY played_at DESC, id DESC LIMIT ?`,
+                [guildId, count]
+            );
+
+            return rows.map(row => this.formatEntry(row));
+        } catch (error) {
+            throw this.handleError(error, 'getHistory', { guildId });
+        }
+    }
+
+    /**
+     * Get a history entry by its position in /history
+     * @param {string} guildId - Guild ID
+     * @param {number} position - Position (1 = most recently played)
+     * @returns {Promise<Object|null>} Entry or null
+     */
+    async getEntry(guildId, position) {
+        if (position < 1 || position > MAX_HISTORY_ENTRIES) {
+            return null;
+        }
+
+        const entries = await this.getHistory(guildId, position);
+        return entries[position - 1] || null;
+    }
+
+    /**
+     * Get a guild's play charts
+     * Autoplay tracks count as plays but not towards any requester.
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - Chart options
+     * @param {number} options.days - Only count plays from the last this many days, all kept plays if unset
+     * @param {number} options.limit - Entries per chart
+     * @returns {Promise<Object>} { totalPlays, uniqueTracks, skipped, listenedTime, mostPlayed, topRequesters }
+     */
+    async getStats(guildId, { days = null, limit = 5 } = {}) {
+        try {
+            this.validateRequired({ guildId }, ['guildId']);
+
+            const since = days ? Date.now() - days * DAY : 0;
+
+            const [totals] = await this.query(
+                `SELECT COUNT(*) AS plays, COUNT(DISTINCT track_url) AS tracks,
+                        COALESCE(SUM(skipped), 0) AS skipped, COALESCE(SUM(duration), 0) AS duration
+                 FROM music_play_history WHERE guild_id = ? AND played_at >= ?`,
+                [guildId, since]
+            );
+
+            const mostPlayed = await this.query(
+                `SELECT track_url, MAX(title) AS title, COUNT(*) AS plays, MAX(played_at) AS last_played
+                 FROM music_play_history WHERE guild_id = ? AND played_at >= ?
+                 GROUP BY track_url ORDER BY plays DESC, last_played DESC LIMIT ?`,
+                [guildId, since, limit]
+            );
+
+            const topRequesters = await this.query(
+                `SELECT requested_by, COUNT(*) AS plays, COALESCE(SUM(duration), 0) AS duration
+                 FROM music_play_history
+                 WHERE guild_id = ? AND played_at >= ? AND autoplay = 0 AND requested_by IS NOT NULL
+                 GROUP BY requested_by ORDER BY plays DESC, duration DESC LIMIT ?`,
+                [guildId, since, limit]
+            );
+
+            return {
+                totalPlays: Number(totals?.plays || 0),
+                uniqueTracks: Number(totals?.tracks || 0),
+                skipped: Number(totals?.skipped || 0),
+                listenedTime: Number(totals?.duration || 0),
+                mostPlayed: mostPlayed.map(row => ({
+                    url: row.track_url,
+                    title: row.title,
+                    plays: Number(row.plays),
+                })),
+                topRequesters: topRequesters.map(row => ({
+                    userId: row.requested_by,
+                    plays: Number(row.plays),
+                    duration: Number(row.duration),
+                })),
+            };
+        } catch (error) {
+            throw this.handleError(error, 'getStats', { guildId });
+        }
+    }
+
+    /**
+     * Delete entries older than the retention period
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async prune() {
+        const result = await this.query(
+            'DELETE FROM music_play_history WHERE played_at < ?',
+            [Date.now() - this.retentionDays * DAY]
+        );
+
+        if (result.changes > 0) {
+            this.log(`Pruned ${result.changes} play history entries`, 'info');
+        }
+
+        return result.changes;
+    }
+
+    /**
+     * Format a history row
+     * @param {Object} row - Database row
+     * @returns {Object} { id, title, url, duration, thumbnail, requestedBy, autoplay, skipped, playedAt }
+     * @private
+     */
+    formatEntry(row) {
+        return {
+            id: Number(row.id),
+            title: row.title,
+            url: row.track_url,
+            duration: Number(row.duration || 0),
+            thumbnail: row.thumbnail,
+            requestedBy: row.requested_by,
+            autoplay: Boolean(row.autoplay),
+            skipped: Boolean(row.skipped),
+            playedAt: Number(row.played_at),
+        };
+    }
+}
+
+module.exports = MusicHistoryService;
@@ -0,0 +1,190 @@
+/**
+ * MusicPermissionService
+ *
+ * Decides who may use which music command and who may skip a track.
+ * DJs are administrators and members with the dj_role; the
+ * music_dj_commands setting lists the commands only they may use. Skips
+ * also honour the requester rule (music_requester_skip) and vote-skip
+ * (music_vote_skip, music_vote_skip_percent). Votes are stored per track by
+ * MusicPlayerService.
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+const { DEFAULT_DJ_COMMANDS, parseDJCommands } = require('../../../../system/helpers/MusicPermissionHelper');
+
+// Used when guild settings can't be read
+const DEFAULT_SETTINGS = {
+    djRole: null,
+    djCommands: DEFAULT_DJ_COMMANDS,
+    voteSkip: false,
+    voteSkipPercent: 50,
+    requesterSkip: true,
+};
+
+class MusicPermissionService extends BaseService {
+    /**
+     * Create a new MusicPermissionService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+
+        this.guildConfigService = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+        this.log('MusicPermissionService initialized', 'info');
+    }
+
+    /**
+     * Get GuildConfigService (the admin module loads after music)
+     * @returns {Object|null} GuildConfigService
+     */
+    getGuildConfigService() {
+        if (!this.guildConfigService) {
+            this.guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService') || null;
+        }
+        return this.guildConfigService;
+    }
+
+    /**
+     * Get MusicPlayerService
+     * @returns {Object|null} MusicPlayerService
+     */
+    getMusicPlayerService() {
+        return this.client.modules.get('music')?.getService('MusicPlayerService') || null;
+    }
+
+    /**
+     * Get a guild's music permission settings
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { djRole, djCommands, voteSkip, voteSkipPercent, requesterSkip }
+     */
+    async getSettings(guildId) {
+        const guildConfigService = this.getGuildConfigService();
+        if (!guildConfigService) {
+            return DEFAULT_SETTINGS;
+        }
+
+        try {
+            const config = await guildConfigService.getGuildConfig(guildId);
+
+            let djCommands;
+            try {
+                djCommands = parseDJCommands(config.music_dj_commands);
+            } catch (error) {
+                djCommands = DEFAULT_DJ_COMMANDS;
+            }
+
+            return {
+                djRole: config.dj_role || null,
+                djCommands,
+                voteSkip: config.music_vote_skip === true,
+                voteSkipPercent: Number(config.music_vote_skip_percent) || DEFAULT_SETTINGS.voteSkipPercent,
+                requesterSkip: config.music_requester_skip !== false,
+            };
+        } catch (error) {
+            this.log(`Error getting music permission settings: ${error.message}`, 'warn');
+            return DEFAULT_SETTINGS;
+        }
+    }
+
+    /**
+     * Check whether a member is a DJ (administrator or DJ role holder)
+     * @param {Object} member - Guild member
+     * @param {Object} settings - Settings from getSettings
+     * @returns {boolean} True if the member is a DJ
+     */
+    isDJ(member, settings) {
+        if (member.permissions?.has('Administrator')) {
+            return true;
+        }
+
+        return Boolean(settings.djRole) && member.roles.cache.has(settings.djRole);
+    }
+
+    /**
+     * Check whether a member may use a music command
+     * Without a DJ role configured every member may use every command.
+     * @param {Object} member - Guild member
+     * @param {string} guildId - Guild ID
+     * @param {string} command - Command name (e.g. "clear")
+     * @returns {Promise<boolean>} True if allowed
+     */
+    async canUse(member, guildId, command) {
+        const settings = await this.getSettings(guildId);
+
+        if (!settings.djCommands.includes(command) || !settings.djRole) {
+            return true;
+        }
+
+        return this.isDJ(member, settings);
+    }
+
+    /**
+     * Decide what a member's skip request does
+     * DJs and (if enabled) the track's requester skip at once. With
+     * vote-skip enabled everyone else votes, and the track is skipped once
+     * the configured share of non-bot listeners in the bot's voice channel
+     * has voted. Otherwise skipping follows the DJ requirement of /skip.
+     * The caller performs the skip.
+     * @param {Object} member - Guild member asking to skip
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { skip: true, reason, votes?, required? },
+     *   { skip: false, voted, alreadyVoted, votes, required } or { skip: false, message }
+     */
+    async requestSkip(member, guildId) {
+        const musicPlayerService = this.getMusicPlayerService();
+        const current = musicPlayerService?.getCurrent(guildId);
+        if (!current) {
+            return { skip: false, message: 'Nothing is currently playing' };
+        }
+
+        const settings = await this.getSettings(guildId);
+
+        if (this.isDJ(member, settings)) {
+            return { skip: true, reason: 'dj' };
+        }
+
+        if (settings.requesterSkip && current.requestedBy?.id === member.id) {
+            return { skip: true, reason: 'requester' };
+        }
+
+        if (settings.voteSkip) {
+            const channel = member.guild.members.me?.voice?.channel;
+            if (!channel || member.voice?.channelId !== channel.id) {
+                return { skip: false, message: 'You need to be in the same voice channel as the bot to vote' };
+            }
+
+            const listeners = channel.members.filter(listener => !listener.user.bot);
+            const required = Math.max(1, Math.ceil(listeners.size * settings.voteSkipPercent / 100));
+
+            const alreadyVoted = musicPlayerService.getSkipVotes(guildId).has(member.id);
+            const voters = musicPlayerService.addSkipVote(guildId, member.id);
+
+            // Members who left the channel no longer count
+            const votes = [...voters].filter(id => listeners.has(id)).length;
+
+            if (votes >= required) {
+                this.log(`Vote skip passed in guild ${guildId} (${votes}/${required})`, 'info');
+                return { skip: true, reason: 'vote', votes, required };
+            }
+
+            return { skip: false, voted: true, alreadyVoted, votes, required };
+        }
+
+        if (!settings.djRole || !settings.djCommands.includes('skip')) {
+            return { skip: true, reason: 'allowed' };
+        }
+
+        return { skip: false, message: 'You need the DJ role to skip tracks' };
+    }
+}
+
+module.exports = MusicPermissionService;
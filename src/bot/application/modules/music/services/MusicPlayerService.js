@@ -7,6 +7,14 @@
 
 const BaseService = require('../../../../system/core/BaseService');
 const { AudioPlayerStatus } = require('@discordjs/voice');
+const config = require('../../../config/config');
+
+// Tracks requested from the audio server per playlist page (server maximum is 100)
+const PLAYLIST_PAGE_SIZE = 50;
+
+// Autoplay seeds from the last few played tracks, looking at this many related tracks for each
+const AUTOPLAY_SEEDS = 3;
+const AUTOPLAY_CANDIDATES = 25;
 
 class MusicPlayerService extends BaseService {
     /**
@@ -23,6 +31,7 @@ class MusicPlayerService extends BaseService {
         this.queueManager = null;
         this.musicModel = null;
         this.guildConfigService = null;
+        this.historyService = null;
 
         // Track current playback state for persistence
         // Each entry: { startTime, track, pausedAt }
@@ -36,6 +45,21 @@ class MusicPlayerService extends BaseService {
 
         // In-memory cache for guild volume defaults to avoid DB read on every track
         this._volumeDefaults = new Map();
+
+        // Skip votes for the current track: guildId → Set<userId>
+        // Cleared whenever a track starts, so votes never carry over
+        this.skipVotes = new Map();
+
+        // Autoplay lookups in flight: guildId → Promise<track|null>
+        this._autoplayInFlight = new Map();
+
+        // Play history entry of the current track: guildId → Promise<entryId|null>
+        // Kept apart from playbackStates, which seek and setFilter replace
+        this._historyEntries = new Map();
+
+        // Latest now playing message per guild: guildId → Message
+        // Edited by synced lyrics (see LyricsService)
+        this.nowPlayingMessages = new Map();
     }
 
     /**
@@ -61,6 +85,53 @@ class MusicPlayerService extends BaseService {
         this.log('MusicPlayerService initialized', 'info');
     }
 
+    /**
+     * Get MusicHistoryService (loaded after this service)
+     * @returns {Object|null} MusicHistoryService
+     */
+    getHistoryService() {
+        if (!this.historyService) {
+            this.historyService = this.client.modules.get('music')?.getService('MusicHistoryService') || null;
+        }
+        return this.historyService;
+    }
+
+    /**
+     * Record the track starting to play in the guild's play history
+     * @param {string} guildId - Guild ID
+     * @param {Object} track - Track
+     * @private
+     */
+    _recordPlay(guildId, track) {
+        const historyService = this.getHistoryService();
+        if (!historyService) {
+            this._historyEntries.delete(guildId);
+            return;
+        }
+
+        this._historyEntries.set(guildId, historyService.recordPlay(guildId, track).catch(err => {
+            this.log(`Error recording play history: ${err.message}`, 'warn');
+            return null;
+        }));
+    }
+
+    /**
+     * Mark the current track as skipped in the guild's play history
+     * @param {string} guildId - Guild ID
+     * @private
+     */
+    _markSkipped(guildId) {
+        const entry = this._historyEntries.get(guildId);
+        this._historyEntries.delete(guildId);
+        if (!entry) {
+            return;
+        }
+
+        // The entry may still be being recorded when the track is skipped right away
+        entry.then(entryId => entryId && this.getHistoryService().markSkipped(entryId))
+            .catch(err => this.log(`Error marking track as skipped: ${err.message}`, 'warn'));
+    }
+
     /**
      * Play a track or add to queue
      * @param {Object} params - Play parameters
@@ -75,6 +146,10 @@ class MusicPlayerService extends BaseService {
         this.validateRequired({ guildId, query, voiceChannel, requester },
             ['guildId', 'query', 'voiceChannel', 'requester']);
 
+        if (this.musicModel.isPlaylistUrl(query) || this.musicModel.isExternalLink(query)) {
+            return this.playPlaylist({ guildId, query, voiceChannel, textChannel, requester });
+        }
+
         try {
             // Check max queue size
             if (this.guildConfigService) {
@@ -102,6 +177,9 @@ class MusicPlayerService extends BaseService {
                 },
             };
 
+            // Requested tracks play before autoplay picks
+            this.queueManager.removeAutoplayTracks(guildId);
+
             // Add to queue
             const position = this.queueManager.add(guildId, track);
             this.log(`Added track to queue at position ${position}`, 'info');
@@ -122,6 +200,205 @@ class MusicPlayerService extends BaseService {
         }
     }
 
+    /**
+     * Search YouTube and list the top results
+     * Queue a result by passing its URL to play(). Errors are left to the
+     * caller to log: autocomplete searches time out routinely.
+     * @param {string} query - Search query
+     * @param {number} limit - Number of results (1-10)
+     * @param {Object} options - Request options passed to MusicModel.search
+     * @returns {Promise<Object[]>} Tracks in YouTube's order
+     */
+    async search(query, limit = 5, options = {}) {
+        this.validateRequired({ query }, ['query']);
+
+        return this.musicModel.search(query, limit, options);
+    }
+
+    /**
+     * Get a single track's metadata without queueing it
+     * @param {string} query - Track query or URL
+     * @returns {Promise<Object>} Track info
+     */
+    async getTrackInfo(query) {
+        this.validateRequired({ query }, ['query']);
+
+        if (this.musicModel.isPlaylistUrl(query) || this.musicModel.isExternalLink(query)) {
+            throw new Error('Playlist and external links can\'t be added as a single track');
+        }
+
+        try {
+            return await this.musicModel.getTrackInfo(query);
+        } catch (error) {
+            throw this.handleError(error, 'getTrackInfo');
+        }
+    }
+
+    /**
+     * Expand a playlist, mix or external link (Spotify, Apple Music, Deezer) into queue entries
+     * The first page is queued and playback starts right away; later pages
+     * load in the background. Tracks are queued with the playlist listing
+     * only, their metadata is fetched when they come up (see _prefetchNext).
+     * @param {Object} params - Same parameters as play()
+     * @returns {Promise<Object>} { playlist, added, position, limited, pending }
+     *   pending is null, or a Promise resolving to the final { added, limited }
+     *   once the remaining pages are queued. Links to a single track return
+     *   { track, position } like play().
+     */
+    async playPlaylist({ guildId, query, voiceChannel, textChannel, requester }) {
+        try {
+            const maxTracks = await this.getPlaylistCapacity(guildId);
+            if (maxTracks <= 0) {
+                throw new Error('Queue is full! Remove some tracks before adding a playlist.');
+            }
+
+            const [page] = await Promise.all([
+                this.musicModel.getPlaylistPage(query, 0, Math.min(maxTracks, PLAYLIST_PAGE_SIZE)),
+                this.voiceManager.join(voiceChannel, textChannel),
+            ]);
+
+            if (page.tracks.length === 0) {
+                throw new Error('No playable tracks found in this playlist');
+            }
+
+            const requestedBy = { id: requester.id, tag: requester.tag };
+
+            if (page.type === 'track') {
+                return this._queueResolvedTrack(guildId, { ...page.tracks[0], requestedBy });
+            }
+
+            const tracks = page.tracks.slice(0, maxTracks).map(track => ({ ...track, requestedBy }));
+
+            this.queueManager.removeAutoplayTracks(guildId);
+            const position = this.queueManager.getSize(guildId) + 1;
+            this.queueManager.addMultiple(guildId, tracks);
+            this.log(`Added ${tracks.length} tracks from playlist "${page.title}" at position ${position}`, 'info');
+
+            if (position === 1 && !this.queueManager.getCurrent(guildId)) {
+                await this.startPlayback(guildId);
+            } else {
+                this._prefetchNext(guildId);
+            }
+
+            this.saveQueue(guildId).catch(err =>
+                this.log(`saveQueue error: ${err.message}`, 'warn')
+            );
+
+            const hasMore = page.nextOffset !== null;
+            let pending = null;
+
+            if (hasMore && tracks.length < maxTracks) {
+                pending = this._queueRemainingPages(guildId, query, page.nextOffset, maxTracks - tracks.length, requestedBy)
+                    .then(result => ({ added: tracks.length + result.added, limited: result.limited }));
+            }
+
+            return {
+                playlist: page,
+                added: tracks.length,
+                position,
+                limited: hasMore && tracks.length >= maxTracks,
+                pending,
+            };
+        } catch (error) {
+            throw this.handleError(error, 'playPlaylist');
+        }
+    }
+
+    /**
+     * Queue a single track from an external link
+     * @param {string} guildId - Guild ID
+     * @param {Object} track - Track with requestedBy
+     * @returns {Promise<Object>} { track, position }
+     * @private
+     */
+    async _queueResolvedTrack(guildId, track) {
+        this.queueManager.removeAutoplayTracks(guildId);
+        const position = this.queueManager.add(guildId, track);
+        this.log(`Added ${track.source} track to queue at position ${position}`, 'info');
+
+        if (position === 1 && !this.queueManager.getCurrent(guildId)) {
+            await this.startPlayback(guildId);
+        } else {
+            this._prefetchNext(guildId);
+        }
+
+        this.saveQueue(guildId).catch(err =>
+            this.log(`saveQueue error: ${err.message}`, 'warn')
+        );
+
+        return { track, position };
+    }
+
+    /**
+     * Number of tracks a playlist may add to a guild's queue
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<number>} Remaining capacity, capped by config.audio.playlistMaxTracks
+     */
+    async getPlaylistCapacity(guildId) {
+        let capacity = config.audio.playlistMaxTracks;
+
+        if (this.guildConfigService) {
+            const maxQueueSize = await this.guildConfigService.getSetting(guildId, 'max_queue_size');
+            capacity = Math.min(capacity, maxQueueSize - this.queueManager.getSize(guildId));
+        }
+
+        return capacity;
+    }
+
+    /**
+     * Queue the remaining pages of a playlist in the background
+     * Stops early when playback was stopped or the queue filled up meanwhile.
+     * @param {string} guildId - Guild ID
+     * @param {string} url - Playlist URL
+     * @param {number} offset - Offset of the next page
+     * @param {number} maxTracks - Most tracks to add
+     * @param {Object} requestedBy - Requester for the queued tracks
+     * @returns {Promise<Object>} { added, limited }
+     * @private
+     */
+    async _queueRemainingPages(guildId, url, offset, maxTracks, requestedBy) {
+        let added = 0;
+        let nextOffset = offset;
+        let limited = false;
+
+        try {
+            while (nextOffset !== null && !limited) {
+                const page = await this.musicModel.getPlaylistPage(url, nextOffset, PLAYLIST_PAGE_SIZE);
+
+                // /stop was used while the page loaded
+                if (!this.voiceManager.get(guildId)) {
+                    break;
+                }
+
+                const capacity = Math.min(maxTracks - added, await this.getPlaylistCapacity(guildId));
+                const tracks = page.tracks.slice(0, Math.max(capacity, 0)).map(track => ({ ...track, requestedBy }));
+
+                this.queueManager.removeAutoplayTracks(guildId);
+                this.queueManager.addMultiple(guildId, tracks);
+                added += tracks.length;
+                nextOffset = page.nextOffset;
+                limited = tracks.length < page.tracks.length || (nextOffset !== null && added >= maxTracks);
+
+                // The first page may have finished playing already
+                if (tracks.length > 0 && !this.queueManager.getCurrent(guildId)) {
+                    await this.startPlayback(guildId);
+                }
+            }
+        } catch (error) {
+            this.log(`Failed to load remaining playlist tracks: ${error.message}`, 'warn');
+        }
+
+        if (added > 0) {
+            this.log(`Queued ${added} more tracks from playlist ${url}`, 'info');
+            this._prefetchNext(guildId);
+            this.saveQueue(guildId).catch(err =>
+                this.log(`saveQueue error: ${err.message}`, 'warn')
+            );
+        }
+
+        return { added, limited };
+    }
+
     /**
      * Prefetch metadata for the next track in queue.
      * Called after current track starts playing so the next track's metadata
@@ -140,7 +417,7 @@ class MusicPlayerService extends BaseService {
 
         this.log(`Prefetching next track: ${nextTrack.title}`, 'debug');
 
-        const promise = this.musicModel.getTrackInfo(nextTrack.query).catch((err) => {
+        const promise = this.musicModel.getTrackInfo(nextTrack.query, nextTrack.matchDuration).catch((err) => {
             this.log(`Prefetch failed for ${nextTrack.title}: ${err.message}`, 'warn');
         }).finally(() => {
             this._prefetchCache.delete(guildId);
@@ -149,6 +426,138 @@ class MusicPlayerService extends BaseService {
         this._prefetchCache.set(guildId, promise);
     }
 
+    /**
+     * Keep one related track queued ahead while autoplay is on
+     * Does nothing when autoplay is off or tracks are queued. The queued
+     * track is prefetched like any other next track.
+     * @param {string} guildId
+     * @returns {Promise<Object|null>} Queued track, or null
+     * @private
+     */
+    _topUpAutoplay(guildId) {
+        if (!this.queueManager.getAutoplay(guildId) || this.queueManager.getSize(guildId) > 0) {
+            return Promise.resolve(null);
+        }
+
+        if (this._autoplayInFlight.has(guildId)) {
+            return this._autoplayInFlight.get(guildId);
+        }
+
+        const promise = this._findAutoplayTrack(guildId).then((track) => {
+            // Autoplay was turned off, playback stopped or a member queued something meanwhile
+            if (!track || !this.queueManager.getAutoplay(guildId) || !this.voiceManager.get(guildId)
+                || this.queueManager.getSize(guildId) > 0) {
+                return null;
+            }
+
+            this.queueManager.add(guildId, track);
+            this.log(`Autoplay queued: ${track.title}`, 'info');
+            this._prefetchNext(guildId);
+
+            this.saveQueue(guildId).catch(err =>
+                this.log(`saveQueue error: ${err.message}`, 'warn')
+            );
+
+            return track;
+        }).catch((err) => {
+            this.log(`Autoplay lookup failed for guild ${guildId}: ${err.message}`, 'warn');
+            return null;
+        }).finally(() => {
+            this._autoplayInFlight.delete(guildId);
+        });
+
+        this._autoplayInFlight.set(guildId, promise);
+        return promise;
+    }
+
+    /**
+     * Pick a related track for autoplay
+     * Seeds from the last AUTOPLAY_SEEDS played tracks and prefers tracks
+     * related to several of them. Tracks in the guild's play history are
+     * skipped so autoplay doesn't repeat itself.
+     * @param {string} guildId
+     * @returns {Promise<Object|null>} Track, or null without a candidate
+     * @private
+     */
+    async _findAutoplayTrack(guildId) {
+        const queue = this.queueManager.getQueue(guildId);
+        const played = [...queue.history, queue.current].filter(Boolean);
+
+        const trackKey = track => this.musicModel.getVideoId(track.url) || track.url;
+        const playedKeys = new Set(played.map(trackKey));
+
+        const seeds = played.slice(-AUTOPLAY_SEEDS).reverse();
+        const results = await Promise.allSettled(
+            seeds.map(seed => this.musicModel.getRelatedTracks(seed.url, AUTOPLAY_CANDIDATES))
+        );
+
+        // key → { track, seeds, rank }: more seeds first, then the best rank in any mix
+        const candidates = new Map();
+        for (const result of results) {
+            if (result.status !== 'fulfilled') continue;
+
+            result.value.forEach((track, rank) => {
+                const key = trackKey(track);
+                if (!track.url || playedKeys.has(key)) return;
+
+                const candidate = candidates.get(key);
+                if (candidate) {
+                    candidate.seeds++;
+                    candidate.rank = Math.min(candidate.rank, rank);
+                } else {
+                    candidates.set(key, { track, seeds: 1, rank });
+                }
+            });
+        }
+
+        const [best] = [...candidates.values()].sort((a, b) => b.seeds - a.seeds || a.rank - b.rank);
+        if (!best) {
+            return null;
+        }
+
+        const botUser = this.client.user;
+        return {
+            ...best.track,
+            autoplay: true,
+            requestedBy: {
+                id: botUser?.id,
+                tag: botUser?.tag || 'Autoplay',
+            },
+        };
+    }
+
+    /**
+     * Turn autoplay on or off
+     * Turning it on queues a related track right away if nothing is queued;
+     * turning it off drops the queued autoplay track.
+     * @param {string} guildId - Guild ID
+     * @param {boolean} enabled - Whether autoplay is on
+     * @returns {Promise<boolean>} The new autoplay state
+     */
+    async setAutoplay(guildId, enabled) {
+        this.queueManager.setAutoplay(guildId, enabled);
+
+        if (enabled) {
+            if (this.queueManager.getCurrent(guildId)) {
+                this._topUpAutoplay(guildId);
+            }
+        } else {
+            this.queueManager.removeAutoplayTracks(guildId);
+        }
+
+        await this.saveQueue(guildId);
+        return this.queueManager.getAutoplay(guildId);
+    }
+
+    /**
+     * Check whether autoplay is on
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} True if autoplay is on
+     */
+    getAutoplay(guildId) {
+        return this.queueManager.getAutoplay(guildId);
+    }
+
     /**
      * Start playback for a guild
      * @param {string} guildId - Guild ID
@@ -156,7 +565,12 @@ class MusicPlayerService extends BaseService {
      */
     async startPlayback(guildId) {
         try {
-            const track = this.queueManager.next(guildId);
+            let track = this.queueManager.next(guildId);
+
+            // The track queued ahead by autoplay may have been skipped or removed
+            if (!track && this.queueManager.getAutoplay(guildId) && await this._topUpAutoplay(guildId)) {
+                track = this.queueManager.next(guildId);
+            }
 
             if (!track) {
                 this.log(`No more tracks in queue for guild ${guildId}`, 'info');
@@ -166,6 +580,7 @@ class MusicPlayerService extends BaseService {
                         this.voiceManager.leave(guildId);
                         this.queueManager.removeQueue(guildId);
                         this.audioPlayer.removePlayer(guildId);
+                        this.nowPlayingMessages.delete(guildId);
                         this.clearSavedQueue(guildId);
                     }
                 }, 60000); // 1 minute delay
@@ -174,6 +589,11 @@ class MusicPlayerService extends BaseService {
 
             this.log(`Starting playback for track: ${track.title}`, 'info');
 
+            this.skipVotes.delete(guildId);
+
+            // New queues start with the guild's default filter
+            await this._applyDefaultFilter(guildId);
+
             // Get current filter
             const filter = this.queueManager.getFilter(guildId);
 
@@ -219,6 +639,8 @@ class MusicPlayerService extends BaseService {
                 pausedAt: null,
             });
 
+            this._recordPlay(guildId, track);
+
             // Remove any stale Idle/error listeners before attaching new ones
             // to prevent double-trigger when seek/setFilter/stop is called
             player.removeAllListeners(AudioPlayerStatus.Idle);
@@ -257,6 +679,9 @@ class MusicPlayerService extends BaseService {
 
             // Prefetch next track metadata while current track plays
             this._prefetchNext(guildId);
+
+            // Keep a related track queued ahead in autoplay mode
+            this._topUpAutoplay(guildId);
         } catch (error) {
             this.handleError(error, 'startPlayback');
 
@@ -269,6 +694,7 @@ class MusicPlayerService extends BaseService {
                 this.voiceManager.leave(guildId);
                 this.queueManager.removeQueue(guildId);
                 this.audioPlayer.removePlayer(guildId);
+                this.nowPlayingMessages.delete(guildId);
                 await this.clearSavedQueue(guildId);
             }
         }
@@ -326,12 +752,61 @@ class MusicPlayerService extends BaseService {
             }
             this.audioPlayer.stop(guildId);
             this.playbackStates.delete(guildId);
+            this._markSkipped(guildId);
             // Trigger next track manually
             this.startPlayback(guildId);
         }
         return current;
     }
 
+    /**
+     * Go back to the previous track
+     * The current track is queued again right after it.
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object|null>} Previous track or null if there is none
+     */
+    async previous(guildId) {
+        const track = this.queueManager.back(guildId);
+        if (track) {
+            // Remove listeners before stopping to prevent double startPlayback()
+            const player = this.audioPlayer.getPlayer(guildId);
+            if (player) {
+                player.removeAllListeners(AudioPlayerStatus.Idle);
+                player.removeAllListeners('error');
+            }
+            this.audioPlayer.stop(guildId);
+            this.playbackStates.delete(guildId);
+            this._historyEntries.delete(guildId);
+            await this.startPlayback(guildId);
+        }
+        return track;
+    }
+
+    /**
+     * Get the votes to skip the current track
+     * @param {string} guildId - Guild ID
+     * @returns {Set<string>} IDs of the members who voted
+     */
+    getSkipVotes(guildId) {
+        return this.skipVotes.get(guildId) || new Set();
+    }
+
+    /**
+     * Record a vote to skip the current track
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - ID of the member voting
+     * @returns {Set<string>} IDs of the members who voted for the current track
+     */
+    addSkipVote(guildId, userId) {
+        if (!this.skipVotes.has(guildId)) {
+            this.skipVotes.set(guildId, new Set());
+        }
+
+        const votes = this.skipVotes.get(guildId);
+        votes.add(userId);
+        return votes;
+    }
+
     /**
      * Stop playback and clear queue
      * @param {string} guildId - Guild ID
@@ -352,6 +827,10 @@ class MusicPlayerService extends BaseService {
         this.playbackStates.delete(guildId);
         this._prefetchCache.delete(guildId);
         this._volumeDefaults.delete(guildId);
+        this.skipVotes.delete(guildId);
+        this._autoplayInFlight.delete(guildId);
+        this._historyEntries.delete(guildId);
+        this.nowPlayingMessages.delete(guildId);
         await this.clearSavedQueue(guildId);
     }
 
@@ -386,8 +865,9 @@ class MusicPlayerService extends BaseService {
 
     /**
      * Set audio filter
+     * Replaces the whole chain and restarts the current track at its position.
      * @param {string} guildId - Guild ID
-     * @param {string} filter - Filter type ('none', 'bassboost', 'nightcore', 'vaporwave', '8d', 'karaoke')
+     * @param {string} filter - Filter chain ('none', 'bassboost', 'bassboost+nightcore', 'tempo:1.2+loudnorm', ...)
      * @returns {Promise<boolean>} True if filter set successfully
      */
     async setFilter(guildId, filter) {
@@ -451,12 +931,33 @@ class MusicPlayerService extends BaseService {
     /**
      * Get current audio filter
      * @param {string} guildId - Guild ID
-     * @returns {string} Current filter
+     * @returns {string} Current filter chain
      */
     getFilter(guildId) {
         return this.queueManager.getFilter(guildId);
     }
 
+    /**
+     * Apply the guild's default filter to a queue no filter was chosen for yet
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyDefaultFilter(guildId) {
+        if (this.queueManager.getQueue(guildId).filterSet) {
+            return;
+        }
+
+        const filterService = this.client.modules.get('music')?.getService('FilterService');
+        const chain = filterService ? await filterService.getDefaultFilter(guildId) : 'none';
+
+        // Mark the default as applied even when it is rejected, so it isn't fetched again for every track
+        if (!this.queueManager.setFilter(guildId, chain)) {
+            this.log(`Ignoring invalid default filter "${chain}" in guild ${guildId}`, 'warn');
+            this.queueManager.setFilter(guildId, 'none');
+        }
+    }
+
     /**
      * Seek to specific position in current track
      * @param {string} guildId - Guild ID
@@ -594,6 +1095,7 @@ class MusicPlayerService extends BaseService {
             }
             this.audioPlayer.stop(guildId);
             this.playbackStates.delete(guildId);
+            this._markSkipped(guildId);
             await this.saveQueue(guildId);
             await this.startPlayback(guildId);
         }
@@ -715,6 +1217,7 @@ class MusicPlayerService extends BaseService {
                 loopMode: queue.loop,
                 volume: queue.volume,
                 filter: queue.filter || 'none',
+                autoplay: Boolean(queue.autoplay),
             };
 
             // Validate queueData before stringifying
@@ -739,24 +1242,26 @@ class MusicPlayerService extends BaseService {
 
             // Upsert queue state
             const stmt = db.prepare(`
-                INSERT INTO music_queue_state (guild_id, queue_data, current_position, loop_mode, volume, filter, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                INSERT INTO music_queue_state (guild_id, queue_data, current_position, loop_mode, volume, filter, autoplay, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
                 ON CONFLICT(guild_id) DO UPDATE SET
                     queue_data = excluded.queue_data,
                     current_position = excluded.current_position,
                     loop_mode = excluded.loop_mode,
                     volume = excluded.volume,
                     filter = excluded.filter,
+                    autoplay = excluded.autoplay,
                     updated_at = CURRENT_TIMESTAMP
             `);
 
-            stmt.run(
+            await stmt.run(
                 guildId,
                 queueDataJson,
                 currentPosition,
                 queue.loop,
                 queue.volume,
-                queue.filter || 'none'
+                queue.filter || 'none',
+                queue.autoplay ? 1 : 0
             );
 
             this.log(`Saved queue state for guild ${guildId}`, 'debug');
@@ -776,12 +1281,12 @@ class MusicPlayerService extends BaseService {
             if (!db) return null;
 
             const stmt = db.prepare(`
-                SELECT queue_data, current_position, loop_mode, volume, filter
+                SELECT queue_data, current_position, loop_mode, volume, filter, autoplay
                 FROM music_queue_state
                 WHERE guild_id = ?
             `);
 
-            const row = stmt.get(guildId);
+            const row = await stmt.get(guildId);
             if (!row) {
                 // No saved queue - this is normal, not an error
                 this.log(`No saved queue found for guild ${guildId}`, 'debug');
@@ -834,6 +1339,7 @@ class MusicPlayerService extends BaseService {
                 loopMode: row.loop_mode,
                 volume: row.volume,
                 filter: row.filter,
+                autoplay: Boolean(row.autoplay),
             };
         } catch (error) {
             this.handleError(error, 'loadQueue');
@@ -852,7 +1358,7 @@ class MusicPlayerService extends BaseService {
             if (!db) return;
 
             const stmt = db.prepare('DELETE FROM music_queue_state WHERE guild_id = ?');
-            stmt.run(guildId);
+            await stmt.run(guildId);
 
             this.log(`Cleared saved queue for guild ${guildId}`, 'debug');
         } catch (error) {
@@ -968,6 +1474,7 @@ class MusicPlayerService extends BaseService {
         try {
             const { EmbedBuilder } = require('discord.js');
             const { formatDuration } = require('../../../../system/helpers/FormatHelper');
+            const { createMusicControlButtons } = require('../interactions/helpers/nowPlayingHelper');
 
             const embed = new EmbedBuilder()
                 .setColor(0x00b894)
@@ -975,16 +1482,32 @@ class MusicPlayerService extends BaseService {
                 .setDescription(`[${track.title}](${track.url})`)
                 .addFields(
                     { name: 'Duration', value: formatDuration(track.duration), inline: true },
-                    { name: 'Requested By', value: `<@${track.requestedBy.id}>`, inline: true }
+                    track.autoplay
+                        ? { name: 'Requested By', value: '📻 Autoplay', inline: true }
+                        : { name: 'Requested By', value: `<@${track.requestedBy.id}>`, inline: true }
                 )
                 .setThumbnail(track.thumbnail)
                 .setTimestamp();
 
-            await textChannel.send({ embeds: [embed] });
+            // Control buttons, including the autoplay toggle
+            const guildId = textChannel.guild.id;
+            const components = createMusicControlButtons(guildId, this, this.queueManager.getQueue(guildId));
+
+            const message = await textChannel.send({ embeds: [embed], components });
+            this.nowPlayingMessages.set(guildId, message);
         } catch (error) {
             this.handleError(error, 'sendNowPlayingMessage');
         }
     }
+
+    /**
+     * Get the latest now playing message of a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null} Discord message or null
+     */
+    getNowPlayingMessage(guildId) {
+        return this.nowPlayingMessages.get(guildId) || null;
+    }
 }
 
 module.exports = MusicPlayerService;
@@ -2,11 +2,14 @@
  * PlaylistService
  * 
  * Service for managing music playlists.
- * Handles playlist CRUD operations and track management.
+ * Handles playlist CRUD operations, track management, collaborators and
+ * JSON/M3U import and export. Owners and collaborators can edit a
+ * playlist's tracks; only the owner can rename, share or delete it.
  */
 
 const BaseService = require('../../../../system/core/BaseService');
 const { randomUUID } = require('crypto');
+const { serializePlaylist, playlistFilename } = require('../../../../system/helpers/PlaylistFileHelper');
 
 class PlaylistService extends BaseService {
     /**
@@ -19,6 +22,62 @@ class PlaylistService extends BaseService {
 
         // Maximum tracks per playlist
         this.MAX_TRACKS = 50;
+
+        // Maximum collaborators per playlist
+        this.MAX_COLLABORATORS = 10;
+    }
+
+    /**
+     * Check whether a user is a collaborator on a playlist
+     * @param {Object} db - Database instance
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if the user is a collaborator
+     * @private
+     */
+    async _isCollaborator(db, playlistId, userId) {
+        const collaborator = await db.prepare(`
+            SELECT user_id FROM music_playlist_collaborators
+            WHERE playlist_id = ? AND user_id = ?
+        `).get(playlistId, userId);
+
+        return Boolean(collaborator);
+    }
+
+    /**
+     * Get a playlist the user can edit the tracks of (owner or collaborator)
+     * @param {Object} db - Database instance
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Playlist row
+     * @throws {Error} If the playlist doesn't exist or the user can't edit it
+     * @private
+     */
+    async _getEditablePlaylist(db, playlistId, userId) {
+        const playlist = await db.prepare(`
+            SELECT id, user_id FROM music_playlists
+            WHERE id = ?
+        `).get(playlistId);
+
+        if (!playlist || (playlist.user_id !== userId && !(await this._isCollaborator(db, playlistId, userId)))) {
+            throw new Error('Playlist not found or you cannot edit this playlist');
+        }
+
+        return playlist;
+    }
+
+    /**
+     * Check whether a user can view a playlist (owner, collaborator or public)
+     * @param {Object} db - Database instance
+     * @param {Object} playlist - Playlist row
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if the user has access
+     * @private
+     */
+    async _canView(db, playlist, userId) {
+        return playlist.user_id === userId
+            || Boolean(playlist.is_public)
+            || this._isCollaborator(db, playlist.id, userId);
     }
 
     /**
@@ -43,7 +102,7 @@ class PlaylistService extends BaseService {
             }
 
             // Check if user already has a playlist with this name
-            const existing = db.prepare(`
+            const existing = await db.prepare(`
                 SELECT id FROM music_playlists
                 WHERE user_id = ? AND guild_id = ? AND name = ?
             `).get(userId, guildId, name);
@@ -59,7 +118,7 @@ class PlaylistService extends BaseService {
                 VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
             `);
 
-            stmt.run(playlistId, guildId, userId, name, isPublic ? 1 : 0);
+            await stmt.run(playlistId, guildId, userId, name, isPublic ? 1 : 0);
 
             this.log(`Created playlist ${playlistId} for user ${userId}`, 'info');
 
@@ -90,7 +149,7 @@ class PlaylistService extends BaseService {
             if (!db) throw new Error('Database not available');
 
             // Check ownership
-            const playlist = db.prepare(`
+            const playlist = await db.prepare(`
                 SELECT id FROM music_playlists
                 WHERE id = ? AND user_id = ?
             `).get(playlistId, userId);
@@ -99,9 +158,12 @@ class PlaylistService extends BaseService {
                 throw new Error('Playlist not found or you do not own this playlist');
             }
 
-            // Delete playlist (tracks will be deleted by CASCADE)
+            // Delete tracks and collaborators explicitly, foreign keys may not be enforced
+            await db.prepare('DELETE FROM music_playlist_tracks WHERE playlist_id = ?').run(playlistId);
+            await db.prepare('DELETE FROM music_playlist_collaborators WHERE playlist_id = ?').run(playlistId);
+
             const stmt = db.prepare('DELETE FROM music_playlists WHERE id = ?');
-            stmt.run(playlistId);
+            await stmt.run(playlistId);
 
             this.log(`Deleted playlist ${playlistId}`, 'info');
 
@@ -125,7 +187,7 @@ class PlaylistService extends BaseService {
             if (!db) throw new Error('Database not available');
 
             // Get playlist
-            const playlist = db.prepare(`
+            const playlist = await db.prepare(`
                 SELECT p.*, COUNT(t.id) as track_count
                 FROM music_playlists p
                 LEFT JOIN music_playlist_tracks t ON p.id = t.playlist_id
@@ -137,8 +199,8 @@ class PlaylistService extends BaseService {
                 return null;
             }
 
-            // Check access (must be owner or public)
-            if (userId && playlist.user_id !== userId && !playlist.is_public) {
+            // Check access (must be owner, collaborator or public)
+            if (userId && !(await this._canView(db, playlist, userId))) {
                 throw new Error('You do not have access to this playlist');
             }
 
@@ -158,10 +220,10 @@ class PlaylistService extends BaseService {
     }
 
     /**
-     * Get user's playlists
+     * Get user's playlists, including playlists shared with them
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @returns {Promise<Array>} Array of playlists
+     * @returns {Promise<Array>} Array of playlists (isShared is true for shared ones)
      */
     async getUserPlaylists(userId, guildId) {
         this.validateRequired({ userId, guildId }, ['userId', 'guildId']);
@@ -170,14 +232,17 @@ class PlaylistService extends BaseService {
             const db = this.getDatabase();
             if (!db) throw new Error('Database not available');
 
-            const playlists = db.prepare(`
+            const playlists = await db.prepare(`
                 SELECT p.*, COUNT(t.id) as track_count
                 FROM music_playlists p
                 LEFT JOIN music_playlist_tracks t ON p.id = t.playlist_id
-                WHERE p.user_id = ? AND p.guild_id = ?
+                WHERE p.guild_id = ? AND (p.user_id = ? OR p.id IN (
+                    SELECT playlist_id FROM music_playlist_collaborators
+                    WHERE user_id = ?
+                ))
                 GROUP BY p.id
                 ORDER BY p.created_at DESC
-            `).all(userId, guildId);
+            `).all(guildId, userId, userId);
 
             // Ensure playlists is always an array
             if (!Array.isArray(playlists)) {
@@ -191,6 +256,7 @@ class PlaylistService extends BaseService {
                 userId: p.user_id,
                 name: p.name,
                 isPublic: Boolean(p.is_public),
+                isShared: p.user_id !== userId,
                 trackCount: p.track_count,
                 createdAt: p.created_at,
                 updatedAt: p.updated_at,
@@ -213,7 +279,7 @@ class PlaylistService extends BaseService {
             const db = this.getDatabase();
             if (!db) throw new Error('Database not available');
 
-            const playlists = db.prepare(`
+            const playlists = await db.prepare(`
                 SELECT p.*, COUNT(t.id) as track_count
                 FROM music_playlists p
                 LEFT JOIN music_playlist_tracks t ON p.id = t.playlist_id
@@ -247,7 +313,7 @@ class PlaylistService extends BaseService {
     /**
      * Add track to playlist
      * @param {string} playlistId - Playlist ID
-     * @param {string} userId - User ID (for ownership check)
+     * @param {string} userId - User ID (owner or collaborator)
      * @param {Object} track - Track object
      * @returns {Promise<number>} Position of added track
      */
@@ -258,18 +324,10 @@ class PlaylistService extends BaseService {
             const db = this.getDatabase();
             if (!db) throw new Error('Database not available');
 
-            // Check ownership
-            const playlist = db.prepare(`
-                SELECT id FROM music_playlists
-                WHERE id = ? AND user_id = ?
-            `).get(playlistId, userId);
-
-            if (!playlist) {
-                throw new Error('Playlist not found or you do not own this playlist');
-            }
+            await this._getEditablePlaylist(db, playlistId, userId);
 
             // Check track count
-            const trackCount = db.prepare(`
+            const trackCount = await db.prepare(`
                 SELECT COUNT(*) as count FROM music_playlist_tracks
                 WHERE playlist_id = ?
             `).get(playlistId);
@@ -279,7 +337,7 @@ class PlaylistService extends BaseService {
             }
 
             // Get next position
-            const maxPosition = db.prepare(`
+            const maxPosition = await db.prepare(`
                 SELECT MAX(position) as max_pos FROM music_playlist_tracks
                 WHERE playlist_id = ?
             `).get(playlistId);
@@ -292,10 +350,10 @@ class PlaylistService extends BaseService {
                 VALUES (?, ?, ?, CURRENT_TIMESTAMP)
             `);
 
-            stmt.run(playlistId, JSON.stringify(track), position);
+            await stmt.run(playlistId, JSON.stringify(track), position);
 
             // Update playlist updated_at
-            db.prepare('UPDATE music_playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            await db.prepare('UPDATE music_playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?')
                 .run(playlistId);
 
             this.log(`Added track to playlist ${playlistId} at position ${position}`, 'info');
@@ -309,9 +367,9 @@ class PlaylistService extends BaseService {
     /**
      * Remove track from playlist
      * @param {string} playlistId - Playlist ID
-     * @param {string} userId - User ID (for ownership check)
+     * @param {string} userId - User ID (owner or collaborator)
      * @param {number} position - Track position (1-based)
-     * @returns {Promise<boolean>} True if removed successfully
+     * @returns {Promise<Object>} Removed track
      */
     async removeTrack(playlistId, userId, position) {
         this.validateRequired({ playlistId, userId, position }, ['playlistId', 'userId', 'position']);
@@ -320,15 +378,12 @@ class PlaylistService extends BaseService {
             const db = this.getDatabase();
             if (!db) throw new Error('Database not available');
 
-            // Check ownership
-            const playlist = db.prepare(`
-                SELECT id FROM music_playlists
-                WHERE id = ? AND user_id = ?
-            `).get(playlistId, userId);
+            await this._getEditablePlaylist(db, playlistId, userId);
 
-            if (!playlist) {
-                throw new Error('Playlist not found or you do not own this playlist');
-            }
+            const removed = await db.prepare(`
+                SELECT track_data FROM music_playlist_tracks
+                WHERE playlist_id = ? AND position = ?
+            `).get(playlistId, position);
 
             // Delete track
             const stmt = db.prepare(`
@@ -336,26 +391,26 @@ class PlaylistService extends BaseService {
                 WHERE playlist_id = ? AND position = ?
             `);
 
-            const result = stmt.run(playlistId, position);
+            const result = await stmt.run(playlistId, position);
 
             if (result.changes === 0) {
                 throw new Error('Track not found at this position');
             }
 
             // Reorder remaining tracks
-            db.prepare(`
+            await db.prepare(`
                 UPDATE music_playlist_tracks
                 SET position = position - 1
                 WHERE playlist_id = ? AND position > ?
             `).run(playlistId, position);
 
             // Update playlist updated_at
-            db.prepare('UPDATE music_playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            await db.prepare('UPDATE music_playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?')
                 .run(playlistId);
 
             this.log(`Removed track from playlist ${playlistId} at position ${position}`, 'info');
 
-            return true;
+            return removed ? JSON.parse(removed.track_data) : null;
         } catch (error) {
             throw this.handleError(error, 'removeTrack');
         }
@@ -375,7 +430,7 @@ class PlaylistService extends BaseService {
             if (!db) throw new Error('Database not available');
 
             // Check access
-            const playlist = db.prepare(`
+            const playlist = await db.prepare(`
                 SELECT user_id, is_public FROM music_playlists
                 WHERE id = ?
             `).get(playlistId);
@@ -384,13 +439,13 @@ class PlaylistService extends BaseService {
                 throw new Error('Playlist not found');
             }
 
-            // Check access (must be owner or public)
-            if (userId && playlist.user_id !== userId && !playlist.is_public) {
+            // Check access (must be owner, collaborator or public)
+            if (userId && !(await this._canView(db, { ...playlist, id: playlistId }, userId))) {
                 throw new Error('You do not have access to this playlist');
             }
 
             // Get tracks
-            const tracks = db.prepare(`
+            const tracks = await db.prepare(`
                 SELECT track_data, position
                 FROM music_playlist_tracks
                 WHERE playlist_id = ?
@@ -442,7 +497,7 @@ class PlaylistService extends BaseService {
             `);
 
             for (let i = 0; i < tracks.length; i++) {
-                stmt.run(playlist.id, JSON.stringify(tracks[i]), i + 1);
+                await stmt.run(playlist.id, JSON.stringify(tracks[i]), i + 1);
             }
 
             this.log(`Saved ${tracks.length} tracks to playlist ${playlist.id}`, 'info');
@@ -473,8 +528,8 @@ class PlaylistService extends BaseService {
             if (!db) throw new Error('Database not available');
 
             // Check ownership
-            const playlist = db.prepare(`
-                SELECT id FROM music_playlists
+            const playlist = await db.prepare(`
+                SELECT id, guild_id FROM music_playlists
                 WHERE id = ? AND user_id = ?
             `).get(playlistId, userId);
 
@@ -489,6 +544,15 @@ class PlaylistService extends BaseService {
                 if (updates.name.length < 1 || updates.name.length > 100) {
                     throw new Error('Playlist name must be between 1 and 100 characters');
                 }
+
+                const existing = await db.prepare(`
+                    SELECT id FROM music_playlists
+                    WHERE user_id = ? AND guild_id = ? AND name = ? AND id != ?
+                `).get(userId, playlist.guild_id, updates.name, playlistId);
+
+                if (existing) {
+                    throw new Error('You already have a playlist with this name');
+                }
                 updateFields.push('name = ?');
                 values.push(updates.name);
             }
@@ -511,7 +575,7 @@ class PlaylistService extends BaseService {
                 WHERE id = ?
             `);
 
-            stmt.run(...values);
+            await stmt.run(...values);
 
             this.log(`Updated playlist ${playlistId}`, 'info');
 
@@ -520,6 +584,188 @@ class PlaylistService extends BaseService {
             throw this.handleError(error, 'updatePlaylist');
         }
     }
+
+    /**
+     * Get a playlist's collaborators
+     * @param {string} playlistId - Playlist ID
+     * @returns {Promise<Array>} Array of { userId, addedBy, addedAt }
+     */
+    async getCollaborators(playlistId) {
+        this.validateRequired({ playlistId }, ['playlistId']);
+
+        try {
+            const db = this.getDatabase();
+            if (!db) throw new Error('Database not available');
+
+            const collaborators = await db.prepare(`
+                SELECT user_id, added_by, added_at
+                FROM music_playlist_collaborators
+                WHERE playlist_id = ?
+                ORDER BY added_at ASC
+            `).all(playlistId);
+
+            return collaborators.map(c => ({
+                userId: c.user_id,
+                addedBy: c.added_by,
+                addedAt: c.added_at,
+            }));
+        } catch (error) {
+            throw this.handleError(error, 'getCollaborators');
+        }
+    }
+
+    /**
+     * Share a playlist with another member, who can then add and remove tracks
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - User ID (for ownership check)
+     * @param {string} collaboratorId - User ID of the new collaborator
+     * @returns {Promise<boolean>} True if added successfully
+     */
+    async addCollaborator(playlistId, userId, collaboratorId) {
+        this.validateRequired({ playlistId, userId, collaboratorId }, ['playlistId', 'userId', 'collaboratorId']);
+
+        try {
+            const db = this.getDatabase();
+            if (!db) throw new Error('Database not available');
+
+            // Check ownership
+            const playlist = await db.prepare(`
+                SELECT id FROM music_playlists
+                WHERE id = ? AND user_id = ?
+            `).get(playlistId, userId);
+
+            if (!playlist) {
+                throw new Error('Playlist not found or you do not own this playlist');
+            }
+
+            if (collaboratorId === userId) {
+                throw new Error('You already own this playlist');
+            }
+
+            if (await this._isCollaborator(db, playlistId, collaboratorId)) {
+                throw new Error('This member is already a collaborator');
+            }
+
+            const collaboratorCount = await db.prepare(`
+                SELECT COUNT(*) as count FROM music_playlist_collaborators
+                WHERE playlist_id = ?
+            `).get(playlistId);
+
+            if (collaboratorCount.count >= this.MAX_COLLABORATORS) {
+                throw new Error(`Maximum ${this.MAX_COLLABORATORS} collaborators per playlist`);
+            }
+
+            await db.prepare(`
+                INSERT INTO music_playlist_collaborators (playlist_id, user_id, added_by, added_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(playlistId, collaboratorId, userId);
+
+            this.log(`Added collaborator ${collaboratorId} to playlist ${playlistId}`, 'info');
+
+            return true;
+        } catch (error) {
+            throw this.handleError(error, 'addCollaborator');
+        }
+    }
+
+    /**
+     * Remove a collaborator from a playlist
+     * The owner can remove anyone; collaborators can remove themselves.
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - User ID of the member removing
+     * @param {string} collaboratorId - User ID of the collaborator to remove
+     * @returns {Promise<boolean>} True if removed successfully
+     */
+    async removeCollaborator(playlistId, userId, collaboratorId) {
+        this.validateRequired({ playlistId, userId, collaboratorId }, ['playlistId', 'userId', 'collaboratorId']);
+
+        try {
+            const db = this.getDatabase();
+            if (!db) throw new Error('Database not available');
+
+            const playlist = await db.prepare(`
+                SELECT user_id FROM music_playlists
+                WHERE id = ?
+            `).get(playlistId);
+
+            if (!playlist || (playlist.user_id !== userId && collaboratorId !== userId)) {
+                throw new Error('Playlist not found or you do not own this playlist');
+            }
+
+            const result = await db.prepare(`
+                DELETE FROM music_playlist_collaborators
+                WHERE playlist_id = ? AND user_id = ?
+            `).run(playlistId, collaboratorId);
+
+            if (result.changes === 0) {
+                throw new Error('This member is not a collaborator');
+            }
+
+            this.log(`Removed collaborator ${collaboratorId} from playlist ${playlistId}`, 'info');
+
+            return true;
+        } catch (error) {
+            throw this.handleError(error, 'removeCollaborator');
+        }
+    }
+
+    /**
+     * Export a playlist to a file
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - User ID (for access check)
+     * @param {string} format - "json" or "m3u"
+     * @returns {Promise<Object>} { playlist, filename, content, trackCount }
+     */
+    async exportPlaylist(playlistId, userId, format) {
+        this.validateRequired({ playlistId, userId, format }, ['playlistId', 'userId', 'format']);
+
+        try {
+            const playlist = await this.getPlaylist(playlistId, userId);
+            if (!playlist) {
+                throw new Error('Playlist not found');
+            }
+
+            const tracks = await this.loadPlaylistTracks(playlistId, userId);
+
+            return {
+                playlist,
+                filename: playlistFilename(playlist.name, format),
+                content: serializePlaylist(playlist, tracks, format),
+                trackCount: tracks.length,
+            };
+        } catch (error) {
+            throw this.handleError(error, 'exportPlaylist');
+        }
+    }
+
+    /**
+     * Create a playlist from imported tracks
+     * Tracks past the playlist limit are left out.
+     * @param {Object} params - Import parameters
+     * @param {string} params.userId - User ID
+     * @param {string} params.guildId - Guild ID
+     * @param {string} params.name - Playlist name
+     * @param {Array} params.tracks - Tracks read from the file
+     * @param {boolean} params.isPublic - Whether playlist is public
+     * @returns {Promise<Object>} Created playlist with the number of tracks left out (truncated)
+     */
+    async importPlaylist({ userId, guildId, name, tracks, isPublic = false }) {
+        this.validateRequired({ userId, guildId, name, tracks }, ['userId', 'guildId', 'name', 'tracks']);
+
+        try {
+            const kept = tracks.slice(0, this.MAX_TRACKS);
+            const playlist = await this.saveCurrentQueue({ userId, guildId, name, tracks: kept, isPublic });
+
+            this.log(`Imported ${kept.length} tracks into playlist ${playlist.id}`, 'info');
+
+            return {
+                ...playlist,
+                truncated: tracks.length - kept.length,
+            };
+        } catch (error) {
+            throw this.handleError(error, 'importPlaylist');
+        }
+    }
 }
 
 module.exports = PlaylistService;
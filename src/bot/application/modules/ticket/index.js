@@ -16,6 +16,9 @@ module.exports = {
     // Models used by this module
     models: ['TicketModel'],
 
+    // Services used by this module
+    services: ['TranscriptService', 'TicketService', 'TicketLifecycleService', 'TicketStatsService'],
+
     // Libraries used by this module
     libraries: [],
 
@@ -29,16 +32,9 @@ module.exports = {
             options: [
                 {
                     name: 'category',
-                    description: 'Ticket category',
+                    description: 'Ticket category name',
                     type: 3, // STRING
                     required: false,
-                    choices: [
-                        { name: 'General', value: 'general' },
-                        { name: 'Technical', value: 'technical' },
-                        { name: 'Billing', value: 'billing' },
-                        { name: 'Report', value: 'report' },
-                        { name: 'Other', value: 'other' },
-                    ],
                 },
                 {
                     name: 'description',
@@ -69,6 +65,33 @@ module.exports = {
             method: 'unclaim',
             options: [],
         },
+        {
+            name: 'ticket-reopen',
+            description: 'Reopen a closed ticket while its channel is still archived',
+            controller: 'TicketController',
+            method: 'reopen',
+            options: [],
+        },
+        {
+            name: 'ticket-priority',
+            description: 'Set the priority of the current ticket (Staff only)',
+            controller: 'TicketController',
+            method: 'priority',
+            options: [
+                {
+                    name: 'level',
+                    description: 'Ticket priority',
+                    type: 3, // STRING
+                    required: true,
+                    choices: [
+                        { name: 'Low', value: 'low' },
+                        { name: 'Normal', value: 'normal' },
+                        { name: 'High', value: 'high' },
+                        { name: 'Urgent', value: 'urgent' },
+                    ],
+                },
+            ],
+        },
         {
             name: 'ticket-add',
             description: 'Add a user to the ticket',
@@ -115,5 +138,201 @@ module.exports = {
                 },
             ],
         },
+        {
+            name: 'ticket-stats',
+            description: 'Show ticket statistics and staff performance (Staff only)',
+            controller: 'TicketController',
+            method: 'ticketStats',
+            options: [
+                {
+                    name: 'from',
+                    description: 'Start date (YYYY-MM-DD) or how long ago (e.g. 30d)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'to',
+                    description: 'End date, inclusive (YYYY-MM-DD) or how long ago (e.g. 7d)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'timezone',
+                    description: 'Timezone for dates and busiest hours (e.g. Europe/Berlin)',
+                    type: 3, // STRING
+                    required: false,
+                },
+                {
+                    name: 'export',
+                    description: 'Attach the tickets as a CSV file',
+                    type: 5, // BOOLEAN
+                    required: false,
+                },
+            ],
+        },
+        {
+            name: 'ticket-panel',
+            description: 'Post a ticket panel with one button or menu option per category (Admin only)',
+            controller: 'TicketController',
+            method: 'ticketPanel',
+            options: [
+                {
+                    name: 'channel',
+                    description: 'Channel to post the panel in (defaults to this channel)',
+                    type: 7, // CHANNEL
+                    required: false,
+                },
+                {
+                    name: 'style',
+                    description: 'How categories are shown',
+                    type: 3, // STRING
+                    required: false,
+                    choices: [
+                        { name: 'Buttons', value: 'buttons' },
+                        { name: 'Select menu', value: 'select' },
+                    ],
+                },
+                {
+                    name: 'title',
+                    description: 'Panel title',
+                    type: 3, // STRING
+                    required: false,
+                    max_length: 256,
+                },
+                {
+                    name: 'description',
+                    description: 'Panel description',
+                    type: 3, // STRING
+                    required: false,
+                    max_length: 2000,
+                },
+            ],
+        },
+        {
+            name: 'ticket-category',
+            description: 'Manage ticket categories (Admin only)',
+            controller: 'TicketController',
+            method: 'ticketCategory',
+            options: [
+                {
+                    name: 'create',
+                    description: 'Create a ticket category',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'name',
+                            description: 'Category name',
+                            type: 3, // STRING
+                            required: true,
+                            max_length: 40,
+                        },
+                        {
+                            name: 'description',
+                            description: 'Shown on the ticket panel',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 100,
+                        },
+                        {
+                            name: 'emoji',
+                            description: 'Emoji shown on the panel button',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'staff_role',
+                            description: 'Role that can see and handle tickets in this category',
+                            type: 8, // ROLE
+                            required: false,
+                        },
+                        {
+                            name: 'auto_response',
+                            description: 'Message posted when a ticket in this category is opened',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 2000,
+                        },
+                    ],
+                },
+                {
+                    name: 'edit',
+                    description: "Edit a ticket category ('none' clears a text field)",
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'category',
+                            description: 'Category name',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'name',
+                            description: 'New category name',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 40,
+                        },
+                        {
+                            name: 'description',
+                            description: 'Shown on the ticket panel',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 100,
+                        },
+                        {
+                            name: 'emoji',
+                            description: 'Emoji shown on the panel button',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                        {
+                            name: 'auto_response',
+                            description: 'Message posted when a ticket in this category is opened',
+                            type: 3, // STRING
+                            required: false,
+                            max_length: 2000,
+                        },
+                    ],
+                },
+                {
+                    name: 'staff',
+                    description: 'Add or remove a staff role of a category',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'category',
+                            description: 'Category name',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'role',
+                            description: 'Staff role to add, or remove if already added',
+                            type: 8, // ROLE
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'delete',
+                    description: 'Delete a ticket category',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'category',
+                            description: 'Category name',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List ticket categories',
+                    type: 1, // SUB_COMMAND
+                    options: [],
+                },
+            ],
+        },
     ],
 };
@@ -0,0 +1,443 @@
+/**
+ * TicketLifecycleService
+ *
+ * Closes and reopens tickets and runs the periodic lifecycle sweep:
+ * inactivity reminders, auto-close after a reminder goes unanswered,
+ * SLA alerts for unclaimed high-priority tickets, and deletion of
+ * archived ticket channels once their reopen window has passed.
+ */
+
+const { EmbedBuilder, OverwriteType } = require('discord.js');
+const BaseService = require('../../../../system/core/BaseService');
+const { formatTimespan } = require('../../../../system/helpers/FormatHelper');
+const config = require('../../../config/config');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Priorities covered by SLA alerts
+const SLA_PRIORITIES = ['high', 'urgent'];
+
+// Delay before deleting a closed ticket channel when there is no reopen window
+const DELETE_DELAY = 5000;
+
+class TicketLifecycleService extends BaseService {
+    /**
+     * Create a new TicketLifecycleService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.ticketModel = null;
+
+        this.sweepInterval = options.sweepInterval || config.tickets.lifecycleInterval;
+        this.sweepTimer = null;
+        this.isSweeping = false;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.ticketModel = loader.model('TicketModel');
+        }
+
+        this.startSweepTimer();
+
+        this.log('TicketLifecycleService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+
+        await super.shutdown();
+    }
+
+    /**
+     * Start the periodic lifecycle sweep
+     */
+    startSweepTimer() {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(async () => {
+            try {
+                await this.sweep();
+            } catch (error) {
+                this.log(`Ticket lifecycle sweep error: ${error.message}`, 'error');
+            }
+        }, this.sweepInterval);
+
+        // Don't prevent process from exiting
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Get a guild's ticket lifecycle settings
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { reminderHours, autoCloseHours, graceHours, slaMinutes }
+     */
+    async getSettings(guildId) {
+        const settings = { reminderHours: 0, autoCloseHours: 24, graceHours: 24, slaMinutes: 0 };
+
+        try {
+            // The admin module loads after ticket, so resolve it on first use
+            const guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService');
+            if (!guildConfigService) {
+                return settings;
+            }
+
+            const guildConfig = await guildConfigService.getGuildConfig(guildId);
+            settings.reminderHours = Number(guildConfig.ticket_reminder_hours ?? settings.reminderHours);
+            settings.autoCloseHours = Number(guildConfig.ticket_auto_close_hours ?? settings.autoCloseHours);
+            settings.graceHours = Number(guildConfig.ticket_reopen_grace_hours ?? settings.graceHours);
+            settings.slaMinutes = Number(guildConfig.ticket_sla_minutes ?? settings.slaMinutes);
+        } catch (error) {
+            this.log(`Error getting ticket settings for guild ${guildId}: ${error.message}`, 'debug');
+        }
+
+        return settings;
+    }
+
+    /**
+     * Close a ticket, send its transcript and archive or delete its channel
+     * With a reopen window the channel is locked for members and deleted by
+     * the sweep once the window has passed; without one it is deleted shortly.
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @param {Object} closedBy - User who closed the ticket
+     * @returns {Promise<Object>} { transcript, transcriptError, deleteAfter }
+     */
+    async closeTicket(ticket, guild, closedBy) {
+        try {
+            await this.ticketModel.closeTicket(ticket.id, closedBy.id);
+
+            const transcriptService = this.client.modules.get('ticket')?.getService('TranscriptService');
+            transcriptService?.untrackChannel(ticket.channel_id);
+
+            const result = { transcript: null, transcriptError: false, deleteAfter: null };
+
+            // Send the transcript before the channel and its history are deleted
+            if (transcriptService) {
+                try {
+                    const closedTicket = await this.ticketModel.getTicketByChannel(ticket.channel_id, guild.id);
+                    result.transcript = await transcriptService.sendTranscript(closedTicket, guild, closedBy);
+                } catch (error) {
+                    this.log(`Failed to send transcript for ticket ${ticket.id}: ${error.message}`, 'error');
+                    result.transcriptError = true;
+                }
+            }
+
+            const channel = guild.channels.cache.get(ticket.channel_id);
+            if (!channel) {
+                return result;
+            }
+
+            const { graceHours } = await this.getSettings(guild.id);
+            if (graceHours > 0) {
+                await this.setMembersCanSend(channel, false);
+
+                result.deleteAfter = Math.floor(Date.now() / 1000) + Math.round(graceHours * 3600);
+                await this.ticketModel.update(ticket.id, { delete_after: result.deleteAfter });
+            } else {
+                setTimeout(async () => {
+                    try {
+                        await channel.delete();
+                    } catch (error) {
+                        this.log(`Failed to delete ticket channel: ${error.message}`, 'error');
+                    }
+                }, DELETE_DELAY);
+            }
+
+            return result;
+        } catch (error) {
+            throw this.handleError(error, 'closeTicket', { ticketId: ticket.id });
+        }
+    }
+
+    /**
+     * Reopen a closed ticket whose channel is still archived
+     * @param {Object} ticket - Ticket row
+     * @param {Object} channel - Archived ticket channel
+     * @returns {Promise<void>}
+     */
+    async reopenTicket(ticket, channel) {
+        try {
+            await this.ticketModel.reopenTicket(ticket);
+            await this.setMembersCanSend(channel, true);
+
+            const transcriptService = this.client.modules.get('ticket')?.getService('TranscriptService');
+            transcriptService?.trackChannel(channel.id, ticket.id);
+        } catch (error) {
+            throw this.handleError(error, 'reopenTicket', { ticketId: ticket.id });
+        }
+    }
+
+    /**
+     * Lock or unlock a ticket channel for its members
+     * Member overwrites (the opener and users added with /ticket-add) are
+     * changed; staff roles and the bot keep their access.
+     * @param {Object} channel - Ticket channel
+     * @param {boolean} canSend - Whether members may send messages
+     * @returns {Promise<void>}
+     */
+    async setMembersCanSend(channel, canSend) {
+        const memberOverwrites = channel.permissionOverwrites.cache.filter(overwrite =>
+            overwrite.type === OverwriteType.Member && overwrite.id !== this.client.user.id
+        );
+
+        for (const overwrite of memberOverwrites.values()) {
+            await channel.permissionOverwrites.edit(overwrite.id, { SendMessages: canSend });
+        }
+    }
+
+    /**
+     * Build the embed announcing a closed ticket
+     * @param {Object} ticket - Ticket row
+     * @param {string} closedByText - Who closed the ticket, e.g. a user mention
+     * @param {Object} result - Result of closeTicket
+     * @returns {EmbedBuilder} Embed
+     */
+    buildClosedEmbed(ticket, closedByText, result) {
+        const embed = new EmbedBuilder()
+            .setColor(0xe74c3c)
+            .setTitle('🔒 Ticket Closed')
+            .setDescription(`Ticket #${ticket.ticket_number} has been closed by ${closedByText}`)
+            .setTimestamp();
+
+        if (result.transcript) {
+            const destinations = [];
+            if (result.transcript.logChannel) destinations.push(`posted to ${result.transcript.logChannel}`);
+            if (result.transcript.dmSent) destinations.push(`sent to <@${ticket.user_id}>`);
+
+            embed.addFields({
+                name: 'Transcript',
+                value: destinations.length > 0
+                    ? `${result.transcript.messageCount} messages ${destinations.join(' and ')}`
+                    : 'Not delivered (no ticket log channel set and the opener could not be messaged)',
+            });
+        } else if (result.transcriptError) {
+            embed.addFields({ name: 'Transcript', value: 'Failed to generate the transcript' });
+        }
+
+        embed.addFields({
+            name: 'Channel',
+            value: result.deleteAfter
+                ? `Archived until <t:${result.deleteAfter}:f>. Use \`/ticket-reopen\` to reopen the ticket before then`
+                : 'This channel will be deleted in a few seconds',
+        });
+
+        return embed;
+    }
+
+    /**
+     * Run one lifecycle sweep over all guilds
+     * @returns {Promise<void>}
+     */
+    async sweep() {
+        if (this.isSweeping || !this.ticketModel) {
+            return;
+        }
+
+        this.isSweeping = true;
+
+        try {
+            const now = Math.floor(Date.now() / 1000);
+            const settingsByGuild = new Map();
+            const getSettings = async (guildId) => {
+                if (!settingsByGuild.has(guildId)) {
+                    settingsByGuild.set(guildId, await this.getSettings(guildId));
+                }
+                return settingsByGuild.get(guildId);
+            };
+
+            for (const ticket of await this.ticketModel.getActiveTickets()) {
+                const guild = this.client.guilds.cache.get(ticket.guild_id);
+                if (!guild) continue;
+
+                try {
+                    await this.processActiveTicket(ticket, guild, await getSettings(guild.id), now);
+                } catch (error) {
+                    this.log(`Error processing ticket ${ticket.id}: ${error.message}`, 'warn');
+                }
+            }
+
+            for (const ticket of await this.ticketModel.getArchivedTicketsDue(now)) {
+                const guild = this.client.guilds.cache.get(ticket.guild_id);
+                if (!guild) continue;
+
+                try {
+                    await guild.channels.cache.get(ticket.channel_id)?.delete('Ticket reopen window expired');
+                    await this.ticketModel.update(ticket.id, { delete_after: null });
+                } catch (error) {
+                    this.log(`Failed to delete archived ticket channel ${ticket.channel_id}: ${error.message}`, 'warn');
+                }
+            }
+        } finally {
+            this.isSweeping = false;
+        }
+    }
+
+    /**
+     * Apply reminders, auto-close and SLA alerts to an open or claimed ticket
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @param {Object} settings - Guild lifecycle settings
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {Promise<void>}
+     */
+    async processActiveTicket(ticket, guild, settings, now) {
+        const channel = guild.channels.cache.get(ticket.channel_id);
+
+        // A channel deleted by hand would otherwise keep the opener from opening a new ticket
+        if (!channel) {
+            await this.closeTicket(ticket, guild, this.client.user);
+            this.log(`Closed ticket #${ticket.ticket_number} in guild ${guild.id}: channel was deleted`, 'info');
+            return;
+        }
+
+        if (ticket.reminder_sent_at && settings.autoCloseHours > 0 &&
+            now - ticket.reminder_sent_at >= settings.autoCloseHours * 3600) {
+            const result = await this.closeTicket(ticket, guild, this.client.user);
+            const embed = this.buildClosedEmbed(ticket, 'automatically after inactivity', result);
+            await channel.send({ embeds: [embed] }).catch(() => null);
+
+            this.log(`Auto-closed inactive ticket #${ticket.ticket_number} in guild ${guild.id}`, 'info');
+            return;
+        }
+
+        const lastActivity = ticket.last_activity_at || ticket.created_at;
+        if (!ticket.reminder_sent_at && settings.reminderHours > 0 &&
+            now - lastActivity >= settings.reminderHours * 3600) {
+            await this.sendReminder(ticket, channel, settings, now - lastActivity);
+            await this.ticketModel.update(ticket.id, { reminder_sent_at: now });
+        }
+
+        if (!ticket.sla_alerted_at && !ticket.claimed_by && settings.slaMinutes > 0 &&
+            SLA_PRIORITIES.includes(ticket.priority) && now - ticket.created_at >= settings.slaMinutes * 60) {
+            await this.sendSlaAlert(ticket, guild, channel, now - ticket.created_at);
+            await this.ticketModel.update(ticket.id, { sla_alerted_at: now });
+        }
+    }
+
+    /**
+     * Remind the ticket opener about an inactive ticket
+     * @param {Object} ticket - Ticket row
+     * @param {Object} channel - Ticket channel
+     * @param {Object} settings - Guild lifecycle settings
+     * @param {number} inactiveSeconds - Seconds since the last activity
+     * @returns {Promise<void>}
+     */
+    async sendReminder(ticket, channel, settings, inactiveSeconds) {
+        const closeAt = Math.floor(Date.now() / 1000) + Math.round(settings.autoCloseHours * 3600);
+
+        const embed = new EmbedBuilder()
+            .setColor(0xf1c40f)
+            .setTitle('⏰ Are you still there?')
+            .setDescription(
+                `This ticket has had no activity for ${formatTimespan(inactiveSeconds * 1000)}. ` +
+                (settings.autoCloseHours > 0
+                    ? `It will be closed automatically <t:${closeAt}:R> unless someone replies.`
+                    : 'Reply here if you still need help, or use `/close` if your issue is solved.')
+            )
+            .setTimestamp();
+
+        await channel.send({ content: `<@${ticket.user_id}>`, embeds: [embed] });
+    }
+
+    /**
+     * Alert staff about an unclaimed high-priority ticket
+     * Posted in the ticket alert channel, the ticket log channel, or the
+     * ticket channel itself when neither is set.
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @param {Object} channel - Ticket channel
+     * @param {number} waitingSeconds - Seconds since the ticket was opened
+     * @returns {Promise<void>}
+     */
+    async sendSlaAlert(ticket, guild, channel, waitingSeconds) {
+        const category = await this.ticketModel.getCategory(ticket.category_id);
+        const staffMentions = (category?.staff_role_ids || [])
+            .filter(roleId => guild.roles.cache.has(roleId))
+            .map(roleId => `<@&${roleId}>`)
+            .join(' ');
+
+        const embed = new EmbedBuilder()
+            .setColor(0xe74c3c)
+            .setTitle('🚨 Ticket SLA Breached')
+            .setDescription(`Ticket #${ticket.ticket_number} (${channel}) has been waiting for ${formatTimespan(waitingSeconds * 1000)} without being claimed`)
+            .addFields(
+                { name: 'Priority', value: this.formatPriority(ticket.priority), inline: true },
+                { name: 'Category', value: category?.name || ticket.category_id || 'general', inline: true },
+                { name: 'Opened By', value: `<@${ticket.user_id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        const alertChannel = await this.getAlertChannel(guild) || channel;
+        await alertChannel.send({ content: staffMentions || undefined, embeds: [embed] });
+
+        this.log(`SLA alert sent for ticket #${ticket.ticket_number} in guild ${guild.id}`, 'info');
+    }
+
+    /**
+     * Get the channel for staff alerts
+     * @param {Object} guild - Discord guild
+     * @returns {Promise<Object|null>} Alert channel, the ticket log channel, or null
+     */
+    async getAlertChannel(guild) {
+        try {
+            const guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService');
+            const channelId = guildConfigService
+                ? await guildConfigService.getSetting(guild.id, 'ticket_alert_channel')
+                : null;
+
+            const channel = channelId ? guild.channels.cache.get(channelId) : null;
+            if (channel) {
+                return channel;
+            }
+
+            const transcriptService = this.client.modules.get('ticket')?.getService('TranscriptService');
+            return transcriptService ? await transcriptService.getLogChannel(guild) : null;
+        } catch (error) {
+            this.log(`Error getting ticket alert channel: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    /**
+     * Format a priority for display
+     * @param {string} priority - Priority
+     * @returns {string} e.g. "🟠 High"
+     */
+    formatPriority(priority) {
+        const emojis = { low: '🟢', normal: '🔵', high: '🟠', urgent: '🔴' };
+        const name = priority || 'normal';
+
+        return `${emojis[name] || '⚪'} ${name.charAt(0).toUpperCase() + name.slice(1)}`;
+    }
+
+    /**
+     * Supported ticket priorities, lowest first
+     * @returns {Array<string>} Priorities
+     */
+    getPriorities() {
+        return [...PRIORITIES];
+    }
+}
+
+module.exports = TicketLifecycleService;
@@ -0,0 +1,355 @@
+/**
+ * TicketService
+ *
+ * Opens ticket channels for /ticket and the ticket panel. Panels carry one
+ * button (or one select menu option) per active category; choosing one
+ * opens a modal for the description. Handlers are registered by custom ID
+ * prefix on startup, so panels keep working after a restart.
+ */
+
+const {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    ChannelType,
+    PermissionFlagsBits,
+} = require('discord.js');
+const BaseService = require('../../../../system/core/BaseService');
+const { replyEphemeral, deferEphemeral } = require('../../../../system/helpers/InteractionHelper');
+
+// Panel buttons carry the category ID: ticket_panel:<categoryId>
+const PANEL_BUTTON_PREFIX = 'ticket_panel:';
+const PANEL_SELECT_ID = 'ticket_panel_select';
+
+// Creation modals carry the category ID: ticket_create:<categoryId>
+const CREATE_MODAL_PREFIX = 'ticket_create:';
+const DESCRIPTION_INPUT_ID = 'ticket_description';
+
+// Discord allows 25 buttons (5 rows of 5) or 25 select menu options
+const MAX_PANEL_CATEGORIES = 25;
+
+// Permissions granted to the opener, staff roles and the bot in a ticket channel
+const TICKET_CHANNEL_PERMISSIONS = [
+    PermissionFlagsBits.ViewChannel,
+    PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.ReadMessageHistory,
+];
+
+class TicketService extends BaseService {
+    /**
+     * Create a new TicketService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.ticketModel = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.ticketModel = loader.model('TicketModel');
+        }
+
+        this.registerComponents();
+
+        this.log('TicketService initialized', 'info');
+    }
+
+    /**
+     * Register the panel button, select menu and creation modal handlers
+     */
+    registerComponents() {
+        const interactionComponentsManager = this.client.interactionComponentsManager;
+        if (!interactionComponentsManager) {
+            this.log('Interaction components manager not available, ticket panels are disabled', 'warn');
+            return;
+        }
+
+        interactionComponentsManager.register_button(
+            `${PANEL_BUTTON_PREFIX}*`,
+            (interaction) => this.showCreateModal(interaction, interaction.customId.slice(PANEL_BUTTON_PREFIX.length)),
+            { cooldown: 3 }
+        );
+        interactionComponentsManager.register_select_menu(
+            PANEL_SELECT_ID,
+            (interaction) => this.showCreateModal(interaction, interaction.values[0]),
+            { cooldown: 3 }
+        );
+        interactionComponentsManager.register_modal(
+            `${CREATE_MODAL_PREFIX}*`,
+            (interaction) => this.handleCreateModal(interaction)
+        );
+    }
+
+    /**
+     * Resolve the category a /ticket command asked for
+     * Guilds without categories keep the legacy "general" category.
+     * @param {string} guildId - Guild ID
+     * @param {string|null} name - Requested category name
+     * @returns {Promise<Object>} { success, category } or { success: false, message }
+     */
+    async resolveCategory(guildId, name) {
+        try {
+            const categories = await this.ticketModel.getCategories(guildId);
+
+            if (categories.length === 0) {
+                return { success: true, category: null };
+            }
+
+            if (!name) {
+                if (categories.length === 1) {
+                    return { success: true, category: categories[0] };
+                }
+
+                return {
+                    success: false,
+                    message: `Please choose a category: ${categories.map(cat => `\`${cat.name}\``).join(', ')}`,
+                };
+            }
+
+            const category = categories.find(cat => cat.name.toLowerCase() === name.toLowerCase());
+            if (!category) {
+                return {
+                    success: false,
+                    message: `Unknown category \`${name}\`. Available: ${categories.map(cat => `\`${cat.name}\``).join(', ')}`,
+                };
+            }
+
+            return { success: true, category };
+        } catch (error) {
+            throw this.handleError(error, 'resolveCategory', { guildId, name });
+        }
+    }
+
+    /**
+     * Open a ticket channel
+     * @param {Object} guild - Discord guild
+     * @param {Object} user - User opening the ticket
+     * @param {Object|null} category - Ticket category, or null for the legacy "general" category
+     * @param {string|null} description - Ticket description
+     * @returns {Promise<Object>} { success, channel, ticket } or { success: false, message }
+     */
+    async createTicket(guild, user, category, description) {
+        try {
+            const existingTicket = await this.ticketModel.getUserOpenTicket(user.id, guild.id);
+            if (existingTicket) {
+                return { success: false, message: `You already have an open ticket: <#${existingTicket.channel_id}>` };
+            }
+
+            const ticketNumber = await this.ticketModel.getNextTicketNumber(guild.id);
+
+            // Roles deleted since the category was configured are skipped
+            const staffRoleIds = (category?.staff_role_ids || []).filter(roleId => guild.roles.cache.has(roleId));
+
+            const channel = await guild.channels.create({
+                name: `ticket-${ticketNumber}`,
+                type: ChannelType.GuildText,
+                permissionOverwrites: [
+                    { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
+                    { id: user.id, allow: TICKET_CHANNEL_PERMISSIONS },
+                    { id: this.client.user.id, allow: TICKET_CHANNEL_PERMISSIONS },
+                    ...staffRoleIds.map(roleId => ({ id: roleId, allow: TICKET_CHANNEL_PERMISSIONS })),
+                ],
+            });
+
+            const ticket = await this.ticketModel.createTicket(
+                guild.id,
+                user.id,
+                channel.id,
+                category ? category.id : 'general',
+                description,
+                ticketNumber
+            );
+
+            const transcriptService = this.client.modules.get('ticket')?.getService('TranscriptService');
+            transcriptService?.trackChannel(channel.id, ticket.id);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x3498db)
+                .setTitle(`🎫 Ticket #${ticketNumber}`)
+                .setDescription(description || 'No description provided')
+                .addFields(
+                    { name: 'Category', value: category ? this.formatCategoryName(category) : 'general', inline: true },
+                    { name: 'Created By', value: `${user}`, inline: true },
+                    { name: 'Status', value: 'Open', inline: true }
+                )
+                .setTimestamp();
+
+            const embeds = [embed];
+            if (category?.auto_response) {
+                embeds.push(new EmbedBuilder()
+                    .setColor(0x2ecc71)
+                    .setDescription(category.auto_response));
+            }
+
+            await channel.send({ content: `${user}`, embeds });
+
+            this.log(`Ticket #${ticketNumber} created by ${user.id} in guild ${guild.id}`, 'info');
+
+            return { success: true, channel, ticket };
+        } catch (error) {
+            throw this.handleError(error, 'createTicket', { guildId: guild.id, userId: user.id });
+        }
+    }
+
+    /**
+     * Build a ticket panel message
+     * @param {Array} categories - Active categories
+     * @param {Object} options - Panel options
+     * @param {string} options.style - "buttons" or "select"
+     * @param {string} options.title - Embed title
+     * @param {string} options.description - Embed description
+     * @returns {Object} Message options ({ embeds, components })
+     */
+    buildPanel(categories, options = {}) {
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle(options.title || '🎫 Support Tickets')
+            .setDescription(options.description || 'Choose a category below to open a ticket.')
+            .addFields(categories.map(category => ({
+                name: this.formatCategoryName(category),
+                value: category.description || '\u200b',
+            })));
+
+        let components;
+        if (options.style === 'select') {
+            const menu = new StringSelectMenuBuilder()
+                .setCustomId(PANEL_SELECT_ID)
+                .setPlaceholder('Select a ticket category')
+                .addOptions(categories.map(category => {
+                    const option = { label: category.name, value: category.id };
+                    if (category.description) option.description = category.description.slice(0, 100);
+                    if (category.emoji) option.emoji = category.emoji;
+                    return option;
+                }));
+
+            components = [new ActionRowBuilder().addComponents(menu)];
+        } else {
+            components = [];
+            for (let i = 0; i < categories.length; i += 5) {
+                components.push(new ActionRowBuilder().addComponents(
+                    categories.slice(i, i + 5).map(category => {
+                        const button = new ButtonBuilder()
+                            .setCustomId(`${PANEL_BUTTON_PREFIX}${category.id}`)
+                            .setLabel(category.name)
+                            .setStyle(ButtonStyle.Primary);
+
+                        if (category.emoji) button.setEmoji(category.emoji);
+                        return button;
+                    })
+                ));
+            }
+        }
+
+        return { embeds: [embed], components };
+    }
+
+    /**
+     * Show the creation modal for a panel category
+     * @param {Object} interaction - Button or select menu interaction
+     * @param {string} categoryId - Category ID
+     * @returns {Promise<void>}
+     */
+    async showCreateModal(interaction, categoryId) {
+        const category = await this.ticketModel.getCategory(categoryId);
+        if (!category || !category.is_active || category.guild_id !== interaction.guild?.id) {
+            await replyEphemeral(interaction, '❌ This ticket category is no longer available');
+            return;
+        }
+
+        // Checked here as well so the user does not fill in the modal for nothing
+        const existingTicket = await this.ticketModel.getUserOpenTicket(interaction.user.id, interaction.guild.id);
+        if (existingTicket) {
+            await replyEphemeral(interaction, `❌ You already have an open ticket: <#${existingTicket.channel_id}>`);
+            return;
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId(`${CREATE_MODAL_PREFIX}${category.id}`)
+            .setTitle(`Open a ticket: ${category.name}`.slice(0, 45));
+
+        const descriptionInput = new TextInputBuilder()
+            .setCustomId(DESCRIPTION_INPUT_ID)
+            .setLabel('How can we help?')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('Describe your issue...')
+            .setRequired(true)
+            .setMinLength(5)
+            .setMaxLength(1000);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(descriptionInput));
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Open a ticket from a submitted creation modal
+     * @param {Object} interaction - Modal submit interaction
+     * @returns {Promise<void>}
+     */
+    async handleCreateModal(interaction) {
+        await deferEphemeral(interaction);
+
+        const categoryId = interaction.customId.slice(CREATE_MODAL_PREFIX.length);
+        const category = await this.ticketModel.getCategory(categoryId);
+        if (!category || !category.is_active || category.guild_id !== interaction.guild?.id) {
+            await interaction.editReply({ content: '❌ This ticket category is no longer available' });
+            return;
+        }
+
+        const description = interaction.fields.getTextInputValue(DESCRIPTION_INPUT_ID);
+        const result = await this.createTicket(interaction.guild, interaction.user, category, description);
+
+        await interaction.editReply({
+            content: result.success ? `✅ Ticket created: ${result.channel}` : `❌ ${result.message}`,
+        });
+    }
+
+    /**
+     * Check whether a member is staff for a ticket
+     * Members with Manage Channels are staff for every ticket.
+     * @param {Object} member - Guild member
+     * @param {Object} ticket - Ticket row
+     * @returns {Promise<boolean>} True if the member is staff
+     */
+    async isStaff(member, ticket) {
+        if (member.permissions.has('ManageChannels') || member.permissions.has('Administrator')) {
+            return true;
+        }
+
+        const category = await this.ticketModel.getCategory(ticket.category_id);
+        return Boolean(category?.staff_role_ids.some(roleId => member.roles.cache.has(roleId)));
+    }
+
+    /**
+     * Format a category name with its emoji
+     * @param {Object} category - Category
+     * @returns {string} e.g. "💳 Billing"
+     */
+    formatCategoryName(category) {
+        return category.emoji ? `${category.emoji} ${category.name}` : category.name;
+    }
+
+    /**
+     * Maximum number of categories a panel can show
+     * @returns {number} Category limit
+     */
+    getMaxPanelCategories() {
+        return MAX_PANEL_CATEGORIES;
+    }
+}
+
+module.exports = TicketService;
@@ -0,0 +1,366 @@
+/**
+ * TicketStatsService
+ *
+ * Builds the /ticket-stats report for support leads: ticket counts per
+ * category, median time to first claim and to close, tickets handled per
+ * staff member and the busiest hours, for an optional creation date range.
+ * The same tickets can be exported as a CSV attachment.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const BaseService = require('../../../../system/core/BaseService');
+const { formatTimespan } = require('../../../../system/helpers/FormatHelper');
+const { parseDuration } = require('../../../../system/helpers/TimeParserHelper');
+const { toWallClock, fromWallClock } = require('../../../../system/helpers/CronHelper');
+
+// Tickets read into a single report; older tickets beyond this are left out
+const MAX_REPORT_TICKETS = 10000;
+
+// Rows shown in the staff and busiest hours fields
+const MAX_STAFF_ROWS = 10;
+const MAX_HOUR_ROWS = 5;
+
+const CSV_COLUMNS = [
+    'ticket_number',
+    'category',
+    'status',
+    'priority',
+    'opened_by',
+    'claimed_by',
+    'closed_by',
+    'created_at',
+    'claimed_at',
+    'closed_at',
+    'seconds_to_claim',
+    'seconds_to_close',
+];
+
+class TicketStatsService extends BaseService {
+    /**
+     * Create a new TicketStatsService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.ticketModel = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.ticketModel = loader.model('TicketModel');
+        }
+
+        this.log('TicketStatsService initialized', 'info');
+    }
+
+    /**
+     * Parse a date range boundary
+     * Accepts a calendar date ("2026-03-01", midnight in the given timezone)
+     * or a duration ago ("30d", "2 weeks").
+     * @param {string} input - Date text
+     * @param {string} timezone - IANA timezone calendar dates are written in
+     * @param {boolean} endOfDay - Use the end of a calendar date instead of its start
+     * @param {number} now - Reference instant in milliseconds
+     * @returns {number|null} Unix timestamp in seconds, or null if not understood
+     */
+    parseDate(input, timezone = 'UTC', endOfDay = false, now = Date.now()) {
+        const text = String(input || '').trim();
+
+        const dateMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (dateMatch) {
+            const [year, month, day] = dateMatch.slice(1).map(Number);
+            const wall = Date.UTC(year, month - 1, day + (endOfDay ? 1 : 0));
+
+            const date = new Date(Date.UTC(year, month - 1, day));
+            if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+                return null;
+            }
+
+            // Midnight can be skipped by a DST change; the next hour is close enough
+            const instant = fromWallClock(wall, timezone)[0] ?? fromWallClock(wall + 3600 * 1000, timezone)[0];
+            return Math.floor(instant / 1000);
+        }
+
+        const duration = parseDuration(text.replace(/\s+ago$/i, ''));
+        if (duration !== null) {
+            return Math.floor((now - duration) / 1000);
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a ticket statistics report
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - Report options
+     * @param {number} options.since - Only tickets created at or after this unix timestamp
+     * @param {number} options.until - Only tickets created before this unix timestamp
+     * @param {string} options.timezone - IANA timezone for the busiest hours
+     * @returns {Promise<Object>} Report
+     */
+    async getReport(guildId, options = {}) {
+        try {
+            this.validateRequired({ guildId }, ['guildId']);
+
+            const range = { since: options.since || null, until: options.until || null };
+            const timezone = options.timezone || 'UTC';
+
+            const totals = await this.ticketModel.getTicketStats(guildId, range);
+            const tickets = await this.ticketModel.searchTickets(guildId, range, MAX_REPORT_TICKETS);
+            const categoryNames = await this.getCategoryNames(tickets);
+
+            const botId = this.client.user?.id;
+            const categories = new Map();
+            const staff = new Map();
+            const hours = new Array(24).fill(0);
+            const claimTimes = [];
+            const closeTimes = [];
+
+            const getStaff = (userId) => {
+                if (!staff.has(userId)) {
+                    staff.set(userId, { userId, claimed: 0, closed: 0 });
+                }
+                return staff.get(userId);
+            };
+
+            for (const ticket of tickets) {
+                const categoryName = categoryNames.get(ticket.category_id) || ticket.category_id || 'general';
+                if (!categories.has(categoryName)) {
+                    categories.set(categoryName, { name: categoryName, open: 0, closed: 0, total: 0 });
+                }
+
+                const category = categories.get(categoryName);
+                category.total++;
+                if (ticket.status === 'closed') {
+                    category.closed++;
+                } else {
+                    category.open++;
+                }
+
+                if (ticket.claimed_by && ticket.claimed_at) {
+                    claimTimes.push(ticket.claimed_at - ticket.created_at);
+                    getStaff(ticket.claimed_by).claimed++;
+                }
+
+                if (ticket.status === 'closed' && ticket.closed_at) {
+                    closeTimes.push(ticket.closed_at - ticket.created_at);
+
+                    // Openers closing their own ticket and automatic closes are not staff work
+                    if (ticket.closed_by && ticket.closed_by !== ticket.user_id && ticket.closed_by !== botId) {
+                        getStaff(ticket.closed_by).closed++;
+                    }
+                }
+
+                hours[new Date(toWallClock(ticket.created_at * 1000, timezone)).getUTCHours()]++;
+            }
+
+            return {
+                guildId,
+                since: range.since,
+                until: range.until,
+                timezone,
+                totals,
+                tickets,
+                categoryNames,
+                truncated: totals.total > tickets.length,
+                categories: [...categories.values()].sort((a, b) => b.total - a.total),
+                staff: [...staff.values()].sort((a, b) => (b.claimed + b.closed) - (a.claimed + a.closed)),
+                hours,
+                medianClaimSeconds: this.median(claimTimes),
+                medianCloseSeconds: this.median(closeTimes),
+            };
+        } catch (error) {
+            throw this.handleError(error, 'getReport', { guildId });
+        }
+    }
+
+    /**
+     * Resolve category names for a set of tickets, including deleted categories
+     * @param {Array} tickets - Ticket rows
+     * @returns {Promise<Map>} Category ID to display name
+     */
+    async getCategoryNames(tickets) {
+        const names = new Map();
+
+        for (const categoryId of new Set(tickets.map(ticket => ticket.category_id))) {
+            const category = categoryId ? await this.ticketModel.getCategory(categoryId) : null;
+            if (category) {
+                names.set(categoryId, category.name);
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Build the report embed
+     * @param {Object} report - Result of getReport
+     * @returns {EmbedBuilder} Embed
+     */
+    buildReportEmbed(report) {
+        const { totals } = report;
+
+        // until is exclusive (midnight after the last day for dates), so show the last second it covers
+        const lastIncluded = report.until ? report.until - 1 : null;
+
+        let period = 'All time';
+        if (report.since && report.until) {
+            period = `<t:${report.since}:d> – <t:${lastIncluded}:d>`;
+        } else if (report.since) {
+            period = `Since <t:${report.since}:d>`;
+        } else if (report.until) {
+            period = `Until <t:${lastIncluded}:d>`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle('📊 Ticket Statistics')
+            .setDescription(`${period}\n**${totals.total}** tickets: ${totals.open} open, ${totals.claimed} claimed, ${totals.closed} closed`)
+            .setTimestamp();
+
+        if (totals.total === 0) {
+            return embed;
+        }
+
+        embed.addFields(
+            {
+                name: 'Median Time to Claim',
+                value: report.medianClaimSeconds === null ? 'No claimed tickets' : formatTimespan(report.medianClaimSeconds * 1000),
+                inline: true,
+            },
+            {
+                name: 'Median Time to Close',
+                value: report.medianCloseSeconds === null ? 'No closed tickets' : formatTimespan(report.medianCloseSeconds * 1000),
+                inline: true,
+            },
+            {
+                name: 'By Category',
+                value: report.categories
+                    .map(category => `**${category.name}**: ${category.open} open, ${category.closed} closed`)
+                    .join('\n')
+                    .slice(0, 1024),
+            }
+        );
+
+        const staffLines = report.staff.slice(0, MAX_STAFF_ROWS)
+            .map((member, index) => `${index + 1}. <@${member.userId}>: ${member.claimed} claimed, ${member.closed} closed`);
+        embed.addFields({
+            name: 'Handled by Staff',
+            value: staffLines.length > 0 ? staffLines.join('\n') : 'No tickets handled by staff yet',
+        });
+
+        const busiestHours = report.hours
+            .map((count, hour) => ({ hour, count }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.hour - b.hour)
+            .slice(0, MAX_HOUR_ROWS);
+        embed.addFields({
+            name: `Busiest Hours (${report.timezone})`,
+            value: busiestHours
+                .map(({ hour, count }) => `\`${this.formatHour(hour)}–${this.formatHour((hour + 1) % 24)}\` ${count} tickets`)
+                .join('\n'),
+        });
+
+        if (report.truncated) {
+            embed.setFooter({ text: `Times, staff and hours cover the ${report.tickets.length} most recent tickets` });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Build a CSV export of the report's tickets
+     * @param {Object} report - Result of getReport
+     * @returns {string} CSV with one row per ticket
+     */
+    buildCsv(report) {
+        const isoTime = (timestamp) => timestamp ? new Date(timestamp * 1000).toISOString() : '';
+
+        const rows = report.tickets.map(ticket => [
+            ticket.ticket_number,
+            report.categoryNames.get(ticket.category_id) || ticket.category_id || 'general',
+            ticket.status,
+            ticket.priority || 'normal',
+            ticket.user_id,
+            ticket.claimed_by || '',
+            ticket.closed_by || '',
+            isoTime(ticket.created_at),
+            isoTime(ticket.claimed_at),
+            isoTime(ticket.closed_at),
+            ticket.claimed_by && ticket.claimed_at ? ticket.claimed_at - ticket.created_at : '',
+            ticket.status === 'closed' && ticket.closed_at ? ticket.closed_at - ticket.created_at : '',
+        ]);
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build the CSV export as a message attachment
+     * @param {Object} report - Result of getReport
+     * @returns {AttachmentBuilder} CSV attachment
+     */
+    buildCsvAttachment(report) {
+        const date = new Date().toISOString().slice(0, 10);
+
+        return this.client.attachmentService.create_from_buffer(
+            Buffer.from(this.buildCsv(report), 'utf8'),
+            `tickets-${report.guildId}-${date}.csv`,
+            { description: `Ticket export (${report.tickets.length} tickets)` }
+        );
+    }
+
+    /**
+     * Escape a CSV value
+     * Values that spreadsheet apps would run as formulas are prefixed with a quote.
+     * @param {*} value - Value
+     * @returns {string} Escaped value
+     */
+    escapeCsv(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Median of a list of numbers
+     * @param {Array<number>} values - Values
+     * @returns {number|null} Median, or null for an empty list
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 === 0
+            ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+            : sorted[middle];
+    }
+
+    /**
+     * Format an hour of the day
+     * @param {number} hour - Hour (0-23)
+     * @returns {string} e.g. "09:00"
+     */
+    formatHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+}
+
+module.exports = TicketStatsService;
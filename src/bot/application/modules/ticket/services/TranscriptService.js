@@ -0,0 +1,499 @@
+/**
+ * TranscriptService
+ *
+ * Records every message sent in an open ticket channel and turns the
+ * recorded conversation into HTML and plain-text transcripts when the
+ * ticket is closed. Transcripts are posted to the guild's ticket log
+ * channel and sent to the ticket opener by DM.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const BaseService = require('../../../../system/core/BaseService');
+const { formatTimespan } = require('../../../../system/helpers/FormatHelper');
+
+// Upper bound on messages rendered into one transcript
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+
+class TranscriptService extends BaseService {
+    /**
+     * Create a new TranscriptService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.ticketModel = null;
+
+        // Open ticket ID per channel ID, null for channels known not to be open tickets
+        this.ticketChannels = new Map();
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.ticketModel = loader.model('TicketModel');
+        }
+
+        this.log('TranscriptService initialized', 'info');
+    }
+
+    /**
+     * Mark a channel as an open ticket so its messages are recorded
+     * @param {string} channelId - Ticket channel ID
+     * @param {string} ticketId - Ticket ID
+     */
+    trackChannel(channelId, ticketId) {
+        this.ticketChannels.set(channelId, ticketId);
+    }
+
+    /**
+     * Stop recording messages in a channel
+     * @param {string} channelId - Ticket channel ID
+     */
+    untrackChannel(channelId) {
+        this.ticketChannels.set(channelId, null);
+    }
+
+    /**
+     * Get the open ticket for a channel, cached per channel
+     * @param {Object} channel - Discord channel
+     * @returns {Promise<string|null>} Ticket ID or null
+     */
+    async getOpenTicketId(channel) {
+        if (this.ticketChannels.has(channel.id)) {
+            return this.ticketChannels.get(channel.id);
+        }
+
+        const ticket = await this.ticketModel.getTicketByChannel(channel.id, channel.guild.id);
+        const ticketId = ticket && ticket.status !== 'closed' ? ticket.id : null;
+        this.ticketChannels.set(channel.id, ticketId);
+
+        return ticketId;
+    }
+
+    /**
+     * Record a message if it was sent in an open ticket channel
+     * Messages from members also count as ticket activity.
+     * @param {Object} message - Discord message
+     * @returns {Promise<boolean>} True if the message was recorded
+     */
+    async recordMessage(message) {
+        try {
+            if (!message.guild || !this.ticketModel) {
+                return false;
+            }
+
+            const ticketId = await this.getOpenTicketId(message.channel);
+            if (!ticketId) {
+                return false;
+            }
+
+            const attachments = [...message.attachments.values()].map(attachment => ({
+                id: attachment.id,
+                name: attachment.name,
+                url: attachment.url,
+                size: attachment.size,
+                contentType: attachment.contentType || null,
+            }));
+
+            const embeds = message.embeds.map(embed => ({
+                title: embed.title || null,
+                description: embed.description || null,
+                fields: embed.fields.map(field => ({ name: field.name, value: field.value })),
+            }));
+
+            const createdAt = Math.floor(message.createdTimestamp / 1000);
+
+            await this.ticketModel.addTicketMessage(
+                ticketId,
+                message.author.id,
+                message.id,
+                message.content,
+                attachments,
+                {
+                    authorTag: message.author.tag,
+                    embeds,
+                    createdAt,
+                }
+            );
+
+            // Bot messages, including inactivity reminders, do not count as activity
+            if (!message.author.bot) {
+                await this.ticketModel.touchTicket(ticketId, createdAt);
+            }
+
+            return true;
+        } catch (error) {
+            this.log(`Error recording ticket message ${message.id}: ${error.message}`, 'warn');
+            return false;
+        }
+    }
+
+    /**
+     * Build the HTML and plain-text transcripts of a ticket
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @returns {Promise<Object>} { html, text, messageCount, categoryName, truncated }
+     */
+    async generateTranscript(ticket, guild) {
+        try {
+            const messages = await this.ticketModel.getTicketMessages(ticket.id, MAX_TRANSCRIPT_MESSAGES + 1);
+            const truncated = messages.length > MAX_TRANSCRIPT_MESSAGES;
+            if (truncated) {
+                messages.length = MAX_TRANSCRIPT_MESSAGES;
+            }
+
+            // Tickets store a category ID, or a plain name for guilds without categories
+            const category = await this.ticketModel.getCategory(ticket.category_id);
+            const categoryName = category?.name || ticket.category_id || 'general';
+
+            const details = this.getTranscriptDetails(ticket, guild, messages, categoryName);
+
+            return {
+                html: this.buildHtml(details, messages, truncated),
+                text: this.buildText(details, messages, truncated),
+                messageCount: messages.length,
+                categoryName,
+                truncated,
+            };
+        } catch (error) {
+            throw this.handleError(error, 'generateTranscript', { ticketId: ticket.id });
+        }
+    }
+
+    /**
+     * Generate a closed ticket's transcript, post it to the ticket log
+     * channel and DM it to the ticket opener
+     * Delivery failures are reported in the result rather than thrown.
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @param {Object} closedBy - User who closed the ticket
+     * @returns {Promise<Object>} { messageCount, logChannel, dmSent }
+     */
+    async sendTranscript(ticket, guild, closedBy) {
+        const transcript = await this.generateTranscript(ticket, guild);
+        const result = { messageCount: transcript.messageCount, logChannel: null, dmSent: false };
+
+        const embed = new EmbedBuilder()
+            .setColor(0x3498db)
+            .setTitle(`📝 Ticket #${ticket.ticket_number} Transcript`)
+            .addFields(
+                { name: 'Server', value: guild.name, inline: true },
+                { name: 'Opened By', value: `<@${ticket.user_id}>`, inline: true },
+                { name: 'Closed By', value: `${closedBy}`, inline: true },
+                { name: 'Category', value: transcript.categoryName, inline: true },
+                { name: 'Messages', value: `${transcript.messageCount}${transcript.truncated ? ' (truncated)' : ''}`, inline: true },
+                { name: 'Open For', value: formatTimespan(Math.max(Date.now() / 1000 - ticket.created_at, 0) * 1000), inline: true }
+            )
+            .setTimestamp();
+
+        const logChannel = await this.getLogChannel(guild);
+        if (logChannel) {
+            try {
+                await logChannel.send({ embeds: [embed], files: this.buildFiles(ticket, transcript) });
+                result.logChannel = logChannel;
+            } catch (error) {
+                this.log(`Failed to post transcript of ticket ${ticket.id}: ${error.message}`, 'warn');
+            }
+        }
+
+        try {
+            const opener = await this.client.users.fetch(ticket.user_id);
+            await opener.send({ embeds: [embed], files: this.buildFiles(ticket, transcript) });
+            result.dmSent = true;
+        } catch (error) {
+            this.log(`Could not DM transcript of ticket ${ticket.id} to ${ticket.user_id}: ${error.message}`, 'debug');
+        }
+
+        this.log(
+            `Transcript of ticket #${ticket.ticket_number} (${transcript.messageCount} messages) ` +
+            `logged: ${Boolean(result.logChannel)}, DMed: ${result.dmSent}`,
+            'info'
+        );
+
+        return result;
+    }
+
+    /**
+     * Get the guild's ticket log channel if the bot can post there
+     * @param {Object} guild - Discord guild
+     * @returns {Promise<Object|null>} Channel or null
+     */
+    async getLogChannel(guild) {
+        try {
+            // The admin module loads after ticket, so resolve it on first use
+            const guildConfigService = this.client.modules.get('admin')?.getService('GuildConfigService');
+            if (!guildConfigService) {
+                return null;
+            }
+
+            const channelId = await guildConfigService.getSetting(guild.id, 'ticket_log_channel');
+            if (!channelId) {
+                return null;
+            }
+
+            const channel = guild.channels.cache.get(channelId);
+            if (!channel) {
+                this.log(`Ticket log channel ${channelId} not found`, 'warn');
+                return null;
+            }
+
+            const permissions = channel.permissionsFor(guild.members.me);
+            if (!permissions || !permissions.has(['SendMessages', 'AttachFiles'])) {
+                this.log('No permission to send files in ticket log channel', 'warn');
+                return null;
+            }
+
+            return channel;
+        } catch (error) {
+            this.log(`Error getting ticket log channel: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    /**
+     * Build transcript file attachments
+     * @param {Object} ticket - Ticket row
+     * @param {Object} transcript - Generated transcript
+     * @returns {Array<AttachmentBuilder>} HTML and text attachments
+     */
+    buildFiles(ticket, transcript) {
+        const attachmentService = this.client.attachmentService;
+        const baseName = `ticket-${ticket.ticket_number}-transcript`;
+
+        return [
+            attachmentService.create_from_buffer(Buffer.from(transcript.html, 'utf8'), `${baseName}.html`, {
+                description: `Ticket #${ticket.ticket_number} transcript (HTML)`,
+            }),
+            attachmentService.create_from_buffer(Buffer.from(transcript.text, 'utf8'), `${baseName}.txt`, {
+                description: `Ticket #${ticket.ticket_number} transcript (text)`,
+            }),
+        ];
+    }
+
+    /**
+     * Collect the header details shared by both transcript formats
+     * @param {Object} ticket - Ticket row
+     * @param {Object} guild - Discord guild
+     * @param {Array} messages - Ticket messages
+     * @param {string} categoryName - Ticket category name
+     * @returns {Object} Transcript details
+     */
+    getTranscriptDetails(ticket, guild, messages, categoryName) {
+        const participants = new Map();
+        for (const message of messages) {
+            participants.set(message.user_id, message.author_tag || this.resolveUserName(message.user_id));
+        }
+
+        return {
+            guildName: guild.name,
+            ticketNumber: ticket.ticket_number,
+            openedBy: `${participants.get(ticket.user_id) || this.resolveUserName(ticket.user_id)} (${ticket.user_id})`,
+            category: categoryName,
+            description: ticket.description || null,
+            createdAt: this.formatTimestamp(ticket.created_at),
+            closedAt: ticket.closed_at ? this.formatTimestamp(ticket.closed_at) : 'Still open',
+            closedBy: ticket.closed_by ? `${this.resolveUserName(ticket.closed_by)} (${ticket.closed_by})` : null,
+            claimedBy: ticket.claimed_by ? `${this.resolveUserName(ticket.claimed_by)} (${ticket.claimed_by})` : null,
+            participants: [...participants.entries()].map(([id, name]) => `${name} (${id})`),
+        };
+    }
+
+    /**
+     * Render the plain-text transcript
+     * @param {Object} details - Transcript details
+     * @param {Array} messages - Ticket messages
+     * @param {boolean} truncated - Whether older messages were left out
+     * @returns {string} Transcript text
+     */
+    buildText(details, messages, truncated) {
+        const lines = [
+            `Transcript of ticket #${details.ticketNumber} - ${details.guildName}`,
+            `Opened by: ${details.openedBy}`,
+            `Category: ${details.category}`,
+        ];
+
+        if (details.description) lines.push(`Description: ${details.description}`);
+        lines.push(`Created: ${details.createdAt}`, `Closed: ${details.closedAt}`);
+        if (details.closedBy) lines.push(`Closed by: ${details.closedBy}`);
+        if (details.claimedBy) lines.push(`Claimed by: ${details.claimedBy}`);
+        lines.push(`Participants: ${details.participants.join(', ') || 'None'}`);
+        lines.push(`Messages: ${messages.length}${truncated ? ` (only the first ${MAX_TRANSCRIPT_MESSAGES} are included)` : ''}`);
+        lines.push('', '-'.repeat(60), '');
+
+        for (const message of messages) {
+            const author = message.author_tag || this.resolveUserName(message.user_id);
+            lines.push(`[${this.formatTimestamp(message.created_at)}] ${author}: ${message.content}`);
+
+            for (const embed of message.embeds) {
+                const heading = [embed.title, embed.description].filter(Boolean).join(' - ');
+                lines.push(`    [Embed] ${heading}`);
+                for (const field of embed.fields || []) {
+                    lines.push(`        ${field.name}: ${field.value}`);
+                }
+            }
+
+            for (const attachment of message.attachments) {
+                lines.push(`    [Attachment] ${attachment.name} (${this.formatSize(attachment.size)}) ${attachment.url}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Render the self-contained HTML transcript
+     * Styles are inlined and nothing is loaded from elsewhere except the
+     * Discord CDN links of attachments.
+     * @param {Object} details - Transcript details
+     * @param {Array} messages - Ticket messages
+     * @param {boolean} truncated - Whether older messages were left out
+     * @returns {string} Transcript HTML
+     */
+    buildHtml(details, messages, truncated) {
+        const escape = (value) => this.escapeHtml(value);
+
+        const meta = [
+            ['Opened by', details.openedBy],
+            ['Category', details.category],
+            ['Description', details.description],
+            ['Created', details.createdAt],
+            ['Closed', details.closedAt],
+            ['Closed by', details.closedBy],
+            ['Claimed by', details.claimedBy],
+            ['Participants', details.participants.join(', ') || 'None'],
+            ['Messages', `${messages.length}${truncated ? ` (only the first ${MAX_TRANSCRIPT_MESSAGES} are included)` : ''}`],
+        ]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+            .join('\n');
+
+        const body = messages.map(message => {
+            const author = message.author_tag || this.resolveUserName(message.user_id);
+
+            const embeds = message.embeds.map(embed => {
+                const fields = (embed.fields || [])
+                    .map(field => `<div class="field"><strong>${escape(field.name)}</strong><br>${this.formatHtmlContent(field.value)}</div>`)
+                    .join('');
+
+                return `<div class="embed">` +
+                    (embed.title ? `<div class="embed-title">${escape(embed.title)}</div>` : '') +
+                    (embed.description ? `<div>${this.formatHtmlContent(embed.description)}</div>` : '') +
+                    fields +
+                    `</div>`;
+            }).join('');
+
+            const attachments = message.attachments.map(attachment => {
+                const link = `<a href="${escape(attachment.url)}">${escape(attachment.name)}</a> (${this.formatSize(attachment.size)})`;
+                const preview = attachment.contentType?.startsWith('image/')
+                    ? `<br><img src="${escape(attachment.url)}" alt="${escape(attachment.name)}">`
+                    : '';
+
+                return `<div class="attachment">📎 ${link}${preview}</div>`;
+            }).join('');
+
+            return `<div class="message">` +
+                `<div class="meta"><span class="author" title="${escape(message.user_id)}">${escape(author)}</span>` +
+                `<span class="time">${escape(this.formatTimestamp(message.created_at))}</span></div>` +
+                (message.content ? `<div class="content">${this.formatHtmlContent(message.content)}</div>` : '') +
+                embeds +
+                attachments +
+                `</div>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Ticket #${escape(details.ticketNumber)} - ${escape(details.guildName)}</title>
+<style>
+body { background: #313338; color: #dbdee1; font-family: "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; }
+h1 { color: #f2f3f5; font-size: 20px; margin: 0 0 12px; }
+table { border-collapse: collapse; margin-bottom: 24px; }
+th { color: #b5bac1; font-weight: 600; padding: 2px 16px 2px 0; text-align: left; vertical-align: top; }
+td { padding: 2px 0; }
+.message { border-top: 1px solid #3f4147; padding: 8px 0; }
+.author { color: #f2f3f5; font-weight: 600; margin-right: 8px; }
+.time { color: #949ba4; font-size: 12px; }
+.content { margin-top: 4px; white-space: pre-wrap; word-wrap: break-word; }
+.embed { background: #2b2d31; border-left: 4px solid #3498db; border-radius: 4px; margin-top: 6px; max-width: 520px; padding: 8px 12px; }
+.embed-title { color: #f2f3f5; font-weight: 600; margin-bottom: 4px; }
+.field { margin-top: 6px; }
+.attachment { margin-top: 6px; }
+.attachment img { border-radius: 4px; margin-top: 4px; max-height: 300px; max-width: 400px; }
+a { color: #00a8fc; }
+.empty { color: #949ba4; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Ticket #${escape(details.ticketNumber)} - ${escape(details.guildName)}</h1>
+<table>
+${meta}
+</table>
+${body || '<div class="empty">No messages were recorded in this ticket.</div>'}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Escape text for HTML output and keep line breaks
+     * @param {string} content - Message text
+     * @returns {string} HTML
+     */
+    formatHtmlContent(content) {
+        return this.escapeHtml(content).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Resolve a user's name from the client cache
+     * @param {string} userId - User ID
+     * @returns {string} User tag, or the ID when the user is not cached
+     */
+    resolveUserName(userId) {
+        return this.client.users?.cache.get(userId)?.tag || userId;
+    }
+
+    /**
+     * Format a unix timestamp (seconds) as a UTC date and time
+     * @param {number} seconds - Unix timestamp in seconds
+     * @returns {string} e.g. "2024-05-01 14:03:27 UTC"
+     */
+    formatTimestamp(seconds) {
+        return `${new Date(seconds * 1000).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+    }
+
+    /**
+     * Format a file size in bytes
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "1.2 MB"
+     */
+    formatSize(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
+
+module.exports = TranscriptService;
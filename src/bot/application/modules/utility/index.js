@@ -16,6 +16,9 @@ module.exports = {
     // Models used by this module
     models: ['UtilityModel'],
 
+    // Services used by this module
+    services: ['ReactionRoleService'],
+
     // Libraries used by this module
     libraries: [],
 
@@ -35,6 +38,140 @@ module.exports = {
             method: 'stats',
             options: [],
         },
+        {
+            name: 'reactionrole',
+            description: 'Manage reaction roles (Manage Roles only)',
+            controller: 'UtilityController',
+            method: 'reactionrole',
+            options: [
+                {
+                    name: 'add',
+                    description: 'Bind an emoji on a message to a role',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'message_id',
+                            description: 'ID of the message to react to',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'emoji',
+                            description: 'Emoji members react with',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'role',
+                            description: 'Role to grant or remove',
+                            type: 8, // ROLE
+                            required: true,
+                        },
+                        {
+                            name: 'mode',
+                            description: 'Mode for the whole message (default: keep current or normal)',
+                            type: 3, // STRING
+                            required: false,
+                            choices: [
+                                { name: 'Normal - react to get, unreact to lose', value: 'normal' },
+                                { name: 'Unique - only one role from this message', value: 'unique' },
+                                { name: 'Verify - react to get, never removed', value: 'verify' },
+                                { name: 'Drop - react to lose the role', value: 'drop' },
+                            ],
+                        },
+                        {
+                            name: 'channel',
+                            description: 'Channel of the message (default: this channel)',
+                            type: 7, // CHANNEL
+                            required: false,
+                            channel_types: [0, 5], // GUILD_TEXT, GUILD_ANNOUNCEMENT
+                        },
+                        {
+                            name: 'description',
+                            description: 'Short description shown in the list',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove reaction roles from a message',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'message_id',
+                            description: 'ID of the message',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'emoji',
+                            description: 'Emoji to unbind (default: all)',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List reaction roles in this server',
+                    type: 1, // SUB_COMMAND
+                },
+            ],
+        },
+        {
+            name: 'remind',
+            description: 'Set, list and cancel personal reminders',
+            controller: 'UtilityController',
+            method: 'remind',
+            options: [
+                {
+                    name: 'me',
+                    description: 'Set a reminder',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'when',
+                            description: 'When to remind you (e.g. "in 2h30m", "tomorrow 9am", "friday 18:00")',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                        {
+                            name: 'message',
+                            description: 'What to remind you about',
+                            type: 3, // STRING
+                            required: true,
+                            max_length: 1000,
+                        },
+                        {
+                            name: 'timezone',
+                            description: 'Timezone for clock times (e.g. Europe/Berlin)',
+                            type: 3, // STRING
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List your pending reminders',
+                    type: 1, // SUB_COMMAND
+                },
+                {
+                    name: 'cancel',
+                    description: 'Cancel a reminder',
+                    type: 1, // SUB_COMMAND
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Reminder ID from /remind list',
+                            type: 3, // STRING
+                            required: true,
+                        },
+                    ],
+                },
+            ],
+        },
         // Note: Welcome and goodbye configuration moved to /config command in admin module
         // Use: /config set welcome_enabled true
         //      /config set welcome_channel #channel
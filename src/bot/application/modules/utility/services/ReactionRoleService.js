@@ -0,0 +1,507 @@
+/**
+ * ReactionRoleService
+ *
+ * Binds emojis on a message to roles and applies them when members react.
+ * Every message has a single mode shared by all of its bindings:
+ * - normal: reacting grants the role, un-reacting revokes it
+ * - unique: like normal, but only one role from the message at a time
+ * - verify: reacting grants the role, un-reacting does nothing
+ * - drop: reacting revokes the role, un-reacting does nothing
+ */
+
+const BaseService = require('../../../../system/core/BaseService');
+
+const MODES = ['normal', 'unique', 'verify', 'drop'];
+
+class ReactionRoleService extends BaseService {
+    /**
+     * Create a new ReactionRoleService instance
+     * @param {Object} client - Discord client instance
+     * @param {Object} options - Service configuration options
+     */
+    constructor(client, options = {}) {
+        super(client, options);
+        this.utilityModel = null;
+
+        // Bindings per message ID, filled lazily and dropped on every change.
+        // Only messages that have bindings are cached.
+        this.cache = new Map();
+
+        // IDs of messages with bindings, so reactions elsewhere skip the database;
+        // null until loaded, then every reaction is looked up
+        this.boundMessageIds = null;
+    }
+
+    /**
+     * Initialize service
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+
+        const loader = this.client.loader;
+        if (loader) {
+            this.utilityModel = loader.model('UtilityModel');
+        }
+
+        await this.loadBoundMessageIds();
+
+        this.log('ReactionRoleService initialized', 'info');
+    }
+
+    /**
+     * Shutdown service
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        this.cache.clear();
+        this.boundMessageIds = null;
+        await super.shutdown();
+    }
+
+    /**
+     * Parse emoji input into the key stored in the database
+     * Custom emojis are stored by ID, unicode emojis as-is.
+     * @param {string} input - Raw emoji input (e.g. "👍" or "<:name:123>")
+     * @returns {Object|null} Parsed emoji with key and display form
+     */
+    parseEmoji(input) {
+        const value = (input || '').trim();
+        if (!value) {
+            return null;
+        }
+
+        const custom = value.match(/^<a?:(\w+):(\d+)>$/);
+        if (custom) {
+            return { key: custom[2], display: value };
+        }
+
+        return { key: value, display: value };
+    }
+
+    /**
+     * Format a stored emoji key for display
+     * @param {Object} guild - Discord guild
+     * @param {string} key - Stored emoji key
+     * @returns {string} Displayable emoji
+     */
+    formatEmoji(guild, key) {
+        if (/^\d+$/.test(key)) {
+            const emoji = guild.emojis.cache.get(key);
+            return emoji ? emoji.toString() : `\`${key}\``;
+        }
+        return key;
+    }
+
+    /**
+     * Load the IDs of messages that have bindings
+     * On failure every reaction falls back to a database lookup.
+     * @returns {Promise<void>}
+     */
+    async loadBoundMessageIds() {
+        if (!this.utilityModel) {
+            return;
+        }
+
+        try {
+            const messageIds = await this.utilityModel.getReactionRoleMessageIds();
+            this.boundMessageIds = new Set(messageIds);
+        } catch (error) {
+            this.boundMessageIds = null;
+            this.log(`Failed to load reaction role messages: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Get bindings for a message, using the cache when possible
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Array>} Reaction role rows
+     */
+    async getBindings(messageId) {
+        if (this.cache.has(messageId)) {
+            return this.cache.get(messageId);
+        }
+
+        if (!this.utilityModel || (this.boundMessageIds && !this.boundMessageIds.has(messageId))) {
+            return [];
+        }
+
+        const rows = await this.utilityModel.getReactionRoles(messageId);
+        if (rows.length > 0) {
+            this.cache.set(messageId, rows);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Bind an emoji on a message to a role
+     * @param {Object} params - Binding parameters
+     * @param {Object} params.guild - Discord guild
+     * @param {Object} params.channel - Text channel holding the message
+     * @param {string} params.messageId - Message ID
+     * @param {string} params.emoji - Raw emoji input
+     * @param {Object} params.role - Role to bind
+     * @param {string} params.mode - Mode for the message (optional, keeps the current one)
+     * @param {string} params.description - Description (optional)
+     * @param {Object} params.executor - Member running the command
+     * @returns {Promise<Object>} Result with success status
+     */
+    async addReactionRole({ guild, channel, messageId, emoji, role, mode = null, description = null, executor = null }) {
+        this.validateRequired({ guild, channel, messageId, emoji, role }, ['guild', 'channel', 'messageId', 'emoji', 'role']);
+
+        if (mode && !MODES.includes(mode)) {
+            return { success: false, message: `Unknown mode: ${mode}` };
+        }
+
+        try {
+            const parsed = this.parseEmoji(emoji);
+            if (!parsed) {
+                return { success: false, message: 'Invalid emoji' };
+            }
+
+            const hierarchy = this.checkHierarchy(guild, role, executor);
+            if (!hierarchy.allowed) {
+                return { success: false, message: hierarchy.reason };
+            }
+
+            const message = await channel.messages.fetch(messageId).catch(() => null);
+            if (!message) {
+                return { success: false, message: `Message ${messageId} was not found in ${channel}` };
+            }
+
+            const existing = await this.getBindings(messageId);
+            if (existing.some(row => row.emoji === parsed.key)) {
+                return { success: false, message: `${parsed.display} is already bound on that message` };
+            }
+
+            // React first so an emoji the bot cannot use is rejected before it is stored
+            try {
+                await message.react(parsed.key);
+            } catch (error) {
+                return { success: false, message: `I can't react with ${parsed.display}` };
+            }
+
+            const currentMode = existing[0]?.mode || 'normal';
+            const effectiveMode = mode || currentMode;
+
+            if (existing.length > 0 && effectiveMode !== currentMode) {
+                await this.utilityModel.setReactionRoleMode(messageId, effectiveMode);
+            }
+
+            const reactionRole = await this.utilityModel.createReactionRole(
+                guild.id,
+                messageId,
+                channel.id,
+                parsed.key,
+                role.id,
+                description,
+                effectiveMode
+            );
+
+            this.cache.delete(messageId);
+            this.boundMessageIds?.add(messageId);
+
+            this.log(`Bound ${parsed.key} to role ${role.id} on message ${messageId}`, 'info', {
+                guildId: guild.id,
+                mode: effectiveMode
+            });
+
+            return { success: true, reactionRole, emoji: parsed.display, mode: effectiveMode };
+        } catch (error) {
+            throw this.handleError(error, 'addReactionRole', { guildId: guild.id, messageId });
+        }
+    }
+
+    /**
+     * Remove one binding or every binding from a message
+     * @param {Object} guild - Discord guild
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - Raw emoji input (optional, removes all when omitted)
+     * @returns {Promise<Object>} Result with success status and removed count
+     */
+    async removeReactionRole(guild, messageId, emoji = null) {
+        this.validateRequired({ guild, messageId }, ['guild', 'messageId']);
+
+        try {
+            const existing = (await this.getBindings(messageId)).filter(row => row.guild_id === guild.id);
+            if (existing.length === 0) {
+                return { success: false, message: 'That message has no reaction roles' };
+            }
+
+            let removed = existing;
+
+            if (emoji) {
+                const parsed = this.parseEmoji(emoji);
+                const row = parsed && existing.find(r => r.emoji === parsed.key);
+                if (!row) {
+                    return { success: false, message: `${emoji} is not bound on that message` };
+                }
+
+                await this.utilityModel.deleteReactionRole(row.id);
+                removed = [row];
+            } else {
+                await this.utilityModel.deleteReactionRolesByMessage(messageId);
+            }
+
+            this.cache.delete(messageId);
+            if (removed.length === existing.length) {
+                this.boundMessageIds?.delete(messageId);
+            }
+
+            await this.clearBotReactions(guild, existing[0].channel_id, messageId, removed);
+
+            return { success: true, removed: removed.length };
+        } catch (error) {
+            throw this.handleError(error, 'removeReactionRole', { guildId: guild.id, messageId });
+        }
+    }
+
+    /**
+     * Get all bindings in a guild grouped by message
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array>} Groups of { messageId, channelId, mode, bindings }
+     */
+    async listReactionRoles(guildId) {
+        try {
+            const rows = this.utilityModel ? await this.utilityModel.getGuildReactionRoles(guildId) : [];
+            const groups = new Map();
+
+            for (const row of rows) {
+                if (!groups.has(row.message_id)) {
+                    groups.set(row.message_id, {
+                        messageId: row.message_id,
+                        channelId: row.channel_id,
+                        mode: row.mode || 'normal',
+                        bindings: []
+                    });
+                }
+                groups.get(row.message_id).bindings.push(row);
+            }
+
+            return Array.from(groups.values());
+        } catch (error) {
+            throw this.handleError(error, 'listReactionRoles', { guildId });
+        }
+    }
+
+    /**
+     * Handle a reaction being added or removed
+     * Works on partial reactions: only the message ID and emoji are needed to
+     * find a binding, so nothing is fetched for unrelated messages.
+     * @param {Object} reaction - Discord message reaction (may be partial)
+     * @param {Object} user - Reacting user (may be partial)
+     * @param {boolean} added - True for add, false for remove
+     * @returns {Promise<void>}
+     */
+    async handleReaction(reaction, user, added) {
+        try {
+            const message = reaction.message;
+            if (!message.guildId || user.id === this.client.user.id) {
+                return;
+            }
+
+            const bindings = await this.getBindings(message.id);
+            if (bindings.length === 0) {
+                return;
+            }
+
+            const key = reaction.emoji.id || reaction.emoji.name;
+            const binding = bindings.find(row => row.emoji === key);
+            if (!binding) {
+                return;
+            }
+
+            if (user.partial) {
+                user = await user.fetch();
+            }
+            if (user.bot) {
+                return;
+            }
+
+            const mode = binding.mode || 'normal';
+
+            // verify and drop only act on the reaction itself, never on its removal
+            if (!added && (mode === 'verify' || mode === 'drop')) {
+                return;
+            }
+
+            const grant = added && mode !== 'drop';
+
+            const guild = this.client.guilds.cache.get(message.guildId);
+            if (!guild) {
+                return;
+            }
+
+            const member = await guild.members.fetch(user.id).catch(() => null);
+            if (!member) {
+                return;
+            }
+
+            if (grant) {
+                await this.grant(guild, member, binding);
+
+                if (mode === 'unique') {
+                    await this.enforceUnique(guild, member, reaction, bindings, binding);
+                }
+            } else {
+                await this.revoke(guild, member, binding);
+            }
+        } catch (error) {
+            this.handleError(error, 'handleReaction', {
+                messageId: reaction?.message?.id,
+                userId: user?.id,
+                added
+            });
+        }
+    }
+
+    /**
+     * Grant a binding's role to a member
+     * @param {Object} guild - Discord guild
+     * @param {Object} member - Guild member
+     * @param {Object} binding - Reaction role row
+     * @returns {Promise<void>}
+     * @private
+     */
+    async grant(guild, member, binding) {
+        if (member.roles.cache.has(binding.role_id)) {
+            return;
+        }
+
+        const role = this.resolveRole(guild, binding);
+        if (!role) {
+            return;
+        }
+
+        await this.client.roleManagementService.add_role_to_member(guild.id, member.id, role.id, 'Reaction role');
+    }
+
+    /**
+     * Revoke a binding's role from a member
+     * @param {Object} guild - Discord guild
+     * @param {Object} member - Guild member
+     * @param {Object} binding - Reaction role row
+     * @returns {Promise<void>}
+     * @private
+     */
+    async revoke(guild, member, binding) {
+        if (!member.roles.cache.has(binding.role_id)) {
+            return;
+        }
+
+        const role = this.resolveRole(guild, binding);
+        if (!role) {
+            return;
+        }
+
+        await this.client.roleManagementService.remove_role_from_member(guild.id, member.id, role.id, 'Reaction role');
+    }
+
+    /**
+     * Remove the member's other roles and reactions from a unique-mode message
+     * @param {Object} guild - Discord guild
+     * @param {Object} member - Guild member
+     * @param {Object} reaction - The reaction that was just added
+     * @param {Array} bindings - All bindings on the message
+     * @param {Object} kept - The binding that was just granted
+     * @returns {Promise<void>}
+     * @private
+     */
+    async enforceUnique(guild, member, reaction, bindings, kept) {
+        const others = bindings.filter(row => row.id !== kept.id);
+
+        for (const row of others) {
+            await this.revoke(guild, member, row).catch(error => {
+                this.log(`Failed to revoke unique reaction role: ${error.message}`, 'warn');
+            });
+        }
+
+        let message = reaction.message;
+        if (message.partial) {
+            message = await message.fetch().catch(() => null);
+            if (!message) {
+                return;
+            }
+        }
+
+        for (const row of others) {
+            const other = message.reactions.cache.get(row.emoji);
+            if (other) {
+                // Needs Manage Messages; the role is already gone if this fails
+                await other.users.remove(member.id).catch(() => { });
+            }
+        }
+    }
+
+    /**
+     * Resolve a binding's role and verify the bot can still manage it
+     * @param {Object} guild - Discord guild
+     * @param {Object} binding - Reaction role row
+     * @returns {Object|null} Role or null if missing or out of reach
+     * @private
+     */
+    resolveRole(guild, binding) {
+        const role = guild.roles.cache.get(binding.role_id);
+        if (!role) {
+            this.log(`Reaction role ${binding.role_id} no longer exists in guild ${guild.id}`, 'warn');
+            return null;
+        }
+
+        const hierarchy = this.checkHierarchy(guild, role);
+        if (!hierarchy.allowed) {
+            this.log(`Skipping reaction role ${role.id}: ${hierarchy.reason}`, 'warn', { guildId: guild.id });
+            return null;
+        }
+
+        return role;
+    }
+
+    /**
+     * Check role hierarchy through RoleManagementService
+     * @param {Object} guild - Discord guild
+     * @param {Object} role - Role to check
+     * @param {Object} executor - Member requesting the change (optional)
+     * @returns {Object} Result with allowed flag and reason
+     * @private
+     */
+    checkHierarchy(guild, role, executor = null) {
+        const roleManagementService = this.client.roleManagementService;
+        if (!roleManagementService) {
+            return { allowed: false, reason: 'Role management is not available' };
+        }
+
+        return roleManagementService.check_role_hierarchy(guild, role, executor);
+    }
+
+    /**
+     * Remove the bot's own reactions for deleted bindings
+     * @param {Object} guild - Discord guild
+     * @param {string} channelId - Channel ID
+     * @param {string} messageId - Message ID
+     * @param {Array} rows - Removed reaction role rows
+     * @returns {Promise<void>}
+     * @private
+     */
+    async clearBotReactions(guild, channelId, messageId, rows) {
+        try {
+            const channel = guild.channels.cache.get(channelId);
+            const message = channel ? await channel.messages.fetch(messageId) : null;
+            if (!message) {
+                return;
+            }
+
+            for (const row of rows) {
+                const reaction = message.reactions.cache.get(row.emoji);
+                if (reaction) {
+                    await reaction.users.remove(this.client.user.id);
+                }
+            }
+        } catch (error) {
+            // Message may have been deleted; the bindings are gone either way
+            this.log(`Could not clear reactions on message ${messageId}: ${error.message}`, 'debug');
+        }
+    }
+}
+
+module.exports = ReactionRoleService;
@@ -5,7 +5,7 @@
  * Initializes Discord client, loads core libraries, and manages the bot lifecycle.
  */
 
-const { Client, IntentsBitField } = require('discord.js');
+const { Client, IntentsBitField, Partials } = require('discord.js');
 const Loader = require('./system/core/Loader');
 const ServiceContainer = require('./system/core/ServiceContainer');
 const EventManager = require('./system/managers/EventManager');
@@ -32,7 +32,10 @@ class Bot {
                 IntentsBitField.Flags.GuildMessages,
                 IntentsBitField.Flags.GuildMembers,
                 IntentsBitField.Flags.MessageContent,
+                IntentsBitField.Flags.GuildMessageReactions,
             ],
+            // Reaction roles must work on messages sent before the bot started
+            partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User],
         });
 
         // Store config reference
@@ -190,6 +193,29 @@ class Bot {
                 await this.serviceContainer.shutdownAll();
             }
 
+            // Shutdown module services (flushes buffered writes before the database closes)
+            for (const [name, service] of this.services) {
+                if (typeof service.shutdown !== 'function') continue;
+
+                try {
+                    await service.shutdown();
+                } catch (error) {
+                    logger.error(`Error shutting down service ${name}`, {
+                        error: error.message,
+                    });
+                }
+            }
+
+            // Stop scheduled jobs and reminders
+            if (this.client.automationService) {
+                this.client.automationService.shutdown();
+            }
+
+            // Stop temporary role timers (rentals are restored on the next start)
+            if (this.client.roleManagementService) {
+                this.client.roleManagementService.shutdown();
+            }
+
             // Stop health check service
             if (this.healthCheckService) {
                 this.healthCheckService.shutdown();
@@ -0,0 +1,29 @@
+/**
+ * Migration: 0004_voice_sessions
+ *
+ * Stores open voice activity sessions so the bot can resume
+ * voice XP tracking for members still connected after a restart.
+ */
+
+module.exports = {
+    name: '0004_voice_sessions',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS voice_sessions (
+            id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            joined_at INTEGER NOT NULL,
+            last_credited_at INTEGER NOT NULL,
+            FOREIGN KEY (guild_id) REFERENCES guilds(guild_id) ON DELETE CASCADE,
+            UNIQUE(guild_id, user_id)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_voice_sessions_guild ON voice_sessions(guild_id)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_voice_sessions_guild');
+        await db.query('DROP TABLE IF EXISTS voice_sessions');
+    }
+};
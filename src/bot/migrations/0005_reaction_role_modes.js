@@ -0,0 +1,29 @@
+/**
+ * Migration: 0005_reaction_role_modes
+ *
+ * Adds a mode column to reaction_roles so a message can behave as
+ * normal (toggle), unique (one role per message), verify (add only)
+ * or drop (remove only).
+ */
+
+module.exports = {
+    name: '0005_reaction_role_modes',
+
+    async up(db) {
+        const column = await db.queryOne(`
+            SELECT name FROM pragma_table_info('reaction_roles')
+            WHERE name = 'mode'
+        `);
+
+        if (!column) {
+            await db.query(`ALTER TABLE reaction_roles ADD COLUMN mode TEXT NOT NULL DEFAULT 'normal'`);
+        }
+
+        await db.query('CREATE INDEX IF NOT EXISTS idx_reaction_roles_guild ON reaction_roles(guild_id)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_reaction_roles_guild');
+        await db.query('ALTER TABLE reaction_roles DROP COLUMN mode');
+    }
+};
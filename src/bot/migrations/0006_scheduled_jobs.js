@@ -0,0 +1,34 @@
+/**
+ * Migration: 0006_scheduled_jobs
+ *
+ * Persists AutomationService jobs so cron and interval schedules
+ * survive restarts and missed runs can be skipped or caught up.
+ */
+
+module.exports = {
+    name: '0006_scheduled_jobs',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            id TEXT PRIMARY KEY,
+            handler TEXT NOT NULL,
+            schedule TEXT NOT NULL,
+            timezone TEXT NOT NULL DEFAULT 'UTC',
+            missed_runs TEXT NOT NULL DEFAULT 'skip',
+            data TEXT,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            max_runs INTEGER,
+            run_count INTEGER NOT NULL DEFAULT 0,
+            last_run INTEGER,
+            next_run INTEGER,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_handler ON scheduled_jobs(handler)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_scheduled_jobs_handler');
+        await db.query('DROP TABLE IF EXISTS scheduled_jobs');
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration: 0007_reminders
+ *
+ * Persists /remind reminders so they survive restarts. Delivered
+ * reminders are kept for a day so they can still be snoozed.
+ */
+
+module.exports = {
+    name: '0007_reminders',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS reminders (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            guild_id TEXT,
+            channel_id TEXT,
+            message TEXT NOT NULL,
+            remind_at INTEGER NOT NULL,
+            snooze_count INTEGER NOT NULL DEFAULT 0,
+            delivered_at INTEGER,
+            created_at INTEGER NOT NULL
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_reminders_remind_at ON reminders(remind_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_reminders_remind_at');
+        await db.query('DROP INDEX IF EXISTS idx_reminders_user');
+        await db.query('DROP TABLE IF EXISTS reminders');
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration: 0008_shop_item_roles
+ *
+ * Adds role, rental duration and per-user purchase limit columns to
+ * shop_items, and persists temporary roles so rental roles still
+ * expire after a restart.
+ */
+
+const SHOP_ITEM_COLUMNS = [
+    { name: 'role_id', definition: 'TEXT' },
+    { name: 'role_duration', definition: 'INTEGER NOT NULL DEFAULT 0' },
+    { name: 'purchase_limit', definition: 'INTEGER NOT NULL DEFAULT 0' },
+];
+
+module.exports = {
+    name: '0008_shop_item_roles',
+
+    async up(db) {
+        for (const column of SHOP_ITEM_COLUMNS) {
+            const existing = await db.queryOne(`
+                SELECT name FROM pragma_table_info('shop_items')
+                WHERE name = ?
+            `, [column.name]);
+
+            if (!existing) {
+                await db.query(`ALTER TABLE shop_items ADD COLUMN ${column.name} ${column.definition}`);
+            }
+        }
+
+        await db.query(`CREATE TABLE IF NOT EXISTS temporary_roles (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            role_id TEXT NOT NULL,
+            expires_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id, role_id)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_temporary_roles_expires ON temporary_roles(expires_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_temporary_roles_expires');
+        await db.query('DROP TABLE IF EXISTS temporary_roles');
+
+        for (const column of [...SHOP_ITEM_COLUMNS].reverse()) {
+            await db.query(`ALTER TABLE shop_items DROP COLUMN ${column.name}`);
+        }
+    }
+};
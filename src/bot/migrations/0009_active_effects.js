@@ -0,0 +1,29 @@
+/**
+ * Migration: 0009_active_effects
+ *
+ * Stores timed item effects (XP boosters, coin multipliers) started
+ * with /use so they keep running across restarts.
+ */
+
+module.exports = {
+    name: '0009_active_effects',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS active_effects (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            effect_type TEXT NOT NULL,
+            multiplier REAL NOT NULL DEFAULT 1,
+            source_item_id TEXT,
+            expires_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id, effect_type)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_active_effects_expires ON active_effects(expires_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_active_effects_expires');
+        await db.query('DROP TABLE IF EXISTS active_effects');
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration: 0010_escalation_policies
+ *
+ * Per-guild infraction escalation policy: rules such as "3 points in
+ * 7 days -> 1h timeout" and the point weight of each infraction type.
+ */
+
+module.exports = {
+    name: '0010_escalation_policies',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS escalation_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            points REAL NOT NULL,
+            window_seconds INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            duration INTEGER,
+            created_by TEXT,
+            created_at INTEGER NOT NULL
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_escalation_rules_guild ON escalation_rules(guild_id)');
+
+        await db.query(`CREATE TABLE IF NOT EXISTS infraction_weights (
+            guild_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            weight REAL NOT NULL,
+            PRIMARY KEY (guild_id, type)
+        )`);
+
+        // Windows are matched against infractions.timestamp per user
+        await db.query('CREATE INDEX IF NOT EXISTS idx_infractions_guild_user_time ON infractions(guild_id, user_id, timestamp)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_infractions_guild_user_time');
+        await db.query('DROP TABLE IF EXISTS infraction_weights');
+        await db.query('DROP INDEX IF EXISTS idx_escalation_rules_guild');
+        await db.query('DROP TABLE IF EXISTS escalation_rules');
+    }
+};
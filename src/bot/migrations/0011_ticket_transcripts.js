@@ -0,0 +1,40 @@
+/**
+ * Migration: 0011_ticket_transcripts
+ *
+ * Stores the author name and embeds of captured ticket messages so
+ * transcripts survive members leaving, and adds the closed_by column
+ * TicketModel.closeTicket already writes.
+ */
+
+const TABLE_COLUMNS = [
+    { table: 'ticket_messages', name: 'author_tag', definition: 'TEXT' },
+    { table: 'ticket_messages', name: 'embeds', definition: "JSON DEFAULT '[]'" },
+    { table: 'tickets', name: 'closed_by', definition: 'TEXT' },
+];
+
+module.exports = {
+    name: '0011_ticket_transcripts',
+
+    async up(db) {
+        for (const column of TABLE_COLUMNS) {
+            const existing = await db.queryOne(`
+                SELECT name FROM pragma_table_info('${column.table}')
+                WHERE name = ?
+            `, [column.name]);
+
+            if (!existing) {
+                await db.query(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.definition}`);
+            }
+        }
+
+        await db.query('CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id, created_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_ticket_messages_ticket');
+
+        for (const column of [...TABLE_COLUMNS].reverse()) {
+            await db.query(`ALTER TABLE ${column.table} DROP COLUMN ${column.name}`);
+        }
+    }
+};
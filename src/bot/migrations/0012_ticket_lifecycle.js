@@ -0,0 +1,41 @@
+/**
+ * Migration: 0012_ticket_lifecycle
+ *
+ * Tracks ticket activity for inactivity reminders and auto-close, when
+ * SLA alerts were sent, and when the archived channel of a closed ticket
+ * is deleted (tickets can be reopened until then).
+ */
+
+const TICKET_COLUMNS = [
+    { name: 'last_activity_at', definition: 'INTEGER' },
+    { name: 'reminder_sent_at', definition: 'INTEGER' },
+    { name: 'sla_alerted_at', definition: 'INTEGER' },
+    { name: 'delete_after', definition: 'INTEGER' },
+];
+
+module.exports = {
+    name: '0012_ticket_lifecycle',
+
+    async up(db) {
+        for (const column of TICKET_COLUMNS) {
+            const existing = await db.queryOne(`
+                SELECT name FROM pragma_table_info('tickets')
+                WHERE name = ?
+            `, [column.name]);
+
+            if (!existing) {
+                await db.query(`ALTER TABLE tickets ADD COLUMN ${column.name} ${column.definition}`);
+            }
+        }
+
+        await db.query('CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_tickets_status');
+
+        for (const column of [...TICKET_COLUMNS].reverse()) {
+            await db.query(`ALTER TABLE tickets DROP COLUMN ${column.name}`);
+        }
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration: 0013_music_eq_presets
+ *
+ * Stores equalizer presets saved per guild with /filter-custom eq-save.
+ */
+
+module.exports = {
+    name: '0013_music_eq_presets',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS music_eq_presets (
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            gains TEXT NOT NULL,
+            created_by TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, name)
+        )`);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS music_eq_presets');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration: 0014_music_playlist_collaborators
+ *
+ * Members a playlist owner shares a playlist with; collaborators can
+ * add and remove tracks.
+ */
+
+module.exports = {
+    name: '0014_music_playlist_collaborators',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS music_playlist_collaborators (
+            playlist_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            added_by TEXT NOT NULL,
+            added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (playlist_id, user_id),
+            FOREIGN KEY (playlist_id) REFERENCES music_playlists(id) ON DELETE CASCADE
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_music_playlist_collaborators_user ON music_playlist_collaborators(user_id)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_music_playlist_collaborators_user');
+        await db.query('DROP TABLE IF EXISTS music_playlist_collaborators');
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration: 0015_music_queue_autoplay
+ *
+ * Remembers whether autoplay is on for a guild's saved queue.
+ */
+
+module.exports = {
+    name: '0015_music_queue_autoplay',
+
+    async up(db) {
+        const existing = await db.queryOne(`
+            SELECT name FROM pragma_table_info('music_queue_state')
+            WHERE name = 'autoplay'
+        `);
+
+        if (!existing) {
+            await db.query('ALTER TABLE music_queue_state ADD COLUMN autoplay INTEGER DEFAULT 0');
+        }
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE music_queue_state DROP COLUMN autoplay');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration: 0016_music_play_history
+ *
+ * Tracks each guild has played, for /history, /replay and the charts of
+ * /music-stats. played_at is a Unix timestamp in ms.
+ */
+
+module.exports = {
+    name: '0016_music_play_history',
+
+    async up(db) {
+        await db.query(`CREATE TABLE IF NOT EXISTS music_play_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            track_url TEXT NOT NULL,
+            title TEXT NOT NULL,
+            duration INTEGER DEFAULT 0,
+            thumbnail TEXT,
+            requested_by TEXT,
+            autoplay INTEGER DEFAULT 0,
+            skipped INTEGER DEFAULT 0,
+            played_at INTEGER NOT NULL
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_music_play_history_guild ON music_play_history(guild_id, played_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_music_play_history_track ON music_play_history(guild_id, track_url)');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_music_play_history_track');
+        await db.query('DROP INDEX IF EXISTS idx_music_play_history_guild');
+        await db.query('DROP TABLE IF EXISTS music_play_history');
+    }
+};
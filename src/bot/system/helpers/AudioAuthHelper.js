@@ -0,0 +1,70 @@
+/**
+ * Audio Auth Helper
+ *
+ * Credentials for requests to the audio source server: an API key header
+ * for plain requests and HMAC-signed, short-lived URLs for streams. URLs
+ * are signed with the server's own signature utilities, so both sides
+ * always agree on the scheme. Without AUDIO_SERVER_API_KEY requests are
+ * sent unauthenticated.
+ */
+
+const config = require('../../application/config/config');
+const { getKeyId, createSignature } = require('../../../server/utils/signature');
+
+/**
+ * Get headers that authenticate a request with the API key
+ * @returns {Object} Request headers (empty without an API key)
+ */
+function getAuthHeaders() {
+    const apiKey = config.audio.apiKey;
+    return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
+/**
+ * Sign query parameters for a short-lived URL
+ * @param {string} path - Request path (e.g. /api/audio/stream)
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Lifetime in seconds (default: config.audio.signedUrlTtl)
+ * @returns {Object} Parameters with kid, expires and sig added (unchanged without an API key)
+ */
+function signParams(path, params, ttl = config.audio.signedUrlTtl) {
+    const apiKey = config.audio.apiKey;
+    if (!apiKey) {
+        return { ...params };
+    }
+
+    const signed = {
+        ...params,
+        kid: getKeyId(apiKey),
+        expires: Math.floor(Date.now() / 1000) + ttl,
+    };
+
+    signed.sig = createSignature(apiKey, path, signed);
+
+    return signed;
+}
+
+/**
+ * Build a signed audio server URL
+ * @param {string} path - Request path (e.g. /api/audio/stream)
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {string} Absolute URL
+ */
+function createSignedUrl(path, params, ttl) {
+    const url = new URL(`${config.audio.sourceEndpoint.replace(/\/$/, '')}${path}`);
+
+    for (const [name, value] of Object.entries(signParams(path, params, ttl))) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(name, String(value));
+        }
+    }
+
+    return url.toString();
+}
+
+module.exports = {
+    getAuthHeaders,
+    signParams,
+    createSignedUrl,
+};
@@ -0,0 +1,161 @@
+/**
+ * Audio Filter Helper
+ *
+ * Builds, validates and describes audio filter chains such as
+ * "bassboost+nightcore" or "eq:4,3,2,0,0,0,0,1,2,3+loudnorm". Chains are
+ * parsed by the audio server's own module (src/server/utils/audio-filters.js),
+ * so the bot rejects exactly the chains the server would reject.
+ */
+
+const {
+    parseFilterValues,
+    getFilterSlot,
+    parseFilterChain,
+    formatFilterChain,
+    normalizeFilterChain,
+} = require('../../../server/utils/audio-filters');
+
+// Centre frequencies of the 10-band equalizer, as shown to users
+const EQ_BANDS = ['31Hz', '62Hz', '125Hz', '250Hz', '500Hz', '1kHz', '2kHz', '4kHz', '8kHz', '16kHz'];
+
+// Built-in equalizer presets (gain in dB per band); guilds can save their own
+const EQ_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    bass: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    treble: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+    vocal: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+    rock: [4, 3, 2, 0, -1, -1, 0, 2, 3, 4],
+    pop: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2],
+    electronic: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5],
+};
+
+// Display names of the filters; unit is shown after the first value
+const FILTER_LABELS = {
+    eq: { label: 'EQ' },
+    bassboost: { label: 'Bass Boost' },
+    karaoke: { label: 'Karaoke' },
+    nightcore: { label: 'Nightcore' },
+    vaporwave: { label: 'Vaporwave' },
+    pitch: { label: 'Pitch', unit: '×' },
+    tempo: { label: 'Tempo', unit: '×' },
+    '8d': { label: '8D' },
+    rotation: { label: 'Rotation', unit: ' Hz' },
+    tremolo: { label: 'Tremolo', unit: ' Hz' },
+    loudnorm: { label: 'Normalize' },
+};
+
+/**
+ * Check whether a filter chain is valid
+ * @param {string} chain - Filter chain
+ * @returns {boolean} True if valid
+ */
+function isValidFilterChain(chain) {
+    try {
+        parseFilterChain(chain);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Combine filter chains into one
+ * @param {...string} chains - Filter chains or single filters (falsy entries are skipped)
+ * @returns {string} Normalized chain
+ * @throws {Error} If the combined chain is invalid
+ */
+function combineFilterChains(...chains) {
+    const parts = chains.filter(chain => chain && chain !== 'none');
+    return normalizeFilterChain(parts.join('+'));
+}
+
+/**
+ * Merge filters into an existing chain
+ * Filters in changes replace the ones in chain that change the same thing
+ * ("tempo:1.2+8d" merged with "tempo:1.5" gives "tempo:1.5+8d").
+ * @param {string} chain - Current filter chain
+ * @param {string} changes - Filters to add
+ * @returns {string} Normalized chain
+ * @throws {Error} If either chain is invalid
+ */
+function mergeFilterChains(chain, changes) {
+    const slotOf = ({ name }) => getFilterSlot(name);
+
+    const added = parseFilterChain(changes);
+    const replaced = new Set(added.map(slotOf));
+    const kept = parseFilterChain(chain).filter(filter => !replaced.has(slotOf(filter)));
+
+    return normalizeFilterChain(formatFilterChain([...kept, ...added]));
+}
+
+/**
+ * Describe a filter chain for display
+ * @param {string} chain - Filter chain
+ * @returns {string} Description (e.g. "Bass Boost + Tempo 1.25×"), "None" without filters
+ */
+function describeFilterChain(chain) {
+    let filters;
+    try {
+        filters = parseFilterChain(chain);
+    } catch (error) {
+        return 'None';
+    }
+
+    if (filters.length === 0) {
+        return 'None';
+    }
+
+    return filters.map(({ name, values }) => {
+        const { label, unit } = FILTER_LABELS[name] || { label: name };
+        return unit ? `${label} ${values[0]}${unit}` : label;
+    }).join(' + ');
+}
+
+/**
+ * Parse equalizer gains typed by a user
+ * @param {string} text - 10 gains in dB, separated by commas or spaces
+ * @returns {number[]} Gains
+ * @throws {Error} If there are not 10 gains or a gain is out of range
+ */
+function parseEqGains(text) {
+    const parts = String(text || '').split(/[\s,]+/).filter(Boolean);
+    if (parts.length !== EQ_BANDS.length) {
+        throw new Error(`Enter ${EQ_BANDS.length} gains (${EQ_BANDS.join(', ')}), e.g. \`${EQ_PRESETS.bass.join(',')}\``);
+    }
+
+    return parseFilterValues('eq', parts.join(','));
+}
+
+/**
+ * Format equalizer gains as a chain entry
+ * @param {number[]} gains - Gains in dB
+ * @returns {string} Filter (e.g. "eq:6,5,4,2,0,0,0,0,0,0")
+ */
+function formatEqFilter(gains) {
+    return `eq:${gains.join(',')}`;
+}
+
+/**
+ * Format equalizer gains per band for display
+ * @param {number[]} gains - Gains in dB
+ * @returns {string} Gains (e.g. "31Hz +6 · 62Hz +5 · …")
+ */
+function formatEqGains(gains) {
+    return gains
+        .map((gain, index) => `${EQ_BANDS[index]} ${gain > 0 ? '+' : ''}${gain}`)
+        .join(' · ');
+}
+
+module.exports = {
+    EQ_BANDS,
+    EQ_PRESETS,
+    parseFilterChain,
+    normalizeFilterChain,
+    isValidFilterChain,
+    combineFilterChains,
+    mergeFilterChains,
+    describeFilterChain,
+    parseEqGains,
+    formatEqFilter,
+    formatEqGains,
+};
@@ -0,0 +1,315 @@
+/**
+ * Cron Helper
+ *
+ * Parses standard 5-field cron expressions and computes next fire times
+ * in an IANA timezone. Field order: minute hour day-of-month month day-of-week.
+ * Supports wildcards, lists (1,2), ranges (1-5), steps (1-30/5, 10/5 and
+ * stepped wildcards), month and weekday names, and the @yearly/@monthly/
+ * @weekly/@daily/@hourly macros. Like Vixie cron, a day matches either day
+ * field when both are restricted. Across DST changes, skipped wall times do
+ * not fire and only jobs that run every hour fire again in a repeated hour.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Upper bound on search so impossible expressions (e.g. "0 0 31 2 *") terminate
+const MAX_SEARCH_YEARS = 8;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const formatters = new Map();
+
+/**
+ * Resolve a field value that may be a number or a name
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ * @private
+ */
+function resolveValue(value, field) {
+    if (field.names) {
+        const index = field.names.indexOf(value.toUpperCase());
+        if (index !== -1) {
+            return field.name === 'month' ? index + 1 : index;
+        }
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value: ${value}`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} is out of range (${field.min}-${field.max})`);
+    }
+
+    return number;
+}
+
+/**
+ * Parse a single cron field into the set of matching values
+ * @param {string} source - Field source text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ * @private
+ */
+function parseField(source, field) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const [range, stepText] = part.split('/');
+        let step = 1;
+
+        if (stepText !== undefined) {
+            if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                throw new Error(`Invalid step in ${field.name}: ${part}`);
+            }
+            step = parseInt(stepText, 10);
+        }
+
+        let start;
+        let end;
+
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = resolveValue(from, field);
+            end = resolveValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid range in ${field.name}: ${range}`);
+            }
+        } else {
+            start = resolveValue(range, field);
+            // "10/5" means every 5 starting at 10
+            end = stepText !== undefined ? field.max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression or macro
+ * @returns {Object} Parsed schedule with a Set per field
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression must be a non-empty string');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}`);
+    }
+
+    const parsed = { expression: normalized };
+    FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseField(parts[index], field);
+    });
+
+    // 7 is an alias for Sunday
+    if (parsed.dayOfWeek.delete(7)) {
+        parsed.dayOfWeek.add(0);
+    }
+
+    parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+    parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+    return parsed;
+}
+
+/**
+ * Check whether a string is a valid cron expression
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if valid
+ */
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get a cached wall-clock formatter for a timezone
+ * @param {string} timezone - Timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @private
+ */
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Get the wall-clock time of an instant in a timezone, encoded as a UTC timestamp
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timezone - Timezone name
+ * @returns {number} Wall-clock time as if it were UTC, in milliseconds
+ */
+function toWallClock(timestamp, timezone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(new Date(timestamp))) {
+        parts[type] = parseInt(value, 10);
+    }
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the real instants it occurs at
+ * @param {number} wallClock - Wall-clock time encoded as UTC milliseconds
+ * @param {string} timezone - Timezone name
+ * @returns {Array<number>} Instants in ascending order: none if a DST change skips
+ *   the time, two if a DST change repeats it
+ * @private
+ */
+function fromWallClock(wallClock, timezone) {
+    // Offsets are probed half a day either side, which covers every real DST shift
+    const instants = new Set();
+    for (const probe of [wallClock - 12 * 60 * MINUTE_MS, wallClock + 12 * 60 * MINUTE_MS]) {
+        const offset = toWallClock(probe, timezone) - probe;
+        const instant = wallClock - offset;
+        if (toWallClock(instant, timezone) === wallClock) {
+            instants.add(instant);
+        }
+    }
+
+    return Array.from(instants).sort((a, b) => a - b);
+}
+
+/**
+ * Check whether a wall-clock day matches the day fields
+ * @param {Object} parsed - Parsed cron schedule
+ * @param {Date} date - Wall-clock date (UTC fields)
+ * @returns {boolean} True if the day matches
+ * @private
+ */
+function matchesDay(parsed, date) {
+    const dayOfMonth = parsed.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = parsed.dayOfWeek.has(date.getUTCDay());
+
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Compute the next time a cron schedule fires after a given instant
+ * @param {string|Object} cron - Cron expression or result of parseCron
+ * @param {number|Date} from - Instant to search after (default: now)
+ * @param {string} timezone - IANA timezone (default: UTC)
+ * @returns {number|null} Next fire time in milliseconds, or null if it never fires
+ */
+function nextFireTime(cron, from = Date.now(), timezone = 'UTC') {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const start = from instanceof Date ? from.getTime() : from;
+
+    // Walk wall-clock time in the target timezone. Starting an hour back lets the
+    // walk revisit wall times that a DST fall-back is about to repeat; anything
+    // that does not land after `start` is filtered out below.
+    const wall = new Date(Math.floor(toWallClock(start, timezone) / MINUTE_MS) * MINUTE_MS - 60 * MINUTE_MS);
+    const limit = wall.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (wall.getUTCFullYear() <= limit) {
+        if (!parsed.month.has(wall.getUTCMonth() + 1)) {
+            wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+            wall.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!matchesDay(parsed, wall)) {
+            wall.setUTCDate(wall.getUTCDate() + 1);
+            wall.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.hour.has(wall.getUTCHours())) {
+            wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.minute.has(wall.getUTCMinutes())) {
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        const instants = fromWallClock(wall.getTime(), timezone);
+        const next = instants.find(instant => instant > start);
+
+        // A repeated wall time only fires again for jobs that run every hour
+        const repeated = next !== undefined && next !== instants[0];
+        if (next !== undefined && (!repeated || parsed.hour.size === 24)) {
+            return next;
+        }
+
+        // Skipped by a DST change, or already fired during a repeated hour
+        wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    isValidCron,
+    isValidTimezone,
+    nextFireTime,
+    toWallClock,
+    fromWallClock
+};
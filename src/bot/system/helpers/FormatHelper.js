@@ -33,7 +33,39 @@ function progressBar(current, total, size = 20) {
     return bar;
 }
 
+/**
+ * Format milliseconds as a compact timespan
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted timespan (e.g. "7d 12h", "45m", "30s")
+ */
+function formatTimespan(ms) {
+    const units = [
+        ['d', 24 * 60 * 60 * 1000],
+        ['h', 60 * 60 * 1000],
+        ['m', 60 * 1000],
+        ['s', 1000],
+    ];
+
+    const parts = [];
+    let remaining = Math.max(0, Math.floor(ms));
+
+    for (const [label, size] of units) {
+        const value = Math.floor(remaining / size);
+        if (value > 0) {
+            parts.push(`${value}${label}`);
+            remaining -= value * size;
+        }
+        // Two units are precise enough for display
+        if (parts.length === 2) {
+            break;
+        }
+    }
+
+    return parts.length > 0 ? parts.join(' ') : '0s';
+}
+
 module.exports = {
     formatDuration,
+    formatTimespan,
     progressBar
 };
@@ -0,0 +1,143 @@
+/**
+ * Lyrics Helper
+ *
+ * Splits lyrics into /lyrics pages and picks the lines shown on the now
+ * playing message in synced mode. Synced lines come from the audio server
+ * as { time, text } with time in ms, in time order.
+ */
+
+// Embed descriptions take 4096 characters; shorter pages read better
+const PAGE_LENGTH = 2000;
+
+// Embed field limit, for the synced lines on the now playing message
+const FIELD_LENGTH = 1024;
+
+const MAX_LINE_LENGTH = 120;
+
+/**
+ * Split text into chunks of at most maxLength characters at line breaks
+ * Lines longer than maxLength are cut.
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+function splitLines(text, maxLength) {
+    const chunks = [];
+    let chunk = '';
+
+    for (const line of text.split('\n')) {
+        const piece = line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+        if (chunk && chunk.length + 1 + piece.length > maxLength) {
+            chunks.push(chunk);
+            chunk = piece;
+        } else {
+            chunk = chunk ? `${chunk}\n${piece}` : piece;
+        }
+    }
+
+    if (chunk) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Split lyrics into pages
+ * Pages break between stanzas where possible, and inside a stanza only
+ * when it doesn't fit on a page by itself.
+ * @param {string} lyrics - Plain lyrics
+ * @param {number} maxLength - Maximum page length
+ * @returns {string[]} Pages (at least one)
+ */
+function splitLyrics(lyrics, maxLength = PAGE_LENGTH) {
+    const stanzas = String(lyrics || '')
+        .replace(/\r\n/g, '\n')
+        .split(/\n\s*\n/)
+        .map(stanza => stanza.trim())
+        .filter(Boolean);
+
+    const pages = [];
+    let page = '';
+
+    for (const stanza of stanzas) {
+        if (page && page.length + 2 + stanza.length <= maxLength) {
+            page = `${page}\n\n${stanza}`;
+            continue;
+        }
+
+        if (page) {
+            pages.push(page);
+        }
+
+        if (stanza.length <= maxLength) {
+            page = stanza;
+        } else {
+            const chunks = splitLines(stanza, maxLength);
+            page = chunks.pop();
+            pages.push(...chunks);
+        }
+    }
+
+    if (page) {
+        pages.push(page);
+    }
+    return pages.length > 0 ? pages : [''];
+}
+
+/**
+ * Find the line being sung at a position
+ * @param {Array<Object>} lines - Synced lines ({ time, text })
+ * @param {number} position - Position in ms
+ * @returns {number} Index of the line, -1 before the first line
+ */
+function findLineIndex(lines, position) {
+    let low = 0;
+    let high = lines.length - 1;
+    let index = -1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (lines[middle].time <= position) {
+            index = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Format the lines around the current one for the now playing message
+ * The current line is bold; instrumental breaks show as ♪.
+ * @param {Array<Object>} lines - Synced lines ({ time, text })
+ * @param {number} index - Index of the current line (-1 before the first line)
+ * @param {Object} options - Window options
+ * @param {number} options.before - Lines shown before the current one
+ * @param {number} options.after - Lines shown after the current one
+ * @returns {string} Lines, at most 1024 characters
+ */
+function formatSyncedLines(lines, index, { before = 2, after = 3 } = {}) {
+    const start = Math.max(0, index - before);
+    const end = Math.min(lines.length, Math.max(index, 0) + after + 1);
+
+    const text = lines.slice(start, end).map((line, i) => {
+        const content = line.text
+            ? (line.text.length > MAX_LINE_LENGTH ? `${line.text.slice(0, MAX_LINE_LENGTH - 1)}…` : line.text)
+            : '♪';
+        return start + i === index ? `**▸ ${content}**` : content;
+    });
+
+    if (index === -1) {
+        text.unshift('♪');
+    }
+
+    return splitLines(text.join('\n'), FIELD_LENGTH)[0] || '♪';
+}
+
+module.exports = {
+    splitLyrics,
+    findLineIndex,
+    formatSyncedLines,
+};
@@ -0,0 +1,92 @@
+/**
+ * Music Permission Helper
+ *
+ * Parses the music_dj_commands setting: the music commands only DJs may
+ * use, written as a list ("skip, stop, clear"), "all" or "none".
+ */
+
+// Music commands that can be restricted to DJs
+const DJ_COMMANDS = [
+    'play', 'search', 'pause', 'resume', 'skip', 'previous', 'replay', 'stop',
+    'shuffle', 'clear', 'remove', 'jump', 'move',
+    'volume', 'loop', 'autoplay', 'filter', 'filter-custom', 'seek',
+    'playlist-load',
+];
+
+// Commands restricted to DJs unless a guild changes it
+const DEFAULT_DJ_COMMANDS = [
+    'skip', 'previous', 'replay', 'stop',
+    'shuffle', 'clear', 'remove', 'jump', 'move',
+    'volume', 'loop', 'autoplay', 'filter', 'filter-custom', 'seek',
+];
+
+/**
+ * Parse a list of DJ commands
+ * @param {string} text - Commands separated by commas or spaces, "all" or "none"
+ * @returns {string[]} Commands, in DJ_COMMANDS order
+ * @throws {Error} If the list names an unknown command
+ */
+function parseDJCommands(text) {
+    const names = String(text ?? '').toLowerCase().split(/[\s,]+/)
+        .map(name => name.replace(/^\//, ''))
+        .filter(Boolean);
+
+    if (names.length === 0 || (names.length === 1 && names[0] === 'none')) {
+        return [];
+    }
+
+    if (names.length === 1 && names[0] === 'all') {
+        return [...DJ_COMMANDS];
+    }
+
+    const unknown = names.filter(name => !DJ_COMMANDS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown music command ${unknown.map(name => `\`${name}\``).join(', ')}. Valid commands: ${DJ_COMMANDS.join(', ')}`);
+    }
+
+    return DJ_COMMANDS.filter(name => names.includes(name));
+}
+
+/**
+ * Check whether a list of DJ commands is valid
+ * @param {string} text - Commands list
+ * @returns {boolean} True if valid
+ */
+function isValidDJCommands(text) {
+    try {
+        parseDJCommands(text);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Describe a list of DJ commands for display
+ * @param {string} text - Commands list
+ * @returns {string} Description (e.g. "/skip, /stop"), "None" without commands
+ */
+function describeDJCommands(text) {
+    let commands;
+    try {
+        commands = parseDJCommands(text);
+    } catch (error) {
+        commands = DEFAULT_DJ_COMMANDS;
+    }
+
+    if (commands.length === 0) {
+        return 'None';
+    }
+
+    return commands.length === DJ_COMMANDS.length
+        ? 'All music commands'
+        : commands.map(name => `/${name}`).join(', ');
+}
+
+module.exports = {
+    DJ_COMMANDS,
+    DEFAULT_DJ_COMMANDS,
+    parseDJCommands,
+    isValidDJCommands,
+    describeDJCommands,
+};
@@ -0,0 +1,197 @@
+/**
+ * Playlist File Helper
+ *
+ * Writes playlists to JSON and M3U files for /playlist-export and reads
+ * them back for /playlist-import. Only tracks with an http(s) URL are
+ * imported, as the bot plays tracks by URL.
+ */
+
+const PLAYLIST_FORMATS = ['json', 'm3u'];
+
+// Version of the exported JSON layout
+const JSON_FORMAT_VERSION = 1;
+
+/**
+ * Check whether a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is an http(s) URL
+ */
+function isTrackUrl(value) {
+    return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+}
+
+/**
+ * Normalize an imported track
+ * @param {Object} track - Track data
+ * @returns {Object|null} { title, url, duration, thumbnail } or null without a URL
+ */
+function normalizeTrack(track) {
+    if (!track || !isTrackUrl(track.url)) {
+        return null;
+    }
+
+    const url = track.url.trim();
+    const title = typeof track.title === 'string' && track.title.trim() ? track.title.trim() : url;
+    const duration = Number(track.duration);
+
+    return {
+        title: title.slice(0, 200),
+        url,
+        duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : 0,
+        thumbnail: isTrackUrl(track.thumbnail) ? track.thumbnail.trim() : null,
+    };
+}
+
+/**
+ * Write a playlist to a file
+ * @param {Object} playlist - Playlist (from PlaylistService.getPlaylist)
+ * @param {Object[]} tracks - Playlist tracks (duration in ms)
+ * @param {string} format - "json" or "m3u"
+ * @returns {string} File content
+ */
+function serializePlaylist(playlist, tracks, format) {
+    if (format === 'm3u') {
+        const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+        for (const track of tracks) {
+            const seconds = track.duration ? Math.round(track.duration / 1000) : -1;
+            lines.push(`#EXTINF:${seconds},${String(track.title).replace(/[\r\n]+/g, ' ')}`);
+            lines.push(track.url);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    if (format === 'json') {
+        return JSON.stringify({
+            version: JSON_FORMAT_VERSION,
+            name: playlist.name,
+            exportedAt: new Date().toISOString(),
+            tracks: tracks.map(track => ({
+                title: track.title,
+                url: track.url,
+                duration: track.duration || 0,
+                thumbnail: track.thumbnail || null,
+            })),
+        }, null, 2);
+    }
+
+    throw new Error(`Unknown playlist format: ${format}. Valid formats: ${PLAYLIST_FORMATS.join(', ')}`);
+}
+
+/**
+ * Read a JSON playlist: an export of this bot or a plain array of tracks
+ * @param {string} content - File content
+ * @returns {Object} { name, tracks, skipped }
+ * @private
+ */
+function parseJsonPlaylist(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.tracks;
+    if (!Array.isArray(entries)) {
+        throw new Error('The JSON file has no tracks list');
+    }
+
+    const tracks = entries.map(normalizeTrack).filter(Boolean);
+
+    return {
+        name: !Array.isArray(data) && typeof data.name === 'string' ? data.name.trim() || null : null,
+        tracks,
+        skipped: entries.length - tracks.length,
+    };
+}
+
+/**
+ * Read an M3U/M3U8 playlist
+ * #EXTINF lines give the title and duration of the entry after them;
+ * local file paths are skipped.
+ * @param {string} content - File content
+ * @returns {Object} { name, tracks, skipped }
+ * @private
+ */
+function parseM3uPlaylist(content) {
+    const tracks = [];
+    let name = null;
+    let info = null;
+    let skipped = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#')) {
+            const extinf = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i);
+            if (extinf) {
+                const seconds = Number(extinf[1]);
+                info = { title: extinf[2].trim(), duration: seconds > 0 ? seconds * 1000 : 0 };
+            } else if (/^#PLAYLIST:/i.test(line)) {
+                name = line.slice('#PLAYLIST:'.length).trim() || null;
+            }
+            continue;
+        }
+
+        const track = normalizeTrack({ ...info, url: line });
+        if (track) {
+            tracks.push(track);
+        } else {
+            skipped++;
+        }
+        info = null;
+    }
+
+    return { name, tracks, skipped };
+}
+
+/**
+ * Read a playlist file
+ * The format follows the file extension, or the content when it has none.
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @returns {Object} { name, tracks, skipped } - name from the file, or null
+ * @throws {Error} If the file can't be read or has no playable tracks
+ */
+function parsePlaylistFile(content, filename = '') {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const extension = filename.toLowerCase().split('.').pop();
+
+    let result;
+    if (extension === 'json') {
+        result = parseJsonPlaylist(text);
+    } else if (extension === 'm3u' || extension === 'm3u8') {
+        result = parseM3uPlaylist(text);
+    } else {
+        result = /^\s*[[{]/.test(text) ? parseJsonPlaylist(text) : parseM3uPlaylist(text);
+    }
+
+    if (result.tracks.length === 0) {
+        throw new Error('The file has no tracks with an http(s) URL');
+    }
+
+    return result;
+}
+
+/**
+ * Build a file name for an exported playlist
+ * @param {string} name - Playlist name
+ * @param {string} format - "json" or "m3u"
+ * @returns {string} File name (e.g. "road-trip.m3u")
+ */
+function playlistFilename(name, format) {
+    const base = String(name).toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50);
+
+    return `${base || 'playlist'}.${format}`;
+}
+
+module.exports = {
+    PLAYLIST_FORMATS,
+    serializePlaylist,
+    parsePlaylistFile,
+    playlistFilename,
+};
@@ -0,0 +1,218 @@
+/**
+ * Time Parser Helper
+ *
+ * Parses human-friendly durations and times used by reminders:
+ * relative durations ("in 2h30m", "90 minutes", "1 day and 4 hours")
+ * and wall-clock times ("tomorrow 9am", "friday at 18:30", "5pm",
+ * "2026-12-24 08:00") evaluated in an IANA timezone.
+ */
+
+const { toWallClock, fromWallClock } = require('./CronHelper');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const UNITS = {
+    s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+    m: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+    h: 60 * MINUTE_MS, hr: 60 * MINUTE_MS, hrs: 60 * MINUTE_MS, hour: 60 * MINUTE_MS, hours: 60 * MINUTE_MS,
+    d: DAY_MS, day: DAY_MS, days: DAY_MS,
+    w: 7 * DAY_MS, wk: 7 * DAY_MS, wks: 7 * DAY_MS, week: 7 * DAY_MS, weeks: 7 * DAY_MS,
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Time used when only a day is given ("tomorrow", "monday")
+const DEFAULT_HOUR = 9;
+
+/**
+ * Parse a relative duration
+ * @param {string} input - Duration text (e.g. "2h30m", "in 90 minutes")
+ * @returns {number|null} Duration in milliseconds, or null if not a duration
+ */
+function parseDuration(input) {
+    const text = String(input || '').toLowerCase().trim().replace(/^in\s+/, '');
+    if (!text) {
+        return null;
+    }
+
+    const tokenPattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const unit = UNITS[match[2]];
+        if (!unit) {
+            return null;
+        }
+
+        total += parseFloat(match[1]) * unit;
+        consumed += match[0];
+    }
+
+    // Everything except separators must belong to a number/unit pair
+    const leftover = text.replace(tokenPattern, '').replace(/\s+|,|\band\b/g, '');
+    if (!consumed || leftover) {
+        return null;
+    }
+
+    return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Parse a time of day
+ * @param {string} text - Time text (e.g. "9am", "18:30", "noon")
+ * @param {boolean} evening - Prefer PM for bare hours below 12 (used by "tonight")
+ * @returns {Object|null} { hour, minute } or null if invalid
+ * @private
+ */
+function parseTimeOfDay(text, evening = false) {
+    if (text === 'noon') {
+        return { hour: 12, minute: 0 };
+    }
+    if (text === 'midnight') {
+        return { hour: 0, minute: 0 };
+    }
+
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) {
+        return null;
+    }
+
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3];
+
+    if (minute > 59) {
+        return null;
+    }
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) {
+            return null;
+        }
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    } else if (evening && hour < 12) {
+        hour += 12;
+    }
+
+    return { hour, minute };
+}
+
+/**
+ * Convert a wall-clock time to an instant, moving past DST gaps
+ * @param {number} wall - Wall-clock time encoded as UTC milliseconds
+ * @param {string} timezone - Timezone name
+ * @returns {number} Instant in milliseconds
+ * @private
+ */
+function resolveWallClock(wall, timezone) {
+    const instants = fromWallClock(wall, timezone);
+    if (instants.length > 0) {
+        return instants[0];
+    }
+
+    // Time skipped by a DST change: use the same wall time an hour later
+    return fromWallClock(wall + 60 * MINUTE_MS, timezone)[0];
+}
+
+/**
+ * Parse an absolute time such as "tomorrow 9am" or "friday at 18:30"
+ * @param {string} input - Time text
+ * @param {number} now - Reference instant in milliseconds
+ * @param {string} timezone - IANA timezone the text is written in
+ * @returns {number|null} Instant in milliseconds, or null if not understood
+ */
+function parseDateTime(input, now = Date.now(), timezone = 'UTC') {
+    const text = String(input || '').toLowerCase().trim().replace(/^(on|at)\s+/, '');
+    if (!text) {
+        return null;
+    }
+
+    const nowWall = toWallClock(now, timezone);
+    const today = new Date(nowWall);
+    today.setUTCHours(0, 0, 0, 0);
+
+    // ISO-like date: 2026-12-24 or 2026-12-24 08:00
+    const dateMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:\s+(?:at\s+)?(.+))?$/);
+    if (dateMatch) {
+        const time = dateMatch[4] ? parseTimeOfDay(dateMatch[4]) : { hour: DEFAULT_HOUR, minute: 0 };
+        if (!time) {
+            return null;
+        }
+
+        const [year, month, day] = [dateMatch[1], dateMatch[2], dateMatch[3]].map(Number);
+        const wall = Date.UTC(year, month - 1, day, time.hour, time.minute);
+        if (new Date(wall).getUTCDate() !== day) {
+            return null;
+        }
+
+        return resolveWallClock(wall, timezone);
+    }
+
+    const dayPattern = `today|tonight|tomorrow|${WEEKDAYS.map(day => `${day.slice(0, 3)}(?:${day.slice(3)})?`).join('|')}`;
+    const match = text.match(new RegExp(`^(?:(${dayPattern})\\b)?\\s*(?:at\\s+)?(.*)$`));
+    if (!match) {
+        return null;
+    }
+
+    const dayWord = match[1];
+    const timeText = match[2].trim();
+
+    if (!dayWord && !timeText) {
+        return null;
+    }
+
+    const time = timeText
+        ? parseTimeOfDay(timeText, dayWord === 'tonight')
+        : { hour: dayWord === 'tonight' ? 20 : DEFAULT_HOUR, minute: 0 };
+    if (!time) {
+        return null;
+    }
+
+    let dayOffset = 0;
+    if (dayWord === 'tomorrow') {
+        dayOffset = 1;
+    } else if (dayWord && dayWord !== 'today' && dayWord !== 'tonight') {
+        const target = WEEKDAYS.findIndex(day => day.startsWith(dayWord.slice(0, 3)));
+        dayOffset = (target - today.getUTCDay() + 7) % 7;
+    }
+
+    let wall = today.getTime() + dayOffset * DAY_MS + (time.hour * 60 + time.minute) * MINUTE_MS;
+
+    // A bare time or weekday that already passed means the next occurrence
+    if (wall <= nowWall && dayWord !== 'today' && dayWord !== 'tonight') {
+        wall += dayWord && dayWord !== 'tomorrow' ? 7 * DAY_MS : DAY_MS;
+    }
+
+    return resolveWallClock(wall, timezone);
+}
+
+/**
+ * Parse when a reminder should fire
+ * Tries a relative duration first, then an absolute time.
+ * @param {string} input - User input (e.g. "in 2h30m", "tomorrow 9am")
+ * @param {Object} options - Parse options
+ * @param {number} options.now - Reference instant in milliseconds (default: now)
+ * @param {string} options.timezone - IANA timezone for absolute times (default: UTC)
+ * @returns {number|null} Instant in milliseconds, or null if not understood
+ */
+function parseReminderTime(input, options = {}) {
+    const now = options.now ?? Date.now();
+
+    const duration = parseDuration(input);
+    if (duration !== null) {
+        return now + duration;
+    }
+
+    return parseDateTime(input, now, options.timezone || 'UTC');
+}
+
+module.exports = {
+    parseDuration,
+    parseDateTime,
+    parseReminderTime
+};
@@ -249,6 +249,10 @@ class CoreLibrariesInitializer {
         const PaginationManager = require('../managers/PaginationManager');
         this.bot.paginationManager = new PaginationManager(this.bot.client);
         this.bot.client.paginationManager = this.bot.paginationManager;
+        this.bot.interactionComponentsManager.register_button(
+            'pagination:*',
+            (interaction) => this.bot.paginationManager.handle_pagination_button(interaction)
+        );
         logger.info('Pagination manager initialized');
     }
 
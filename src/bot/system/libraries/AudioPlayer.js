@@ -8,6 +8,7 @@ const {
 const axios = require('axios');
 const config = require('../../application/config/config');
 const { retryWithBackoff, isNetworkError } = require('../helpers/RetryHelper');
+const { createSignedUrl } = require('../helpers/AudioAuthHelper');
 const logger = require('../helpers/LoggerHelper');
 const { AudioError } = require('../core/Errors');
 
@@ -96,7 +97,7 @@ class AudioPlayer {
         try {
             // Use original query if available, otherwise use URL
             const query = track.query || track.url;
-            const stream = await this.getAudioStream(query, filter, position);
+            const stream = await this.getAudioStream(query, filter, position, track.matchDuration);
             // WebM/Opus stream from server — use WebmOpus to skip ffmpeg transcoding entirely
             return createAudioResource(stream, {
                 inputType: StreamType.WebmOpus,
@@ -118,9 +119,10 @@ class AudioPlayer {
      * @param {string} query - The track query or URL
      * @param {string} filter - Optional audio filter to apply
      * @param {number} position - Optional start position in seconds
+     * @param {number} matchDuration - Original duration of a track from a resolved link
      * @returns {Stream} The audio stream
      */
-    async getAudioStream(query, filter = 'none', position = 0) {
+    async getAudioStream(query, filter = 'none', position = 0, matchDuration = null) {
         // Use retry logic for getting audio stream
         return retryWithBackoff(
             async () => {
@@ -135,8 +137,12 @@ class AudioPlayer {
                         params.position = position;
                     }
 
-                    const response = await axios.get(`${this.audioServerUrl}/api/audio/stream`, {
-                        params,
+                    if (matchDuration) {
+                        params.duration = matchDuration;
+                    }
+
+                    // Signed per attempt so retries never reuse an expired URL
+                    const response = await axios.get(this.createStreamUrl(params), {
                         responseType: 'stream',
                         timeout: 30000,
                     });
@@ -154,8 +160,10 @@ class AudioPlayer {
                     }
 
                     if (error.response) {
+                        if (error.response.status === 401 || error.response.status === 403) {
+                            throw new AudioError('Audio server rejected the request, check AUDIO_SERVER_API_KEY');
+                        }
                         if (error.response.status === 404) throw new AudioError('Track not found or unavailable');
-                        if (error.response.status === 403) throw new AudioError('Access to track is restricted');
                         if (error.response.status >= 500) throw new AudioError('Audio server is experiencing issues');
                     }
 
@@ -173,6 +181,16 @@ class AudioPlayer {
         );
     }
 
+    /**
+     * Create a short-lived signed stream URL
+     * Unsigned when no AUDIO_SERVER_API_KEY is configured.
+     * @param {Object} params - Stream query parameters (query, filter, position)
+     * @returns {string} Stream URL
+     */
+    createStreamUrl(params) {
+        return createSignedUrl('/api/audio/stream', params);
+    }
+
     /**
      * Pause playback
      * @param {string} guildId - The guild ID
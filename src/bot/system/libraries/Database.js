@@ -207,8 +207,10 @@ class DatabaseLibrary {
                             return result.rows || [];
                         } else if (queryType === 'INSERT' || queryType === 'UPDATE' || queryType === 'DELETE') {
                             // INSERT/UPDATE/DELETE queries return metadata
+                            // (rowsAffected mirrors changes under LibSQL's name)
                             return {
                                 changes: result.rowsAffected || 0,
+                                rowsAffected: result.rowsAffected || 0,
                                 lastInsertRowid: result.lastInsertRowid || null
                             };
                         } else {
@@ -3,6 +3,8 @@
  * Manages music queues for all guilds
  * Handles queue operations and loop modes
  */
+const { isValidFilterChain, normalizeFilterChain } = require('../helpers/AudioFilterHelper');
+
 class QueueManager {
     constructor(instance, params = {}) {
         this.instance = instance;
@@ -21,7 +23,9 @@ class QueueManager {
                 current: null,
                 loop: 'off', // 'off', 'track', 'queue'
                 volume: 80,
-                filter: 'none', // 'none', 'bassboost', 'nightcore', 'vaporwave', '8d', 'karaoke'
+                filter: 'none', // Filter chain, e.g. 'bassboost+nightcore' (see AudioFilterHelper)
+                filterSet: false, // True once a filter was chosen, so the guild default no longer applies
+                autoplay: false, // Queue related tracks when the queue runs out
                 history: [],
             });
         }
@@ -182,6 +186,38 @@ class QueueManager {
         return queue.loop;
     }
 
+    /**
+     * Set autoplay mode
+     * @param {string} guildId - The guild ID
+     * @param {boolean} enabled - Whether autoplay is on
+     */
+    setAutoplay(guildId, enabled) {
+        const queue = this.getQueue(guildId);
+        queue.autoplay = Boolean(enabled);
+    }
+
+    /**
+     * Get autoplay mode
+     * @param {string} guildId - The guild ID
+     * @returns {boolean} True if autoplay is on
+     */
+    getAutoplay(guildId) {
+        const queue = this.getQueue(guildId);
+        return queue.autoplay;
+    }
+
+    /**
+     * Remove queued autoplay tracks
+     * @param {string} guildId - The guild ID
+     * @returns {number} Number of tracks removed
+     */
+    removeAutoplayTracks(guildId) {
+        const queue = this.getQueue(guildId);
+        const before = queue.tracks.length;
+        queue.tracks = queue.tracks.filter(track => !track.autoplay);
+        return before - queue.tracks.length;
+    }
+
     /**
      * Set volume
      * @param {string} guildId - The guild ID
@@ -208,17 +244,17 @@ class QueueManager {
     /**
      * Set audio filter
      * @param {string} guildId - The guild ID
-     * @param {string} filter - Filter type ('none', 'bassboost', 'nightcore', 'vaporwave', '8d', 'karaoke')
+     * @param {string} filter - Filter chain ('none', 'bassboost', 'bassboost+nightcore', 'tempo:1.2', ...)
      * @returns {boolean} True if filter set successfully
      */
     setFilter(guildId, filter) {
-        const validFilters = ['none', 'bassboost', 'nightcore', 'vaporwave', '8d', 'karaoke'];
-        if (!validFilters.includes(filter)) {
+        if (!isValidFilterChain(filter)) {
             return false;
         }
 
         const queue = this.getQueue(guildId);
-        queue.filter = filter;
+        queue.filter = normalizeFilterChain(filter);
+        queue.filterSet = true;
         return true;
     }
 
@@ -285,6 +321,37 @@ class QueueManager {
         return queue.history[queue.history.length - 1];
     }
 
+    /**
+     * Go back to the previous track from history
+     * The previous track and then the current one are put back at the front
+     * of the queue, so the next call to next() plays the previous track.
+     * @param {string} guildId - The guild ID
+     * @returns {Object|null} Previous track or null
+     */
+    back(guildId) {
+        const queue = this.getQueue(guildId);
+        const previous = queue.history.pop();
+        if (!previous) {
+            return null;
+        }
+
+        // In queue loop, next() also put the previous track back at the end
+        if (queue.loop === 'queue') {
+            const index = queue.tracks.lastIndexOf(previous);
+            if (index !== -1) {
+                queue.tracks.splice(index, 1);
+            }
+        }
+
+        if (queue.current) {
+            queue.tracks.unshift(queue.current);
+        }
+        queue.tracks.unshift(previous);
+        queue.current = null;
+
+        return previous;
+    }
+
     /**
      * Move track to different position
      * @param {string} guildId - The guild ID
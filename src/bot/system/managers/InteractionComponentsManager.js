@@ -42,7 +42,7 @@ class InteractionComponentsManager {
 
     /**
      * Register a select menu handler
-     * @param {string} custom_id - Select menu custom ID
+     * @param {string} custom_id - Select menu custom ID (supports wildcards)
      * @param {Function} handler - Select menu handler function
      * @param {Object} options - Select menu options
      * @returns {void}
@@ -60,7 +60,7 @@ class InteractionComponentsManager {
 
     /**
      * Register a modal handler
-     * @param {string} custom_id - Modal custom ID
+     * @param {string} custom_id - Modal custom ID (supports wildcards)
      * @param {Function} handler - Modal handler function
      * @param {Object} options - Modal options
      * @returns {void}
@@ -82,7 +82,7 @@ class InteractionComponentsManager {
      */
     async handle_button(interaction) {
         const custom_id = interaction.customId;
-        const button = this._find_button_handler(custom_id);
+        const button = this._find_handler(this.buttons, custom_id);
 
         if (!button) {
             await interaction.reply({
@@ -120,7 +120,7 @@ class InteractionComponentsManager {
      */
     async handle_select_menu(interaction) {
         const custom_id = interaction.customId;
-        const select_menu = this.select_menus.get(custom_id);
+        const select_menu = this._find_handler(this.select_menus, custom_id);
 
         if (!select_menu) {
             await interaction.reply({
@@ -158,7 +158,7 @@ class InteractionComponentsManager {
      */
     async handle_modal(interaction) {
         const custom_id = interaction.customId;
-        const modal = this.modals.get(custom_id);
+        const modal = this._find_handler(this.modals, custom_id);
 
         if (!modal) {
             await interaction.reply({
@@ -190,19 +190,20 @@ class InteractionComponentsManager {
     }
 
     /**
-     * Find button handler (supports wildcards)
-     * @param {string} custom_id - Button custom ID
-     * @returns {Object|null} Button handler or null
+     * Find a component handler (supports wildcards)
+     * @param {Collection} handlers - Registered handlers of one component type
+     * @param {string} custom_id - Component custom ID
+     * @returns {Object|null} Handler or null
      * @private
      */
-    _find_button_handler(custom_id) {
+    _find_handler(handlers, custom_id) {
         // Exact match
-        if (this.buttons.has(custom_id)) {
-            return this.buttons.get(custom_id);
+        if (handlers.has(custom_id)) {
+            return handlers.get(custom_id);
         }
 
         // Wildcard match (e.g., "pagination:*")
-        for (const [pattern, handler] of this.buttons.entries()) {
+        for (const [pattern, handler] of handlers.entries()) {
             if (pattern.includes('*')) {
                 const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
                 if (regex.test(custom_id)) {
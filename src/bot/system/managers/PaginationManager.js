@@ -39,6 +39,7 @@ class PaginationManager {
             pages,
             current_page: Math.max(0, Math.min(current_page, pages.length - 1)),
             user_id: interaction.user.id,
+            channel_id: interaction.channelId,
             message_id: null,
             timeout,
             ephemeral,
@@ -75,6 +76,27 @@ class PaginationManager {
      * @private
      */
     async _send_pagination_message(interaction, pagination_id, ephemeral) {
+        const payload = this._build_pagination_payload(pagination_id);
+
+        // Send or reply
+        if (interaction.replied || interaction.deferred) {
+            return await interaction.editReply(payload);
+        } else {
+            return await interaction.reply({
+                ...payload,
+                ephemeral,
+                fetchReply: true,
+            });
+        }
+    }
+
+    /**
+     * Build the embed and buttons of the current page
+     * @param {string} pagination_id - Pagination ID
+     * @returns {Object} Message payload
+     * @private
+     */
+    _build_pagination_payload(pagination_id) {
         const pagination = this.active_paginations.get(pagination_id);
         if (!pagination) {
             throw new Error('Pagination not found');
@@ -100,43 +122,39 @@ class PaginationManager {
             });
         }
 
-        // Create buttons
-        const buttons = this._create_pagination_buttons(pagination);
+        // A single page needs no buttons
+        const buttons = this._create_pagination_buttons(pagination_id, pagination);
 
-        // Send or reply
-        if (interaction.replied || interaction.deferred) {
-            return await interaction.editReply({
-                embeds: [embed],
-                components: buttons.length > 0 ? [buttons] : [],
-            });
-        } else {
-            return await interaction.reply({
-                embeds: [embed],
-                components: buttons.length > 0 ? [buttons] : [],
-                ephemeral,
-            });
-        }
+        return {
+            embeds: [embed],
+            components: buttons ? [buttons] : [],
+        };
     }
 
     /**
      * Create pagination buttons
+     * @param {string} pagination_id - Pagination ID
      * @param {Object} pagination - Pagination state
-     * @returns {ActionRowBuilder} Action row with buttons
+     * @returns {ActionRowBuilder|null} Action row with buttons
      * @private
      */
-    _create_pagination_buttons(pagination) {
+    _create_pagination_buttons(pagination_id, pagination) {
         const { pages, current_page, custom_buttons } = pagination;
 
         if (custom_buttons) {
             return custom_buttons;
         }
 
+        if (pages.length < 2) {
+            return null;
+        }
+
         const row = new ActionRowBuilder();
 
         // First page button
         row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`pagination:first:${pagination.message_id}`)
+                .setCustomId(`pagination:first:${pagination_id}`)
                 .setLabel('⏮️')
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(current_page === 0)
@@ -145,7 +163,7 @@ class PaginationManager {
         // Previous page button
         row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`pagination:prev:${pagination.message_id}`)
+                .setCustomId(`pagination:prev:${pagination_id}`)
                 .setLabel('◀️')
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(current_page === 0)
@@ -154,7 +172,7 @@ class PaginationManager {
         // Page indicator (non-interactive)
         row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`pagination:page:${pagination.message_id}`)
+                .setCustomId(`pagination:page:${pagination_id}`)
                 .setLabel(`${current_page + 1}/${pages.length}`)
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(true)
@@ -163,7 +181,7 @@ class PaginationManager {
         // Next page button
         row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`pagination:next:${pagination.message_id}`)
+                .setCustomId(`pagination:next:${pagination_id}`)
                 .setLabel('▶️')
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(current_page === pages.length - 1)
@@ -172,7 +190,7 @@ class PaginationManager {
         // Last page button
         row.addComponents(
             new ButtonBuilder()
-                .setCustomId(`pagination:last:${pagination.message_id}`)
+                .setCustomId(`pagination:last:${pagination_id}`)
                 .setLabel('⏭️')
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(current_page === pages.length - 1)
@@ -195,19 +213,8 @@ class PaginationManager {
         }
 
         const action = parts[1];
-        const message_id = parts[2];
-
-        // Find pagination by message ID
-        let pagination = null;
-        let pagination_id = null;
-
-        for (const [id, pag] of this.active_paginations.entries()) {
-            if (pag.message_id === message_id) {
-                pagination = pag;
-                pagination_id = id;
-                break;
-            }
-        }
+        const pagination_id = parts.slice(2).join(':');
+        const pagination = this.active_paginations.get(pagination_id);
 
         if (!pagination) {
             await interaction.reply({
@@ -252,8 +259,7 @@ class PaginationManager {
 
         // Update message
         try {
-            await this._send_pagination_message(interaction, pagination_id, false);
-            await interaction.deferUpdate();
+            await interaction.update(this._build_pagination_payload(pagination_id));
         } catch (error) {
             logger.error('Failed to update pagination', {
                 error: error.message,
@@ -278,11 +284,11 @@ class PaginationManager {
         }
 
         // Remove buttons from message
-        if (pagination.message_id) {
+        if (pagination.message_id && pagination.channel_id) {
             // Try to edit message to remove buttons
             // This is best-effort, don't throw if it fails
             this.client.channels
-                .fetch(pagination.message_id)
+                .fetch(pagination.channel_id)
                 .then((channel) => {
                     return channel.messages.fetch(pagination.message_id);
                 })
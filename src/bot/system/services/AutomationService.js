@@ -2,10 +2,33 @@
  * Automation Service
  * 
  * Handles scheduled jobs, reminders, and automated tasks
+ *
+ * Jobs run on a 5-field cron expression (in a timezone) or a fixed interval.
+ * Jobs scheduled with a registered handler name are persisted to the
+ * scheduled_jobs table and restored on startup; jobs given a plain function
+ * live in memory only. Reminders are persisted to the reminders table,
+ * delivered by DM (falling back to their channel) and can be snoozed.
  */
 
-const { Collection } = require('discord.js');
+const { Collection, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
 const logger = require('../helpers/LoggerHelper');
+const { parseCron, nextFireTime, isValidTimezone } = require('../helpers/CronHelper');
+const config = require('../../application/config/config');
+
+// setTimeout overflows above ~24.8 days, so longer waits are chained
+const MAX_TIMER_DELAY = 2147483647;
+
+const MISSED_RUN_POLICIES = ['skip', 'catch_up'];
+
+// Snooze choices offered on delivered reminders, in minutes
+const SNOOZE_OPTIONS = [
+    { label: '10 min', minutes: 10 },
+    { label: '1 hour', minutes: 60 },
+    { label: '1 day', minutes: 1440 },
+];
+
+// How long a delivered reminder can still be snoozed
+const SNOOZE_WINDOW_SECONDS = 24 * 60 * 60;
 
 class AutomationService {
     /**
@@ -18,49 +41,113 @@ class AutomationService {
         this.jobs = new Collection();
         this.reminders = new Collection();
         this.timers = new Collection();
+        this.handlers = new Collection();
+
+        // Persisted jobs waiting for their handler to be registered
+        this.pending_jobs = new Collection();
+
+        this.default_timezone = config.automation.timezone;
+        this.default_missed_runs = config.automation.missedRuns;
+
+        // Snooze buttons carry the reminder ID: reminder_snooze:<id>:<minutes>
+        if (client.interactionComponentsManager) {
+            client.interactionComponentsManager.register_button(
+                'reminder_snooze:*',
+                (interaction) => this._handle_snooze_button(interaction)
+            );
+        }
+    }
+
+    /**
+     * Register a named job handler
+     * Persisted jobs reference handlers by name, so handlers must be registered
+     * on every startup. Jobs loaded before their handler start once it arrives.
+     * @param {string} name - Handler name
+     * @param {Function} handler - Async function receiving ({ job_id, data, scheduled_at })
+     * @returns {void}
+     */
+    register_handler(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler ${name} must be a function`);
+        }
+
+        this.handlers.set(name, handler);
+
+        for (const [job_id, row] of this.pending_jobs) {
+            if (row.handler === name) {
+                this.pending_jobs.delete(job_id);
+                this._restore_job(row);
+            }
+        }
     }
 
     /**
      * Schedule a job
      * @param {string} job_id - Unique job identifier
-     * @param {Function} job_function - Function to execute
+     * @param {Function|string} job_function - Function to execute, or a registered handler name to persist the job
      * @param {string|number} schedule - Cron expression or interval in ms
      * @param {Object} options - Job options
-     * @returns {Promise<void>}
+     * @param {string} options.timezone - IANA timezone for cron schedules
+     * @param {string} options.missed_runs - 'skip' or 'catch_up' runs missed while offline
+     * @param {*} options.data - JSON-serializable data passed to the handler
+     * @param {boolean} options.enabled - Whether the job runs (default: true)
+     * @param {number} options.max_runs - Cancel after this many runs
+     * @returns {Promise<Object>} Scheduled job
      */
     async schedule_job(job_id, job_function, schedule, options = {}) {
         try {
-            // Parse schedule
-            let interval_ms = null;
-            if (typeof schedule === 'number') {
-                interval_ms = schedule;
-            } else if (typeof schedule === 'string') {
-                // Basic cron parsing (simplified)
-                interval_ms = this._parse_cron(schedule);
+            const handler = typeof job_function === 'string' ? job_function : null;
+            const fn = handler ? this.handlers.get(handler) : job_function;
+
+            if (typeof fn !== 'function') {
+                throw new Error(handler ? `Unknown job handler: ${handler}` : 'Job function must be a function');
             }
 
-            if (!interval_ms) {
-                throw new Error('Invalid schedule format');
+            const timezone = options.timezone || this.default_timezone;
+            if (!isValidTimezone(timezone)) {
+                throw new Error(`Invalid timezone: ${timezone}`);
+            }
+
+            const missed_runs = options.missed_runs || this.default_missed_runs;
+            if (!MISSED_RUN_POLICIES.includes(missed_runs)) {
+                throw new Error(`Invalid missed run policy: ${missed_runs}`);
             }
 
-            // Create job
+            // Replace any existing job with the same ID
+            this._stop_job_timer(job_id);
+
             const job = {
                 id: job_id,
-                function: job_function,
-                interval: interval_ms,
+                handler,
+                function: fn,
+                schedule: String(schedule),
+                ...this._parse_schedule(schedule),
+                timezone,
+                missed_runs,
+                data: options.data ?? null,
                 last_run: null,
-                next_run: Date.now() + interval_ms,
+                next_run: null,
                 enabled: options.enabled !== false,
                 max_runs: options.max_runs || null,
                 run_count: 0,
             };
 
+            job.next_run = this._compute_next_run(job, Date.now());
+
             this.jobs.set(job_id, job);
 
+            if (handler) {
+                await this._save_job(job);
+            }
+
             // Start job timer
             this._start_job_timer(job_id);
 
-            logger.info(`Scheduled job: ${job_id} (interval: ${interval_ms}ms)`);
+            logger.info(`Scheduled job: ${job_id} (${job.cron ? `cron: ${job.schedule} ${timezone}` : `interval: ${job.interval}ms`})`, {
+                next_run: job.next_run ? new Date(job.next_run).toISOString() : null,
+            });
+
+            return job;
         } catch (error) {
             logger.error('Failed to schedule job', {
                 error: error.message,
@@ -71,34 +158,77 @@ class AutomationService {
     }
 
     /**
-     * Cancel a scheduled job
+     * Cancel a scheduled job and remove it from the database
      * @param {string} job_id - Job identifier
-     * @returns {void}
+     * @returns {Promise<void>}
      */
-    cancel_job(job_id) {
+    async cancel_job(job_id) {
         const job = this.jobs.get(job_id);
-        if (!job) {
-            return;
-        }
+        this.pending_jobs.delete(job_id);
 
-        if (job.timer) {
-            clearTimeout(job.timer);
+        if (job) {
+            this._stop_job_timer(job_id);
+            this.jobs.delete(job_id);
         }
 
-        this.jobs.delete(job_id);
+        await this._delete_job(job_id);
+
         logger.info(`Cancelled job: ${job_id}`);
     }
 
+    /**
+     * Restore persisted jobs from the database
+     * Runs missed while the bot was offline are skipped or caught up
+     * according to each job's missed run policy.
+     * @returns {Promise<number>} Number of jobs restored
+     */
+    async load_jobs() {
+        if (!this.database) {
+            return 0;
+        }
+
+        try {
+            const rows = await this.database.query(
+                'SELECT * FROM scheduled_jobs WHERE enabled = 1'
+            );
+
+            let restored = 0;
+            for (const row of rows || []) {
+                if (this.handlers.has(row.handler)) {
+                    if (this._restore_job(row)) {
+                        restored++;
+                    }
+                } else {
+                    this.pending_jobs.set(row.id, row);
+                }
+            }
+
+            logger.info(`Restored ${restored} scheduled jobs`, {
+                waiting_for_handler: this.pending_jobs.size,
+            });
+
+            return restored;
+        } catch (error) {
+            logger.error('Failed to load scheduled jobs', {
+                error: error.message,
+            });
+            return 0;
+        }
+    }
+
     /**
      * Create a reminder
      * @param {string} reminder_id - Unique reminder identifier
      * @param {string} user_id - User ID
-     * @param {string} channel_id - Channel ID
+     * @param {string} channel_id - Channel ID used when the user can't be DMed
      * @param {string} message - Reminder message
      * @param {Date|number} remind_at - When to remind (Date or timestamp)
-     * @returns {Promise<void>}
+     * @param {Object} options - Reminder options
+     * @param {string} options.guild_id - Guild the reminder was created in
+     * @param {number} options.snooze_count - Times the reminder has been snoozed
+     * @returns {Promise<Object>} Created reminder
      */
-    async create_reminder(reminder_id, user_id, channel_id, message, remind_at) {
+    async create_reminder(reminder_id, user_id, channel_id, message, remind_at, options = {}) {
         try {
             const remind_timestamp = remind_at instanceof Date ? remind_at.getTime() : remind_at;
             const now = Date.now();
@@ -107,26 +237,28 @@ class AutomationService {
                 throw new Error('Reminder time must be in the future');
             }
 
+            this._stop_reminder_timer(reminder_id);
+
             const reminder = {
                 id: reminder_id,
                 user_id,
+                guild_id: options.guild_id || null,
                 channel_id,
                 message,
                 remind_at: remind_timestamp,
+                snooze_count: options.snooze_count || 0,
                 created_at: now,
             };
 
             this.reminders.set(reminder_id, reminder);
+            await this._save_reminder(reminder);
 
             // Schedule reminder
-            const delay = remind_timestamp - now;
-            const timer = setTimeout(async () => {
-                await this._execute_reminder(reminder_id);
-            }, delay);
+            this._start_reminder_timer(reminder_id);
 
-            reminder.timer = timer;
+            logger.info(`Created reminder: ${reminder_id} (in ${remind_timestamp - now}ms)`);
 
-            logger.info(`Created reminder: ${reminder_id} (in ${delay}ms)`);
+            return reminder;
         } catch (error) {
             logger.error('Failed to create reminder', {
                 error: error.message,
@@ -137,22 +269,111 @@ class AutomationService {
     }
 
     /**
-     * Cancel a reminder
+     * Cancel a reminder and remove it from the database
      * @param {string} reminder_id - Reminder identifier
-     * @returns {void}
+     * @returns {Promise<void>}
      */
-    cancel_reminder(reminder_id) {
-        const reminder = this.reminders.get(reminder_id);
-        if (!reminder) {
-            return;
+    async cancel_reminder(reminder_id) {
+        this._stop_reminder_timer(reminder_id);
+        this.reminders.delete(reminder_id);
+
+        await this._delete_reminder(reminder_id);
+
+        logger.info(`Cancelled reminder: ${reminder_id}`);
+    }
+
+    /**
+     * Get a user's pending reminders, soonest first
+     * @param {string} user_id - User ID
+     * @returns {Array} Pending reminders
+     */
+    get_user_reminders(user_id) {
+        return Array.from(this.reminders.values())
+            .filter((reminder) => reminder.user_id === user_id)
+            .sort((a, b) => a.remind_at - b.remind_at);
+    }
+
+    /**
+     * Snooze a delivered reminder
+     * @param {string} reminder_id - Reminder identifier
+     * @param {string} user_id - User requesting the snooze
+     * @param {number} minutes - Minutes to snooze for
+     * @returns {Promise<Object>} Result with success status and the re-armed reminder
+     */
+    async snooze_reminder(reminder_id, user_id, minutes) {
+        const row = this.database
+            ? await this.database.queryOne('SELECT * FROM reminders WHERE id = ?', [reminder_id])
+            : null;
+
+        if (!row) {
+            return { success: false, message: 'This reminder no longer exists.' };
         }
 
-        if (reminder.timer) {
-            clearTimeout(reminder.timer);
+        if (row.user_id !== user_id) {
+            return { success: false, message: 'Only the person who set this reminder can snooze it.' };
         }
 
-        this.reminders.delete(reminder_id);
-        logger.info(`Cancelled reminder: ${reminder_id}`);
+        if (!row.delivered_at || this.reminders.has(reminder_id)) {
+            return { success: false, message: 'This reminder is already scheduled.' };
+        }
+
+        const reminder = await this.create_reminder(
+            row.id,
+            row.user_id,
+            row.channel_id,
+            row.message,
+            Date.now() + minutes * 60 * 1000,
+            { guild_id: row.guild_id, snooze_count: (row.snooze_count || 0) + 1 }
+        );
+
+        return { success: true, reminder };
+    }
+
+    /**
+     * Restore pending reminders from the database
+     * Reminders that came due while the bot was offline are delivered immediately.
+     * @returns {Promise<number>} Number of reminders restored
+     */
+    async load_reminders() {
+        if (!this.database) {
+            return 0;
+        }
+
+        try {
+            const cutoff = Math.floor(Date.now() / 1000) - SNOOZE_WINDOW_SECONDS;
+            await this.database.query(
+                'DELETE FROM reminders WHERE delivered_at IS NOT NULL AND delivered_at < ?',
+                [cutoff]
+            );
+
+            const rows = await this.database.query(
+                'SELECT * FROM reminders WHERE delivered_at IS NULL'
+            );
+
+            for (const row of rows || []) {
+                this._stop_reminder_timer(row.id);
+                this.reminders.set(row.id, {
+                    id: row.id,
+                    user_id: row.user_id,
+                    guild_id: row.guild_id,
+                    channel_id: row.channel_id,
+                    message: row.message,
+                    remind_at: row.remind_at * 1000,
+                    snooze_count: row.snooze_count || 0,
+                    created_at: row.created_at * 1000,
+                });
+                this._start_reminder_timer(row.id);
+            }
+
+            logger.info(`Restored ${rows ? rows.length : 0} reminders`);
+
+            return rows ? rows.length : 0;
+        } catch (error) {
+            logger.error('Failed to load reminders', {
+                error: error.message,
+            });
+            return 0;
+        }
     }
 
     /**
@@ -166,6 +387,11 @@ class AutomationService {
             return;
         }
 
+        if (job.next_run === null) {
+            logger.warn(`Job ${job_id} has no upcoming run and will not fire`);
+            return;
+        }
+
         const delay = job.next_run - Date.now();
         if (delay <= 0) {
             // Execute immediately
@@ -173,11 +399,29 @@ class AutomationService {
             return;
         }
 
+        if (delay > MAX_TIMER_DELAY) {
+            job.timer = setTimeout(() => this._start_job_timer(job_id), MAX_TIMER_DELAY);
+            return;
+        }
+
         job.timer = setTimeout(async () => {
             await this._execute_job(job_id);
         }, delay);
     }
 
+    /**
+     * Stop a job's timer without removing the job
+     * @param {string} job_id - Job identifier
+     * @private
+     */
+    _stop_job_timer(job_id) {
+        const job = this.jobs.get(job_id);
+        if (job && job.timer) {
+            clearTimeout(job.timer);
+            job.timer = null;
+        }
+    }
+
     /**
      * Execute a job
      * @param {string} job_id - Job identifier
@@ -189,30 +433,247 @@ class AutomationService {
             return;
         }
 
+        const scheduled_at = job.next_run;
+        job.timer = null;
+
+        try {
+            await job.function({ job_id, data: job.data, scheduled_at });
+        } catch (error) {
+            logger.error('Job execution failed', {
+                error: error.message,
+                job_id,
+            });
+        }
+
+        // A failed run still counts, so a broken job cannot retry in a tight loop
+        job.last_run = Date.now();
+        job.run_count++;
+
+        // Check max runs
+        if (job.max_runs && job.run_count >= job.max_runs) {
+            await this.cancel_job(job_id);
+            return;
+        }
+
+        // The job may have been cancelled or replaced while it was running
+        if (this.jobs.get(job_id) !== job) {
+            return;
+        }
+
+        // Schedule next run
+        job.next_run = this._compute_next_run(job, job.last_run);
+        this._start_job_timer(job_id);
+
+        if (job.handler) {
+            await this._save_job(job);
+        }
+    }
+
+    /**
+     * Restore a persisted job row
+     * @param {Object} row - scheduled_jobs row
+     * @returns {boolean} True if the job was restored
+     * @private
+     */
+    _restore_job(row) {
         try {
-            await job.function();
-            job.last_run = Date.now();
-            job.run_count++;
-
-            // Check max runs
-            if (job.max_runs && job.run_count >= job.max_runs) {
-                this.cancel_job(job_id);
-                return;
+            const now = Date.now();
+            const job = {
+                id: row.id,
+                handler: row.handler,
+                function: this.handlers.get(row.handler),
+                schedule: row.schedule,
+                ...this._parse_schedule(/^\d+$/.test(row.schedule) ? Number(row.schedule) : row.schedule),
+                timezone: row.timezone,
+                missed_runs: row.missed_runs,
+                data: row.data ? JSON.parse(row.data) : null,
+                last_run: row.last_run ? row.last_run * 1000 : null,
+                next_run: row.next_run ? row.next_run * 1000 : null,
+                enabled: true,
+                max_runs: row.max_runs || null,
+                run_count: row.run_count || 0,
+            };
+
+            if (job.next_run === null || job.next_run <= now) {
+                if (job.next_run !== null && job.missed_runs === 'catch_up') {
+                    // Run once now for everything missed; the handler sees the original scheduled_at
+                    logger.info(`Catching up missed run of job ${job.id}`, {
+                        scheduled_at: new Date(job.next_run).toISOString(),
+                    });
+                } else {
+                    job.next_run = this._compute_next_run(job, now);
+                }
             }
 
-            // Schedule next run
-            job.next_run = Date.now() + job.interval;
-            this._start_job_timer(job_id);
+            this._stop_job_timer(job.id);
+            this.jobs.set(job.id, job);
+            this._start_job_timer(job.id);
+
+            return true;
         } catch (error) {
-            logger.error('Job execution failed', {
+            logger.error('Failed to restore scheduled job', {
+                error: error.message,
+                job_id: row.id,
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Parse a schedule into a cron or interval definition
+     * @param {string|number} schedule - Cron expression or interval in ms
+     * @returns {Object} { cron, interval }
+     * @private
+     */
+    _parse_schedule(schedule) {
+        if (typeof schedule === 'number') {
+            if (!Number.isFinite(schedule) || schedule <= 0) {
+                throw new Error('Invalid schedule format');
+            }
+            return { cron: null, interval: schedule };
+        }
+
+        if (typeof schedule === 'string') {
+            try {
+                return { cron: this._parse_cron(schedule), interval: null };
+            } catch (error) {
+                throw new Error(`Invalid schedule format: ${error.message}`);
+            }
+        }
+
+        throw new Error('Invalid schedule format');
+    }
+
+    /**
+     * Compute a job's next run after a given time
+     * @param {Object} job - Job
+     * @param {number} from - Timestamp in ms
+     * @returns {number|null} Next run timestamp in ms, or null if it never fires
+     * @private
+     */
+    _compute_next_run(job, from) {
+        if (job.cron) {
+            return nextFireTime(job.cron, from, job.timezone);
+        }
+        return from + job.interval;
+    }
+
+    /**
+     * Insert or update a persisted job
+     * @param {Object} job - Job
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _save_job(job) {
+        if (!this.database) {
+            return;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const to_seconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+
+        try {
+            await this.database.query(
+                `INSERT INTO scheduled_jobs
+                 (id, handler, schedule, timezone, missed_runs, data, enabled, max_runs, run_count, last_run, next_run, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(id) DO UPDATE SET
+                    handler = excluded.handler,
+                    schedule = excluded.schedule,
+                    timezone = excluded.timezone,
+                    missed_runs = excluded.missed_runs,
+                    data = excluded.data,
+                    enabled = excluded.enabled,
+                    max_runs = excluded.max_runs,
+                    run_count = excluded.run_count,
+                    last_run = excluded.last_run,
+                    next_run = excluded.next_run,
+                    updated_at = excluded.updated_at`,
+                [
+                    job.id,
+                    job.handler,
+                    job.schedule,
+                    job.timezone,
+                    job.missed_runs,
+                    job.data === null ? null : JSON.stringify(job.data),
+                    job.enabled ? 1 : 0,
+                    job.max_runs,
+                    job.run_count,
+                    to_seconds(job.last_run),
+                    to_seconds(job.next_run),
+                    now,
+                    now,
+                ]
+            );
+        } catch (error) {
+            // The in-memory job keeps running; only restart survival is lost
+            logger.warn('Failed to persist scheduled job', {
+                error: error.message,
+                job_id: job.id,
+            });
+        }
+    }
+
+    /**
+     * Delete a persisted job
+     * @param {string} job_id - Job identifier
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _delete_job(job_id) {
+        if (!this.database) {
+            return;
+        }
+
+        try {
+            await this.database.query('DELETE FROM scheduled_jobs WHERE id = ?', [job_id]);
+        } catch (error) {
+            logger.warn('Failed to delete scheduled job', {
                 error: error.message,
                 job_id,
             });
         }
     }
 
+    /**
+     * Start reminder timer
+     * @param {string} reminder_id - Reminder identifier
+     * @private
+     */
+    _start_reminder_timer(reminder_id) {
+        const reminder = this.reminders.get(reminder_id);
+        if (!reminder) {
+            return;
+        }
+
+        const delay = Math.max(0, reminder.remind_at - Date.now());
+
+        if (delay > MAX_TIMER_DELAY) {
+            reminder.timer = setTimeout(() => this._start_reminder_timer(reminder_id), MAX_TIMER_DELAY);
+            return;
+        }
+
+        reminder.timer = setTimeout(async () => {
+            await this._execute_reminder(reminder_id);
+        }, delay);
+    }
+
+    /**
+     * Stop a reminder's timer without removing it
+     * @param {string} reminder_id - Reminder identifier
+     * @private
+     */
+    _stop_reminder_timer(reminder_id) {
+        const reminder = this.reminders.get(reminder_id);
+        if (reminder && reminder.timer) {
+            clearTimeout(reminder.timer);
+            reminder.timer = null;
+        }
+    }
+
     /**
      * Execute a reminder
+     * Delivered by DM; falls back to the original channel if DMs are closed.
      * @param {string} reminder_id - Reminder identifier
      * @private
      */
@@ -222,19 +683,193 @@ class AutomationService {
             return;
         }
 
+        this.reminders.delete(reminder_id);
+        const payload = this._build_reminder_payload(reminder);
+
+        let delivered = false;
+
         try {
-            const channel = await this.client.channels.fetch(reminder.channel_id);
-            if (!channel) {
-                throw new Error('Channel not found');
+            const user = await this.client.users.fetch(reminder.user_id);
+            await user.send(payload);
+            delivered = true;
+        } catch (error) {
+            logger.debug(`Could not DM reminder ${reminder_id}, falling back to channel`, {
+                error: error.message,
+            });
+        }
+
+        if (!delivered && reminder.channel_id) {
+            try {
+                const channel = await this.client.channels.fetch(reminder.channel_id);
+                if (!channel) {
+                    throw new Error('Channel not found');
+                }
+
+                await channel.send({
+                    ...payload,
+                    content: `<@${reminder.user_id}>`,
+                    allowedMentions: { users: [reminder.user_id] },
+                });
+                delivered = true;
+            } catch (error) {
+                logger.error('Reminder execution failed', {
+                    error: error.message,
+                    reminder_id,
+                });
             }
+        }
+
+        // Undeliverable reminders are marked too, so they are not retried forever
+        await this._mark_reminder_delivered(reminder_id);
+    }
+
+    /**
+     * Build the reminder message with snooze buttons
+     * @param {Object} reminder - Reminder
+     * @returns {Object} Message payload
+     * @private
+     */
+    _build_reminder_payload(reminder) {
+        const late = Date.now() - reminder.remind_at > 60 * 1000;
+
+        const embed = new EmbedBuilder()
+            .setColor(0xf1c40f)
+            .setTitle('🔔 Reminder')
+            .setDescription(reminder.message)
+            .addFields({
+                name: 'Set',
+                value: `<t:${Math.floor(reminder.created_at / 1000)}:R>`,
+                inline: true,
+            })
+            .setTimestamp(reminder.remind_at);
+
+        if (late) {
+            embed.setFooter({ text: 'Delivered late because the bot was offline' });
+        } else if (reminder.snooze_count > 0) {
+            embed.setFooter({ text: `Snoozed ${reminder.snooze_count} time${reminder.snooze_count === 1 ? '' : 's'}` });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            SNOOZE_OPTIONS.map((option) =>
+                new ButtonBuilder()
+                    .setCustomId(`reminder_snooze:${reminder.id}:${option.minutes}`)
+                    .setLabel(`Snooze ${option.label}`)
+                    .setEmoji('⏰')
+                    .setStyle(ButtonStyle.Secondary)
+            )
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    /**
+     * Handle a snooze button press
+     * @param {ButtonInteraction} interaction - Button interaction
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handle_snooze_button(interaction) {
+        const [, reminder_id, minutes_text] = interaction.customId.split(':');
+        const minutes = parseInt(minutes_text, 10);
+
+        if (!SNOOZE_OPTIONS.some((option) => option.minutes === minutes)) {
+            await interaction.reply({ content: '❌ Invalid snooze option.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const result = await this.snooze_reminder(reminder_id, interaction.user.id, minutes);
+
+        if (!result.success) {
+            await interaction.reply({ content: `❌ ${result.message}`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const remind_at = Math.floor(result.reminder.remind_at / 1000);
+        await interaction.update({
+            content: `⏰ Snoozed until <t:${remind_at}:f> (<t:${remind_at}:R>)`,
+            components: [],
+        });
+    }
+
+    /**
+     * Insert or update a persisted reminder
+     * @param {Object} reminder - Reminder
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _save_reminder(reminder) {
+        if (!this.database) {
+            return;
+        }
+
+        try {
+            await this.database.query(
+                `INSERT INTO reminders
+                 (id, user_id, guild_id, channel_id, message, remind_at, snooze_count, delivered_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?)
+                 ON CONFLICT(id) DO UPDATE SET
+                    remind_at = excluded.remind_at,
+                    snooze_count = excluded.snooze_count,
+                    delivered_at = NULL`,
+                [
+                    reminder.id,
+                    reminder.user_id,
+                    reminder.guild_id,
+                    reminder.channel_id,
+                    reminder.message,
+                    Math.floor(reminder.remind_at / 1000),
+                    reminder.snooze_count,
+                    Math.floor(reminder.created_at / 1000),
+                ]
+            );
+        } catch (error) {
+            // The in-memory reminder still fires; only restart survival is lost
+            logger.warn('Failed to persist reminder', {
+                error: error.message,
+                reminder_id: reminder.id,
+            });
+        }
+    }
+
+    /**
+     * Mark a reminder as delivered, keeping it for the snooze window
+     * @param {string} reminder_id - Reminder identifier
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _mark_reminder_delivered(reminder_id) {
+        if (!this.database) {
+            return;
+        }
 
-            await channel.send(
-                `🔔 <@${reminder.user_id}> Reminder: ${reminder.message}`
+        try {
+            await this.database.query(
+                'UPDATE reminders SET delivered_at = ? WHERE id = ?',
+                [Math.floor(Date.now() / 1000), reminder_id]
             );
+        } catch (error) {
+            logger.warn('Failed to mark reminder delivered', {
+                error: error.message,
+                reminder_id,
+            });
+        }
+    }
+
+    /**
+     * Delete a persisted reminder
+     * @param {string} reminder_id - Reminder identifier
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _delete_reminder(reminder_id) {
+        if (!this.database) {
+            return;
+        }
 
-            this.reminders.delete(reminder_id);
+        try {
+            await this.database.query('DELETE FROM reminders WHERE id = ?', [reminder_id]);
         } catch (error) {
-            logger.error('Reminder execution failed', {
+            logger.warn('Failed to delete reminder', {
                 error: error.message,
                 reminder_id,
             });
@@ -242,19 +877,13 @@ class AutomationService {
     }
 
     /**
-     * Parse cron expression (simplified)
-     * @param {string} cron - Cron expression
-     * @returns {number} Interval in milliseconds
+     * Parse cron expression
+     * @param {string} cron - 5-field cron expression or macro (e.g. "@daily")
+     * @returns {Object} Parsed cron schedule
      * @private
      */
     _parse_cron(cron) {
-        // Simplified cron parser
-        // Format: "every X minutes/hours/days"
-        // Or standard cron: "*/5 * * * *" (every 5 minutes)
-
-        // For now, return a default interval
-        // Full cron parsing would require a library
-        return 60000; // 1 minute default
+        return parseCron(cron);
     }
 
     /**
@@ -278,15 +907,18 @@ class AutomationService {
      * @returns {void}
      */
     shutdown() {
-        // Cancel all jobs
+        // Stop all jobs; persisted jobs stay in the database for the next start
         for (const job_id of this.jobs.keys()) {
-            this.cancel_job(job_id);
+            this._stop_job_timer(job_id);
         }
+        this.jobs.clear();
+        this.pending_jobs.clear();
 
-        // Cancel all reminders
+        // Stop all reminders; they stay in the database for the next start
         for (const reminder_id of this.reminders.keys()) {
-            this.cancel_reminder(reminder_id);
+            this._stop_reminder_timer(reminder_id);
         }
+        this.reminders.clear();
 
         logger.info('Automation service shutdown');
     }
@@ -8,6 +8,9 @@ const { Role } = require('discord.js');
 const logger = require('../helpers/LoggerHelper');
 const { DatabaseError, PermissionError } = require('../core/Errors');
 
+// setTimeout cannot wait longer than this; longer rentals re-arm in steps
+const MAX_TIMER_DELAY = 2147483647;
+
 class RoleManagementService {
     /**
      * Create a new RoleManagementService instance
@@ -182,6 +185,34 @@ class RoleManagementService {
         }
     }
 
+    /**
+     * Check whether a role can be assigned by the bot and, optionally, by a member
+     * @param {Guild} guild - Discord guild
+     * @param {Role} role - Role to assign or remove
+     * @param {GuildMember} executor - Member requesting the change (optional)
+     * @returns {Object} Result with allowed flag and reason
+     */
+    check_role_hierarchy(guild, role, executor = null) {
+        if (!role || role.id === guild.id) {
+            return { allowed: false, reason: 'The @everyone role cannot be assigned' };
+        }
+
+        if (role.managed) {
+            return { allowed: false, reason: `${role.name} is managed by an integration` };
+        }
+
+        const bot_member = guild.members.me;
+        if (!bot_member || bot_member.roles.highest.position <= role.position) {
+            return { allowed: false, reason: `My highest role must be above ${role.name}` };
+        }
+
+        if (executor && executor.id !== guild.ownerId && executor.roles.highest.position <= role.position) {
+            return { allowed: false, reason: `Your highest role must be above ${role.name}` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
     /**
      * Set auto-role for new members
      * @param {string} guild_id - Guild ID
@@ -263,42 +294,47 @@ class RoleManagementService {
 
     /**
      * Set temporary role
+     * Setting the same role again replaces the previous expiry.
      * @param {string} guild_id - Guild ID
      * @param {string} user_id - User ID
      * @param {string} role_id - Role ID
      * @param {number} duration_ms - Duration in milliseconds
-     * @returns {Promise<void>}
+     * @returns {Promise<number>} Expiry time in milliseconds
      */
     async set_temporary_role(guild_id, user_id, role_id, duration_ms) {
         try {
             await this.add_role_to_member(guild_id, user_id, role_id, 'Temporary role');
 
             const key = `${guild_id}-${user_id}-${role_id}`;
-            const timer = setTimeout(async () => {
-                try {
-                    await this.remove_role_from_member(guild_id, user_id, role_id, 'Temporary role expired');
-                    this.temporary_roles.delete(key);
-                } catch (error) {
-                    logger.error('Failed to remove temporary role', {
-                        error: error.message,
-                        key,
-                    });
-                }
-            }, duration_ms);
+            const expires_at = Date.now() + duration_ms;
 
+            this._stop_temporary_role_timer(key);
             this.temporary_roles.set(key, {
                 guild_id,
                 user_id,
                 role_id,
-                expires_at: Date.now() + duration_ms,
-                timer,
+                expires_at,
+                timer: null,
             });
+            this._start_temporary_role_timer(key);
+
+            if (this.database) {
+                const now = Math.floor(Date.now() / 1000);
+                await this.database.query(
+                    `INSERT INTO temporary_roles (guild_id, user_id, role_id, expires_at, created_at)
+                     VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT(guild_id, user_id, role_id) DO UPDATE SET expires_at = excluded.expires_at`,
+                    [guild_id, user_id, role_id, Math.floor(expires_at / 1000), now]
+                );
+            }
 
             logger.info(`Set temporary role for ${user_id}`, {
                 guild_id,
                 role_id,
                 duration_ms,
             });
+
+            return expires_at;
         } catch (error) {
             logger.error('Failed to set temporary role', {
                 error: error.message,
@@ -311,6 +347,151 @@ class RoleManagementService {
             });
         }
     }
+
+    /**
+     * Get an active temporary role
+     * @param {string} guild_id - Guild ID
+     * @param {string} user_id - User ID
+     * @param {string} role_id - Role ID
+     * @returns {Object|null} Temporary role with expires_at in milliseconds, or null
+     */
+    get_temporary_role(guild_id, user_id, role_id) {
+        const temporary_role = this.temporary_roles.get(`${guild_id}-${user_id}-${role_id}`);
+        if (!temporary_role) {
+            return null;
+        }
+
+        return {
+            guild_id,
+            user_id,
+            role_id,
+            expires_at: temporary_role.expires_at,
+        };
+    }
+
+    /**
+     * Restore temporary roles from the database
+     * Roles that expired while the bot was offline are removed immediately.
+     * @returns {Promise<number>} Number of temporary roles restored
+     */
+    async load_temporary_roles() {
+        if (!this.database) {
+            return 0;
+        }
+
+        try {
+            const rows = await this.database.query('SELECT * FROM temporary_roles');
+
+            for (const row of rows || []) {
+                const key = `${row.guild_id}-${row.user_id}-${row.role_id}`;
+                this._stop_temporary_role_timer(key);
+                this.temporary_roles.set(key, {
+                    guild_id: row.guild_id,
+                    user_id: row.user_id,
+                    role_id: row.role_id,
+                    expires_at: row.expires_at * 1000,
+                    timer: null,
+                });
+                this._start_temporary_role_timer(key);
+            }
+
+            logger.info(`Restored ${rows ? rows.length : 0} temporary roles`);
+
+            return rows ? rows.length : 0;
+        } catch (error) {
+            logger.error('Failed to load temporary roles', {
+                error: error.message,
+            });
+            return 0;
+        }
+    }
+
+    /**
+     * Stop all temporary role timers
+     * Persisted temporary roles are kept and restored on the next start.
+     */
+    shutdown() {
+        for (const key of this.temporary_roles.keys()) {
+            this._stop_temporary_role_timer(key);
+        }
+        this.temporary_roles.clear();
+    }
+
+    /**
+     * Start (or re-arm) the expiry timer for a temporary role
+     * @param {string} key - Temporary role key
+     * @private
+     */
+    _start_temporary_role_timer(key) {
+        const temporary_role = this.temporary_roles.get(key);
+        if (!temporary_role) {
+            return;
+        }
+
+        const delay = Math.max(0, temporary_role.expires_at - Date.now());
+
+        if (delay > MAX_TIMER_DELAY) {
+            temporary_role.timer = setTimeout(() => this._start_temporary_role_timer(key), MAX_TIMER_DELAY);
+            return;
+        }
+
+        temporary_role.timer = setTimeout(async () => {
+            await this._expire_temporary_role(key);
+        }, delay);
+    }
+
+    /**
+     * Stop a temporary role's timer without removing it
+     * @param {string} key - Temporary role key
+     * @private
+     */
+    _stop_temporary_role_timer(key) {
+        const temporary_role = this.temporary_roles.get(key);
+        if (temporary_role && temporary_role.timer) {
+            clearTimeout(temporary_role.timer);
+            temporary_role.timer = null;
+        }
+    }
+
+    /**
+     * Remove an expired temporary role from the member and the database
+     * @param {string} key - Temporary role key
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _expire_temporary_role(key) {
+        const temporary_role = this.temporary_roles.get(key);
+        if (!temporary_role) {
+            return;
+        }
+
+        const { guild_id, user_id, role_id } = temporary_role;
+        this.temporary_roles.delete(key);
+
+        try {
+            await this.remove_role_from_member(guild_id, user_id, role_id, 'Temporary role expired');
+        } catch (error) {
+            // The member may have left or the role may be gone; the rental is over either way
+            logger.error('Failed to remove temporary role', {
+                error: error.message,
+                key,
+            });
+        }
+
+        try {
+            if (this.database) {
+                await this.database.query(
+                    'DELETE FROM temporary_roles WHERE guild_id = ? AND user_id = ? AND role_id = ?',
+                    [guild_id, user_id, role_id]
+                );
+            }
+        } catch (error) {
+            logger.error('Failed to delete temporary role', {
+                error: error.message,
+                key,
+            });
+        }
+    }
 }
 
 module.exports = RoleManagementService;
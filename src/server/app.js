@@ -13,6 +13,8 @@ const config = require('./config');
 const requestLogger = require('./middlewares/request-logger');
 const errorHandler = require('./middlewares/error-handler');
 const createRateLimiter = require('./middlewares/rate-limiter');
+const createAuthFailureLimiter = require('./middlewares/auth-failure-limiter');
+const createAuthenticator = require('./middlewares/auth');
 const timeout = require('./middlewares/timeout');
 
 /**
@@ -48,6 +50,12 @@ function createApp(routes) {
     }
     app.use(requestLogger);
 
+    // Failed authentication limits per IP (before authentication, which it counts)
+    app.use(createAuthFailureLimiter(config));
+
+    // Authentication (before rate limiting so limits apply per API key)
+    app.use(createAuthenticator(config));
+
     // Rate limiting
     app.use(createRateLimiter(config));
 
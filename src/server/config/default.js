@@ -22,6 +22,7 @@ module.exports = {
     extractorRetries: parseInt(process.env.YTDLP_EXTRACTOR_RETRIES) || 3,
     ytdlpCookiesFile: process.env.YTDLP_COOKIES_FILE || null,
     ytdlpCookiesBrowser: process.env.YTDLP_COOKIES_BROWSER || null,
+    maxConcurrentSearches: parseInt(process.env.YTDLP_MAX_CONCURRENT_SEARCHES) || 4, // further searches get 429
 
     // Cache
     cache: {
@@ -30,10 +31,35 @@ module.exports = {
         maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000,
     },
 
+    // Disk cache of opus/webm audio files, keyed by video ID
+    audioCache: {
+        enabled: process.env.AUDIO_CACHE_ENABLED !== 'false',
+        dir: process.env.AUDIO_CACHE_DIR || 'cache/audio',
+        maxSizeMb: parseInt(process.env.AUDIO_CACHE_MAX_SIZE_MB) || 2048,
+        maxFileSizeMb: parseInt(process.env.AUDIO_CACHE_MAX_FILE_SIZE_MB) || 50, // skips livestreams and very long videos
+        maxAgeHours: parseInt(process.env.AUDIO_CACHE_MAX_AGE_HOURS) || 168, // 7 days since last play
+    },
+
+    // Links from other streaming services (Spotify, Apple Music, Deezer)
+    resolvers: {
+        timeout: parseInt(process.env.RESOLVER_TIMEOUT) || 10000, // per HTTP request
+        maxTracks: parseInt(process.env.RESOLVER_MAX_TRACKS) || 500, // per album or playlist
+        matchCandidates: parseInt(process.env.RESOLVER_MATCH_CANDIDATES) || 5, // YouTube results scored per track
+    },
+
+    // Lyrics providers (LRCLIB)
+    lyrics: {
+        timeout: parseInt(process.env.LYRICS_TIMEOUT) || 10000, // per HTTP request
+        lrclibUrl: process.env.LYRICS_LRCLIB_URL || 'https://lrclib.net',
+        cacheTTL: parseInt(process.env.LYRICS_CACHE_TTL) || 3600000, // 1 hour
+    },
+
     // Rate limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
         max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // requests per window
+        keyMax: parseInt(process.env.RATE_LIMIT_KEY_MAX) || 300, // requests per window for each API key
+        authFailureMax: parseInt(process.env.RATE_LIMIT_AUTH_FAILURE_MAX) || 30, // rejected (401/403) requests per window for each IP
     },
 
     // Timeouts
@@ -50,6 +76,17 @@ module.exports = {
         },
     },
 
+    // Authentication
+    auth: {
+        // Accepted API keys (comma-separated); list old and new keys together while rotating
+        apiKeys: (process.env.AUDIO_SERVER_API_KEYS || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean),
+        // Longest lifetime accepted for signed URLs, in seconds
+        signedUrlMaxAge: parseInt(process.env.AUDIO_SERVER_SIGNED_URL_MAX_AGE) || 3600,
+    },
+
     // Security
     cors: {
         origin: process.env.CORS_ORIGIN || '*',
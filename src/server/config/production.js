@@ -21,5 +21,6 @@ module.exports = {
     rateLimit: {
         windowMs: 60000,
         max: 50,
+        keyMax: parseInt(process.env.RATE_LIMIT_KEY_MAX) || 300,
     },
 };
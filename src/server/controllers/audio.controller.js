@@ -11,7 +11,7 @@ const BaseController = require('./base.controller');
 class AudioController extends BaseController {
     /**
      * Create a new AudioController
-     * @param {Object} services - Services to inject (audioService, metadataService)
+     * @param {Object} services - Services to inject (audioService, metadataService, linkResolverService, lyricsService)
      */
     constructor(services) {
         super(services);
@@ -19,7 +19,9 @@ class AudioController extends BaseController {
 
     /**
      * Handle audio streaming endpoint
-     * GET /stream?query=<search>&start=<seconds>&filter=<preset>
+     * GET /stream?query=<search>&start=<seconds>&filter=<chain>&duration=<seconds>
+     * Tracks in the disk cache honour the Range header. With duration (tracks
+     * from a resolved link) the search result closest to it is streamed.
      * 
      * @param {Request} req - Express request object
      * @param {Response} res - Express response object
@@ -27,7 +29,7 @@ class AudioController extends BaseController {
      */
     async stream(req, res, next) {
         try {
-            const { query, start = 0, filter = 'none' } = req.query;
+            const { query, start = 0, filter = 'none', duration } = req.query;
 
             const audioService = this.getService('audioService');
             const metadataService = this.getService('metadataService');
@@ -35,14 +37,24 @@ class AudioController extends BaseController {
             // Normalize query the same way MetadataService does so cache lookup
             // always hits — prevents a second yt-dlp spawn on every /stream request
             const normalizedQuery = query.trim().toLowerCase();
-            const cached = metadataService.getFromCache(normalizedQuery);
+            let cached = metadataService.getFromCache(normalizedQuery);
+            let source = query;
+
+            // Match resolved tracks now; a plain search would take the first result
+            if (!cached && duration) {
+                cached = await metadataService.getTrackInfo(query, { durationSec: Number(duration) });
+                source = cached.url || query;
+            }
+
             const streamUrl = cached?.streamUrl || null;
 
             await audioService.streamAudio({
-                query,
+                query: source,
                 streamUrl,
+                track: cached,
                 start: Number(start),
                 filter,
+                range: req.headers.range || null,
                 response: res,
             });
         } catch (error) {
@@ -52,7 +64,7 @@ class AudioController extends BaseController {
 
     /**
      * Handle metadata fetching endpoint
-     * GET /metadata?query=<search>
+     * GET /metadata?query=<search>&duration=<seconds>
      * 
      * @param {Request} req - Express request object
      * @param {Response} res - Express response object
@@ -60,10 +72,12 @@ class AudioController extends BaseController {
      */
     async getMetadata(req, res, next) {
         try {
-            const { query } = req.query;
+            const { query, duration } = req.query;
 
             const metadataService = this.getService('metadataService');
-            const metadata = await metadataService.getTrackInfo(query);
+            const metadata = await metadataService.getTrackInfo(query, {
+                durationSec: duration ? Number(duration) : null,
+            });
 
             // Return metadata directly without wrapper for backward compatibility
             return res.json(metadata);
@@ -71,6 +85,106 @@ class AudioController extends BaseController {
             next(error);
         }
     }
+
+    /**
+     * Handle search endpoint
+     * GET /search?query=<search>&limit=<n>
+     * Returns the top results without stream URLs; pass a result's url to
+     * /stream or /metadata to play it.
+     * 
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async search(req, res, next) {
+        try {
+            const { query, limit = 5 } = req.query;
+
+            const metadataService = this.getService('metadataService');
+            const results = await metadataService.search(query, { limit: Number(limit) });
+
+            return res.json(results);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Handle playlist expansion endpoint
+     * GET /playlist?url=<playlist or mix URL>&offset=<n>&limit=<n>
+     * Returns one page of tracks; request the next page with nextOffset until it is null.
+     * 
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getPlaylist(req, res, next) {
+        try {
+            const { url, offset = 0, limit = 50 } = req.query;
+
+            const metadataService = this.getService('metadataService');
+            const playlist = await metadataService.getPlaylist(url, {
+                offset: Number(offset),
+                limit: Number(limit),
+            });
+
+            return res.json(playlist);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Handle link resolution endpoint
+     * GET /resolve?url=<Spotify, Apple Music or Deezer link>&offset=<n>&limit=<n>
+     * Returns one page of tracks, each with an "artist - title" query and its
+     * original duration to pass to /stream or /metadata.
+     * 
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async resolve(req, res, next) {
+        try {
+            const { url, offset = 0, limit = 50 } = req.query;
+
+            const linkResolverService = this.getService('linkResolverService');
+            const page = await linkResolverService.resolve(url, {
+                offset: Number(offset),
+                limit: Number(limit),
+            });
+
+            return res.json(page);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Handle lyrics endpoint
+     * GET /lyrics?title=<song or video title>&artist=<artist or channel>&duration=<seconds>
+     * Returns plain lyrics and, when available, synced lines ({ time, text } with time in ms).
+     * 
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getLyrics(req, res, next) {
+        try {
+            const { title, artist = null, duration } = req.query;
+
+            const lyricsService = this.getService('lyricsService');
+            const lyrics = await lyricsService.getLyrics({
+                title,
+                artist,
+                durationSec: duration ? Number(duration) : null,
+            });
+
+            return res.json(lyrics);
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = AudioController;
@@ -12,11 +12,12 @@ const { spawn } = require('child_process');
 class HealthController extends BaseController {
     /**
      * Create a new HealthController
-     * @param {Object} services - Services to inject (ytdlpProvider, ffmpegProvider, healthCheckService)
+     * @param {Object} services - Services to inject (ytdlpProvider, ffmpegProvider, audioCacheService, healthCheckService)
      */
     constructor(services) {
         super(services);
         this.healthCheckService = services.healthCheckService || null;
+        this.audioCacheService = services.audioCacheService || null;
     }
 
     /**
@@ -68,6 +69,11 @@ class HealthController extends BaseController {
                 },
             };
 
+            // Disk cache hit/miss statistics
+            if (this.audioCacheService) {
+                healthData.audioCache = this.audioCacheService.getStats();
+            }
+
             // Add bot health data if available
             if (botHealth) {
                 healthData.bot = botHealth;
@@ -0,0 +1,70 @@
+const axios = require('axios');
+const { ProviderError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * BaseLyricsProvider - Base class for lyrics providers
+ *
+ * A provider looks up the lyrics of a song by title and artist. LyricsService
+ * asks the providers in order and uses the first lyrics found. Subclasses set
+ * `name`, implement search() and are registered in lyrics/index.js.
+ *
+ * search() returns null when the provider has no lyrics for the song, or:
+ * {
+ *   title, artist, durationSec,
+ *   plain: string | null,  // Plain lyrics
+ *   lrc: string | null,    // Time-synced lyrics in LRC format
+ *   instrumental: boolean,
+ * }
+ */
+class BaseLyricsProvider {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Object} dependencies - { httpClient } (axios-compatible, injectable for tests)
+     */
+    constructor(config, dependencies = {}) {
+        this.config = config;
+        this.httpClient = dependencies.httpClient || axios;
+        this.timeout = config.get('lyrics.timeout', 10000);
+
+        // Display name of the provider, e.g. "LRCLIB"
+        this.name = 'Unknown';
+    }
+
+    /**
+     * Look up the lyrics of a song
+     * @param {Object} song - { title, artist, durationSec } (artist and durationSec may be null)
+     * @returns {Promise<Object|null>} Lyrics (see class description) or null
+     */
+    async search(song) {
+        throw new Error(`${this.constructor.name} must implement search()`);
+    }
+
+    /**
+     * GET a JSON document
+     * @param {string} url - URL
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object|null>} Parsed body, or null on 404
+     * @throws {ProviderError} On any other failure
+     */
+    async getJson(url, params = {}) {
+        try {
+            const response = await this.httpClient.get(url, {
+                params,
+                timeout: this.timeout,
+                responseType: 'json',
+                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; EyeDaemon)' },
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+
+            logger.warn(`${this.name} request failed`, { url, error: error.message });
+            throw new ProviderError(`${this.name} request failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = BaseLyricsProvider;
@@ -0,0 +1,29 @@
+/**
+ * Lyrics Providers
+ *
+ * Providers LyricsService asks for lyrics, in order; the first one that
+ * finds the song wins. To add a source, extend BaseLyricsProvider and add
+ * the class here.
+ */
+const BaseLyricsProvider = require('./base.lyrics-provider');
+const LrclibProvider = require('./lrclib.lyrics-provider');
+
+const PROVIDERS = [
+    LrclibProvider,
+];
+
+/**
+ * Create an instance of every built-in lyrics provider
+ * @param {Object} config - Configuration object
+ * @param {Object} dependencies - Dependencies passed to each provider ({ httpClient })
+ * @returns {BaseLyricsProvider[]} Providers
+ */
+function createLyricsProviders(config, dependencies = {}) {
+    return PROVIDERS.map(Provider => new Provider(config, dependencies));
+}
+
+module.exports = {
+    BaseLyricsProvider,
+    LrclibProvider,
+    createLyricsProviders,
+};
@@ -0,0 +1,73 @@
+const BaseLyricsProvider = require('./base.lyrics-provider');
+
+// Results further off the song's duration are other versions (live, extended, …)
+const MAX_DURATION_DIFFERENCE = 10;
+
+/**
+ * LrclibProvider - Looks up lyrics on LRCLIB (lrclib.net)
+ *
+ * LRCLIB is a free lyrics database with time-synced lyrics for most songs
+ * (no API key needed). Searches by title and artist; with the song's
+ * duration, results of other lengths are left out and the closest one wins.
+ */
+class LrclibProvider extends BaseLyricsProvider {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.name = 'LRCLIB';
+        this.apiUrl = config.get('lyrics.lrclibUrl', 'https://lrclib.net').replace(/\/+$/, '');
+    }
+
+    async search({ title, artist = null, durationSec = null }) {
+        const params = artist
+            ? { track_name: title, artist_name: artist }
+            : { q: title };
+
+        const results = await this.getJson(`${this.apiUrl}/api/search`, params);
+        if (!Array.isArray(results)) {
+            return null;
+        }
+
+        const best = this.pickResult(results, durationSec);
+        if (!best) {
+            return null;
+        }
+
+        return {
+            title: best.trackName || best.name || title,
+            artist: best.artistName || artist,
+            durationSec: best.duration ? Math.round(best.duration) : null,
+            plain: best.plainLyrics || null,
+            lrc: best.syncedLyrics || null,
+            instrumental: Boolean(best.instrumental),
+        };
+    }
+
+    /**
+     * Pick the result to use
+     * Results with synced lyrics win over plain ones, then the closest duration,
+     * then LRCLIB's order.
+     * @param {Array<Object>} results - LRCLIB records
+     * @param {number|null} durationSec - Song duration in seconds
+     * @returns {Object|null} Record, or null if none has lyrics
+     */
+    pickResult(results, durationSec) {
+        const difference = (result) => durationSec && result.duration
+            ? Math.abs(result.duration - durationSec)
+            : 0;
+
+        const candidates = results
+            .filter(result => result.plainLyrics || result.syncedLyrics || result.instrumental)
+            .filter(result => difference(result) <= MAX_DURATION_DIFFERENCE)
+            .map((result, index) => ({ result, index }));
+
+        candidates.sort((a, b) =>
+            Number(Boolean(b.result.syncedLyrics)) - Number(Boolean(a.result.syncedLyrics)) ||
+            difference(a.result) - difference(b.result) ||
+            a.index - b.index
+        );
+
+        return candidates[0]?.result || null;
+    }
+}
+
+module.exports = LrclibProvider;
@@ -0,0 +1,45 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const logger = require('../utils/logger');
+
+/**
+ * Failed authentication limiter middleware factory
+ * Runs before authentication and counts only requests answered with 401
+ * or 403, per IP. Once an IP reaches rateLimit.authFailureMax rejected
+ * requests in a window, all of its requests get 429 until the window
+ * ends, so API keys and signatures can't be guessed at full speed.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Function} Express rate limiting middleware
+ */
+function createAuthFailureLimiter(config) {
+    return rateLimit({
+        windowMs: config.get('rateLimit.windowMs', 60000),
+        max: config.get('rateLimit.authFailureMax', 30),    // Rejected requests per window for each IP (default: 30)
+
+        keyGenerator: (req) => ipKeyGenerator(req.ip),
+
+        // Only rejected credentials count against the limit
+        skipSuccessfulRequests: true,
+        requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+
+        handler: (req, res) => {
+            logger.warn('Too many failed authentication attempts', {
+                ip: req.ip,
+                path: req.path,
+                method: req.method,
+                correlationId: req.correlationId,
+            });
+
+            res.status(429).json({
+                success: false,
+                error: 'Too many failed authentication attempts, please try again later',
+                code: 'RATE_LIMIT_EXCEEDED',
+            });
+        },
+
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+}
+
+module.exports = createAuthFailureLimiter;
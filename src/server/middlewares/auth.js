@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+const { getKeyId, createSignature, safeEqual } = require('../utils/signature');
+
+// Paths that stay reachable without credentials (used by the bot's startup check)
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Authentication middleware factory
+ * Accepts either an API key (X-API-Key header or "Authorization: Bearer")
+ * or an HMAC-signed, short-lived URL (kid, expires and sig query parameters).
+ * Every key in auth.apiKeys is accepted, so keys can be rotated by adding
+ * the new key, switching clients over, then removing the old one.
+ *
+ * Sets req.auth = { keyId, method } on success. Missing or unknown
+ * credentials fail with 401, invalid or expired signatures with 403.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Function} Express middleware function
+ */
+function createAuthenticator(config) {
+    const keys = new Map(config.get('auth.apiKeys', []).map(secret => [getKeyId(secret), secret]));
+    const maxAge = config.get('auth.signedUrlMaxAge', 3600);
+
+    if (keys.size === 0) {
+        logger.warn('No AUDIO_SERVER_API_KEYS configured - audio endpoints are open to anyone who can reach the server');
+        return (req, res, next) => next();
+    }
+
+    logger.info('Audio server authentication enabled', { keyIds: [...keys.keys()] });
+
+    return (req, res, next) => {
+        if (PUBLIC_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        const authorization = req.get('authorization') || '';
+        const apiKey = req.get('x-api-key') ||
+            (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+        if (apiKey) {
+            const keyId = getKeyId(apiKey);
+            if (!keys.has(keyId) || !safeEqual(keys.get(keyId), apiKey)) {
+                return next(new AuthenticationError('Invalid API key'));
+            }
+
+            req.auth = { keyId, method: 'api_key' };
+            return next();
+        }
+
+        if (req.query && req.query.sig !== undefined) {
+            try {
+                req.auth = { keyId: verifySignedUrl(req, keys, maxAge), method: 'signed_url' };
+                return next();
+            } catch (error) {
+                return next(error);
+            }
+        }
+
+        return next(new AuthenticationError('Authentication required: provide an API key or a signed URL'));
+    };
+}
+
+/**
+ * Verify the signature of a signed URL
+ *
+ * @param {Request} req - Express request
+ * @param {Map} keys - Accepted keys by key ID
+ * @param {number} maxAge - Longest accepted lifetime in seconds
+ * @returns {string} ID of the key that signed the URL
+ * @throws {ForbiddenError} If the signature is invalid, expired or signed with an unknown key
+ */
+function verifySignedUrl(req, keys, maxAge) {
+    const { kid, expires, sig } = req.query;
+
+    const expiresAt = Number(expires);
+    if (typeof kid !== 'string' || typeof sig !== 'string' || !Number.isInteger(expiresAt)) {
+        throw new ForbiddenError('Malformed signed URL');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (expiresAt < now) {
+        throw new ForbiddenError('Signed URL has expired');
+    }
+    if (expiresAt - now > maxAge) {
+        throw new ForbiddenError(`Signed URLs may be valid for at most ${maxAge} seconds`);
+    }
+
+    // URLs signed with a key that has been rotated out stop working immediately
+    const secret = keys.get(kid);
+    if (!secret) {
+        throw new ForbiddenError('Signed URL uses an unknown key');
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    if (!safeEqual(createSignature(secret, path, req.query), sig)) {
+        throw new ForbiddenError('Invalid signature');
+    }
+
+    return kid;
+}
+
+module.exports = createAuthenticator;
@@ -11,6 +11,29 @@ const { AppError } = require('../utils/errors');
  * @param {Function} next - Express next function
  */
 function errorHandler(err, req, res, next) {
+    // Rejected credentials are routine on a shared host. Log them as warnings,
+    // without the query string and body, which can carry keys or signatures
+    if (err.statusCode === 401 || err.statusCode === 403) {
+        logger.warn('Request rejected', {
+            error: err.message,
+            code: err.code,
+            path: req.path,
+            method: req.method,
+            ip: req.ip,
+            correlationId: req.correlationId,
+        });
+
+        if (err.statusCode === 401) {
+            res.set('WWW-Authenticate', 'Bearer realm="audio"');
+        }
+
+        return res.status(err.statusCode).json({
+            success: false,
+            error: err.message,
+            code: err.code,
+        });
+    }
+
     // Log error with context
     logger.error('Request error', {
         error: err.message,
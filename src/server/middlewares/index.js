@@ -7,14 +7,18 @@ const errorHandler = require('./error-handler');
 const requestLogger = require('./request-logger');
 const validate = require('./validator');
 const createRateLimiter = require('./rate-limiter');
+const createAuthFailureLimiter = require('./auth-failure-limiter');
 const timeout = require('./timeout');
 const asyncHandler = require('./async-handler');
+const createAuthenticator = require('./auth');
 
 module.exports = {
     errorHandler,
     requestLogger,
     validate,
     createRateLimiter,
+    createAuthFailureLimiter,
     timeout,
     asyncHandler,
+    createAuthenticator,
 };
@@ -1,9 +1,11 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const logger = require('../utils/logger');
 
 /**
  * Rate limiter middleware factory
- * Creates rate limiting middleware with configurable limits
+ * Creates rate limiting middleware with configurable limits. Requests
+ * authenticated with an API key or signed URL share one bucket per key
+ * (rateLimit.keyMax); other requests are limited per IP (rateLimit.max).
  * 
  * @param {Object} config - Configuration object
  * @returns {Function} Express rate limiting middleware
@@ -11,7 +13,12 @@ const logger = require('../utils/logger');
 function createRateLimiter(config) {
     return rateLimit({
         windowMs: config.get('rateLimit.windowMs', 60000), // Time window in ms (default: 1 minute)
-        max: config.get('rateLimit.max', 100),              // Max requests per window (default: 100)
+        max: (req) => req.auth
+            ? config.get('rateLimit.keyMax', 300)           // Max requests per window for each API key (default: 300)
+            : config.get('rateLimit.max', 100),             // Max requests per window for each IP (default: 100)
+
+        // One bucket per API key, or per IP (IPv6 grouped by subnet) without one
+        keyGenerator: (req) => req.auth ? `key:${req.auth.keyId}` : ipKeyGenerator(req.ip),
 
         // Custom error message
         message: {
@@ -24,6 +31,7 @@ function createRateLimiter(config) {
         handler: (req, res) => {
             logger.warn('Rate limit exceeded', {
                 ip: req.ip,
+                keyId: req.auth?.keyId,
                 path: req.path,
                 method: req.method,
                 correlationId: req.correlationId,
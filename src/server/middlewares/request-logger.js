@@ -15,12 +15,17 @@ function requestLogger(req, res, next) {
 
     const startTime = Date.now();
 
+    // Signatures are credentials; keep them out of the logs
+    const query = req.query && req.query.sig !== undefined
+        ? { ...req.query, sig: '[redacted]' }
+        : req.query;
+
     // Log incoming request
     logger.info('Incoming request', {
         correlationId: req.correlationId,
         method: req.method,
         path: req.path,
-        query: req.query,
+        query,
         ip: req.ip,
         userAgent: req.get('user-agent'),
     });
@@ -1,5 +1,6 @@
 const { spawn } = require("child_process");
 const { ProviderError } = require("../utils/errors");
+const { buildFilterGraph } = require("../utils/audio-filters");
 const logger = require("../utils/logger");
 
 /**
@@ -17,9 +18,9 @@ class FfmpegProvider {
      * @param {Object} options - Processing options
      * @param {ReadableStream} options.inputStream - Input audio stream
      * @param {number} options.start - Start position in seconds
-     * @param {string} options.filter - Audio filter preset
+     * @param {string} options.filter - Audio filter chain
      * @param {string} options.format - Output format (webm, mp3)
-     * @returns {ReadableStream} Processed audio stream
+     * @returns {ReadableStream} Processed audio stream (its `exited` promise resolves with the ffmpeg exit code)
      */
     async processAudio({
         inputStream,
@@ -54,6 +55,11 @@ class FfmpegProvider {
 
         const process = spawn(this.ffmpegPath, args);
 
+        process.stdout.exited = new Promise((resolve) => {
+            process.on("close", resolve);
+            process.on("error", () => resolve(null));
+        });
+
         // Pipe input to ffmpeg
         inputStream.pipe(process.stdin);
 
@@ -95,46 +101,25 @@ class FfmpegProvider {
     }
 
     /**
-     * Build ffmpeg filter arguments based on preset
-     * @param {string} preset - Filter preset name or dynamic filter
+     * Build ffmpeg filter arguments for a filter chain
+     * @param {string} chain - Filter chain, e.g. "bassboost+tempo:1.2" (see utils/audio-filters.js)
      * @returns {Array<string>} ffmpeg arguments for the filter
      */
-    buildFilterArgs(preset) {
-        if (!preset || preset === "none") {
+    buildFilterArgs(chain) {
+        let graph;
+        try {
+            graph = buildFilterGraph(chain);
+        } catch (error) {
+            logger.warn("Invalid filter chain, using none", { chain, error: error.message });
             return [];
         }
 
-        // Predefined filter presets
-        const filters = {
-            bassboost: ["-af", "bass=g=10"],
-            nightcore: ["-af", "asetrate=48000*1.1,atempo=1.1,aresample=48000"],
-            vaporwave: ["-af", "asetrate=44100*0.85,atempo=1,aresample=44100"],
-            "8d": ["-af", "apulsator=mode=sine:hz=0.09"],
-            karaoke: ["-af", "stereotools=mlev=0.015"],
-        };
-
-        if (filters[preset]) {
-            logger.debug("Using predefined filter", { preset });
-            return filters[preset];
-        }
-
-        // Handle dynamic filters
-        if (preset.startsWith("pitch:")) {
-            const pitchValue = preset.split(":")[1];
-            const pitch = Math.max(0.5, Math.min(2, Number(pitchValue) || 1));
-            logger.debug("Using dynamic pitch filter", { preset, pitch });
-            return ["-af", `asetrate=48000*${pitch},aresample=48000`];
-        }
-
-        if (preset.startsWith("speed:")) {
-            const speedValue = preset.split(":")[1];
-            const speed = Math.max(0.5, Math.min(2, Number(speedValue) || 1));
-            logger.debug("Using dynamic speed filter", { preset, speed });
-            return ["-af", `atempo=${speed}`];
+        if (!graph) {
+            return [];
         }
 
-        logger.warn("Unknown filter preset, using none", { preset });
-        return [];
+        logger.debug("Using filter chain", { chain, graph });
+        return ["-af", graph];
     }
 }
 
@@ -5,6 +5,15 @@ const logger = require("../utils/logger");
 // Regex to detect YouTube URLs — skip ytsearch prefix for direct URLs
 const YOUTUBE_URL_REGEX = /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)\//;
 
+// Video ID in watch, short, embed and youtu.be URLs
+const YOUTUBE_ID_REGEX = /(?:[?&]v=|youtu\.be\/|\/(?:shorts|embed|live)\/)([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/;
+
+// Playlist (list=PL…) and mix (list=RD…) URLs, with or without a video ID
+const YOUTUBE_PLAYLIST_REGEX = /[?&]list=[A-Za-z0-9_-]+/;
+
+// Placeholder entries yt-dlp lists for videos that can't be played
+const UNAVAILABLE_TITLES = ["[Private video]", "[Deleted video]"];
+
 /**
  * YtdlpProvider - Wrapper for yt-dlp operations
  * Handles metadata fetching and audio stream extraction from YouTube
@@ -37,14 +46,38 @@ class YtdlpProvider {
         return YOUTUBE_URL_REGEX.test(query) ? query : `ytsearch1:${query}`;
     }
 
+    /**
+     * Extract the video ID from a YouTube URL
+     * @param {string} query - Search query or YouTube URL
+     * @returns {string|null} Video ID, or null for search queries
+     */
+    getVideoId(query) {
+        if (!YOUTUBE_URL_REGEX.test(query)) {
+            return null;
+        }
+
+        const match = query.match(YOUTUBE_ID_REGEX);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check whether a URL points to a YouTube playlist or mix
+     * @param {string} query - Search query or YouTube URL
+     * @returns {boolean}
+     */
+    isPlaylistUrl(query) {
+        return YOUTUBE_URL_REGEX.test(query) && YOUTUBE_PLAYLIST_REGEX.test(query);
+    }
+
     /**
      * Common yt-dlp performance flags shared by all invocations
+     * @param {boolean} playlist - Expand playlists instead of taking the single video
      * @returns {string[]}
      */
-    commonFlags() {
+    commonFlags(playlist = false) {
         const flags = [
             "--no-update",                          // Never check for updates (saves ~200-500ms)
-            "--no-playlist",                        // Never expand playlists
+            playlist ? "--yes-playlist" : "--no-playlist", // Only expand playlists when asked to
             "--no-check-certificate",               // Skip SSL handshake overhead
             "--no-cache-dir",                       // Skip disk cache I/O
             "--socket-timeout", String(this.socketTimeout),
@@ -73,19 +106,143 @@ class YtdlpProvider {
     async getMetadata(query) {
         const input = this.resolveInput(query);
 
-        return new Promise((resolve, reject) => {
-            const args = [
-                "-j",               // Dump JSON, no download (--skip-download is redundant with -j)
-                "-f", this.audioFormat,
-                ...this.commonFlags(),
-                "--no-write-thumbnail",
-                "--no-write-description",
-                "--no-write-info-json",
-                input,
-            ];
-
-            logger.debug("Spawning yt-dlp for metadata", { query });
+        const args = [
+            "-j",               // Dump JSON, no download (--skip-download is redundant with -j)
+            "-f", this.audioFormat,
+            ...this.commonFlags(),
+            "--no-write-thumbnail",
+            "--no-write-description",
+            "--no-write-info-json",
+            input,
+        ];
 
+        logger.debug("Spawning yt-dlp for metadata", { query });
+
+        const data = await this.runJson(args, query);
+        const result = data.entries?.[0] || data;
+
+        // result.url is the direct CDN audio URL (streamable).
+        // result.webpage_url is the YouTube watch page — NOT streamable.
+        // Only attach streamUrl if it's a real CDN URL (not a youtube.com URL).
+        const rawUrl = result.url || '';
+        let isDirectCdn = false;
+        if (rawUrl) {
+            try {
+                const urlObj = new URL(rawUrl);
+                const hostname = urlObj.hostname.toLowerCase();
+                // Check exact hostname match or subdomain match to prevent bypass
+                const isYoutubeDomain =
+                    hostname === 'youtube.com' ||
+                    hostname === 'www.youtube.com' ||
+                    hostname === 'youtu.be' ||
+                    hostname === 'www.youtu.be' ||
+                    hostname.endsWith('.youtube.com') ||
+                    hostname.endsWith('.youtu.be');
+                isDirectCdn = !isYoutubeDomain;
+            } catch (e) {
+                // Invalid URL, treat as not direct CDN
+                isDirectCdn = false;
+            }
+        }
+        result.streamUrl = isDirectCdn ? rawUrl : null;
+
+        logger.debug("yt-dlp metadata fetched", { query, title: result.title });
+        return result;
+    }
+
+    /**
+     * List the entries of a playlist or mix without resolving each video.
+     * Only the flat entry data (ID, title, duration, channel) is fetched, so a
+     * page of 100 tracks costs about as much as a single metadata lookup.
+     * @param {string} url - Playlist or mix URL
+     * @param {number} start - 1-based index of the first entry
+     * @param {number} end - 1-based index of the last entry (inclusive)
+     * @returns {Promise<Object>} { id, title, url, uploader, totalTracks, entryCount, entries }
+     *   entryCount counts every listed entry, entries only the playable ones
+     *   (each with its 1-based playlist position)
+     */
+    async getPlaylist(url, start, end) {
+        const args = [
+            "-J",               // One JSON document for the whole playlist
+            "--flat-playlist",  // Don't resolve formats of every entry
+            "--playlist-items", `${start}:${end}`,
+            ...this.commonFlags(true),
+            url,
+        ];
+
+        logger.debug("Spawning yt-dlp for playlist", { url, start, end });
+
+        const data = await this.runJson(args, url);
+        const listed = Array.isArray(data.entries) ? data.entries : [];
+
+        const entries = listed
+            .map((entry, index) => ({ ...this.toEntry(entry), position: start + index }))
+            .filter(entry => entry.id && !UNAVAILABLE_TITLES.includes(entry.title));
+
+        logger.debug("yt-dlp playlist fetched", { url, title: data.title, entries: entries.length });
+
+        return {
+            id: data.id || null,
+            title: data.title || "Untitled playlist",
+            url: data.webpage_url || url,
+            uploader: data.uploader || data.channel || null,
+            // Mixes have no fixed length
+            totalTracks: Number.isInteger(data.playlist_count) ? data.playlist_count : null,
+            entryCount: listed.length,
+            entries,
+        };
+    }
+
+    /**
+     * Search YouTube without resolving each result
+     * @param {string} query - Search query
+     * @param {number} count - Number of results
+     * @returns {Promise<Object[]>} Results in YouTube's order ({ id, title, url, duration, thumbnail, uploader })
+     */
+    async search(query, count = 5) {
+        const args = [
+            "-J",
+            "--flat-playlist",
+            ...this.commonFlags(true),
+            `ytsearch${count}:${query}`,
+        ];
+
+        logger.debug("Spawning yt-dlp for search", { query, count });
+
+        const data = await this.runJson(args, query);
+
+        return (data.entries || [])
+            .map(entry => this.toEntry(entry))
+            .filter(entry => entry.id && !UNAVAILABLE_TITLES.includes(entry.title));
+    }
+
+    /**
+     * Convert a flat playlist or search entry
+     * @param {Object} entry - yt-dlp entry
+     * @returns {Object} { id, title, url, duration, thumbnail, uploader }
+     */
+    toEntry(entry) {
+        return {
+            id: entry.id,
+            title: entry.title || "Unknown title",
+            url: entry.url && YOUTUBE_URL_REGEX.test(entry.url)
+                ? entry.url
+                : `https://www.youtube.com/watch?v=${entry.id}`,
+            duration: entry.duration || 0,
+            thumbnail: entry.thumbnails?.[entry.thumbnails.length - 1]?.url || null,
+            uploader: entry.uploader || entry.channel || null,
+        };
+    }
+
+    /**
+     * Run yt-dlp and parse its JSON output
+     * @param {string[]} args - yt-dlp arguments
+     * @param {string} query - Query or URL, for logging
+     * @returns {Promise<Object>} Parsed JSON
+     * @private
+     */
+    runJson(args, query) {
+        return new Promise((resolve, reject) => {
             const proc = spawn(this.ytdlpPath, args);
             let output = "";
             let errorOutput = "";
@@ -108,36 +265,7 @@ class YtdlpProvider {
                 }
 
                 try {
-                    const data = JSON.parse(output);
-                    const result = data.entries?.[0] || data;
-
-                    // result.url is the direct CDN audio URL (streamable).
-                    // result.webpage_url is the YouTube watch page — NOT streamable.
-                    // Only attach streamUrl if it's a real CDN URL (not a youtube.com URL).
-                    const rawUrl = result.url || '';
-                    let isDirectCdn = false;
-                    if (rawUrl) {
-                        try {
-                            const urlObj = new URL(rawUrl);
-                            const hostname = urlObj.hostname.toLowerCase();
-                            // Check exact hostname match or subdomain match to prevent bypass
-                            const isYoutubeDomain =
-                                hostname === 'youtube.com' ||
-                                hostname === 'www.youtube.com' ||
-                                hostname === 'youtu.be' ||
-                                hostname === 'www.youtu.be' ||
-                                hostname.endsWith('.youtube.com') ||
-                                hostname.endsWith('.youtu.be');
-                            isDirectCdn = !isYoutubeDomain;
-                        } catch (e) {
-                            // Invalid URL, treat as not direct CDN
-                            isDirectCdn = false;
-                        }
-                    }
-                    result.streamUrl = isDirectCdn ? rawUrl : null;
-
-                    logger.debug("yt-dlp metadata fetched", { query, title: result.title });
-                    resolve(result);
+                    resolve(JSON.parse(output));
                 } catch (err) {
                     logger.error("Failed to parse yt-dlp metadata", { error: err.message });
                     reject(new ProviderError("Failed to parse metadata"));
@@ -155,6 +283,7 @@ class YtdlpProvider {
     /**
      * Get audio stream for a search query or URL.
      * Spawns yt-dlp and pipes stdout directly — used when no pre-fetched URL is available.
+     * The stream's `exited` promise resolves with the yt-dlp exit code.
      * @param {string} query - Search query or YouTube URL
      * @returns {ReadableStream}
      */
@@ -173,6 +302,12 @@ class YtdlpProvider {
 
         const proc = spawn(this.ytdlpPath, args);
 
+        // Lets callers tell a complete download from one cut short
+        proc.stdout.exited = new Promise((resolve) => {
+            proc.on("close", resolve);
+            proc.on("error", () => resolve(null));
+        });
+
         // Timeout only covers stream start — not the full duration
         let timeoutId = setTimeout(() => {
             logger.warn("yt-dlp stream start timeout", { query });
@@ -0,0 +1,171 @@
+const BaseResolver = require('./base.resolver');
+const { NotFoundError, ProviderError } = require('../utils/errors');
+
+// /<country>/<type>/<optional slug>/<id>
+const PATH_REGEX = /^\/([a-z]{2})\/(song|album|playlist)\/(?:[^/]+\/)?([^/]+)\/?$/i;
+
+/**
+ * AppleMusicResolver - Resolves music.apple.com song, album and playlist links
+ *
+ * Songs and albums come from the public iTunes lookup API. Playlists are
+ * not in that API, so they are read from the server data embedded in the
+ * playlist web page.
+ */
+class AppleMusicResolver extends BaseResolver {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.name = 'Apple Music';
+    }
+
+    matches(url) {
+        return url.hostname === 'music.apple.com';
+    }
+
+    async resolve(url) {
+        const match = url.pathname.match(PATH_REGEX);
+        if (!match) {
+            throw new NotFoundError('Only Apple Music song, album and playlist links are supported');
+        }
+
+        const country = match[1].toLowerCase();
+        const type = match[2].toLowerCase();
+        const id = match[3];
+
+        // Album links with ?i=<id> point at one song of the album
+        const songId = type === 'song' ? id : url.searchParams.get('i');
+        if (songId) {
+            return this.resolveSong(songId, country);
+        }
+
+        return type === 'album'
+            ? this.resolveAlbum(id, country)
+            : this.resolvePlaylist(url, id);
+    }
+
+    /**
+     * @private
+     */
+    async resolveSong(id, country) {
+        const data = await this.getJson('https://itunes.apple.com/lookup', { id, country });
+        const song = (data.results || []).find(result => result.wrapperType === 'track');
+
+        if (!song) {
+            throw new NotFoundError('Apple Music song not found');
+        }
+
+        const track = this.toTrack(song);
+
+        return {
+            type: 'track',
+            id: String(song.trackId),
+            title: track.title,
+            url: track.url,
+            owner: null,
+            thumbnail: track.thumbnail,
+            tracks: [track],
+        };
+    }
+
+    /**
+     * @private
+     */
+    async resolveAlbum(id, country) {
+        const data = await this.getJson('https://itunes.apple.com/lookup', {
+            id,
+            country,
+            entity: 'song',
+            limit: Math.min(this.maxTracks, 200),
+        });
+
+        const results = data.results || [];
+        const album = results.find(result => result.wrapperType === 'collection');
+        if (!album) {
+            throw new NotFoundError('Apple Music album not found');
+        }
+
+        const songs = results
+            .filter(result => result.wrapperType === 'track')
+            .sort((a, b) => (a.discNumber - b.discNumber) || (a.trackNumber - b.trackNumber));
+
+        return {
+            type: 'album',
+            id: String(album.collectionId),
+            title: album.collectionName,
+            url: album.collectionViewUrl,
+            owner: album.artistName,
+            thumbnail: this.getArtwork(album.artworkUrl100),
+            tracks: songs.map(song => this.toTrack(song)),
+        };
+    }
+
+    /**
+     * @private
+     */
+    async resolvePlaylist(url, id) {
+        const html = await this.getText(`https://music.apple.com${url.pathname}`);
+        const data = this.extractScriptJson(html, 'serialized-server-data');
+
+        // Older pages hold the array directly, newer ones wrap it in { data: [...] }
+        const page = Array.isArray(data) ? data[0] : data?.data?.[0];
+        const sections = page?.data?.sections;
+
+        if (!Array.isArray(sections)) {
+            throw new ProviderError('Apple Music page did not contain playlist data');
+        }
+
+        const header = sections.find(section => section.itemKind === 'containerDetailHeaderLockup')?.items?.[0] || {};
+        const items = sections
+            .filter(section => section.itemKind === 'trackLockup')
+            .flatMap(section => section.items || []);
+
+        return {
+            type: 'playlist',
+            id,
+            title: header.title || 'Apple Music playlist',
+            url: `https://music.apple.com${url.pathname}`,
+            owner: header.subtitleLinks?.[0]?.title || null,
+            thumbnail: this.getArtwork(header.artwork?.dictionary?.url),
+            tracks: items.slice(0, this.maxTracks).map(item => ({
+                title: item.title,
+                artists: [item.artistName].filter(Boolean),
+                durationSec: Math.round((item.duration || 0) / 1000),
+                url: item.contentDescriptor?.url || null,
+                thumbnail: this.getArtwork(item.artwork?.dictionary?.url),
+            })),
+        };
+    }
+
+    /**
+     * Convert an iTunes lookup song into a track
+     * @param {Object} song - Lookup result
+     * @returns {Object} Track
+     */
+    toTrack(song) {
+        return {
+            title: song.trackName,
+            artists: [song.artistName].filter(Boolean),
+            durationSec: Math.round((song.trackTimeMillis || 0) / 1000),
+            url: song.trackViewUrl,
+            thumbnail: this.getArtwork(song.artworkUrl100),
+        };
+    }
+
+    /**
+     * Get a 600px artwork URL
+     * Handles both iTunes URLs (…/100x100bb.jpg) and web templates (…/{w}x{h}bb.{f}).
+     * @param {string} url - Artwork URL or template
+     * @returns {string|null} Image URL
+     */
+    getArtwork(url) {
+        if (!url) {
+            return null;
+        }
+
+        return url
+            .replace('{w}x{h}', '600x600')
+            .replace('{f}', 'jpg')
+            .replace(/\/\d+x\d+bb\./, '/600x600bb.');
+    }
+}
+
+module.exports = AppleMusicResolver;
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const { NotFoundError, ProviderError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * BaseResolver - Base class for music link resolvers
+ *
+ * A resolver turns a link from a streaming service into a list of tracks
+ * (title, artists, duration) that LinkResolverService searches for on
+ * YouTube. Subclasses set `name`, implement matches() and resolve(), and
+ * are registered in resolvers/index.js.
+ *
+ * resolve() returns:
+ * {
+ *   type: 'track' | 'album' | 'playlist',
+ *   id, title, url, owner, thumbnail,
+ *   tracks: [{ title, artists: string[], durationSec, url, thumbnail }],
+ * }
+ */
+class BaseResolver {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Object} dependencies - { httpClient } (axios-compatible, injectable for tests)
+     */
+    constructor(config, dependencies = {}) {
+        this.config = config;
+        this.httpClient = dependencies.httpClient || axios;
+        this.timeout = config.get('resolvers.timeout', 10000);
+        this.maxTracks = config.get('resolvers.maxTracks', 500);
+
+        // Display name of the service, e.g. "Spotify"
+        this.name = 'Unknown';
+    }
+
+    /**
+     * Check whether this resolver handles a URL
+     * @param {URL} url - Parsed link
+     * @returns {boolean}
+     */
+    matches(url) {
+        throw new Error(`${this.constructor.name} must implement matches()`);
+    }
+
+    /**
+     * Resolve a link into its tracks
+     * @param {URL} url - Parsed link
+     * @returns {Promise<Object>} Resolved link (see class description)
+     */
+    async resolve(url) {
+        throw new Error(`${this.constructor.name} must implement resolve()`);
+    }
+
+    /**
+     * GET a URL
+     * @param {string} url - URL
+     * @param {Object} options - Extra axios options
+     * @returns {Promise<Object>} axios response
+     * @throws {NotFoundError} On 404
+     * @throws {ProviderError} On any other failure
+     */
+    async request(url, options = {}) {
+        try {
+            return await this.httpClient.get(url, {
+                timeout: this.timeout,
+                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; EyeDaemon)' },
+                ...options,
+            });
+        } catch (error) {
+            if (error.response?.status === 404) {
+                throw new NotFoundError(`${this.name} link not found or not public`);
+            }
+
+            logger.warn(`${this.name} request failed`, { url, error: error.message });
+            throw new ProviderError(`${this.name} request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * GET a JSON document
+     * @param {string} url - URL
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Parsed body
+     */
+    async getJson(url, params = {}) {
+        const response = await this.request(url, { params, responseType: 'json' });
+        return response.data;
+    }
+
+    /**
+     * GET an HTML page
+     * @param {string} url - URL
+     * @returns {Promise<string>} Page source
+     */
+    async getText(url) {
+        const response = await this.request(url, { responseType: 'text' });
+        return String(response.data);
+    }
+
+    /**
+     * Follow a short link to the URL it redirects to
+     * @param {URL} url - Short link
+     * @returns {Promise<URL>} Final URL
+     */
+    async followRedirects(url) {
+        const response = await this.request(url.toString(), { maxRedirects: 5, responseType: 'text' });
+        const finalUrl = response.request?.res?.responseUrl;
+
+        if (!finalUrl) {
+            throw new NotFoundError(`${this.name} short link did not lead anywhere`);
+        }
+
+        return new URL(finalUrl);
+    }
+
+    /**
+     * Parse the JSON content of a <script> tag in a page
+     * @param {string} html - Page source
+     * @param {string} id - id attribute of the script tag
+     * @returns {Object|null} Parsed JSON, or null if the tag is missing or invalid
+     */
+    extractScriptJson(html, id) {
+        const pattern = new RegExp(`<script[^>]*\\bid="${id}"[^>]*>([\\s\\S]*?)</script>`);
+        const match = html.match(pattern);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(match[1]);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = BaseResolver;
@@ -0,0 +1,130 @@
+const BaseResolver = require('./base.resolver');
+const { NotFoundError, ProviderError } = require('../utils/errors');
+
+// /track/<id>, /album/<id>, /playlist/<id>, optionally behind a language prefix (/fr/)
+const PATH_REGEX = /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(track|album|playlist)\/(\d+)\/?$/i;
+
+// Short links shared from the apps
+const SHORT_LINK_HOSTS = ['deezer.page.link', 'link.deezer.com'];
+
+/**
+ * DeezerResolver - Resolves deezer.com track, album and playlist links
+ *
+ * Uses the public Deezer API (no credentials needed). Album and playlist
+ * track lists are paged; pages are followed up to resolvers.maxTracks.
+ */
+class DeezerResolver extends BaseResolver {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.name = 'Deezer';
+        this.apiUrl = 'https://api.deezer.com';
+    }
+
+    matches(url) {
+        return url.hostname === 'deezer.com' ||
+            url.hostname === 'www.deezer.com' ||
+            SHORT_LINK_HOSTS.includes(url.hostname);
+    }
+
+    async resolve(url) {
+        if (SHORT_LINK_HOSTS.includes(url.hostname)) {
+            url = await this.followRedirects(url);
+        }
+
+        const match = url.pathname.match(PATH_REGEX);
+        if (!match) {
+            throw new NotFoundError('Only Deezer track, album and playlist links are supported');
+        }
+
+        const type = match[1].toLowerCase();
+        const id = match[2];
+        const data = await this.getApi(`${this.apiUrl}/${type}/${id}`);
+
+        if (type === 'track') {
+            const track = this.toTrack(data);
+            return {
+                type,
+                id,
+                title: track.title,
+                url: track.url,
+                owner: null,
+                thumbnail: track.thumbnail,
+                tracks: [track],
+            };
+        }
+
+        const thumbnail = data.cover_xl || data.cover_big || data.picture_xl || data.picture_big || null;
+        const entries = await this.getAllTracks(data.tracks);
+
+        return {
+            type,
+            id,
+            title: data.title,
+            url: data.link,
+            owner: type === 'album' ? data.artist?.name : data.creator?.name,
+            thumbnail,
+            // Album track entries don't repeat the album cover
+            tracks: entries.map(entry => this.toTrack(entry, thumbnail)),
+        };
+    }
+
+    /**
+     * Call the Deezer API
+     * Deezer reports errors with status 200 and an { error } body.
+     * @param {string} url - API URL
+     * @returns {Promise<Object>} Response body
+     */
+    async getApi(url) {
+        const data = await this.getJson(url);
+
+        if (data?.error) {
+            // Code 800 is "no data" (unknown ID or private playlist)
+            if (data.error.code === 800) {
+                throw new NotFoundError('Deezer link not found or not public');
+            }
+            throw new ProviderError(`Deezer API error: ${data.error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Collect the tracks of an album or playlist, following pages
+     * @param {Object} first - First page ({ data, next })
+     * @returns {Promise<Object[]>} Track entries, at most maxTracks
+     */
+    async getAllTracks(first) {
+        const entries = [...(first?.data || [])];
+        let next = first?.next;
+
+        while (next && entries.length < this.maxTracks) {
+            const page = await this.getApi(next);
+            entries.push(...(page.data || []));
+            next = page.next;
+        }
+
+        return entries.filter(entry => entry.readable !== false).slice(0, this.maxTracks);
+    }
+
+    /**
+     * Convert a Deezer track into a track
+     * @param {Object} entry - Deezer track
+     * @param {string} fallbackThumbnail - Cover to use when the entry has none
+     * @returns {Object} Track
+     */
+    toTrack(entry, fallbackThumbnail = null) {
+        const artists = Array.isArray(entry.contributors) && entry.contributors.length > 0
+            ? entry.contributors.map(contributor => contributor.name)
+            : [entry.artist?.name].filter(Boolean);
+
+        return {
+            title: entry.title,
+            artists,
+            durationSec: Number(entry.duration || 0),
+            url: entry.link || `https://www.deezer.com/track/${entry.id}`,
+            thumbnail: entry.album?.cover_big || fallbackThumbnail,
+        };
+    }
+}
+
+module.exports = DeezerResolver;
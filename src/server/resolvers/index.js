@@ -0,0 +1,35 @@
+/**
+ * Link Resolvers
+ *
+ * Resolvers for links from other streaming services. LinkResolverService
+ * tries them in order and uses the first one whose matches() accepts the URL.
+ * To support another service, extend BaseResolver and add the class here.
+ */
+const BaseResolver = require('./base.resolver');
+const SpotifyResolver = require('./spotify.resolver');
+const AppleMusicResolver = require('./apple-music.resolver');
+const DeezerResolver = require('./deezer.resolver');
+
+const RESOLVERS = [
+    SpotifyResolver,
+    AppleMusicResolver,
+    DeezerResolver,
+];
+
+/**
+ * Create an instance of every built-in resolver
+ * @param {Object} config - Configuration object
+ * @param {Object} dependencies - Dependencies passed to each resolver ({ httpClient })
+ * @returns {BaseResolver[]} Resolvers
+ */
+function createResolvers(config, dependencies = {}) {
+    return RESOLVERS.map(Resolver => new Resolver(config, dependencies));
+}
+
+module.exports = {
+    BaseResolver,
+    SpotifyResolver,
+    AppleMusicResolver,
+    DeezerResolver,
+    createResolvers,
+};
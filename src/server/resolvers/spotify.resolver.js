@@ -0,0 +1,105 @@
+const BaseResolver = require('./base.resolver');
+const { NotFoundError, ProviderError } = require('../utils/errors');
+
+// /track/<id>, /album/<id>, /playlist/<id>, optionally behind a locale prefix (/intl-de/)
+const PATH_REGEX = /^\/(?:intl-[a-z-]+\/)?(track|album|playlist)\/([A-Za-z0-9]{22})\/?$/i;
+
+/**
+ * SpotifyResolver - Resolves open.spotify.com track, album and playlist links
+ *
+ * Reads the public embed player page, which carries the entity as JSON
+ * (no API credentials needed). The embed lists up to 100 tracks of a
+ * playlist; longer playlists are cut off there.
+ */
+class SpotifyResolver extends BaseResolver {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.name = 'Spotify';
+    }
+
+    matches(url) {
+        return ['open.spotify.com', 'play.spotify.com', 'spotify.link'].includes(url.hostname);
+    }
+
+    async resolve(url) {
+        if (url.hostname === 'spotify.link') {
+            url = await this.followRedirects(url);
+        }
+
+        const match = url.pathname.match(PATH_REGEX);
+        if (!match) {
+            throw new NotFoundError('Only Spotify track, album and playlist links are supported');
+        }
+
+        const type = match[1].toLowerCase();
+        const id = match[2];
+
+        const html = await this.getText(`https://open.spotify.com/embed/${type}/${id}`);
+        const data = this.extractScriptJson(html, '__NEXT_DATA__');
+        const entity = data?.props?.pageProps?.state?.data?.entity;
+
+        if (!entity) {
+            throw new ProviderError('Spotify embed page did not contain track data');
+        }
+
+        const thumbnail = this.getImage(entity);
+        const entries = type === 'track' ? [entity] : (entity.trackList || []);
+
+        return {
+            type,
+            id,
+            title: entity.name || entity.title,
+            url: `https://open.spotify.com/${type}/${id}`,
+            owner: type === 'track' ? null : (entity.subtitle || null),
+            thumbnail,
+            tracks: entries.slice(0, this.maxTracks).map(entry => ({
+                title: entry.title || entry.name,
+                artists: this.getArtists(entry),
+                durationSec: Math.round((entry.duration || 0) / 1000),
+                url: this.uriToUrl(entry.uri) || `https://open.spotify.com/${type}/${id}`,
+                thumbnail,
+            })),
+        };
+    }
+
+    /**
+     * Artist names of a track entry
+     * Track entities list artists; album and playlist entries only have a subtitle.
+     * @param {Object} entry - Embed track entry
+     * @returns {string[]} Artist names
+     */
+    getArtists(entry) {
+        if (Array.isArray(entry.artists) && entry.artists.length > 0) {
+            return entry.artists.map(artist => artist.name);
+        }
+
+        return String(entry.subtitle || '')
+            .replace(/\u00a0/g, ' ')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Largest cover image of an entity
+     * @param {Object} entity - Embed entity
+     * @returns {string|null} Image URL
+     */
+    getImage(entity) {
+        const images = entity.coverArt?.sources || entity.visualIdentity?.image || [];
+        const largest = [...images].sort((a, b) => (b.width || b.maxWidth || 0) - (a.width || a.maxWidth || 0))[0];
+        return largest?.url || null;
+    }
+
+    /**
+     * Convert a spotify:track:<id> URI into a web URL
+     * @param {string} uri - Spotify URI
+     * @returns {string|null} URL
+     */
+    uriToUrl(uri) {
+        const parts = String(uri || '').split(':');
+        return parts.length === 3 ? `https://open.spotify.com/${parts[1]}/${parts[2]}` : null;
+    }
+}
+
+module.exports = SpotifyResolver;
@@ -10,7 +10,7 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('../middlewares/async-handler');
 const validate = require('../middlewares/validator');
-const { streamSchema, metadataSchema } = require('../validators/audio.validator');
+const { streamSchema, metadataSchema, searchSchema, playlistSchema, resolveSchema, lyricsSchema } = require('../validators/audio.validator');
 
 /**
  * Create audio routes with controller
@@ -21,7 +21,7 @@ module.exports = (audioController) => {
     /**
      * GET /stream
      * Stream audio with optional filters and start position
-     * Query params: query (required), start (optional), filter (optional)
+     * Query params: query (required), start (optional), filter chain (optional), duration (optional)
      */
     router.get(
         '/stream',
@@ -32,7 +32,7 @@ module.exports = (audioController) => {
     /**
      * GET /metadata
      * Get metadata for a track
-     * Query params: query (required)
+     * Query params: query (required), duration (optional)
      */
     router.get(
         '/metadata',
@@ -40,5 +40,49 @@ module.exports = (audioController) => {
         asyncHandler((req, res, next) => audioController.getMetadata(req, res, next))
     );
 
+    /**
+     * GET /search
+     * List the top search results for a query
+     * Query params: query (required), limit (optional, 1-10)
+     */
+    router.get(
+        '/search',
+        validate(searchSchema),
+        asyncHandler((req, res, next) => audioController.search(req, res, next))
+    );
+
+    /**
+     * GET /playlist
+     * List one page of a YouTube playlist or mix
+     * Query params: url (required), offset (optional), limit (optional)
+     */
+    router.get(
+        '/playlist',
+        validate(playlistSchema),
+        asyncHandler((req, res, next) => audioController.getPlaylist(req, res, next))
+    );
+
+    /**
+     * GET /resolve
+     * Resolve a Spotify, Apple Music or Deezer link into searchable tracks
+     * Query params: url (required), offset (optional), limit (optional)
+     */
+    router.get(
+        '/resolve',
+        validate(resolveSchema),
+        asyncHandler((req, res, next) => audioController.resolve(req, res, next))
+    );
+
+    /**
+     * GET /lyrics
+     * Look up the lyrics of a song, time-synced when available
+     * Query params: title (required), artist (optional), duration (optional)
+     */
+    router.get(
+        '/lyrics',
+        validate(lyricsSchema),
+        asyncHandler((req, res, next) => audioController.getLyrics(req, res, next))
+    );
+
     return router;
 };
@@ -19,6 +19,15 @@ const FfmpegProvider = require('./providers/ffmpeg.provider');
 // Import services
 const AudioService = require('./services/audio.service');
 const MetadataService = require('./services/metadata.service');
+const AudioCacheService = require('./services/audio-cache.service');
+const LinkResolverService = require('./services/link-resolver.service');
+const LyricsService = require('./services/lyrics.service');
+
+// Import link resolvers
+const { createResolvers } = require('./resolvers');
+
+// Import lyrics providers
+const { createLyricsProviders } = require('./lyrics');
 
 // Import controllers
 const AudioController = require('./controllers/audio.controller');
@@ -70,25 +79,40 @@ async function main() {
 
     // Initialize services with dependencies
     logger.info('Initializing services...');
+    const audioCacheService = new AudioCacheService(config);
+    await audioCacheService.initialize();
+
     const audioService = new AudioService(config, {
         ytdlpProvider,
         ffmpegProvider,
+        audioCacheService,
     });
 
     const metadataService = new MetadataService(config, {
         ytdlpProvider,
     });
 
+    const linkResolverService = new LinkResolverService(config, {
+        resolvers: createResolvers(config),
+    });
+
+    const lyricsService = new LyricsService(config, {
+        providers: createLyricsProviders(config),
+    });
+
     // Initialize controllers with services
     logger.info('Initializing controllers...');
     const audioController = new AudioController({
         audioService,
         metadataService,
+        linkResolverService,
+        lyricsService,
     });
 
     const healthController = new HealthController({
         ytdlpProvider,
         ffmpegProvider,
+        audioCacheService,
     });
 
     // Create routes with controllers
@@ -113,7 +137,7 @@ async function main() {
         });
     });
 
-    return { app, server, metadataService };
+    return { app, server, metadataService, audioCacheService };
 }
 
 // Run and export for testing
@@ -123,11 +147,12 @@ const startupPromise = main().catch((err) => {
 });
 
 // Lazy exports — resolved after main() completes
-let _app, _server, _metadataService;
-startupPromise.then(({ app, server, metadataService }) => {
+let _app, _server, _metadataService, _audioCacheService;
+startupPromise.then(({ app, server, metadataService, audioCacheService }) => {
     _app = app;
     _server = server;
     _metadataService = metadataService;
+    _audioCacheService = audioCacheService;
 });
 
 // Export for testing
@@ -182,6 +207,11 @@ async function gracefulShutdown(signal) {
             logger.info('Metadata cache cleared');
         }
 
+        // Cached files stay on disk for the next start; partial writes are removed then
+        if (_audioCacheService) {
+            _audioCacheService.shutdown();
+        }
+
         logger.info('Cleanup completed successfully');
         clearTimeout(shutdownTimeout);
         process.exit(0);
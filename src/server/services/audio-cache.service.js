@@ -0,0 +1,359 @@
+/**
+ * AudioCacheService
+ *
+ * LRU disk cache of opus/webm audio files keyed by video ID.
+ *
+ * Files are written while the first client is streamed (see AudioService)
+ * to <id>.webm.part and renamed to <id>.webm once the source finished
+ * cleanly, so a cut-off download is never served. Entries are evicted by
+ * total size (least recently played first) and by age since last play.
+ * The index lives in memory and is rebuilt from the directory on startup.
+ */
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const BaseService = require('./base.service');
+
+const MB = 1024 * 1024;
+const FILE_EXTENSION = '.webm';
+const PARTIAL_EXTENSION = '.part';
+
+// YouTube IDs are 11 characters; other extractors use longer IDs. Also keeps
+// the ID safe to use as a file name.
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+
+// Longest interval between age sweeps
+const MAX_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+class AudioCacheService extends BaseService {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+
+        this.enabled = config.get('audioCache.enabled', true);
+        this.directory = path.resolve(config.get('audioCache.dir', 'cache/audio'));
+        this.maxBytes = config.get('audioCache.maxSizeMb', 2048) * MB;
+        this.maxFileBytes = config.get('audioCache.maxFileSizeMb', 50) * MB;
+        this.maxAge = config.get('audioCache.maxAgeHours', 168) * 60 * 60 * 1000;
+
+        // videoId → { size, lastAccess }, kept in LRU order (least recently used first)
+        this.entries = new Map();
+        this.totalBytes = 0;
+
+        // Video IDs with a file currently being written
+        this.writing = new Set();
+
+        this.stats = { hits: 0, misses: 0, writes: 0, abortedWrites: 0, evictions: 0 };
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Create the cache directory, index existing files and start the age sweep
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (!this.enabled) {
+            this.log('info', 'Audio disk cache disabled');
+            return;
+        }
+
+        try {
+            await fsp.mkdir(this.directory, { recursive: true });
+
+            const files = await fsp.readdir(this.directory);
+            const found = [];
+
+            for (const file of files) {
+                const filePath = path.join(this.directory, file);
+
+                // Partial files are left behind by a crash mid-write
+                if (file.endsWith(PARTIAL_EXTENSION)) {
+                    await fsp.unlink(filePath).catch(() => {});
+                    continue;
+                }
+
+                const videoId = path.basename(file, FILE_EXTENSION);
+                if (!file.endsWith(FILE_EXTENSION) || !VIDEO_ID_PATTERN.test(videoId)) {
+                    continue;
+                }
+
+                const stat = await fsp.stat(filePath);
+                found.push({ videoId, size: stat.size, lastAccess: stat.mtimeMs });
+            }
+
+            found.sort((a, b) => a.lastAccess - b.lastAccess);
+            for (const { videoId, size, lastAccess } of found) {
+                this.entries.set(videoId, { size, lastAccess });
+                this.totalBytes += size;
+            }
+
+            await this.evict();
+            this.startSweepTimer();
+
+            this.log('info', 'Audio disk cache ready', {
+                directory: this.directory,
+                files: this.entries.size,
+                sizeMb: Math.round(this.totalBytes / MB),
+                maxSizeMb: Math.round(this.maxBytes / MB),
+            });
+        } catch (error) {
+            // The server streams fine without the cache
+            this.enabled = false;
+            this.log('error', 'Failed to initialize audio disk cache, caching disabled', {
+                directory: this.directory,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Stop the age sweep
+     */
+    shutdown() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    /**
+     * Start the periodic age-based eviction
+     */
+    startSweepTimer() {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(() => {
+            this.evict().catch((error) => {
+                this.log('error', 'Audio cache sweep failed', { error: error.message });
+            });
+        }, Math.min(this.maxAge, MAX_SWEEP_INTERVAL));
+
+        // Don't prevent process from exiting
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Check whether a video ID can be cached
+     * @param {string} videoId - Video ID
+     * @returns {boolean} True if the ID is usable as a cache key
+     */
+    isCacheable(videoId) {
+        return this.enabled && typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+    }
+
+    /**
+     * Look up a cached file and mark it as recently used
+     * Counts a hit or a miss.
+     * @param {string} videoId - Video ID
+     * @returns {Object|null} { videoId, path, size } or null
+     */
+    get(videoId) {
+        if (!this.isCacheable(videoId)) {
+            return null;
+        }
+
+        const entry = this.entries.get(videoId);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+
+        // Move to the most recently used end
+        entry.lastAccess = Date.now();
+        this.entries.delete(videoId);
+        this.entries.set(videoId, entry);
+
+        // Persist the access time so LRU order survives restarts
+        const filePath = this.getFilePath(videoId);
+        const now = new Date(entry.lastAccess);
+        fsp.utimes(filePath, now, now).catch(() => {});
+
+        return { videoId, path: filePath, size: entry.size };
+    }
+
+    /**
+     * Check whether a new file can be written for a video ID
+     * @param {string} videoId - Video ID
+     * @returns {boolean} True if not cached and not already being written
+     */
+    canWrite(videoId) {
+        return this.isCacheable(videoId) && !this.entries.has(videoId) && !this.writing.has(videoId);
+    }
+
+    /**
+     * Write a stream to the cache alongside whatever else consumes it
+     * The file is dropped if it grows past the per-file limit. Call commit()
+     * once the source finished cleanly, or abort() otherwise.
+     * @param {string} videoId - Video ID
+     * @param {ReadableStream} source - Audio stream (opus/webm)
+     * @returns {Object} { commit(): Promise<boolean>, abort(): Promise<void> }
+     */
+    createWriter(videoId, source) {
+        const finalPath = this.getFilePath(videoId);
+        const partialPath = `${finalPath}${PARTIAL_EXTENSION}`;
+        const file = fs.createWriteStream(partialPath);
+
+        let bytes = 0;
+        let done = false;
+
+        this.writing.add(videoId);
+
+        const abort = async (reason = 'source did not finish') => {
+            if (done) return;
+            done = true;
+
+            source.removeListener('data', onData);
+            source.unpipe(file);
+            file.destroy();
+
+            this.writing.delete(videoId);
+            this.stats.abortedWrites++;
+            await fsp.unlink(partialPath).catch(() => {});
+
+            this.log('debug', 'Audio cache write aborted', { videoId, reason });
+        };
+
+        const onData = (chunk) => {
+            bytes += chunk.length;
+            if (bytes > this.maxFileBytes) {
+                abort('file size limit exceeded');
+            }
+        };
+
+        file.on('error', (error) => {
+            // Writes racing an abort fail once the file is destroyed
+            if (done) return;
+            this.log('warn', 'Audio cache write failed', { videoId, error: error.message });
+            abort('write error');
+        });
+
+        source.on('data', onData);
+        source.pipe(file);
+
+        const commit = async () => {
+            if (done) return false;
+
+            if (!file.writableFinished) {
+                await new Promise((resolve) => {
+                    file.once('finish', resolve);
+                    file.once('close', resolve);
+                });
+            }
+
+            if (done || !file.writableFinished || bytes === 0) {
+                await abort('nothing written');
+                return false;
+            }
+
+            done = true;
+            this.writing.delete(videoId);
+
+            try {
+                await fsp.rename(partialPath, finalPath);
+            } catch (error) {
+                this.stats.abortedWrites++;
+                this.log('warn', 'Failed to store cached audio file', { videoId, error: error.message });
+                await fsp.unlink(partialPath).catch(() => {});
+                return false;
+            }
+
+            this.entries.set(videoId, { size: bytes, lastAccess: Date.now() });
+            this.totalBytes += bytes;
+            this.stats.writes++;
+
+            this.log('info', 'Audio cached', { videoId, sizeKb: Math.round(bytes / 1024) });
+
+            await this.evict();
+            return true;
+        };
+
+        return { commit, abort };
+    }
+
+    /**
+     * Remove a cached file
+     * @param {string} videoId - Video ID
+     * @returns {Promise<void>}
+     */
+    async remove(videoId) {
+        const entry = this.entries.get(videoId);
+        if (!entry) return;
+
+        this.entries.delete(videoId);
+        this.totalBytes -= entry.size;
+
+        // Clients still reading the file keep their open handle
+        await fsp.unlink(this.getFilePath(videoId)).catch((error) => {
+            if (error.code !== 'ENOENT') {
+                this.log('warn', 'Failed to delete cached audio file', { videoId, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Evict files not played within the maximum age, then least recently
+     * played files until the cache fits its size limit
+     * @returns {Promise<number>} Number of evicted files
+     */
+    async evict() {
+        const expiredBefore = Date.now() - this.maxAge;
+        const victims = [];
+        let bytes = this.totalBytes;
+
+        for (const [videoId, entry] of this.entries) {
+            if (entry.lastAccess < expiredBefore || bytes > this.maxBytes) {
+                victims.push(videoId);
+                bytes -= entry.size;
+            }
+        }
+
+        for (const videoId of victims) {
+            await this.remove(videoId);
+        }
+
+        if (victims.length > 0) {
+            this.stats.evictions += victims.length;
+            this.log('info', 'Evicted cached audio files', {
+                count: victims.length,
+                sizeMb: Math.round(this.totalBytes / MB),
+            });
+        }
+
+        return victims.length;
+    }
+
+    /**
+     * Path of a cached file
+     * @param {string} videoId - Video ID
+     * @returns {string} Absolute file path
+     */
+    getFilePath(videoId) {
+        return path.join(this.directory, `${videoId}${FILE_EXTENSION}`);
+    }
+
+    /**
+     * Cache statistics for the health endpoint
+     * @returns {Object} Hit/miss counts, size and limits
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            enabled: this.enabled,
+            files: this.entries.size,
+            writing: this.writing.size,
+            sizeBytes: this.totalBytes,
+            maxSizeBytes: this.maxBytes,
+            maxAgeHours: this.maxAge / (60 * 60 * 1000),
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+        };
+    }
+}
+
+module.exports = AudioCacheService;
@@ -1,8 +1,12 @@
 /**
  * AudioService
  *
- * Streams audio to the HTTP response with two paths:
+ * Streams audio to the HTTP response with these paths:
  *
+ * Disk cache — a previously streamed track is served from the local
+ *              opus/webm file (with Range support), no download needed.
+ * Cache fill — a track that is not cached yet is streamed to the client
+ *              and written to the disk cache at the same time.
  * Fast path  — direct CDN URL from metadata cache, no yt-dlp spawn needed.
  *              Falls back to slow path automatically on CDN errors (4xx/5xx).
  * Slow path  — spawn yt-dlp to resolve + stream (cache miss or CDN failure).
@@ -10,15 +14,18 @@
  * In-flight deduplication: concurrent /stream requests for the same query
  * share one underlying stream setup instead of spawning multiple yt-dlp processes.
  */
+const fs = require('fs');
 const http = require('http');
 const https = require('https');
 const BaseService = require('./base.service');
+const { RangeNotSatisfiableError } = require('../utils/errors');
 
 class AudioService extends BaseService {
     constructor(config, dependencies) {
         super(config, dependencies);
         this.ytdlpProvider = dependencies.ytdlpProvider;
         this.ffmpegProvider = dependencies.ffmpegProvider;
+        this.audioCacheService = dependencies.audioCacheService || null;
 
         // In-flight deduplication for stream setup (key = query+filter+start)
         this.inFlight = new Map();
@@ -30,12 +37,14 @@ class AudioService extends BaseService {
      * @param {Object}  params
      * @param {string}  params.query       - Search query or YouTube URL
      * @param {string}  [params.streamUrl] - Pre-fetched CDN URL (fast path)
+     * @param {Object}  [params.track]     - Cached metadata (id, ext, acodec) for the disk cache
      * @param {number}  [params.start]     - Seek position in seconds
-     * @param {string}  [params.filter]    - Audio filter preset
+     * @param {string}  [params.filter]    - Audio filter chain
+     * @param {string}  [params.range]     - Range request header (served for cached files)
      * @param {Object}  params.response    - Express response object
      * @param {string}  [params.format]    - Output format (default: webm)
      */
-    async streamAudio({ query, streamUrl, start = 0, filter = 'none', response, format = 'webm' }) {
+    async streamAudio({ query, streamUrl, track = null, start = 0, filter = 'none', range = null, response, format = 'webm' }) {
         const t0 = Date.now();
         const needsProcessing = start > 0 || filter !== 'none';
         const sanitizedQuery = this.sanitizeQuery(query);
@@ -43,16 +52,44 @@ class AudioService extends BaseService {
         // In-flight deduplication key — same query+filter+start shares one setup
         const inflightKey = `${sanitizedQuery}|${filter}|${start}`;
 
+        // The disk cache holds opus/webm files keyed by video ID, known from
+        // the metadata cache or the URL itself
+        const videoId = this.audioCacheService && format === 'webm'
+            ? track?.id || this.ytdlpProvider.getVideoId(sanitizedQuery)
+            : null;
+        const cachedFile = videoId ? this.audioCacheService.get(videoId) : null;
+
         this.log('info', 'Starting audio stream', {
-            query, start, filter, format, fastPath: !!streamUrl && !needsProcessing,
+            query, start, filter, format, cached: !!cachedFile, fastPath: !!streamUrl && !needsProcessing,
         });
 
-        response.setHeader('Content-Type', `audio/${format}`);
-        response.setHeader('Transfer-Encoding', 'chunked');
-        response.setHeader('Cache-Control', 'no-store');
-
         try {
-            if (streamUrl && !needsProcessing) {
+            if (cachedFile && !needsProcessing) {
+                // ── Disk cache ───────────────────────────────────────────────
+                if (await this._streamFromCache(cachedFile, range, response)) {
+                    this.log('info', 'Audio stream served from disk cache', { query, videoId, duration: Date.now() - t0 });
+                    return;
+                }
+            }
+
+            response.setHeader('Content-Type', `audio/${format}`);
+            response.setHeader('Transfer-Encoding', 'chunked');
+            response.setHeader('Cache-Control', 'no-store');
+
+            const fileStream = cachedFile && needsProcessing ? await this._openCachedFile(cachedFile) : null;
+
+            if (fileStream) {
+                // ── Disk cache + ffmpeg ──────────────────────────────────────
+                // Seeks and filters read the local file instead of downloading again
+                const processed = await this.ffmpegProvider.processAudio({
+                    inputStream: fileStream, start, filter, format,
+                });
+                processed.pipe(response);
+                this.setupStreamCleanup(processed, fileStream, response);
+            } else if (!needsProcessing && videoId && this.audioCacheService.canWrite(videoId)) {
+                // ── Cache fill ───────────────────────────────────────────────
+                await this._streamAndCache({ videoId, track, streamUrl, sanitizedQuery, response });
+            } else if (streamUrl && !needsProcessing) {
                 // ── Fast path ────────────────────────────────────────────────
                 try {
                     await this._streamFromUrl(streamUrl, response);
@@ -119,6 +156,162 @@ class AudioService extends BaseService {
         }
     }
 
+    /**
+     * Cache fill: stream to the client while writing the disk cache.
+     * Sources that are already opus/webm are stored as-is, others are
+     * transcoded once. The file is only kept if the source finished cleanly.
+     * @private
+     */
+    async _streamAndCache({ videoId, track, streamUrl, sanitizedQuery, response }) {
+        let source = null;
+
+        if (streamUrl) {
+            try {
+                source = await this._fetchUrlStream(streamUrl);
+            } catch (cdnErr) {
+                this.log('warn', 'Fast path CDN error, falling back to yt-dlp', {
+                    error: cdnErr.message, videoId,
+                });
+            }
+        }
+
+        if (!source) {
+            source = await this.ytdlpProvider.getAudioStream(sanitizedQuery);
+        }
+
+        const isOpusWebm = track?.ext === 'webm' && track?.acodec === 'opus';
+        const output = isOpusWebm
+            ? source
+            : await this.ffmpegProvider.processAudio({ inputStream: source, format: 'webm' });
+
+        const writer = this.audioCacheService.createWriter(videoId, output);
+
+        output.pipe(response);
+        this.setupStreamCleanup(output, output === source ? null : source, response);
+
+        const completions = [this._waitForCompletion(source)];
+        if (output !== source) {
+            completions.push(this._waitForCompletion(output));
+        }
+
+        Promise.all(completions)
+            .then((results) => (results.every(Boolean) ? writer.commit() : writer.abort()))
+            .catch((error) => {
+                this.log('warn', 'Audio cache write failed', { videoId, error: error.message });
+            });
+    }
+
+    /**
+     * Resolve once a source stream is done, with whether it finished cleanly.
+     * Process streams report their exit code; HTTP responses whether the
+     * whole body arrived.
+     * @private
+     */
+    _waitForCompletion(stream) {
+        if (stream.exited) {
+            return stream.exited.then((code) => code === 0);
+        }
+
+        return new Promise((resolve) => {
+            stream.once('end', () => resolve(stream.complete !== false));
+            stream.once('error', () => resolve(false));
+            stream.once('close', () => resolve(stream.readableEnded && stream.complete !== false));
+        });
+    }
+
+    /**
+     * Serve a cached file, honouring single-range Range requests.
+     * Returns false if the file disappeared so the caller can fall back.
+     * @private
+     */
+    async _streamFromCache(cachedFile, rangeHeader, response) {
+        const range = rangeHeader ? this._parseRange(rangeHeader, cachedFile.size) : null;
+        if (range === false) {
+            response.setHeader('Content-Range', `bytes */${cachedFile.size}`);
+            throw new RangeNotSatisfiableError();
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : cachedFile.size - 1;
+
+        const fileStream = await this._openCachedFile(cachedFile, { start, end });
+        if (!fileStream) {
+            return false;
+        }
+
+        response.setHeader('Content-Type', 'audio/webm');
+        response.setHeader('Accept-Ranges', 'bytes');
+        response.setHeader('Cache-Control', 'no-store');
+        response.setHeader('Content-Length', end - start + 1);
+
+        if (range) {
+            response.status(206);
+            response.setHeader('Content-Range', `bytes ${start}-${end}/${cachedFile.size}`);
+        }
+
+        fileStream.pipe(response);
+        this.setupStreamCleanup(fileStream, null, response);
+        return true;
+    }
+
+    /**
+     * Open a cached file for reading.
+     * Drops the cache entry and returns null if the file cannot be opened.
+     * @private
+     */
+    async _openCachedFile(cachedFile, options = {}) {
+        const fileStream = fs.createReadStream(cachedFile.path, options);
+
+        try {
+            await new Promise((resolve, reject) => {
+                fileStream.once('open', resolve);
+                fileStream.once('error', reject);
+            });
+            return fileStream;
+        } catch (error) {
+            this.log('warn', 'Cached audio file unreadable, streaming from source', {
+                videoId: cachedFile.videoId, error: error.message,
+            });
+            fileStream.destroy();
+            await this.audioCacheService.remove(cachedFile.videoId);
+            return null;
+        }
+    }
+
+    /**
+     * Parse a Range header for a file of the given size.
+     * Only single byte ranges are supported; anything else is ignored and
+     * the whole file is sent, as RFC 9110 allows.
+     * @private
+     * @returns {Object|null|false} { start, end }, null to ignore, false if unsatisfiable
+     */
+    _parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            const length = Number(match[2]);
+            if (length === 0) return false;
+            start = Math.max(0, size - length);
+            end = size - 1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        }
+
+        if (start >= size) {
+            return false;
+        }
+
+        return start <= end ? { start, end } : null;
+    }
+
     /**
      * Stream a direct CDN URL to the response.
      * Rejects on HTTP 4xx/5xx so callers can fall back.
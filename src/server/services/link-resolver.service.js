@@ -0,0 +1,154 @@
+/**
+ * LinkResolverService
+ *
+ * Turns links from other streaming services (Spotify, Apple Music, Deezer)
+ * into "artist - title" searches the bot can queue. Each track keeps its
+ * original duration; MetadataService uses it to pick the best YouTube match
+ * once the track is played.
+ *
+ * Resolvers are pluggable: see resolvers/index.js, or register() one at runtime.
+ * Resolved links are cached so paging through a long playlist resolves it once.
+ */
+const BaseService = require('./base.service');
+const { NotFoundError, UnsupportedLinkError } = require('../utils/errors');
+const { buildSearchQuery } = require('../utils/track-match');
+
+class LinkResolverService extends BaseService {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.resolvers = [...(dependencies.resolvers || [])];
+
+        // link → { value, timestamp }
+        this.cache = new Map();
+        this.cacheTTL = config.get('cache.ttl', 600000);
+        this.maxCacheSize = 100;
+
+        // link → Promise, so concurrent page requests share one resolution
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Add a resolver; it is tried after the ones already registered
+     * @param {BaseResolver} resolver - Resolver instance
+     */
+    register(resolver) {
+        this.resolvers.push(resolver);
+    }
+
+    /**
+     * Find the resolver for a link
+     * @param {string} link - URL
+     * @returns {BaseResolver|null} Resolver, or null if no resolver handles the link
+     */
+    findResolver(link) {
+        let url;
+        try {
+            url = new URL(link);
+        } catch (error) {
+            return null;
+        }
+
+        return this.resolvers.find(resolver => resolver.matches(url)) || null;
+    }
+
+    /**
+     * Resolve one page of a link's tracks
+     * @param {string} link - Track, album or playlist URL
+     * @param {Object} options - Paging options
+     * @param {number} options.offset - Number of tracks to skip
+     * @param {number} options.limit - Maximum number of tracks to return
+     * @returns {Promise<Object>} Page in the same shape as MetadataService.getPlaylist,
+     *   plus source and type; each track has a search query and its original duration
+     * @throws {UnsupportedLinkError} If no resolver handles the link
+     */
+    async resolve(link, { offset = 0, limit = 50 } = {}) {
+        const resolver = this.findResolver(link);
+        if (!resolver) {
+            const services = this.resolvers.map(r => r.name).join(', ');
+            throw new UnsupportedLinkError(`Unsupported link. Supported services: YouTube, ${services}`);
+        }
+
+        const resolved = await this._getResolved(link.trim(), resolver);
+        const tracks = resolved.tracks.slice(offset, offset + limit);
+        const lastIndex = offset + limit;
+
+        return {
+            source: resolver.name,
+            type: resolved.type,
+            id: resolved.id,
+            title: resolved.title,
+            url: resolved.url,
+            uploader: resolved.owner || resolver.name,
+            thumbnail: resolved.thumbnail,
+            totalTracks: resolved.tracks.length,
+            offset,
+            limit,
+            nextOffset: lastIndex < resolved.tracks.length ? lastIndex : null,
+            tracks,
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _getResolved(link, resolver) {
+        const entry = this.cache.get(link);
+        if (entry && Date.now() - entry.timestamp <= this.cacheTTL) {
+            return entry.value;
+        }
+
+        if (this.inFlight.has(link)) {
+            return this.inFlight.get(link);
+        }
+
+        const promise = this._resolveAndCache(link, resolver).finally(() => {
+            this.inFlight.delete(link);
+        });
+
+        this.inFlight.set(link, promise);
+        return promise;
+    }
+
+    /**
+     * @private
+     */
+    async _resolveAndCache(link, resolver) {
+        const startTime = Date.now();
+        this.log('info', 'Resolving link', { link, resolver: resolver.name });
+
+        const resolved = await resolver.resolve(new URL(link));
+
+        const tracks = resolved.tracks
+            .filter(track => track.title)
+            .map(track => ({
+                title: track.title,
+                artist: track.artists.join(', ') || 'Unknown',
+                url: track.url,
+                durationSec: track.durationSec,
+                thumbnail: track.thumbnail,
+                // The first artist finds the song; featured artists mostly add noise
+                query: buildSearchQuery({ artist: track.artists[0], title: track.title }),
+            }));
+
+        if (tracks.length === 0) {
+            throw new NotFoundError(`No tracks found in ${resolver.name} link`);
+        }
+
+        const value = { ...resolved, tracks };
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(link, { value, timestamp: Date.now() });
+
+        this.log('info', 'Link resolved', {
+            link,
+            type: resolved.type,
+            tracks: tracks.length,
+            duration: Date.now() - startTime,
+        });
+        return value;
+    }
+}
+
+module.exports = LinkResolverService;
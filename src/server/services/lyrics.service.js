@@ -0,0 +1,209 @@
+/**
+ * LyricsService
+ *
+ * Looks up the lyrics of a song through the lyrics providers, first one
+ * wins. YouTube titles are cleaned first ("Artist - Song (Official Video)"
+ * becomes artist "Artist", title "Song"), and each provider is asked with
+ * the artist from the title, then the channel name, then the title alone.
+ * Synced lyrics are returned as timed lines for the bot to follow along.
+ *
+ * Providers are pluggable: see lyrics/index.js, or register() one at runtime.
+ */
+const BaseService = require('./base.service');
+const { NotFoundError, ProviderError } = require('../utils/errors');
+const { normalize, parseSearchQuery } = require('../utils/track-match');
+const { parseLrc, isLrc, toPlainLyrics } = require('../utils/lrc');
+
+// Bracketed parts of video titles that are not part of the song title
+const TITLE_NOISE_REGEX = /\s*[([][^)\]]*\b(official|lyrics?|audio|video|visuali[sz]er|mv|hd|hq|4k|remaster(ed)?|explicit)\b[^)\]]*[)\]]/gi;
+
+// "Song ft. Someone", "Song | Album Name"
+const TITLE_SUFFIX_REGEX = /\s+(\b(ft|feat)\b\.?|\|).*$/i;
+
+// Channel name suffixes that are not part of the artist name
+const CHANNEL_SUFFIX_REGEX = /(\s*-\s*topic|vevo|\s+official)$/i;
+
+/**
+ * Strip video title noise from a song title
+ * @param {string} title - Video or song title
+ * @returns {string} Song title
+ */
+function cleanTitle(title) {
+    const cleaned = String(title || '')
+        .replace(TITLE_NOISE_REGEX, '')
+        .replace(TITLE_SUFFIX_REGEX, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return cleaned || String(title || '').trim();
+}
+
+/**
+ * Strip channel name suffixes from an artist name
+ * @param {string} artist - Artist or channel name
+ * @returns {string|null} Artist, or null if unknown
+ */
+function cleanArtist(artist) {
+    const cleaned = String(artist || '').replace(CHANNEL_SUFFIX_REGEX, '').trim();
+    return cleaned && cleaned.toLowerCase() !== 'unknown' ? cleaned : null;
+}
+
+class LyricsService extends BaseService {
+    constructor(config, dependencies = {}) {
+        super(config, dependencies);
+        this.providers = [...(dependencies.providers || [])];
+
+        // normalized song → { value, timestamp }
+        this.cache = new Map();
+        this.cacheTTL = config.get('lyrics.cacheTTL', 3600000);
+        this.maxCacheSize = 200;
+
+        // normalized song → Promise, so concurrent lookups share one search
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Add a provider; it is asked after the ones already registered
+     * @param {BaseLyricsProvider} provider - Provider instance
+     */
+    register(provider) {
+        this.providers.push(provider);
+    }
+
+    /**
+     * Get the lyrics of a song
+     * @param {Object} song - Song to look up
+     * @param {string} song.title - Song or video title
+     * @param {string} song.artist - Artist or channel name (optional)
+     * @param {number} song.durationSec - Duration in seconds (optional), to tell versions apart
+     * @returns {Promise<Object>} { source, title, artist, durationSec, instrumental, plain, synced }
+     *   where synced is null or a list of { time, text } lines (time in ms)
+     * @throws {NotFoundError} If no provider has lyrics for the song
+     */
+    async getLyrics({ title, artist = null, durationSec = null }) {
+        const key = normalize(`${artist || ''} ${title} ${durationSec || ''}`);
+
+        const entry = this.cache.get(key);
+        if (entry && Date.now() - entry.timestamp <= this.cacheTTL) {
+            return entry.value;
+        }
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = this._searchAndCache(key, { title, artist, durationSec }).finally(() => {
+            this.inFlight.delete(key);
+        });
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Build the title and artist pairs to look a song up with, best first
+     * @param {Object} song - { title, artist }
+     * @returns {Array<Object>} Lookups ({ title, artist }, artist may be null)
+     */
+    buildLookups({ title, artist }) {
+        const songTitle = cleanTitle(title);
+        const fromTitle = parseSearchQuery(songTitle);
+        const channel = cleanArtist(artist);
+
+        const lookups = [];
+        if (fromTitle.artist) {
+            lookups.push({ title: cleanTitle(fromTitle.title), artist: fromTitle.artist.trim() });
+        }
+        if (channel) {
+            lookups.push({ title: songTitle, artist: channel });
+        }
+        lookups.push({ title: songTitle, artist: null });
+
+        const seen = new Set();
+        return lookups.filter(lookup => {
+            const key = normalize(`${lookup.artist || ''}|${lookup.title}`);
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _searchAndCache(key, song) {
+        const startTime = Date.now();
+        this.log('info', 'Looking up lyrics', { title: song.title, artist: song.artist });
+
+        let providerError = null;
+
+        for (const lookup of this.buildLookups(song)) {
+            for (const provider of this.providers) {
+                let found;
+                try {
+                    found = await provider.search({ ...lookup, durationSec: song.durationSec });
+                } catch (error) {
+                    if (!(error instanceof ProviderError)) {
+                        throw error;
+                    }
+                    providerError = error;
+                    continue;
+                }
+
+                if (!found) {
+                    continue;
+                }
+
+                const value = this._formatLyrics(found, provider, lookup);
+
+                if (this.cache.size >= this.maxCacheSize) {
+                    this.cache.delete(this.cache.keys().next().value);
+                }
+                this.cache.set(key, { value, timestamp: Date.now() });
+
+                this.log('info', 'Lyrics found', {
+                    title: song.title,
+                    provider: provider.name,
+                    synced: Boolean(value.synced),
+                    duration: Date.now() - startTime,
+                });
+                return value;
+            }
+        }
+
+        // Only report a provider failure when no provider could answer at all
+        if (providerError) {
+            throw providerError;
+        }
+
+        throw new NotFoundError(`No lyrics found for: ${cleanTitle(song.title)}`);
+    }
+
+    /**
+     * @private
+     */
+    _formatLyrics(found, provider, lookup) {
+        // Some sources put LRC text in the plain lyrics
+        const lrc = found.lrc || (isLrc(found.plain) ? found.plain : null);
+        const lines = lrc ? parseLrc(lrc).filter((line, i, all) => line.text || all[i - 1]?.text) : [];
+        const synced = lines.some(line => line.text) ? lines : null;
+
+        const plain = found.plain && !isLrc(found.plain)
+            ? found.plain.replace(/\r\n/g, '\n').trim()
+            : (synced ? toPlainLyrics(synced) : null);
+
+        return {
+            source: provider.name,
+            title: found.title || lookup.title,
+            artist: found.artist || lookup.artist,
+            durationSec: found.durationSec || null,
+            instrumental: Boolean(found.instrumental) && !plain,
+            plain: plain || null,
+            synced,
+        };
+    }
+}
+
+module.exports = LyricsService;
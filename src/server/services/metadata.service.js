@@ -7,9 +7,13 @@
  * - In-flight deduplication: concurrent requests for the same query share one yt-dlp spawn
  * - streamUrl exposed so audio.service can skip a second yt-dlp spawn
  * - LRU in-memory cache with TTL
+ * - Multi-result search for picking a track by hand, with a cap on concurrent searches
+ * - Paged playlist listing that skips per-track metadata (resolved when played)
+ * - Duration-matched search for tracks resolved from other services
  */
 const BaseService = require('./base.service');
-const { NotFoundError } = require('../utils/errors');
+const { NotFoundError, RateLimitError } = require('../utils/errors');
+const { parseSearchQuery, pickBestMatch } = require('../utils/track-match');
 
 class MetadataService extends BaseService {
     constructor(config, dependencies) {
@@ -21,18 +25,30 @@ class MetadataService extends BaseService {
         this.cacheTTL = config.get('cache.ttl', 600000);       // 10 min
         this.maxCacheSize = config.get('cache.maxSize', 1000);
 
+        // Search results compared when a query comes with the track's original duration
+        this.matchCandidates = config.get('resolvers.matchCandidates', 5);
+
         // In-flight deduplication: key → Promise
         // If two requests arrive for the same query simultaneously, the second
         // one awaits the same Promise instead of spawning a second yt-dlp process.
         this.inFlight = new Map();
+
+        // Searches back /play autocomplete, which asks again on every keystroke.
+        // Past this many running yt-dlp searches, new ones are turned away.
+        this.maxConcurrentSearches = config.get('maxConcurrentSearches', 4);
+        this.runningSearches = 0;
     }
 
     /**
      * Get track information for a query.
+     * With a duration, an "artist - title" search picks the best of several
+     * results instead of the first one (see utils/track-match.js).
      * @param {string} query - Search query or YouTube URL
+     * @param {Object} options - Lookup options
+     * @param {number} options.durationSec - Original duration of the track being searched for
      * @returns {Promise<Object>} Track information (includes streamUrl)
      */
-    async getTrackInfo(query) {
+    async getTrackInfo(query, { durationSec = null } = {}) {
         const normalizedQuery = query.trim().toLowerCase();
 
         // 1. Cache hit
@@ -49,7 +65,7 @@ class MetadataService extends BaseService {
         }
 
         // 3. Start new fetch and register it as in-flight
-        const fetchPromise = this._fetchAndCache(query, normalizedQuery).finally(() => {
+        const fetchPromise = this._fetchAndCache(query, normalizedQuery, durationSec).finally(() => {
             this.inFlight.delete(normalizedQuery);
         });
 
@@ -60,18 +76,23 @@ class MetadataService extends BaseService {
     /**
      * @private
      */
-    async _fetchAndCache(query, normalizedQuery) {
+    async _fetchAndCache(query, normalizedQuery, durationSec = null) {
         const startTime = Date.now();
         this.log('info', 'Fetching metadata', { query });
 
         try {
-            const metadata = await this.ytdlpProvider.getMetadata(query);
+            const target = durationSec && !/^https?:\/\//i.test(query)
+                ? await this._findBestMatch(query, durationSec)
+                : query;
+
+            const metadata = await this.ytdlpProvider.getMetadata(target);
 
             if (!metadata) {
                 throw new NotFoundError(`No results found for: ${query}`);
             }
 
             const trackInfo = {
+                id: metadata.id || null,
                 title: metadata.title,
                 url: metadata.webpage_url || metadata.url,
                 durationSec: Number(metadata.duration || 0),
@@ -81,6 +102,9 @@ class MetadataService extends BaseService {
                 // YouTube CDN URLs are valid for ~6h but we only cache for 10 min,
                 // so expiry is not a concern in normal usage.
                 streamUrl: metadata.streamUrl || null,
+                // Container and codec of streamUrl; opus/webm can be cached without transcoding
+                ext: metadata.ext || null,
+                acodec: metadata.acodec || null,
             };
 
             this.setCache(normalizedQuery, trackInfo);
@@ -95,6 +119,177 @@ class MetadataService extends BaseService {
         }
     }
 
+    /**
+     * Search for a track and pick the result closest to its original
+     * duration, title and artist
+     * @param {string} query - "artist - title" search
+     * @param {number} durationSec - Original duration in seconds
+     * @returns {Promise<string>} URL of the best match
+     * @private
+     */
+    async _findBestMatch(query, durationSec) {
+        const candidates = await this.ytdlpProvider.search(query, this.matchCandidates);
+        const best = pickBestMatch(candidates, { ...parseSearchQuery(query), durationSec });
+
+        if (!best) {
+            throw new NotFoundError(`No results found for: ${query}`);
+        }
+
+        this.log('debug', 'Picked search match', {
+            query,
+            durationSec,
+            match: best.title,
+            matchDuration: best.duration,
+            score: best.score,
+        });
+        return best.url;
+    }
+
+    /**
+     * Search YouTube and list the top results.
+     * Results carry only the search listing data (no streamUrl); the chosen
+     * one is resolved through getTrackInfo with its URL.
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Number of results (1-10)
+     * @returns {Promise<Object>} { query, results }, results in YouTube's order
+     * @throws {RateLimitError} If maxConcurrentSearches searches are already running
+     */
+    async search(query, { limit = 5 } = {}) {
+        const cacheKey = `search:${query.trim().toLowerCase()}:${limit}`;
+
+        const cached = this.getFromCache(cacheKey);
+        if (cached) {
+            this.log('debug', 'Cache hit for search', { query, limit });
+            return cached;
+        }
+
+        if (this.inFlight.has(cacheKey)) {
+            return this.inFlight.get(cacheKey);
+        }
+
+        if (this.runningSearches >= this.maxConcurrentSearches) {
+            this.log('warn', 'Search rejected, too many searches running', { query, running: this.runningSearches });
+            throw new RateLimitError('Too many searches in progress, please try again in a moment');
+        }
+
+        this.runningSearches++;
+        const fetchPromise = this._fetchSearch(query, limit, cacheKey).finally(() => {
+            this.runningSearches--;
+            this.inFlight.delete(cacheKey);
+        });
+
+        this.inFlight.set(cacheKey, fetchPromise);
+        return fetchPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchSearch(query, limit, cacheKey) {
+        const startTime = Date.now();
+        this.log('info', 'Searching', { query, limit });
+
+        const entries = await this.ytdlpProvider.search(query, limit);
+
+        const page = {
+            query,
+            results: entries.map(entry => ({
+                id: entry.id,
+                title: entry.title,
+                url: entry.url,
+                durationSec: Number(entry.duration || 0),
+                thumbnail: entry.thumbnail,
+                uploader: entry.uploader || 'Unknown',
+            })),
+        };
+
+        this.setCache(cacheKey, page);
+
+        this.log('info', 'Search completed', { query, results: page.results.length, duration: Date.now() - startTime });
+        return page;
+    }
+
+    /**
+     * Get one page of a playlist or mix.
+     * Tracks carry only the flat playlist data (no streamUrl); full metadata
+     * is fetched through getTrackInfo once a track is about to play.
+     * @param {string} url - Playlist or mix URL
+     * @param {Object} options - Paging options
+     * @param {number} options.offset - Number of entries to skip
+     * @param {number} options.limit - Maximum number of entries to return
+     * @returns {Promise<Object>} Playlist page ({ ..., tracks, nextOffset })
+     */
+    async getPlaylist(url, { offset = 0, limit = 50 } = {}) {
+        const cacheKey = `playlist:${url.trim()}:${offset}:${limit}`;
+
+        const cached = this.getFromCache(cacheKey);
+        if (cached) {
+            this.log('debug', 'Cache hit for playlist', { url, offset, limit });
+            return cached;
+        }
+
+        if (this.inFlight.has(cacheKey)) {
+            return this.inFlight.get(cacheKey);
+        }
+
+        const fetchPromise = this._fetchPlaylistPage(url, offset, limit, cacheKey).finally(() => {
+            this.inFlight.delete(cacheKey);
+        });
+
+        this.inFlight.set(cacheKey, fetchPromise);
+        return fetchPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchPlaylistPage(url, offset, limit, cacheKey) {
+        const startTime = Date.now();
+        this.log('info', 'Fetching playlist', { url, offset, limit });
+
+        // One extra entry tells whether another page exists, even for mixes without a known length
+        const playlist = await this.ytdlpProvider.getPlaylist(url, offset + 1, offset + limit + 1);
+
+        if (offset === 0 && playlist.entryCount === 0) {
+            throw new NotFoundError(`No tracks found in playlist: ${url}`);
+        }
+
+        const hasMore = playlist.entryCount > limit;
+        const lastIndex = offset + limit;
+
+        const page = {
+            id: playlist.id,
+            title: playlist.title,
+            url: playlist.url,
+            uploader: playlist.uploader || 'Unknown',
+            totalTracks: playlist.totalTracks,
+            offset,
+            limit,
+            nextOffset: hasMore ? lastIndex : null,
+            tracks: playlist.entries
+                .filter(entry => entry.position <= lastIndex) // drop the look-ahead entry
+                .map(entry => ({
+                    id: entry.id,
+                    title: entry.title,
+                    url: entry.url,
+                    durationSec: Number(entry.duration || 0),
+                    thumbnail: entry.thumbnail,
+                    uploader: entry.uploader || 'Unknown',
+                })),
+        };
+
+        this.setCache(cacheKey, page);
+
+        this.log('info', 'Playlist fetched successfully', {
+            url,
+            offset,
+            tracks: page.tracks.length,
+            duration: Date.now() - startTime,
+        });
+        return page;
+    }
+
     getFromCache(key) {
         const entry = this.cache.get(key);
         if (!entry) return null;
@@ -0,0 +1,251 @@
+/**
+ * Audio Filter Chains
+ * Parses filter chains and turns them into ffmpeg filter graphs
+ *
+ * A chain is one or more filters joined with "+", each optionally taking
+ * values after a colon: "bassboost+nightcore", "tempo:1.25+loudnorm",
+ * "eq:4,3,2,0,0,0,0,1,2,3". Filters are applied in a fixed order whatever
+ * order they are written in, so equivalent chains normalize to one string.
+ * The bot validates chains with this module too (through
+ * src/bot/system/helpers/AudioFilterHelper.js), so both sides accept the
+ * same chains. Error messages are shown to Discord users as they are.
+ */
+
+// Centre frequencies (Hz) of the 10-band equalizer
+const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+const MAX_CHAIN_LENGTH = 10;
+
+// Rate-changing filters assume this sample rate; the chain resamples to it first
+const SAMPLE_RATE = 48000;
+
+/**
+ * Filter definitions, in the order they are applied
+ * params: accepted values as [min, max, default]; no default means required.
+ * slot: filters sharing a slot change the same thing and cannot be combined.
+ */
+const FILTERS = {
+    eq: {
+        params: EQ_BANDS.map(() => [-12, 12]),
+        build: gains => gains
+            .map((gain, index) => gain === 0 ? null : `equalizer=f=${EQ_BANDS[index]}:t=o:w=1:g=${gain}`)
+            .filter(Boolean)
+            .join(','),
+    },
+    bassboost: {
+        build: () => 'bass=g=10',
+    },
+    karaoke: {
+        build: () => 'stereotools=mlev=0.015',
+    },
+    nightcore: {
+        slot: 'rate',
+        resample: true,
+        build: () => `asetrate=${SAMPLE_RATE}*1.1,atempo=1.1,aresample=${SAMPLE_RATE}`,
+    },
+    vaporwave: {
+        slot: 'rate',
+        resample: true,
+        build: () => `asetrate=${SAMPLE_RATE}*0.85,aresample=${SAMPLE_RATE}`,
+    },
+    // Shifts pitch and undoes the tempo change asetrate causes
+    pitch: {
+        params: [[0.5, 2]],
+        resample: true,
+        build: ([pitch]) => `asetrate=${SAMPLE_RATE}*${pitch},aresample=${SAMPLE_RATE},atempo=${round(1 / pitch)}`,
+    },
+    tempo: {
+        params: [[0.5, 2]],
+        build: ([tempo]) => `atempo=${tempo}`,
+    },
+    '8d': {
+        slot: 'rotation',
+        build: () => 'apulsator=mode=sine:hz=0.09',
+    },
+    rotation: {
+        params: [[0.01, 2]],
+        build: ([hz]) => `apulsator=mode=sine:hz=${hz}`,
+    },
+    tremolo: {
+        params: [[0.1, 20], [0.01, 1, 0.5]],
+        build: ([frequency, depth]) => `tremolo=f=${frequency}:d=${depth}`,
+    },
+    loudnorm: {
+        build: () => 'loudnorm=I=-16:TP=-1.5:LRA=11',
+    },
+};
+
+// speed:X predates tempo:X and does the same
+const ALIASES = {
+    speed: 'tempo',
+};
+
+const ORDER = Object.keys(FILTERS);
+
+const FILTER_NAMES = [...ORDER, ...Object.keys(ALIASES)];
+
+const NUMBER_REGEX = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Round to at most 4 decimals
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Parse the values of one filter
+ * @param {string} name - Filter name (not an alias)
+ * @param {string|undefined} raw - Text after the colon
+ * @returns {number[]} Values, defaults filled in
+ * @throws {Error} If the values are missing, malformed or out of range
+ */
+function parseFilterValues(name, raw) {
+    const params = FILTERS[name].params || [];
+
+    if (params.length === 0) {
+        if (raw !== undefined) {
+            throw new Error(`\`${name}\` does not take a value`);
+        }
+        return [];
+    }
+
+    const parts = raw === undefined || raw === '' ? [] : raw.split(',');
+    const required = params.filter(param => param.length < 3).length;
+
+    if (parts.length < required || parts.length > params.length) {
+        throw new Error(required === params.length
+            ? `\`${name}\` needs ${required === 1 ? 'a value' : `${required} comma-separated values`}`
+            : `\`${name}\` takes ${required} to ${params.length} values`);
+    }
+
+    return params.map(([min, max, fallback], index) => {
+        if (index >= parts.length) {
+            return fallback;
+        }
+
+        const value = Number(parts[index]);
+        if (!NUMBER_REGEX.test(parts[index]) || value < min || value > max) {
+            throw new Error(`\`${name}\` values must be between ${min} and ${max}`);
+        }
+        return round(value);
+    });
+}
+
+/**
+ * Get what a filter changes; filters with the same slot cannot be combined
+ * @param {string} name - Filter name (not an alias)
+ * @returns {string} Slot
+ */
+function getFilterSlot(name) {
+    return FILTERS[name].slot || name;
+}
+
+/**
+ * Parse a filter chain
+ * @param {string} chain - Filter chain ("none" or empty for no filters)
+ * @returns {Array<{name: string, values: number[]}>} Filters in the order they are applied
+ * @throws {Error} If the chain has unknown, malformed or conflicting filters
+ */
+function parseFilterChain(chain) {
+    const text = String(chain ?? '').trim().toLowerCase();
+    if (!text || text === 'none') {
+        return [];
+    }
+
+    // A "+" that was not URL-encoded arrives as a space
+    const tokens = text.split(/[+\s]+/).filter(Boolean);
+    if (tokens.length > MAX_CHAIN_LENGTH) {
+        throw new Error(`A chain can have at most ${MAX_CHAIN_LENGTH} filters`);
+    }
+
+    const filters = [];
+    const slots = new Set();
+
+    for (const token of tokens) {
+        const [rawName, raw, extra] = token.split(':');
+        const name = ALIASES[rawName] || rawName;
+
+        if (!Object.prototype.hasOwnProperty.call(FILTERS, name) || extra !== undefined) {
+            throw new Error(`Unknown filter \`${token}\`. Valid filters: ${FILTER_NAMES.join(', ')}`);
+        }
+
+        const slot = getFilterSlot(name);
+        if (slots.has(slot)) {
+            throw new Error(`\`${token}\` conflicts with another filter in the chain`);
+        }
+        slots.add(slot);
+
+        const values = parseFilterValues(name, raw);
+
+        // A flat equalizer does nothing
+        if (name === 'eq' && values.every(gain => gain === 0)) {
+            continue;
+        }
+
+        filters.push({ name, values });
+    }
+
+    return filters.sort((a, b) => ORDER.indexOf(a.name) - ORDER.indexOf(b.name));
+}
+
+/**
+ * Format parsed filters as a chain
+ * @param {Array<{name: string, values: number[]}>} filters - Parsed filters
+ * @returns {string} Filter chain, "none" without filters
+ */
+function formatFilterChain(filters) {
+    if (filters.length === 0) {
+        return 'none';
+    }
+
+    return filters
+        .map(({ name, values }) => values.length > 0 ? `${name}:${values.join(',')}` : name)
+        .join('+');
+}
+
+/**
+ * Normalize a filter chain
+ * Equivalent chains ("nightcore+bassboost", "bassboost + nightcore") give the same string.
+ * @param {string} chain - Filter chain
+ * @returns {string} Normalized chain
+ * @throws {Error} If the chain is invalid
+ */
+function normalizeFilterChain(chain) {
+    return formatFilterChain(parseFilterChain(chain));
+}
+
+/**
+ * Build the ffmpeg filter graph (-af value) for a chain
+ * @param {string} chain - Filter chain
+ * @returns {string} Filter graph, empty without filters
+ * @throws {Error} If the chain is invalid
+ */
+function buildFilterGraph(chain) {
+    const filters = parseFilterChain(chain);
+    if (filters.length === 0) {
+        return '';
+    }
+
+    const graph = filters
+        .map(({ name, values }) => FILTERS[name].build(values))
+        .filter(Boolean);
+
+    if (filters.some(({ name }) => FILTERS[name].resample)) {
+        graph.unshift(`aresample=${SAMPLE_RATE}`);
+    }
+
+    return graph.join(',');
+}
+
+module.exports = {
+    EQ_BANDS,
+    parseFilterValues,
+    getFilterSlot,
+    parseFilterChain,
+    formatFilterChain,
+    normalizeFilterChain,
+    buildFilterGraph,
+};
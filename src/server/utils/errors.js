@@ -27,6 +27,25 @@ class ValidationError extends AppError {
     }
 }
 
+/**
+ * Authentication error for missing or unknown credentials
+ */
+class AuthenticationError extends AppError {
+    constructor(message = 'Authentication required') {
+        super(message, 401, 'UNAUTHORIZED');
+    }
+}
+
+/**
+ * Forbidden error for credentials that do not grant access
+ * (invalid or expired signatures)
+ */
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied') {
+        super(message, 403, 'FORBIDDEN');
+    }
+}
+
 /**
  * Not found error for missing resources
  */
@@ -36,6 +55,24 @@ class NotFoundError extends AppError {
     }
 }
 
+/**
+ * Unsupported link error for URLs no link resolver handles
+ */
+class UnsupportedLinkError extends AppError {
+    constructor(message = 'Links from this site are not supported') {
+        super(message, 422, 'UNSUPPORTED_LINK');
+    }
+}
+
+/**
+ * Range error for byte ranges outside the requested file
+ */
+class RangeNotSatisfiableError extends AppError {
+    constructor(message = 'Requested range not satisfiable') {
+        super(message, 416, 'RANGE_NOT_SATISFIABLE');
+    }
+}
+
 /**
  * Service error for business logic failures
  */
@@ -75,7 +112,11 @@ class RateLimitError extends AppError {
 module.exports = {
     AppError,
     ValidationError,
+    AuthenticationError,
+    ForbiddenError,
     NotFoundError,
+    UnsupportedLinkError,
+    RangeNotSatisfiableError,
     ServiceError,
     ProviderError,
     TimeoutError,
@@ -0,0 +1,97 @@
+/**
+ * LRC Utilities
+ * Parses time-synced lyrics in the LRC format:
+ *
+ *   [ar:Queen]
+ *   [offset:+250]
+ *   [00:12.34]Is this the real life?
+ *   [00:15.80][01:02.10]A line sung twice
+ *
+ * Metadata tags other than offset are ignored. A positive offset makes the
+ * lyrics appear earlier, as in most LRC players.
+ */
+
+// Leading [mm:ss], [mm:ss.x], [mm:ss.xx] or [mm:ss.xxx]
+const TIME_TAG_REGEX = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+const OFFSET_REGEX = /^\[offset:\s*([+-]?\d+)\s*\]$/i;
+
+/**
+ * Convert the parts of a time tag to milliseconds
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string} fraction - Fraction of a second (1-3 digits)
+ * @returns {number} Time in milliseconds
+ */
+function toMilliseconds(minutes, seconds, fraction = '') {
+    const ms = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+    return (Number(minutes) * 60 + Number(seconds)) * 1000 + ms;
+}
+
+/**
+ * Parse LRC lyrics into timed lines
+ * Lines without a time tag are skipped; empty timed lines are kept as
+ * instrumental breaks.
+ * @param {string} lrc - LRC text
+ * @returns {Array<Object>} Lines ({ time, text } with time in ms), in time order
+ */
+function parseLrc(lrc) {
+    const lines = [];
+    let offset = 0;
+
+    for (const rawLine of String(lrc || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+
+        const offsetMatch = line.match(OFFSET_REGEX);
+        if (offsetMatch) {
+            offset = Number(offsetMatch[1]);
+            continue;
+        }
+
+        // One line may carry several time tags
+        const times = [];
+        let rest = line;
+        let match;
+        while ((match = rest.match(TIME_TAG_REGEX)) !== null) {
+            times.push(toMilliseconds(match[1], match[2], match[3]));
+            rest = rest.slice(match[0].length);
+        }
+
+        const text = rest.trim();
+        for (const time of times) {
+            lines.push({ time, text });
+        }
+    }
+
+    return lines
+        .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Check whether text has LRC time tags
+ * @param {string} text - Lyrics
+ * @returns {boolean}
+ */
+function isLrc(text) {
+    return /^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(String(text || ''));
+}
+
+/**
+ * Get the plain text of timed lines
+ * Consecutive instrumental breaks collapse into one blank line.
+ * @param {Array<Object>} lines - Lines from parseLrc
+ * @returns {string} Lyrics
+ */
+function toPlainLyrics(lines) {
+    return lines
+        .map(line => line.text)
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    parseLrc,
+    isLrc,
+    toPlainLyrics,
+};
@@ -0,0 +1,80 @@
+/**
+ * Request Signing Utilities
+ * HMAC-SHA256 signatures for short-lived audio URLs
+ *
+ * A signed URL carries three extra query parameters:
+ * - kid: ID of the signing key (derived from the key, see getKeyId)
+ * - expires: Unix timestamp in seconds after which the URL is rejected
+ * - sig: base64url HMAC of the path and every other query parameter
+ *
+ * The bot signs its stream URLs with these functions too
+ * (src/bot/system/helpers/AudioAuthHelper.js).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Derive a public ID for an API key
+ * Lets signed URLs and logs name a key without revealing it.
+ *
+ * @param {string} secret - API key
+ * @returns {string} Key ID (12 hex characters)
+ */
+function getKeyId(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 12);
+}
+
+/**
+ * Build the string that is signed for a request
+ * Parameters are sorted by name so their order in the URL does not matter.
+ *
+ * @param {string} path - Request path (e.g. /api/audio/stream)
+ * @param {Object} params - Query parameters, including kid and expires, excluding sig
+ * @returns {string} Canonical request string
+ */
+function canonicalize(path, params) {
+    const query = Object.keys(params)
+        .filter(name => name !== 'sig' && params[name] !== undefined && params[name] !== null)
+        .sort()
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(String(params[name]))}`)
+        .join('&');
+
+    return `${path}\n${query}`;
+}
+
+/**
+ * Create a signature for a request
+ *
+ * @param {string} secret - API key used as the HMAC secret
+ * @param {string} path - Request path
+ * @param {Object} params - Query parameters, including kid and expires
+ * @returns {string} base64url signature
+ */
+function createSignature(secret, path, params) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(canonicalize(path, params))
+        .digest('base64url');
+}
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    // Hash first so inputs of different lengths can be compared in constant time
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = {
+    getKeyId,
+    canonicalize,
+    createSignature,
+    safeEqual,
+};
@@ -0,0 +1,169 @@
+/**
+ * Track Matching Utilities
+ * Picks the YouTube search result that best matches a track resolved from
+ * another service (Spotify, Apple Music, Deezer)
+ *
+ * Scoring favours results whose duration is close to the original, whose
+ * title contains the original title and that come from the artist (or the
+ * artist's auto-generated "- Topic" channel). Live versions, covers, remixes
+ * and similar edits are penalised unless the original title asks for them.
+ */
+
+// Words marking a different version of a song
+const VERSION_WORDS = [
+    'live',
+    'cover',
+    'remix',
+    'karaoke',
+    'instrumental',
+    'acoustic',
+    'slowed',
+    'reverb',
+    'sped up',
+    'nightcore',
+    '8d',
+    'reaction',
+];
+
+/**
+ * Normalize text for comparison
+ * Lowercases, strips accents, featured artists and punctuation.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\((feat|ft)\.?[^)]*\)|\[(feat|ft)\.?[^\]]*\]/g, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Split text into normalized words
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+    return normalize(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Check whether text contains a word or phrase as whole words
+ *
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized word or phrase
+ * @returns {boolean}
+ */
+function containsPhrase(text, phrase) {
+    return ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Build the search query for a track
+ *
+ * @param {Object} track - Track with title and artist
+ * @returns {string} "artist - title" query
+ */
+function buildSearchQuery(track) {
+    const query = track.artist ? `${track.artist} - ${track.title}` : track.title;
+
+    // The stream and metadata endpoints reject these characters ("Simon & Garfunkel")
+    return query.replace(/[;&|$><`]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a query built by buildSearchQuery back into artist and title
+ *
+ * @param {string} query - Search query
+ * @returns {Object} { artist, title } (artist is null without a separator)
+ */
+function parseSearchQuery(query) {
+    const separator = query.indexOf(' - ');
+    if (separator === -1) {
+        return { artist: null, title: query };
+    }
+
+    return { artist: query.slice(0, separator), title: query.slice(separator + 3) };
+}
+
+/**
+ * Score a search result against the expected track
+ *
+ * @param {Object} candidate - Search result ({ title, uploader, duration } with duration in seconds)
+ * @param {Object} expected - Expected track ({ title, artist, durationSec })
+ * @returns {number} Score, higher is better
+ */
+function scoreCandidate(candidate, expected) {
+    const candidateTitle = normalize(candidate.title);
+    const candidateChannel = normalize(candidate.uploader).replace(/ topic$/, '');
+    const expectedTitle = normalize(expected.title);
+    let score = 0;
+
+    // Duration: full points within 2 seconds, dropping to a penalty for far-off lengths
+    if (expected.durationSec > 0 && candidate.duration > 0) {
+        const difference = Math.abs(candidate.duration - expected.durationSec);
+        score += difference <= 2 ? 40 : Math.max(-40, 40 - difference * 2);
+    }
+
+    // Title: share of the original title's words found in the result
+    const titleWords = tokenize(expected.title);
+    if (titleWords.length > 0) {
+        const found = titleWords.filter(word => containsPhrase(candidateTitle, word)).length;
+        score += Math.round(30 * found / titleWords.length);
+    }
+
+    // Artist: named in the title or uploading on their own channel
+    const artist = normalize((expected.artist || '').split(/,|&/)[0]);
+    if (artist) {
+        if (candidateChannel === artist || containsPhrase(candidateChannel, artist)) {
+            score += 20;
+            if (/- topic$/i.test(candidate.uploader || '')) {
+                score += 10; // Auto-generated channels carry the studio recording
+            }
+        } else if (containsPhrase(candidateTitle, artist)) {
+            score += 15;
+        }
+    }
+
+    for (const word of VERSION_WORDS) {
+        if (containsPhrase(candidateTitle, word) && !containsPhrase(expectedTitle, word)) {
+            score -= 25;
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Pick the best matching search result
+ * Ties keep YouTube's own ranking.
+ *
+ * @param {Object[]} candidates - Search results in YouTube's order
+ * @param {Object} expected - Expected track ({ title, artist, durationSec })
+ * @returns {Object|null} Best candidate with its score, or null without candidates
+ */
+function pickBestMatch(candidates, expected) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        const score = scoreCandidate(candidate, expected);
+        if (!best || score > best.score) {
+            best = { ...candidate, score };
+        }
+    }
+
+    return best;
+}
+
+module.exports = {
+    normalize,
+    buildSearchQuery,
+    parseSearchQuery,
+    scoreCandidate,
+    pickBestMatch,
+};
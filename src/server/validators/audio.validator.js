@@ -1,8 +1,52 @@
 const Joi = require("joi");
+const { normalizeFilterChain } = require("../utils/audio-filters");
+
+/**
+ * Original duration of a track resolved from another service
+ * Lets the server pick the search result closest to it
+ */
+const matchDuration = Joi.number()
+    .integer()
+    .min(1)
+    .max(86400)
+    .messages({
+        "number.base": "Duration must be a number",
+        "number.integer": "Duration must be an integer",
+        "number.min": "Duration must be at least 1 second",
+        "number.max": "Duration is too large (maximum 86400 seconds / 24 hours)",
+    });
+
+/**
+ * Paging parameters for the playlist and resolve endpoints
+ */
+const pageOffset = Joi.number()
+    .integer()
+    .min(0)
+    .max(5000)
+    .default(0)
+    .messages({
+        "number.base": "Offset must be a number",
+        "number.integer": "Offset must be an integer",
+        "number.min": "Offset must be a positive number",
+        "number.max": "Offset is too large (maximum 5000)",
+    });
+
+const pageLimit = Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+        "number.base": "Limit must be a number",
+        "number.integer": "Limit must be an integer",
+        "number.min": "Limit must be at least 1",
+        "number.max": "Limit cannot exceed 100",
+    });
 
 /**
  * Validation schema for /stream endpoint
- * Validates query, start position, and audio filter parameters
+ * Validates query, start position, and audio filter chain parameters
+ * Filter chains are normalized (see utils/audio-filters.js)
  */
 const streamSchema = Joi.object({
     query: Joi.string()
@@ -33,20 +77,22 @@ const streamSchema = Joi.object({
         }),
 
     filter: Joi.string()
-        .valid(
-            "none",
-            "bassboost",
-            "nightcore",
-            "vaporwave",
-            "8d",
-            "karaoke"
-        )
-        .pattern(/^(pitch|speed):\d+(\.\d+)?$/)
+        .trim()
+        .max(300)
         .default("none")
+        .custom((value, helpers) => {
+            try {
+                return normalizeFilterChain(value);
+            } catch (error) {
+                return helpers.message({ custom: `Invalid filter: ${error.message}` });
+            }
+        })
         .messages({
-            "any.only": "Invalid filter preset. Valid options: none, bassboost, nightcore, vaporwave, 8d, karaoke, pitch:X, speed:X",
             "string.base": "Filter must be a string",
+            "string.max": "Filter chain is too long (maximum 300 characters)",
         }),
+
+    duration: matchDuration,
 });
 
 /**
@@ -68,9 +114,125 @@ const metadataSchema = Joi.object({
             "string.pattern.base": "Query contains invalid characters (;&|$><` are not allowed)",
             "any.required": "Query parameter is required",
         }),
+
+    duration: matchDuration,
+});
+
+/**
+ * Validation schema for /search endpoint
+ * Validates the search query and number of results
+ */
+const searchSchema = Joi.object({
+    query: Joi.string()
+        .required()
+        .trim()
+        .min(1)
+        .max(500)
+        .pattern(/^[^;&|$><`]+$/)
+        .messages({
+            "string.empty": "Query is required",
+            "string.base": "Query must be a string",
+            "string.min": "Query cannot be empty",
+            "string.max": "Query is too long (maximum 500 characters)",
+            "string.pattern.base": "Query contains invalid characters (;&|$><` are not allowed)",
+            "any.required": "Query parameter is required",
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(10)
+        .default(5)
+        .messages({
+            "number.base": "Limit must be a number",
+            "number.integer": "Limit must be an integer",
+            "number.min": "Limit must be at least 1",
+            "number.max": "Limit cannot exceed 10",
+        }),
+});
+
+/**
+ * Validation schema for /playlist endpoint
+ * Validates the playlist URL and paging parameters
+ */
+const playlistSchema = Joi.object({
+    // Playlist URLs need "&" (watch?v=…&list=…); yt-dlp is spawned without a shell
+    url: Joi.string()
+        .required()
+        .trim()
+        .max(500)
+        .uri({ scheme: ["http", "https"] })
+        .pattern(/^https?:\/\/(www\.)?(youtube\.com|youtu\.be)\/[^\s`]*[?&]list=[A-Za-z0-9_-]+/)
+        .messages({
+            "string.empty": "URL is required",
+            "string.base": "URL must be a string",
+            "string.max": "URL is too long (maximum 500 characters)",
+            "string.uri": "Invalid URL format",
+            "string.pattern.base": "URL must be a YouTube playlist or mix URL (with a list parameter)",
+            "any.required": "URL parameter is required",
+        }),
+
+    offset: pageOffset,
+    limit: pageLimit,
+});
+
+/**
+ * Validation schema for /resolve endpoint
+ * Validates a Spotify, Apple Music or Deezer link and paging parameters
+ */
+const resolveSchema = Joi.object({
+    url: Joi.string()
+        .required()
+        .trim()
+        .max(500)
+        .uri({ scheme: ["http", "https"] })
+        .messages({
+            "string.empty": "URL is required",
+            "string.base": "URL must be a string",
+            "string.max": "URL is too long (maximum 500 characters)",
+            "string.uri": "Invalid URL format",
+            "any.required": "URL parameter is required",
+        }),
+
+    offset: pageOffset,
+    limit: pageLimit,
+});
+
+/**
+ * Validation schema for /lyrics endpoint
+ * Validates the song title, artist and duration
+ * Titles are not passed to yt-dlp, so any characters are allowed
+ */
+const lyricsSchema = Joi.object({
+    title: Joi.string()
+        .required()
+        .trim()
+        .min(1)
+        .max(300)
+        .messages({
+            "string.empty": "Title is required",
+            "string.base": "Title must be a string",
+            "string.min": "Title cannot be empty",
+            "string.max": "Title is too long (maximum 300 characters)",
+            "any.required": "Title parameter is required",
+        }),
+
+    artist: Joi.string()
+        .trim()
+        .max(200)
+        .messages({
+            "string.base": "Artist must be a string",
+            "string.max": "Artist is too long (maximum 200 characters)",
+        }),
+
+    duration: matchDuration,
 });
 
 module.exports = {
     streamSchema,
     metadataSchema,
+    searchSchema,
+    playlistSchema,
+    resolveSchema,
+    lyricsSchema,
 };